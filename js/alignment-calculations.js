@@ -5,15 +5,18 @@
 
 import { GeometryUtils } from './geometry.js';
 
+export const MIN_CURVE_DEFLECTION = 0.05; // Radians; an IP deflecting less gets no curve
+
 export class AlignmentCalculations {
   /**
    * Calculate alignment elements from points and curve points
    * @param {Array} points - Array of IP points
    * @param {Array} curvePoints - Array of curve points
    * @param {number|Object} defaultRadius - Default radius for arcs, or object with individual radii
-   * @returns {Array} Array of alignment elements
+   * @param {Object} spirals - Per-IP spiral lengths {ipIndex: {lengthIn, lengthOut}}
+   * @returns {Array} Array of alignment elements, ordered along the alignment
    */
-  static calculateAlignmentElements(points, curvePoints = [], defaultRadius = 100) {
+  static calculateAlignmentElements(points, curvePoints = [], defaultRadius = 100, spirals = {}) {
     if (points.length < 2) return [];
     
     const elements = [];
@@ -31,33 +34,47 @@ export class AlignmentCalculations {
       return 100; // fallback
     };
     
+    // Spiral lengths are optional per IP; an IP without an entry gets a simple arc
+    const getSpiralsForIP = (ipIndex) => {
+      const spiral = spirals && spirals[ipIndex];
+      if (!spiral) return null;
+      const lengthIn = spiral.lengthIn || 0;
+      const lengthOut = spiral.lengthOut || 0;
+      return (lengthIn > 0 || lengthOut > 0) ? { lengthIn, lengthOut } : null;
+    };
+    
     // First, create arc elements at intermediate IPs (not at first or last point)
     for (let i = 1; i < points.length - 1; i++) {
       const prevPoint = points[i - 1];
       const currentPoint = points[i];
       const nextPoint = points[i + 1];
       const radius = getRadiusForIP(i);
+      const spiral = getSpiralsForIP(i);
      
-      const arc = this.calculateArcElement(prevPoint, currentPoint, nextPoint, radius);
+      const arc = spiral
+        ? this.calculateSpiralArcElement(prevPoint, currentPoint, nextPoint, radius, spiral.lengthIn, spiral.lengthOut)
+        : this.calculateArcElement(prevPoint, currentPoint, nextPoint, radius);
       if (arc) {
         arc.ipIndex = i; // Store which IP this arc belongs to
+        if (arc.spiralIn) arc.spiralIn.ipIndex = i;
+        if (arc.spiralOut) arc.spiralOut.ipIndex = i;
         arcs[i] = arc; // Store arc indexed by IP position
       }
     }
     
-    // Create tangent elements, adjusted for arc connections
+    // Build the element chain in order of travel: tangent, [spiral in, arc, spiral out], tangent...
     for (let i = 0; i < points.length - 1; i++) {
       let startPoint = { ...points[i] };
       let endPoint = { ...points[i + 1] };
       
-      // Adjust tangent start point if there's an arc at the start IP
+      // Adjust tangent start point if there's an arc at the start IP (ST when spiralled)
       if (arcs[i]) {
-        startPoint = { ...arcs[i].endPoint };
+        startPoint = { ...(arcs[i].spiralOut ? arcs[i].spiralOut.endPoint : arcs[i].endPoint) };
       }
       
-      // Adjust tangent end point if there's an arc at the end IP  
+      // Adjust tangent end point if there's an arc at the end IP (TS when spiralled)
       if (arcs[i + 1]) {
-        endPoint = { ...arcs[i + 1].startPoint };
+        endPoint = { ...(arcs[i + 1].spiralIn ? arcs[i + 1].spiralIn.startPoint : arcs[i + 1].startPoint) };
       }
       
       // Calculate tangent element
@@ -71,16 +88,18 @@ export class AlignmentCalculations {
         bearing: bearing,
         length: length,
         originalStart: { ...points[i] },
-        originalEnd: { ...points[i + 1] }
+        originalEnd: { ...points[i + 1] },
+        segmentIndex: i // Tangent runs from IP i to IP i+1
       };
       
       elements.push(tangent);
-    }
-    
-    // Add arcs to elements array
-    for (let i = 1; i < points.length - 1; i++) {
-      if (arcs[i]) {
-        elements.push(arcs[i]);
+      
+      // Follow the tangent with the curve at its end IP
+      const arc = arcs[i + 1];
+      if (arc) {
+        if (arc.spiralIn) elements.push(arc.spiralIn);
+        elements.push(arc);
+        if (arc.spiralOut) elements.push(arc.spiralOut);
       }
     }
     
@@ -104,7 +123,7 @@ export class AlignmentCalculations {
     const deflectionAngle = GeometryUtils.calculateAngleBetweenVectors(incomingVector, outgoingVector);
     
     // Skip if deflection is too small (nearly straight)
-    if (Math.abs(deflectionAngle) < 0.05) return null;
+    if (Math.abs(deflectionAngle) < MIN_CURVE_DEFLECTION) return null;
     
     // Determine arc direction
     const isRightTurn = deflectionAngle > 0;
@@ -148,10 +167,213 @@ export class AlignmentCalculations {
       endPoint: arcEnd,
       ipPoint: { ...currentPoint },
       tangentLength: tangentLength,
+      length: radius * Math.abs(deflectionAngle),
       inputRadius: radius
     };
   }
 
+  /**
+   * Calculate clothoid (Euler spiral) parameters for a spiral of given length
+   * ending at a given radius
+   * @param {number} length - Spiral length Ls
+   * @param {number} radius - Radius at the curve end of the spiral
+   * @returns {Object} Spiral parameters {length, aParameter, theta, x, y, p, k}
+   */
+  static calculateSpiralParameters(length, radius) {
+    if (!length || length <= 0) {
+      return { length: 0, aParameter: 0, theta: 0, x: 0, y: 0, p: 0, k: 0 };
+    }
+    
+    const theta = length / (2 * radius); // Spiral angle θs = Ls / 2R
+    const { x, y } = this.calculateClothoidPoint(length, radius * length);
+    
+    return {
+      length: length,
+      aParameter: Math.sqrt(radius * length),
+      theta: theta,
+      x: x,
+      y: y,
+      p: y - radius * (1 - Math.cos(theta)), // Shift of the circular arc off the tangent
+      k: x - radius * Math.sin(theta) // Distance from TS to the shifted PC
+    };
+  }
+
+  /**
+   * Calculate local coordinates of a point on a clothoid
+   * @param {number} distance - Distance along the spiral from its origin (l)
+   * @param {number} aSquared - Spiral parameter squared (A² = R·Ls)
+   * @returns {Object} Local point {x, y} (x along tangent, y towards the curve)
+   */
+  static calculateClothoidPoint(distance, aSquared) {
+    const theta = (distance * distance) / (2 * aSquared);
+    const t2 = theta * theta;
+    
+    // Fresnel series expansions, accurate for the spiral angles used in road design
+    const x = distance * (1 - t2 / 10 + (t2 * t2) / 216 - (t2 * t2 * t2) / 9360);
+    const y = distance * (theta / 3 - (theta * t2) / 42 + (theta * t2 * t2) / 1320 - (theta * t2 * t2 * t2) / 75600);
+    
+    return { x, y };
+  }
+
+  /**
+   * Calculate a spiral-arc-spiral curve for a given IP
+   * @param {Object} prevPoint - Previous IP point
+   * @param {Object} currentPoint - Current IP point
+   * @param {Object} nextPoint - Next IP point
+   * @param {number} radius - Radius of the circular arc
+   * @param {number} lengthIn - Entry spiral length (0 for none)
+   * @param {number} lengthOut - Exit spiral length (0 for none)
+   * @returns {Object|null} Arc element with spiralIn/spiralOut elements attached, or null if too straight
+   */
+  static calculateSpiralArcElement(prevPoint, currentPoint, nextPoint, radius, lengthIn, lengthOut) {
+    const incomingVector = GeometryUtils.getUnitVector(prevPoint, currentPoint);
+    const outgoingVector = GeometryUtils.getUnitVector(currentPoint, nextPoint);
+    
+    const deflectionAngle = GeometryUtils.calculateAngleBetweenVectors(incomingVector, outgoingVector);
+    
+    // Skip if deflection is too small (nearly straight)
+    if (Math.abs(deflectionAngle) < MIN_CURVE_DEFLECTION) return null;
+    
+    const isRightTurn = deflectionAngle > 0;
+    const totalDeflection = Math.abs(deflectionAngle);
+    
+    const entry = this.calculateSpiralParameters(lengthIn, radius);
+    const exit = this.calculateSpiralParameters(lengthOut, radius);
+    const circularDeflection = totalDeflection - entry.theta - exit.theta;
+    
+    // Spirals consume more deflection than the IP has - fall back to a simple arc
+    if (circularDeflection <= 0) {
+      const arc = this.calculateArcElement(prevPoint, currentPoint, nextPoint, radius);
+      if (arc) arc.spiralsIgnored = true;
+      return arc;
+    }
+    
+    // Normals pointing from each tangent towards the arc centre
+    const side = isRightTurn ? 1 : -1;
+    const incomingNormal = GeometryUtils.getPerpendicularVector(incomingVector);
+    incomingNormal.x *= side;
+    incomingNormal.y *= side;
+    const outgoingNormal = GeometryUtils.getPerpendicularVector(outgoingVector);
+    outgoingNormal.x *= side;
+    outgoingNormal.y *= side;
+    
+    // The shifted arc centre sits R+p off each tangent
+    const center = GeometryUtils.calculateLineIntersection(
+      {
+        x: currentPoint.x + (radius + entry.p) * incomingNormal.x,
+        y: currentPoint.y + (radius + entry.p) * incomingNormal.y
+      },
+      incomingVector,
+      {
+        x: currentPoint.x + (radius + exit.p) * outgoingNormal.x,
+        y: currentPoint.y + (radius + exit.p) * outgoingNormal.y
+      },
+      outgoingVector
+    );
+    if (!center) return null;
+    
+    // TS and ST lie k before/after the foot of the perpendicular from the centre
+    const alongIncoming = (center.x - currentPoint.x) * incomingVector.x + (center.y - currentPoint.y) * incomingVector.y;
+    const alongOutgoing = (center.x - currentPoint.x) * outgoingVector.x + (center.y - currentPoint.y) * outgoingVector.y;
+    const totalTangentIn = entry.k - alongIncoming;
+    const totalTangentOut = alongOutgoing + exit.k;
+    
+    const tsPoint = {
+      x: currentPoint.x - totalTangentIn * incomingVector.x,
+      y: currentPoint.y - totalTangentIn * incomingVector.y
+    };
+    const stPoint = {
+      x: currentPoint.x + totalTangentOut * outgoingVector.x,
+      y: currentPoint.y + totalTangentOut * outgoingVector.y
+    };
+    
+    const spiralIn = entry.length > 0
+      ? this.calculateSpiralElement(tsPoint, incomingVector, incomingNormal, entry, radius, isRightTurn, true)
+      : null;
+    const spiralOut = exit.length > 0
+      ? this.calculateSpiralElement(stPoint, { x: -outgoingVector.x, y: -outgoingVector.y }, outgoingNormal, exit, radius, isRightTurn, false)
+      : null;
+    
+    const arcStart = spiralIn ? { ...spiralIn.endPoint } : tsPoint;
+    const arcEnd = spiralOut ? { ...spiralOut.startPoint } : stPoint;
+    
+    // Same angle convention as calculateArcElement
+    const startAngle = Math.atan2(arcEnd.y - center.y, arcEnd.x - center.x);
+    const endAngle = Math.atan2(arcStart.y - center.y, arcStart.x - center.x);
+    const { normalizedStartAngle, normalizedEndAngle } = this.normalizeArcAngles(startAngle, endAngle, isRightTurn);
+    
+    return {
+      type: 'arc',
+      centerPoint: center,
+      radius: radius,
+      startAngle: normalizedStartAngle,
+      endAngle: normalizedEndAngle,
+      deflectionAngle: deflectionAngle,
+      circularDeflection: circularDeflection,
+      isRightTurn: isRightTurn,
+      startPoint: arcStart,
+      endPoint: arcEnd,
+      ipPoint: { ...currentPoint },
+      tangentLength: totalTangentIn,
+      length: radius * circularDeflection,
+      inputRadius: radius,
+      spiralIn: spiralIn,
+      spiralOut: spiralOut,
+      spiralInLength: entry.length,
+      spiralOutLength: exit.length,
+      shiftIn: entry.p,
+      shiftOut: exit.p,
+      kIn: entry.k,
+      kOut: exit.k,
+      totalTangentIn: totalTangentIn,
+      totalTangentOut: totalTangentOut
+    };
+  }
+
+  /**
+   * Build a spiral element from its tangent-end origin
+   * @param {Object} origin - TS (entry) or ST (exit) point
+   * @param {Object} direction - Unit vector pointing along the spiral away from the origin
+   * @param {Object} normal - Unit vector pointing towards the arc centre
+   * @param {Object} params - Spiral parameters from calculateSpiralParameters
+   * @param {number} radius - Radius at the curve end
+   * @param {boolean} isRightTurn - Whether the curve turns right
+   * @param {boolean} isEntry - True for TS→SC, false for CS→ST
+   * @returns {Object} Spiral element with sampled points in direction of travel
+   */
+  static calculateSpiralElement(origin, direction, normal, params, radius, isRightTurn, isEntry) {
+    const aSquared = radius * params.length;
+    const segments = Math.max(8, Math.ceil(params.length / 5));
+    const points = [];
+    
+    for (let i = 0; i <= segments; i++) {
+      const local = this.calculateClothoidPoint((params.length * i) / segments, aSquared);
+      points.push({
+        x: origin.x + local.x * direction.x + local.y * normal.x,
+        y: origin.y + local.x * direction.y + local.y * normal.y
+      });
+    }
+    
+    // Exit spirals are built from the ST backwards - reverse so points follow the chainage
+    if (!isEntry) points.reverse();
+    
+    return {
+      type: 'spiral',
+      isEntry: isEntry,
+      length: params.length,
+      radius: radius,
+      aParameter: params.aParameter,
+      spiralAngle: params.theta,
+      isRightTurn: isRightTurn,
+      startPoint: { ...points[0] },
+      endPoint: { ...points[points.length - 1] },
+      points: points,
+      origin: { ...origin }, // TS or ST - the zero-curvature end
+      originDirection: { ...direction },
+      originNormal: { ...normal }
+    };
+  }
+
   /**
    * Calculate arc center point
    * @param {Object} arcStart - Arc start point
@@ -220,115 +442,191 @@ export class AlignmentCalculations {
   }
 
   /**
-   * Calculate offset alignment elements
-   * @param {Array} elements - Original alignment elements
-   * @param {number} offsetDistance - Offset distance (positive = right, negative = left)
-   * @returns {Array} Array of offset elements
+   * Get the point and direction of travel at a distance along an element
+   * @param {Object} element - Tangent, spiral or arc element
+   * @param {number} distance - Distance from the element start (clamped to its length)
+   * @returns {Object} Point {x, y, direction} where direction is a unit vector along the chainage
    */
-  static calculateOffsetAlignment(elements, offsetDistance) {
-    if (!elements || elements.length === 0) return [];
+  static getPointOnElement(element, distance) {
+    const s = Math.max(0, Math.min(distance, element.length));
+    
+    if (element.type === 'tangent') {
+      const direction = GeometryUtils.getUnitVector(element.startPoint, element.endPoint);
+      return {
+        x: element.startPoint.x + s * direction.x,
+        y: element.startPoint.y + s * direction.y,
+        direction: direction
+      };
+    }
     
-    const offsetElements = [];
+    if (element.type === 'arc') {
+      // Right turns sweep clockwise on screen (increasing canvas angle)
+      const turn = element.isRightTurn ? 1 : -1;
+      const angle = Math.atan2(element.startPoint.y - element.centerPoint.y, element.startPoint.x - element.centerPoint.x) +
+        turn * s / element.radius;
+      const radial = { x: Math.cos(angle), y: Math.sin(angle) };
+      return {
+        x: element.centerPoint.x + element.radius * radial.x,
+        y: element.centerPoint.y + element.radius * radial.y,
+        direction: { x: -turn * radial.y, y: turn * radial.x }
+      };
+    }
     
-    elements.forEach(element => {
-      if (element.type === 'tangent') {
-        const offsetTangent = this.calculateOffsetTangent(element, offsetDistance);
-        if (offsetTangent) offsetElements.push(offsetTangent);
-      } else if (element.type === 'arc') {
-        const offsetArc = this.calculateOffsetArc(element, offsetDistance);
-        if (offsetArc) offsetElements.push(offsetArc);
-      }
-    });
+    if (element.type === 'spiral') {
+      // Evaluate from the zero-curvature end; exit spirals run towards it
+      const l = element.isEntry ? s : element.length - s;
+      const aSquared = element.radius * element.length;
+      const local = this.calculateClothoidPoint(l, aSquared);
+      const theta = (l * l) / (2 * aSquared);
+      const u = element.originDirection;
+      const n = element.originNormal;
+      const travel = element.isEntry ? 1 : -1;
+      return {
+        x: element.origin.x + local.x * u.x + local.y * n.x,
+        y: element.origin.y + local.x * u.y + local.y * n.y,
+        direction: {
+          x: travel * (Math.cos(theta) * u.x + Math.sin(theta) * n.x),
+          y: travel * (Math.cos(theta) * u.y + Math.sin(theta) * n.y)
+        }
+      };
+    }
     
-    return offsetElements;
+    return { x: element.startPoint.x, y: element.startPoint.y, direction: { x: 0, y: 0 } };
   }
 
   /**
-   * Calculate offset tangent element
-   * @param {Object} tangent - Original tangent element
-   * @param {number} offsetDistance - Offset distance
-   * @returns {Object|null} Offset tangent element
+   * Project a point onto an element (perpendicular foot, clamped to the element ends)
+   * @param {Object} point - Point to project {x, y}
+   * @param {Object} element - Tangent, spiral or arc element
+   * @returns {Object} Projection {distance, lineDistance, point, offset, separation, isPerpendicular}
+   *   where distance is along the element, lineDistance the unclamped distance along a
+   *   tangent's line (distance for curves) and offset is signed (positive = right);
+   *   isPerpendicular is false where the foot was clamped to an end
    */
-  static calculateOffsetTangent(tangent, offsetDistance) {
-    const direction = GeometryUtils.getUnitVector(tangent.startPoint, tangent.endPoint);
-    const perpendicular = GeometryUtils.getPerpendicularVector(direction);
-    
-    // Calculate offset points
-    const offsetStart = {
-      x: tangent.startPoint.x + offsetDistance * perpendicular.x,
-      y: tangent.startPoint.y + offsetDistance * perpendicular.y
-    };
+  static projectPointOnElement(point, element) {
+    let distance;
+    let isPerpendicular;
     
-    const offsetEnd = {
-      x: tangent.endPoint.x + offsetDistance * perpendicular.x,
-      y: tangent.endPoint.y + offsetDistance * perpendicular.y
-    };
+    if (element.type === 'tangent') {
+      const direction = GeometryUtils.getUnitVector(element.startPoint, element.endPoint);
+      distance = (point.x - element.startPoint.x) * direction.x + (point.y - element.startPoint.y) * direction.y;
+      isPerpendicular = distance >= 0 && distance <= element.length;
+    } else if (element.type === 'arc') {
+      const fromStart = Math.atan2(element.startPoint.y - element.centerPoint.y, element.startPoint.x - element.centerPoint.x);
+      const toPoint = Math.atan2(point.y - element.centerPoint.y, point.x - element.centerPoint.x);
+      const swept = GeometryUtils.normalizeAngle(element.isRightTurn ? toPoint - fromStart : fromStart - toPoint);
+      
+      // Outside the sweep, snap to whichever end is angularly closer
+      const sweep = element.length / element.radius;
+      isPerpendicular = swept <= sweep;
+      if (isPerpendicular) {
+        distance = swept * element.radius;
+      } else {
+        distance = (swept - sweep < 2 * Math.PI - swept) ? element.length : 0;
+      }
+    } else {
+      distance = this.findNearestDistanceOnSpiral(point, element);
+      
+      // At an end the nearest point is only a perpendicular foot if the point isn't beyond it
+      const foot = this.getPointOnElement(element, distance);
+      const along = (point.x - foot.x) * foot.direction.x + (point.y - foot.y) * foot.direction.y;
+      const tolerance = 1e-6 * element.length;
+      isPerpendicular = !(distance <= tolerance && along < -tolerance) &&
+        !(distance >= element.length - tolerance && along > tolerance);
+    }
+    
+    const foot = this.getPointOnElement(element, distance);
+    const normal = GeometryUtils.getPerpendicularVector(foot.direction);
+    const clamped = Math.max(0, Math.min(distance, element.length));
     
     return {
-      type: 'tangent',
-      startPoint: offsetStart,
-      endPoint: offsetEnd,
-      bearing: tangent.bearing,
-      length: tangent.length,
-      offset: offsetDistance,
-      parentElement: tangent
+      distance: clamped,
+      lineDistance: element.type === 'tangent' ? distance : clamped,
+      point: { x: foot.x, y: foot.y },
+      offset: (point.x - foot.x) * normal.x + (point.y - foot.y) * normal.y,
+      separation: GeometryUtils.calculateDistance(point, foot),
+      isPerpendicular: isPerpendicular
     };
   }
 
   /**
-   * Calculate offset arc element
-   * @param {Object} arc - Original arc element
-   * @param {number} offsetDistance - Offset distance
-   * @returns {Object|null} Offset arc element
+   * Find the distance along a spiral closest to a point
+   * Coarse search over the sampled points, then a golden-section refinement
+   * @param {Object} point - Point {x, y}
+   * @param {Object} spiral - Spiral element
+   * @returns {number} Distance along the spiral
    */
-  static calculateOffsetArc(arc, offsetDistance) {
-    // Calculate offset radius
-    let offsetRadius;
-    if (arc.isRightTurn) {
-      offsetRadius = arc.radius + offsetDistance;
-    } else {
-      offsetRadius = arc.radius - offsetDistance;
-    }
-    
-    // Skip if offset radius becomes negative or too small
-    if (offsetRadius <= 0) return null;
+  static findNearestDistanceOnSpiral(point, spiral) {
+    const segments = spiral.points.length - 1;
+    const step = spiral.length / segments;
+    let best = 0;
+    let bestDistance = Infinity;
+    
+    spiral.points.forEach((sample, index) => {
+      const d = GeometryUtils.calculateDistance(point, sample);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = index;
+      }
+    });
     
-    // Calculate offset start and end points
-    const startPerpendicular = {
-      x: -Math.sin(arc.startAngle),
-      y: Math.cos(arc.startAngle)
-    };
+    let low = Math.max(0, (best - 1) * step);
+    let high = Math.min(spiral.length, (best + 1) * step);
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    const distanceAt = (s) => GeometryUtils.calculateDistance(point, this.getPointOnElement(spiral, s));
+    
+    for (let i = 0; i < 40; i++) {
+      const a = high - ratio * (high - low);
+      const b = low + ratio * (high - low);
+      if (distanceAt(a) < distanceAt(b)) {
+        high = b;
+      } else {
+        low = a;
+      }
+    }
     
-    const endPerpendicular = {
-      x: -Math.sin(arc.endAngle),
-      y: Math.cos(arc.endAngle)
-    };
+    return (low + high) / 2;
+  }
+
+  /**
+   * Calculate the station and offset of a point relative to an alignment
+   * @param {Object} point - Point {x, y}
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @returns {Object|null} {chainage, offset, element, point, separation, isPerpendicular}
+   *   offset is signed: positive = right of the direction of travel, negative = left.
+   *   Before the start or past the end of a tangent first or last element, the chainage
+   *   runs on along its line and isPerpendicular is false.
+   */
+  static calculateStationOffset(point, elements) {
+    if (!elements || elements.length === 0) return null;
     
-    const offsetStart = {
-      x: arc.startPoint.x + offsetDistance * startPerpendicular.x,
-      y: arc.startPoint.y + offsetDistance * startPerpendicular.y
-    };
+    let best = null;
+    const last = elements[elements.length - 1];
     
-    const offsetEnd = {
-      x: arc.endPoint.x + offsetDistance * endPerpendicular.x,
-      y: arc.endPoint.y + offsetDistance * endPerpendicular.y
-    };
+    elements.forEach(element => {
+      const projection = this.projectPointOnElement(point, element);
+      
+      // Nearest wins; where two elements meet at the nearest point, prefer the one
+      // the point is square to, so clamped ends only win when nothing else is closer
+      const isBetter = !best ||
+        projection.separation < best.separation - 1e-9 ||
+        (projection.separation <= best.separation + 1e-9 && projection.isPerpendicular && !best.isPerpendicular);
+      
+      if (isBetter) {
+        const runsOn = (element === elements[0] && projection.lineDistance < 0) ||
+          (element === last && projection.lineDistance > element.length);
+        best = {
+          chainage: element.startChainage + (runsOn ? projection.lineDistance : projection.distance),
+          offset: projection.offset,
+          element: element,
+          point: projection.point,
+          separation: projection.separation,
+          isPerpendicular: projection.isPerpendicular
+        };
+      }
+    });
     
-    return {
-      type: 'arc',
-      centerPoint: { ...arc.centerPoint },
-      radius: offsetRadius,
-      startAngle: arc.startAngle,
-      endAngle: arc.endAngle,
-      deflectionAngle: arc.deflectionAngle,
-      isRightTurn: arc.isRightTurn,
-      startPoint: offsetStart,
-      endPoint: offsetEnd,
-      ipPoint: { ...arc.ipPoint },
-      tangentLength: arc.tangentLength,
-      offset: offsetDistance,
-      parentElement: arc
-    };
+    return best;
   }
 
   /**
@@ -342,8 +640,31 @@ export class AlignmentCalculations {
     if (element.type === 'tangent') {
       return GeometryUtils.isPointOnLine(mousePos, element.startPoint, element.endPoint, tolerance);
     } else if (element.type === 'arc') {
-      return GeometryUtils.isPointOnArc(mousePos, element.centerPoint, element.radius, tolerance);
+      return GeometryUtils.isPointOnArc(mousePos, element.centerPoint, element.radius, tolerance) &&
+        this.isPointWithinArcSweep(mousePos, element);
+    } else if (element.type === 'spiral') {
+      for (let i = 0; i < element.points.length - 1; i++) {
+        if (GeometryUtils.isPointOnLine(mousePos, element.points[i], element.points[i + 1], tolerance)) {
+          return true;
+        }
+      }
     }
     return false;
   }
+
+  /**
+   * Check if a point lies within the angular sweep of an arc (between its start and end radii)
+   * @param {Object} point - Point to check {x, y}
+   * @param {Object} arc - Arc element
+   * @returns {boolean} True if the point is inside the arc's sector
+   */
+  static isPointWithinArcSweep(point, arc) {
+    const sweep = Math.abs(arc.circularDeflection ?? arc.deflectionAngle);
+    const fromStart = Math.atan2(arc.startPoint.y - arc.centerPoint.y, arc.startPoint.x - arc.centerPoint.x);
+    const toPoint = Math.atan2(point.y - arc.centerPoint.y, point.x - arc.centerPoint.x);
+    
+    // Arcs run clockwise on screen for right turns, anticlockwise for left turns
+    const swept = GeometryUtils.normalizeAngle(arc.isRightTurn ? toPoint - fromStart : fromStart - toPoint);
+    return swept <= sweep;
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Alignment Editing Module
+ * Inserts, deletes and appends IPs, keeping the per-IP maps in step
+ *
+ * Radii, spiral lengths, curve constraints and curve widening are keyed by IP index, so every change
+ * to the points array re-keys them: IPs after an insertion move up one, IPs after a
+ * deletion move down one. Only interior IPs carry curves - an IP that becomes an end point loses
+ * its entries, and an end point that becomes interior gets the default radius.
+ */
+
+export class AlignmentEditing {
+  /**
+   * Insert an IP
+   * @param {Object} alignment - Alignment to edit
+   * @param {number} index - Index the new IP takes (1 to points.length - 1)
+   * @param {Object} point - World point
+   * @param {number} radius - Radius for the new IP's curve
+   */
+  static insertIp(alignment, index, point, radius) {
+    this.reindex(alignment, (ipIndex) => ipIndex >= index ? ipIndex + 1 : ipIndex);
+    alignment.points.splice(index, 0, { x: point.x, y: point.y });
+    alignment.radii[index] = radius;
+  }
+
+  /**
+   * Delete an IP; the alignment must keep at least two points
+   * @param {Object} alignment - Alignment to edit
+   * @param {number} index - Index of the IP to delete
+   * @returns {boolean} True if deleted
+   */
+  static deleteIp(alignment, index) {
+    if (alignment.points.length <= 2 || index < 0 || index >= alignment.points.length) return false;
+
+    this.reindex(alignment, (ipIndex) => {
+      if (ipIndex === index) return null;
+      return ipIndex > index ? ipIndex - 1 : ipIndex;
+    });
+    alignment.points.splice(index, 1);
+    this.dropEndPointCurves(alignment);
+    return true;
+  }
+
+  /**
+   * Add IPs beyond either end of an alignment
+   * @param {Object} alignment - Alignment to edit
+   * @param {Array} points - New world points, in order of distance from the end they extend
+   * @param {boolean} atStart - Extend before the first IP rather than after the last
+   * @param {number} radius - Radius for each IP that becomes interior
+   */
+  static extend(alignment, points, atStart, radius) {
+    if (points.length === 0) return;
+
+    const count = points.length;
+    const copies = points.map(point => ({ x: point.x, y: point.y }));
+
+    if (atStart) {
+      this.reindex(alignment, (ipIndex) => ipIndex + count);
+      alignment.points.unshift(...copies.reverse());
+      // The old start and every new point except the new start now turn
+      for (let i = 1; i <= count; i++) {
+        alignment.radii[i] = radius;
+      }
+    } else {
+      const oldLast = alignment.points.length - 1;
+      alignment.points.push(...copies);
+      for (let i = oldLast; i < alignment.points.length - 1; i++) {
+        alignment.radii[i] = radius;
+      }
+    }
+  }
+
+  /**
+   * Re-key the radii, spirals and curve constraint maps and the curve widening regions
+   * @param {Object} alignment - Alignment to edit
+   * @param {Function} mapIndex - Old IP index => new IP index, or null to drop the entry
+   */
+  static reindex(alignment, mapIndex) {
+    alignment.radii = this.reindexMap(alignment.radii || {}, mapIndex);
+    alignment.spirals = this.reindexMap(alignment.spirals || {}, mapIndex);
+    alignment.curveConstraints = this.reindexMap(alignment.curveConstraints || {}, mapIndex);
+    alignment.widenings = (alignment.widenings || [])
+      .map(region => (Number.isInteger(region.ipIndex) ? { ...region, ipIndex: mapIndex(region.ipIndex) } : region))
+      .filter(region => region.ipIndex !== null);
+  }
+
+  /**
+   * Re-key one IP-indexed map; non-numeric keys (such as `default`) are kept as they are
+   * @param {Object} map - Map keyed by IP index
+   * @param {Function} mapIndex - Old IP index => new IP index, or null to drop the entry
+   * @returns {Object} Re-keyed map
+   */
+  static reindexMap(map, mapIndex) {
+    const result = {};
+    Object.entries(map).forEach(([key, value]) => {
+      if (!/^\d+$/.test(key)) {
+        result[key] = value;
+        return;
+      }
+      const newIndex = mapIndex(parseInt(key, 10));
+      if (newIndex !== null) {
+        result[newIndex] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Remove curve entries left on the first or last IP
+   * @param {Object} alignment - Alignment to edit
+   */
+  static dropEndPointCurves(alignment) {
+    const last = alignment.points.length - 1;
+    [0, last].forEach(index => {
+      delete alignment.radii[index];
+      delete alignment.spirals[index];
+      delete alignment.curveConstraints[index];
+    });
+    alignment.widenings = (alignment.widenings || []).filter(region => region.ipIndex !== 0 && region.ipIndex !== last);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Alignment Validation Module
+ * Checks built alignment geometry for problems calculateAlignmentElements doesn't refuse:
+ * curves whose tangent lengths overrun the IP-to-IP distance, short tangents, broken-back
+ * and reverse curves without enough tangent between them, IPs that deflect too little
+ * to get a curve, and curve constraints that can't be met.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { MIN_CURVE_DEFLECTION } from './alignment-calculations.js';
+import { CurveDefinitions, CURVE_PARAMETERS } from './curve-definitions.js';
+
+export class AlignmentValidation {
+  /**
+   * Default minimum tangent lengths
+   * @returns {Object} {minTangent, minReverseTangent, minBrokenBackTangent} in metres
+   */
+  static createDefaultSettings() {
+    return {
+      minTangent: 20,
+      minReverseTangent: 40, // Room to run the superelevation from one side to the other
+      minBrokenBackTangent: 150 // Same-direction curves closer than this read as one broken curve
+    };
+  }
+
+  /**
+   * Validate an alignment
+   * @param {Object} alignment - Alignment with built, chainaged elements
+   * @param {Object} settings - Minimum tangent lengths
+   * @returns {Array} Issues {type, severity, message, chainage, elements, point}, in chainage order
+   *   type is 'overlap' | 'shortTangent' | 'brokenBack' | 'reverseCurve' | 'smallDeflection' |
+   *   'unmetConstraint';
+   *   elements are the elements to highlight, point an IP to mark when there is no element
+   */
+  static validate(alignment, settings) {
+    const points = alignment.points;
+    const elements = alignment.elements || [];
+    const issues = [];
+    if (points.length < 2 || elements.length === 0) return issues;
+
+    const arcs = {};
+    elements.forEach(element => {
+      if (element.type === 'arc') arcs[element.ipIndex] = element;
+    });
+
+    // IPs too straight for a curve
+    for (let i = 1; i < points.length - 1; i++) {
+      const deflection = Math.abs(CurveDefinitions.getDeflectionAt(points, i));
+      if (!arcs[i] && deflection < MIN_CURVE_DEFLECTION) {
+        const tangent = this.getTangent(elements, i);
+        issues.push({
+          type: 'smallDeflection',
+          severity: 'warning',
+          message: `IP ${i} deflects ${this.formatDegrees(deflection)}°, under the ` +
+            `${this.formatDegrees(MIN_CURVE_DEFLECTION)}° needed for a curve, so it has none`,
+          chainage: tangent ? tangent.startChainage : 0,
+          elements: [],
+          point: points[i]
+        });
+      }
+    }
+
+    // Curves whose fixed parameter can't be held, so they kept their last radius
+    CurveDefinitions.forEachConstraint(alignment, (ipIndex, constraint) => {
+      try {
+        CurveDefinitions.solveConstraint(alignment, ipIndex, constraint);
+      } catch (error) {
+        const { label, unit } = CURVE_PARAMETERS[constraint.parameter];
+        const arc = arcs[ipIndex];
+        const tangent = this.getTangent(elements, ipIndex);
+        issues.push({
+          type: 'unmetConstraint',
+          severity: 'error',
+          message: `IP ${ipIndex} can't hold its ${label} of ${constraint.value}${unit === 'm' ? ' m' : unit}, ` +
+            `so it keeps R ${(alignment.radii[ipIndex] ?? alignment.radii.default).toFixed(1)} m: ${error.message}`,
+          chainage: arc ? this.getCurveElements(arc)[0].startChainage : (tangent ? tangent.startChainage : 0),
+          elements: arc ? this.getCurveElements(arc) : [],
+          point: arc ? null : points[ipIndex]
+        });
+      }
+    });
+
+    // Each IP-to-IP segment: what's left of it once the curves at both ends take their tangent lengths
+    for (let i = 0; i < points.length - 1; i++) {
+      const tangent = this.getTangent(elements, i);
+      const startArc = arcs[i] || null;
+      const endArc = arcs[i + 1] || null;
+      const available = GeometryUtils.calculateDistance(points[i], points[i + 1]) -
+        (startArc ? this.getTangentOut(startArc) : 0) -
+        (endArc ? this.getTangentIn(endArc) : 0);
+      const chainage = tangent ? tangent.startChainage : 0;
+      const between = `IP ${i} and IP ${i + 1}`;
+
+      if (available < -1e-6) {
+        const curves = [startArc, endArc].filter(Boolean);
+        const message = curves.length === 2
+          ? `Curves at ${between} overlap by ${(-available).toFixed(2)} m`
+          : `Curve at IP ${(startArc || endArc).ipIndex} runs ${(-available).toFixed(2)} m past IP ${startArc ? i + 1 : i}`;
+        issues.push({
+          type: 'overlap',
+          severity: 'error',
+          message,
+          chainage,
+          elements: [tangent, ...curves.flatMap(arc => this.getCurveElements(arc))].filter(Boolean),
+          point: null
+        });
+        continue;
+      }
+
+      const length = Math.max(0, available);
+      const issue = { severity: 'warning', chainage, elements: tangent ? [tangent] : [], point: null };
+
+      if (startArc && endArc && startArc.isRightTurn !== endArc.isRightTurn && length < settings.minReverseTangent) {
+        issues.push({
+          ...issue,
+          type: 'reverseCurve',
+          message: `Reverse curves at ${between} have ${length.toFixed(2)} m of tangent between them ` +
+            `(minimum ${settings.minReverseTangent} m)`
+        });
+      } else if (startArc && endArc && startArc.isRightTurn === endArc.isRightTurn && length < settings.minBrokenBackTangent) {
+        issues.push({
+          ...issue,
+          type: 'brokenBack',
+          message: `Broken-back curves at ${between}: ${length.toFixed(2)} m of tangent between ` +
+            `same-direction curves (minimum ${settings.minBrokenBackTangent} m)`
+        });
+      } else if (length < settings.minTangent) {
+        issues.push({
+          ...issue,
+          type: 'shortTangent',
+          message: `Tangent from IP ${i} to IP ${i + 1} is ${length.toFixed(2)} m long ` +
+            `(minimum ${settings.minTangent} m)`
+        });
+      }
+    }
+
+    return issues.sort((a, b) => a.chainage - b.chainage);
+  }
+
+  /**
+   * Tangent element running from IP segmentIndex to the next IP
+   * @param {Array} elements - Alignment elements
+   * @param {number} segmentIndex - Index of the IP the tangent starts from
+   * @returns {Object|null} Tangent element
+   */
+  static getTangent(elements, segmentIndex) {
+    return elements.find(element => element.type === 'tangent' && element.segmentIndex === segmentIndex) || null;
+  }
+
+  /**
+   * Distance from the IP back to where the curve (with its entry spiral) leaves the tangent
+   * @param {Object} arc - Arc element
+   * @returns {number} Tangent length (T or Ts)
+   */
+  static getTangentIn(arc) {
+    return arc.totalTangentIn ?? arc.tangentLength;
+  }
+
+  /**
+   * Distance from the IP on to where the curve (with its exit spiral) rejoins the tangent
+   * @param {Object} arc - Arc element
+   * @returns {number} Tangent length (T or Ts)
+   */
+  static getTangentOut(arc) {
+    return arc.totalTangentOut ?? arc.tangentLength;
+  }
+
+  /**
+   * An arc with its spirals
+   * @param {Object} arc - Arc element
+   * @returns {Array} Elements
+   */
+  static getCurveElements(arc) {
+    return [arc.spiralIn, arc, arc.spiralOut].filter(Boolean);
+  }
+
+  /**
+   * @param {number} radians - Angle
+   * @returns {string} Degrees to two decimals
+   */
+  static formatDegrees(radians) {
+    return (radians * 180 / Math.PI).toFixed(2);
+  }
+}
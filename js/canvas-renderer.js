@@ -3,19 +3,34 @@
  * Handles all drawing operations for the alignment tool
  */
 
-import { AlignmentCalculations } from './alignment-calculations.js';
+import { OffsetAlignment } from './offset-alignment.js';
+import { GeometryUtils } from './geometry.js';
+import { Stationing } from './stationing.js';
+import { CrossSection, COMPONENT_TYPES, LINE_STYLES } from './cross-section.js';
+import { Widening } from './widening.js';
 
 export class CanvasRenderer {
-  constructor(canvas, ctx) {
+  constructor(canvas, ctx, viewport) {
     this.canvas = canvas;
     this.ctx = ctx;
+    this.viewport = viewport; // World (metres) <-> screen transform
     this.roadMarkings = {
-      pavementWidth: 3.5,
-      travelLaneWidth: 3.0,
-      showPavementEdges: true,
+      showPavementEdges: true, // Edges of every component other than lanes
       showTravelLaneEdges: true,
       showCentreline: true
     };
+    this.stationing = {
+      showStations: true,
+      majorInterval: 100,
+      minorInterval: 20
+    };
+    this.inquiry = null; // Station/offset inquiry result to draw, if any
+    this.snap = null; // Active snap to mark with a glyph, if any
+    this.selectedIp = null; // IP being edited from the command line, if any
+    this.sweptPath = null; // Swept path result to draw, if any
+    this.sightDistance = null; // Sight lines and obstructions of the current alignment, if any
+    this.surveyPoints = null; // Visible survey points and how to label them, if any
+    this.edgeChainCache = new WeakMap(); // Alignment => {inputs, chains}: its edge offset chains and what they were built from
   }
 
   /**
@@ -26,10 +41,93 @@ export class CanvasRenderer {
     this.roadMarkings = { ...this.roadMarkings, ...settings };
   }
 
+  /**
+   * Update station label settings
+   * @param {Object} settings - Stationing settings
+   */
+  updateStationing(settings) {
+    this.stationing = { ...this.stationing, ...settings };
+  }
+
+  /**
+   * Set the active snap to mark with a glyph
+   * @param {Object|null} snap - Snap from Snapping.findSnap
+   */
+  setSnap(snap) {
+    this.snap = snap;
+  }
+
+  /**
+   * Set the IP to ring as the target of command-line edits
+   * @param {Object|null} point - IP of the current alignment
+   */
+  setSelectedIp(point) {
+    this.selectedIp = point;
+  }
+
+  /**
+   * Set the swept path to draw
+   * @param {Object|null} sweptPath - Result of SweptPath.analyse
+   */
+  setSweptPath(sweptPath) {
+    this.sweptPath = sweptPath;
+  }
+
+  /**
+   * Set the sight distance check and obstructions to draw
+   * @param {Object|null} sightDistance - {result, obstructions, pending, showEnvelopes}: result
+   *   of SightDistance.analyse, the alignment's obstructions, the points of one being placed
+   *   (or null) and whether to draw the envelopes
+   */
+  setSightDistance(sightDistance) {
+    this.sightDistance = sightDistance;
+  }
+
+  /**
+   * Set the survey points to draw
+   * @param {Object|null} surveyPoints - {points, showLabels}: the points whose codes are
+   *   visible and whether to label them with number and description
+   */
+  setSurveyPoints(surveyPoints) {
+    this.surveyPoints = surveyPoints;
+  }
+
+  /**
+   * Set the station/offset inquiry to draw
+   * @param {Object|null} inquiry - Inquiry result with the cursor position as `from`
+   */
+  setInquiry(inquiry) {
+    this.inquiry = inquiry;
+  }
+
+  /**
+   * Convert a screen size (line width, grip radius) to world units for drawing under the viewport transform
+   * @param {number} pixels - Size in screen pixels
+   * @returns {number} Size in metres
+   */
+  px(pixels) {
+    return this.viewport.pixelsToWorld(pixels);
+  }
+
+  /**
+   * Draw text at a world position without scaling it with the viewport
+   * @param {string} text - Text to draw
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   */
+  drawLabel(text, x, y) {
+    const screen = this.viewport.worldToScreen({ x, y });
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillText(text, screen.x, screen.y);
+    this.ctx.restore();
+  }
+
   /**
    * Clear the canvas
    */
   clear() {
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
   }
 
@@ -46,6 +144,14 @@ export class CanvasRenderer {
     this.clear();
     this.drawGrid();
     
+    // Everything else is drawn in world units
+    this.viewport.applyTo(this.ctx);
+    
+    // Survey underneath the design
+    if (this.surveyPoints) {
+      this.drawSurveyPoints(this.surveyPoints);
+    }
+    
     // Draw saved alignments
     alignments.forEach(alignment => {
       const isActive = alignment === currentAlignment;
@@ -53,35 +159,327 @@ export class CanvasRenderer {
       this.drawAlignment(alignment, isActive, showGrips, selectedElement);
     });
     
+    if (this.sweptPath) {
+      this.drawSweptPath(this.sweptPath);
+    }
+    
+    if (this.sightDistance) {
+      this.drawSightDistance(this.sightDistance);
+    }
+    
     // Draw temporary alignment while drawing
     if (isDrawing && tempPoints.length > 0) {
       this.drawTempAlignment(tempPoints);
     }
+    
+    // Draw station/offset inquiry on top
+    if (this.inquiry) {
+      this.drawInquiry(this.inquiry);
+    }
+    
+    if (this.snap) {
+      this.drawSnap(this.snap);
+    }
+    
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  /**
+   * Draw the glyph for an active snap
+   * Square: IP, curve key point or survey point, circle: arc centre, hourglass: nearest point,
+   * plus: grid, dashed ray: bearing lock
+   * @param {Object} snap - Snap from Snapping.findSnap
+   */
+  drawSnap(snap) {
+    const { x, y } = snap.point;
+    const size = this.px(6);
+    
+    this.ctx.strokeStyle = '#16a34a';
+    this.ctx.fillStyle = '#16a34a';
+    this.ctx.lineWidth = this.px(2);
+    this.ctx.setLineDash([]);
+    this.ctx.beginPath();
+    
+    if (snap.type === 'ip' || snap.type === 'keyPoint' || snap.type === 'survey') {
+      this.ctx.rect(x - size, y - size, size * 2, size * 2);
+    } else if (snap.type === 'centre') {
+      this.ctx.arc(x, y, size, 0, 2 * Math.PI);
+      this.ctx.moveTo(x - size * 1.5, y);
+      this.ctx.lineTo(x + size * 1.5, y);
+      this.ctx.moveTo(x, y - size * 1.5);
+      this.ctx.lineTo(x, y + size * 1.5);
+    } else if (snap.type === 'nearest') {
+      this.ctx.moveTo(x - size, y - size);
+      this.ctx.lineTo(x + size, y - size);
+      this.ctx.lineTo(x - size, y + size);
+      this.ctx.lineTo(x + size, y + size);
+      this.ctx.closePath();
+    } else if (snap.type === 'grid') {
+      this.ctx.moveTo(x - size, y);
+      this.ctx.lineTo(x + size, y);
+      this.ctx.moveTo(x, y - size);
+      this.ctx.lineTo(x, y + size);
+    } else if (snap.type === 'bearing') {
+      this.ctx.arc(x, y, this.px(3), 0, 2 * Math.PI);
+    }
+    this.ctx.stroke();
+    
+    if (snap.type === 'bearing') {
+      // Extend the locked line past the cursor
+      const direction = GeometryUtils.getUnitVector(snap.anchor, snap.point);
+      const reach = this.px(2000);
+      this.ctx.lineWidth = this.px(1);
+      this.ctx.setLineDash([this.px(6), this.px(4)]);
+      this.ctx.beginPath();
+      this.ctx.moveTo(snap.anchor.x, snap.anchor.y);
+      this.ctx.lineTo(snap.anchor.x + direction.x * reach, snap.anchor.y + direction.y * reach);
+      this.ctx.stroke();
+      this.ctx.setLineDash([]);
+    }
+    
+    const label = this.getSnapLabel(snap);
+    if (label) {
+      this.ctx.font = '11px sans-serif';
+      this.ctx.textAlign = 'left';
+      this.ctx.textBaseline = 'bottom';
+      this.drawLabel(label, x + this.px(10), y - this.px(8));
+    }
+  }
+
+  /**
+   * Text shown next to a snap glyph
+   * @param {Object} snap - Snap from Snapping.findSnap
+   * @returns {string|null} Label
+   */
+  getSnapLabel(snap) {
+    if (snap.type === 'bearing') {
+      const bearing = GeometryUtils.formatBearing(snap.bearing);
+      if (snap.deflection === null) return bearing;
+      const deflection = snap.deflection * 180 / Math.PI;
+      return `${bearing} (Δ ${deflection >= 0 ? '+' : ''}${deflection.toFixed(0)}°)`;
+    }
+    if (snap.type === 'nearest') return 'Nearest';
+    return snap.label || null;
+  }
+
+  /**
+   * Draw the perpendicular from the inquiry point to the alignment
+   * @param {Object} inquiry - Inquiry result with the cursor position as `from`
+   */
+  drawInquiry(inquiry) {
+    this.ctx.strokeStyle = '#0891b2';
+    this.ctx.lineWidth = this.px(1);
+    this.ctx.setLineDash([this.px(4), this.px(4)]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(inquiry.from.x, inquiry.from.y);
+    this.ctx.lineTo(inquiry.point.x, inquiry.point.y);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    
+    this.ctx.fillStyle = '#0891b2';
+    this.ctx.beginPath();
+    this.ctx.arc(inquiry.point.x, inquiry.point.y, this.px(4), 0, 2 * Math.PI);
+    this.ctx.fill();
+  }
+
+  /**
+   * Draw a swept path: the body envelope, vehicle outlines along the way, the wheel paths
+   * and a ring on the worst point of each stretch that leaves the pavement
+   * @param {Object} sweptPath - Result of SweptPath.analyse
+   */
+  drawSweptPath(sweptPath) {
+    const { leftEnvelope, rightEnvelope } = sweptPath;
+    if (leftEnvelope.length < 2) return;
+    
+    this.ctx.setLineDash([]);
+    this.ctx.fillStyle = 'rgba(37, 99, 235, 0.12)';
+    this.ctx.beginPath();
+    [...leftEnvelope, ...[...rightEnvelope].reverse()].forEach((point, index) => {
+      if (index === 0) this.ctx.moveTo(point.x, point.y);
+      else this.ctx.lineTo(point.x, point.y);
+    });
+    this.ctx.closePath();
+    this.ctx.fill();
+    
+    const strokePath = (points) => {
+      this.ctx.beginPath();
+      points.forEach((point, index) => {
+        if (index === 0) this.ctx.moveTo(point.x, point.y);
+        else this.ctx.lineTo(point.x, point.y);
+      });
+    };
+    
+    this.ctx.strokeStyle = '#2563eb';
+    this.ctx.lineWidth = this.px(1.5);
+    strokePath(leftEnvelope);
+    this.ctx.stroke();
+    strokePath(rightEnvelope);
+    this.ctx.stroke();
+    
+    this.ctx.lineWidth = this.px(1);
+    sweptPath.outlines.forEach(units => {
+      units.forEach(corners => {
+        strokePath(corners);
+        this.ctx.closePath();
+        this.ctx.stroke();
+      });
+    });
+    
+    this.ctx.strokeStyle = '#7c3aed';
+    this.ctx.setLineDash([this.px(4), this.px(3)]);
+    sweptPath.wheelPaths.forEach(path => {
+      strokePath(path);
+      this.ctx.stroke();
+    });
+    this.ctx.setLineDash([]);
+    
+    this.ctx.strokeStyle = '#dc2626';
+    this.ctx.lineWidth = this.px(2);
+    sweptPath.conflicts.forEach(conflict => {
+      this.ctx.beginPath();
+      this.ctx.arc(conflict.point.x, conflict.point.y, this.px(10), 0, 2 * Math.PI);
+      this.ctx.stroke();
+    });
+  }
+
+  /**
+   * Draw sight-line envelopes on the inside of curves, the lane centre red where drivers
+   * can't see far enough, and the obstructions
+   * @param {Object} sightDistance - See setSightDistance
+   */
+  drawSightDistance({ result, obstructions, pending, showEnvelopes }) {
+    const strokePath = (points) => {
+      this.ctx.beginPath();
+      points.forEach((point, index) => {
+        if (index === 0) this.ctx.moveTo(point.x, point.y);
+        else this.ctx.lineTo(point.x, point.y);
+      });
+      this.ctx.stroke();
+    };
+    
+    if (result) {
+      if (showEnvelopes) {
+        this.ctx.strokeStyle = '#ea580c';
+        this.ctx.lineWidth = this.px(1.5);
+        this.ctx.setLineDash([this.px(6), this.px(4)]);
+        result.curves.forEach(curve => strokePath(curve.envelope));
+        this.ctx.setLineDash([]);
+      }
+      
+      this.ctx.strokeStyle = 'rgba(220, 38, 38, 0.6)';
+      this.ctx.lineWidth = this.px(5);
+      result.curves.forEach(curve => curve.blocked.forEach(range => strokePath(range.points)));
+    }
+    
+    const drawObstruction = (points) => {
+      if (points.length === 1) {
+        const size = this.px(4);
+        this.ctx.beginPath();
+        this.ctx.rect(points[0].x - size, points[0].y - size, size * 2, size * 2);
+        this.ctx.fill();
+      } else {
+        strokePath(points);
+      }
+    };
+    
+    this.ctx.strokeStyle = '#78350f';
+    this.ctx.fillStyle = '#78350f';
+    this.ctx.lineWidth = this.px(3);
+    obstructions.forEach(obstruction => drawObstruction(obstruction.points));
+    
+    if (pending && pending.length > 0) {
+      this.ctx.setLineDash([this.px(4), this.px(3)]);
+      drawObstruction(pending);
+      this.ctx.setLineDash([]);
+    }
+  }
+
+  /**
+   * Draw survey points in view as crosses, labelled with point number above and
+   * description below
+   * @param {Object} surveyPoints - {points, showLabels}
+   */
+  drawSurveyPoints({ points, showLabels }) {
+    const bounds = this.viewport.getVisibleBounds(this.canvas.width, this.canvas.height);
+    const size = this.px(3);
+    const inView = points.filter(point =>
+      point.x >= bounds.minX - size && point.x <= bounds.maxX + size &&
+      point.y >= bounds.minY - size && point.y <= bounds.maxY + size
+    );
+    
+    this.ctx.strokeStyle = '#7c3aed';
+    this.ctx.lineWidth = this.px(1);
+    this.ctx.setLineDash([]);
+    this.ctx.beginPath();
+    inView.forEach(({ x, y }) => {
+      this.ctx.moveTo(x - size, y - size);
+      this.ctx.lineTo(x + size, y + size);
+      this.ctx.moveTo(x - size, y + size);
+      this.ctx.lineTo(x + size, y - size);
+    });
+    this.ctx.stroke();
+    
+    if (!showLabels) return;
+    
+    this.ctx.fillStyle = '#6d28d9';
+    this.ctx.font = '10px sans-serif';
+    this.ctx.textAlign = 'left';
+    inView.forEach(point => {
+      this.ctx.textBaseline = 'bottom';
+      this.drawLabel(point.number, point.x + this.px(5), point.y - this.px(1));
+      if (point.description) {
+        this.ctx.textBaseline = 'top';
+        this.drawLabel(point.description, point.x + this.px(5), point.y + this.px(1));
+      }
+    });
   }
 
   /**
    * Draw grid background
+   * Grid lines fall on round world distances, spaced at least 20px apart on screen
    */
   drawGrid() {
-    const gridSize = 20;
-    this.ctx.strokeStyle = '#e5e7eb';
-    this.ctx.lineWidth = 1;
+    const gridSize = this.getGridSize();
+    const bounds = this.viewport.getVisibleBounds(this.canvas.width, this.canvas.height);
+    this.ctx.lineWidth = this.px(1);
     
-    for (let x = 0; x <= this.canvas.width; x += gridSize) {
+    for (let x = Math.ceil(bounds.minX / gridSize) * gridSize; x <= bounds.maxX; x += gridSize) {
+      const screenX = this.viewport.worldToScreen({ x, y: 0 }).x;
+      this.ctx.strokeStyle = this.isMajorGridLine(x, gridSize) ? '#d1d5db' : '#e5e7eb';
       this.ctx.beginPath();
-      this.ctx.moveTo(x, 0);
-      this.ctx.lineTo(x, this.canvas.height);
+      this.ctx.moveTo(screenX, 0);
+      this.ctx.lineTo(screenX, this.canvas.height);
       this.ctx.stroke();
     }
     
-    for (let y = 0; y <= this.canvas.height; y += gridSize) {
+    for (let y = Math.ceil(bounds.minY / gridSize) * gridSize; y <= bounds.maxY; y += gridSize) {
+      const screenY = this.viewport.worldToScreen({ x: 0, y }).y;
+      this.ctx.strokeStyle = this.isMajorGridLine(y, gridSize) ? '#d1d5db' : '#e5e7eb';
       this.ctx.beginPath();
-      this.ctx.moveTo(0, y);
-      this.ctx.lineTo(this.canvas.width, y);
+      this.ctx.moveTo(0, screenY);
+      this.ctx.lineTo(this.canvas.width, screenY);
       this.ctx.stroke();
     }
   }
 
+  /**
+   * Spacing of the grid at the current zoom
+   * @returns {number} Grid spacing in metres
+   */
+  getGridSize() {
+    return GeometryUtils.niceStep(this.viewport.pixelsToWorld(20));
+  }
+
+  /**
+   * Every fifth grid line is drawn slightly darker
+   * @param {number} value - World coordinate of the line
+   * @param {number} gridSize - Grid spacing
+   * @returns {boolean} True for a major line
+   */
+  isMajorGridLine(value, gridSize) {
+    return Math.abs(Math.round(value / gridSize)) % 5 === 0;
+  }
+
   /**
    * Draw a complete alignment
    * @param {Object} alignment - Alignment object
@@ -103,6 +501,9 @@ export class CanvasRenderer {
       this.drawAlignmentHighlight(alignment);
     }
     
+    // Mark geometry problems underneath the elements
+    (alignment.issues || []).forEach(issue => this.drawIssue(issue));
+    
     // Draw main alignment elements
     alignment.elements.forEach(element => {
       const isSelected = selectedElement === element;
@@ -111,14 +512,24 @@ export class CanvasRenderer {
         this.drawTangent(element, isActive, isSelected);
       } else if (element.type === 'arc') {
         this.drawArc(element, isActive, isSelected);
+      } else if (element.type === 'spiral') {
+        this.drawSpiral(element, isActive, isSelected);
       }
     });
     
+    // Draw station ticks and key point labels on top of the elements
+    if (this.stationing.showStations) {
+      this.drawStations(alignment);
+    }
+    
     // Only draw IPs (grips) if this alignment is selected
     if (showGrips) {
       alignment.points.forEach((point, index) => {
         const isEndpoint = index === 0 || index === alignment.points.length - 1;
         this.drawPoint(point, isActive, isEndpoint);
+        if (point === this.selectedIp) {
+          this.drawSelectedIp(point);
+        }
       });
     }
   }
@@ -135,7 +546,7 @@ export class CanvasRenderer {
       if (element.type === 'tangent') {
         // Draw tangent highlight
         this.ctx.strokeStyle = 'rgba(34, 197, 94, 0.3)'; // Semi-transparent green
-        this.ctx.lineWidth = 8;
+        this.ctx.lineWidth = this.px(8);
         this.ctx.beginPath();
         this.ctx.moveTo(element.startPoint.x, element.startPoint.y);
         this.ctx.lineTo(element.endPoint.x, element.endPoint.y);
@@ -143,77 +554,184 @@ export class CanvasRenderer {
       } else if (element.type === 'arc') {
         // Draw arc highlight
         this.ctx.strokeStyle = 'rgba(34, 197, 94, 0.3)'; // Semi-transparent green
-        this.ctx.lineWidth = 8;
+        this.ctx.lineWidth = this.px(8);
         this.ctx.beginPath();
         this.ctx.arc(element.centerPoint.x, element.centerPoint.y, element.radius, 
                      element.startAngle, element.endAngle, element.isRightTurn);
         this.ctx.stroke();
+      } else if (element.type === 'spiral') {
+        // Draw spiral highlight
+        this.ctx.strokeStyle = 'rgba(34, 197, 94, 0.3)'; // Semi-transparent green
+        this.ctx.lineWidth = this.px(8);
+        this.tracePolyline(element.points);
+        this.ctx.stroke();
       }
     });
   }
 
   /**
-   * Draw road markings (pavement edges, travel lane edges, centreline)
-   * @param {Object} alignment - Alignment object
-   * @param {boolean} isActive - Whether this is the active alignment
+   * Highlight the elements (or IP) a validation issue refers to
+   * @param {Object} issue - Issue from AlignmentValidation.validate
    */
-  drawRoadMarkings(alignment, isActive = false) {
-    if (!alignment.elements || alignment.elements.length === 0) return;
+  drawIssue(issue) {
+    const color = issue.severity === 'error' ? 'rgba(220, 38, 38, 0.35)' : 'rgba(245, 158, 11, 0.4)';
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = this.px(12);
     
-    const pixelsPerMeter = 20; // Assuming 20 pixels per meter for visualization
+    issue.elements.forEach(element => {
+      this.ctx.beginPath();
+      if (element.type === 'tangent') {
+        this.ctx.moveTo(element.startPoint.x, element.startPoint.y);
+        this.ctx.lineTo(element.endPoint.x, element.endPoint.y);
+      } else if (element.type === 'arc') {
+        this.ctx.arc(element.centerPoint.x, element.centerPoint.y, element.radius,
+                     element.startAngle, element.endAngle, element.isRightTurn);
+      } else if (element.type === 'spiral') {
+        this.tracePolyline(element.points);
+      }
+      this.ctx.stroke();
+    });
     
-    // Calculate offset distances in pixels
-    const pavementHalfWidth = (this.roadMarkings.pavementWidth / 2) * pixelsPerMeter;
-    const travelLaneHalfWidth = (this.roadMarkings.travelLaneWidth / 2) * pixelsPerMeter;
+    if (issue.point) {
+      this.ctx.lineWidth = this.px(4);
+      this.ctx.beginPath();
+      this.ctx.arc(issue.point.x, issue.point.y, this.px(14), 0, 2 * Math.PI);
+      this.ctx.stroke();
+    }
+  }
+
+  /**
+   * Draw major and minor station ticks, station labels and key point labels
+   * @param {Object} alignment - Alignment object with chainaged elements
+   */
+  drawStations(alignment) {
+    const { majorInterval, minorInterval } = this.stationing;
+    const isMajor = (chainage) => majorInterval > 0 &&
+      Math.abs(chainage / majorInterval - Math.round(chainage / majorInterval)) < 1e-6;
     
-    // Draw pavement edges
-    if (this.roadMarkings.showPavementEdges) {
-      const leftPavementEdge = AlignmentCalculations.calculateOffsetAlignment(alignment.elements, pavementHalfWidth);
-      const rightPavementEdge = AlignmentCalculations.calculateOffsetAlignment(alignment.elements, -pavementHalfWidth);
-      
-      this.drawOffsetElements(leftPavementEdge, '#4b5563', 2, false);
-      this.drawOffsetElements(rightPavementEdge, '#4b5563', 2, false);
+    this.ctx.strokeStyle = '#374151';
+    this.ctx.fillStyle = '#374151';
+    this.ctx.lineWidth = this.px(1);
+    this.ctx.font = '10px sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    
+    // Minor ticks, skipping those that coincide with a major station
+    Stationing.generateStations(alignment.elements, minorInterval).forEach(station => {
+      if (!isMajor(station.chainage)) {
+        this.drawStationTick(station, 5, null);
+      }
+    });
+    
+    // Major ticks with station labels on the left
+    Stationing.generateStations(alignment.elements, majorInterval).forEach(station => {
+      this.drawStationTick(station, 10, Stationing.formatChainage(station.chainage, 0));
+    });
+    
+    // Key points (TS, SC, PC, PT...) labelled on the right
+    this.ctx.fillStyle = '#7c3aed';
+    Stationing.getKeyPoints(alignment.elements).forEach(keyPoint => {
+      const station = Stationing.getPointAtChainage(alignment.elements, keyPoint.chainage);
+      if (!station) return;
+      const normal = GeometryUtils.getPerpendicularVector(station.direction);
+      this.drawLabel(
+        `${keyPoint.label} ${Stationing.formatChainage(keyPoint.chainage)}`,
+        station.x + normal.x * this.px(24),
+        station.y + normal.y * this.px(24)
+      );
+    });
+  }
+
+  /**
+   * Draw a single station tick across the alignment
+   * @param {Object} station - Station from Stationing.getPointAtChainage
+   * @param {number} halfLength - Half length of the tick in screen pixels
+   * @param {string|null} label - Label drawn on the left of the tick
+   */
+  drawStationTick(station, halfLength, label) {
+    // Right-hand normal to the direction of travel
+    const normal = GeometryUtils.getPerpendicularVector(station.direction);
+    const tick = this.px(halfLength);
+    
+    this.ctx.beginPath();
+    this.ctx.moveTo(station.x - normal.x * tick, station.y - normal.y * tick);
+    this.ctx.lineTo(station.x + normal.x * tick, station.y + normal.y * tick);
+    this.ctx.stroke();
+    
+    if (label) {
+      const labelOffset = this.px(halfLength + 14);
+      this.drawLabel(label, station.x - normal.x * labelOffset, station.y - normal.y * labelOffset);
     }
+  }
+
+  /**
+   * Draw road markings: the outer edge of every cross-section component, following the
+   * alignment's widening and tapers, then the centreline
+   * @param {Object} alignment - Alignment object
+   * @param {boolean} isActive - Whether this is the active alignment
+   */
+  drawRoadMarkings(alignment, isActive = false) {
+    if (!alignment.elements || alignment.elements.length === 0) return;
     
-    // Draw travel lane edges
-    if (this.roadMarkings.showTravelLaneEdges) {
-      const leftTravelLaneEdge = AlignmentCalculations.calculateOffsetAlignment(alignment.elements, travelLaneHalfWidth);
-      const rightTravelLaneEdge = AlignmentCalculations.calculateOffsetAlignment(alignment.elements, -travelLaneHalfWidth);
+    this.getEdgeChains(alignment).forEach(({ edge, chain }) => {
+      const { type, lineStyle } = edge.component;
+      const isShown = type === 'lane' ? this.roadMarkings.showTravelLaneEdges : this.roadMarkings.showPavementEdges;
+      const dash = LINE_STYLES[lineStyle].dash;
+      if (!isShown || !dash) return;
       
-      this.drawOffsetElements(leftTravelLaneEdge, '#fbbf24', 2, false);
-      this.drawOffsetElements(rightTravelLaneEdge, '#fbbf24', 2, false);
-    }
+      this.drawOffsetElements(chain, COMPONENT_TYPES[type].color, 2, dash);
+    });
     
     // Draw centreline
     if (this.roadMarkings.showCentreline) {
-      this.drawOffsetElements(alignment.elements, '#1f2937', 2, true);
+      this.drawOffsetElements(alignment.elements, '#1f2937', 2, [10, 10]);
+    }
+  }
+
+  /**
+   * Offset chains of an alignment's cross-section edges. Building and loop-trimming them
+   * is too slow to repeat on every pan, so they are kept until the alignment's elements,
+   * template or widening change.
+   * @param {Object} alignment - Alignment with built elements
+   * @returns {Array} {edge, chain}: edges from Widening.getEdges with their offset chains
+   */
+  getEdgeChains(alignment) {
+    const inputs = [alignment.elements, alignment.crossSection, alignment.widenings];
+    const cache = this.edgeChainCache.get(alignment);
+    if (cache && inputs.every((input, index) => input === cache.inputs[index])) {
+      return cache.chains;
     }
+    
+    const template = alignment.crossSection || CrossSection.createDefault();
+    const chains = Widening.getEdges(template, alignment.widenings || []).map(edge => ({
+      edge,
+      chain: OffsetAlignment.calculate(alignment.elements, edge.widenedOffset)
+    }));
+    this.edgeChainCache.set(alignment, { inputs, chains });
+    return chains;
   }
 
   /**
    * Draw offset elements with specified style
    * @param {Array} elements - Array of offset elements
    * @param {string} color - Stroke color
-   * @param {number} lineWidth - Line width
-   * @param {boolean} isDashed - Whether to draw dashed line
+   * @param {number} lineWidth - Line width in screen pixels
+   * @param {Array} dash - Dash pattern in screen pixels (empty for a solid line)
    */
-  drawOffsetElements(elements, color, lineWidth, isDashed = false) {
+  drawOffsetElements(elements, color, lineWidth, dash = []) {
     if (!elements || elements.length === 0) return;
     
     this.ctx.strokeStyle = color;
-    this.ctx.lineWidth = lineWidth;
-    
-    if (isDashed) {
-      this.ctx.setLineDash([10, 10]);
-    } else {
-      this.ctx.setLineDash([]);
-    }
+    this.ctx.lineWidth = this.px(lineWidth);
+    this.ctx.setLineDash(dash.map(length => this.px(length)));
     
     elements.forEach(element => {
       if (element.type === 'tangent') {
         this.drawOffsetTangent(element);
       } else if (element.type === 'arc') {
         this.drawOffsetArc(element);
+      } else if (element.type === 'spiral' || element.type === 'polyline') {
+        this.drawOffsetPolyline(element);
       }
     });
     
@@ -243,6 +761,27 @@ export class CanvasRenderer {
     this.ctx.stroke();
   }
 
+  /**
+   * Draw a spiral or sampled offset piece through its points
+   * @param {Object} element - Spiral or polyline element
+   */
+  drawOffsetPolyline(element) {
+    this.tracePolyline(element.points);
+    this.ctx.stroke();
+  }
+
+  /**
+   * Start a new path through a list of points
+   * @param {Array} points - Array of points {x, y}
+   */
+  tracePolyline(points) {
+    this.ctx.beginPath();
+    this.ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+      this.ctx.lineTo(points[i].x, points[i].y);
+    }
+  }
+
   /**
    * Draw tangent element
    * @param {Object} tangent - Tangent element
@@ -253,7 +792,7 @@ export class CanvasRenderer {
     if (isSelected) {
       // Draw selection highlight
       this.ctx.strokeStyle = '#fbbf24';
-      this.ctx.lineWidth = 5;
+      this.ctx.lineWidth = this.px(5);
       this.ctx.beginPath();
       this.ctx.moveTo(tangent.startPoint.x, tangent.startPoint.y);
       this.ctx.lineTo(tangent.endPoint.x, tangent.endPoint.y);
@@ -262,7 +801,7 @@ export class CanvasRenderer {
     
     // Draw normal tangent
     this.ctx.strokeStyle = isActive ? '#2563eb' : '#6b7280';
-    this.ctx.lineWidth = isActive ? 3 : 2;
+    this.ctx.lineWidth = this.px(isActive ? 3 : 2);
     this.ctx.beginPath();
     this.ctx.moveTo(tangent.startPoint.x, tangent.startPoint.y);
     this.ctx.lineTo(tangent.endPoint.x, tangent.endPoint.y);
@@ -279,7 +818,7 @@ export class CanvasRenderer {
     if (isSelected) {
       // Draw selection highlight
       this.ctx.strokeStyle = '#fbbf24';
-      this.ctx.lineWidth = 5;
+      this.ctx.lineWidth = this.px(5);
       this.ctx.beginPath();
       this.ctx.arc(arc.centerPoint.x, arc.centerPoint.y, arc.radius, 
                    arc.startAngle, arc.endAngle, arc.isRightTurn);
@@ -288,7 +827,7 @@ export class CanvasRenderer {
     
     // Draw normal arc
     this.ctx.strokeStyle = isActive ? '#dc2626' : '#ef4444';
-    this.ctx.lineWidth = isActive ? 3 : 2;
+    this.ctx.lineWidth = this.px(isActive ? 3 : 2);
     this.ctx.beginPath();
     this.ctx.arc(arc.centerPoint.x, arc.centerPoint.y, arc.radius, 
                  arc.startAngle, arc.endAngle, arc.isRightTurn);
@@ -298,7 +837,7 @@ export class CanvasRenderer {
     if (isActive) {
       this.ctx.fillStyle = '#dc2626';
       this.ctx.beginPath();
-      this.ctx.arc(arc.centerPoint.x, arc.centerPoint.y, 3, 0, 2 * Math.PI);
+      this.ctx.arc(arc.centerPoint.x, arc.centerPoint.y, this.px(3), 0, 2 * Math.PI);
       this.ctx.fill();
     }
     
@@ -306,11 +845,42 @@ export class CanvasRenderer {
     if (isActive) {
       this.ctx.fillStyle = '#22c55e';
       this.ctx.beginPath();
-      this.ctx.arc(arc.startPoint.x, arc.startPoint.y, 4, 0, 2 * Math.PI);
+      this.ctx.arc(arc.startPoint.x, arc.startPoint.y, this.px(4), 0, 2 * Math.PI);
       this.ctx.fill();
       
       this.ctx.beginPath();
-      this.ctx.arc(arc.endPoint.x, arc.endPoint.y, 4, 0, 2 * Math.PI);
+      this.ctx.arc(arc.endPoint.x, arc.endPoint.y, this.px(4), 0, 2 * Math.PI);
+      this.ctx.fill();
+    }
+  }
+
+  /**
+   * Draw spiral (clothoid transition) element
+   * @param {Object} spiral - Spiral element
+   * @param {boolean} isActive - Whether this is from active alignment
+   * @param {boolean} isSelected - Whether this element is selected
+   */
+  drawSpiral(spiral, isActive = false, isSelected = false) {
+    if (isSelected) {
+      // Draw selection highlight
+      this.ctx.strokeStyle = '#fbbf24';
+      this.ctx.lineWidth = this.px(5);
+      this.tracePolyline(spiral.points);
+      this.ctx.stroke();
+    }
+    
+    // Draw normal spiral
+    this.ctx.strokeStyle = isActive ? '#7c3aed' : '#a78bfa';
+    this.ctx.lineWidth = this.px(isActive ? 3 : 2);
+    this.tracePolyline(spiral.points);
+    this.ctx.stroke();
+    
+    // Mark the TS/ST end of the spiral (the SC/CS end is marked by the arc)
+    if (isActive) {
+      const tangentEnd = spiral.isEntry ? spiral.startPoint : spiral.endPoint;
+      this.ctx.fillStyle = '#7c3aed';
+      this.ctx.beginPath();
+      this.ctx.arc(tangentEnd.x, tangentEnd.y, this.px(4), 0, 2 * Math.PI);
       this.ctx.fill();
     }
   }
@@ -324,8 +894,8 @@ export class CanvasRenderer {
     
     // Draw lines
     this.ctx.strokeStyle = '#dc2626';
-    this.ctx.lineWidth = 2;
-    this.ctx.setLineDash([5, 5]);
+    this.ctx.lineWidth = this.px(2);
+    this.ctx.setLineDash([this.px(5), this.px(5)]);
     this.ctx.beginPath();
     
     this.ctx.moveTo(tempPoints[0].x, tempPoints[0].y);
@@ -342,6 +912,18 @@ export class CanvasRenderer {
     });
   }
 
+  /**
+   * Ring the IP selected for command-line editing
+   * @param {Object} point - IP
+   */
+  drawSelectedIp(point) {
+    this.ctx.beginPath();
+    this.ctx.arc(point.x, point.y, this.px(12), 0, 2 * Math.PI);
+    this.ctx.strokeStyle = '#f59e0b';
+    this.ctx.lineWidth = this.px(2);
+    this.ctx.stroke();
+  }
+
   /**
    * Draw a point
    * @param {Object} point - Point to draw {x, y}
@@ -350,7 +932,7 @@ export class CanvasRenderer {
    * @param {boolean} isTemp - Whether this is a temporary point
    */
   drawPoint(point, isActive = false, isEndpoint = false, isTemp = false) {
-    const radius = isEndpoint ? 8 : 6;
+    const radius = this.px(isEndpoint ? 8 : 6);
     
     // Draw point
     this.ctx.beginPath();
@@ -368,7 +950,7 @@ export class CanvasRenderer {
     }
     
     this.ctx.fill();
-    this.ctx.lineWidth = 2;
+    this.ctx.lineWidth = this.px(2);
     this.ctx.stroke();
   }
 } 
\ No newline at end of file
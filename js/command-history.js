@@ -0,0 +1,104 @@
+/**
+ * Command History Module
+ * Undo/redo stack of edits, each stored as before/after snapshots of the drawing
+ *
+ * A snapshot is {document, selection}: `document` is the serialized design data and
+ * is what decides whether an edit changed anything; `selection` is restored with it.
+ */
+
+export class CommandHistory {
+  /**
+   * @param {number} limit - Maximum number of undo steps kept
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null; // Edit in progress (e.g. a drag), waiting for its end state
+  }
+
+  /**
+   * Record a finished edit
+   * @param {Object} command - {label, before, after} snapshots
+   * @returns {boolean} True if recorded, false if the edit changed nothing
+   */
+  push(command) {
+    if (command.before.document === command.after.document) return false;
+
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    return true;
+  }
+
+  /**
+   * Start an edit that spans several events, such as a drag gesture
+   * @param {string} label - Description of the edit
+   * @param {Object} before - Snapshot before the edit
+   */
+  begin(label, before) {
+    this.pending = { label, before };
+  }
+
+  /**
+   * Finish the edit started with begin()
+   * @param {Object} after - Snapshot after the edit
+   * @returns {boolean} True if an undo step was recorded
+   */
+  commit(after) {
+    if (!this.pending) return false;
+
+    const command = { ...this.pending, after };
+    this.pending = null;
+    return this.push(command);
+  }
+
+  /**
+   * Step back one edit
+   * @returns {Object|null} The undone command (restore its `before`), or null
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+
+    this.redoStack.push(command);
+    return command;
+  }
+
+  /**
+   * Re-apply the last undone edit
+   * @returns {Object|null} The redone command (restore its `after`), or null
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+
+    this.undoStack.push(command);
+    return command;
+  }
+
+  /**
+   * @returns {boolean} Whether there is an edit to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} Whether there is an edit to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all history (e.g. when another project is opened)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+  }
+}
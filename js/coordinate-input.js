@@ -0,0 +1,149 @@
+/**
+ * Coordinate Input Module
+ * Parses command-line style point entries:
+ *   E,N                absolute easting/northing
+ *   @dE,dN             offset from the base point
+ *   bearing<distance   polar from the base point (an optional leading @ is allowed)
+ * Bearings are clockwise from north as decimal degrees (45.5), degrees-minutes-seconds
+ * (45°30'00" or 45d30'00") or quadrant bearings (N45°30'E).
+ */
+
+import { Viewport } from './viewport.js';
+
+export class CoordinateInput {
+  /**
+   * Parse an entry into a world point
+   * @param {string} text - Entry text
+   * @param {Object|null} basePoint - World point that relative entries start from
+   * @param {Object|null} polarBasePoint - World point that polar entries start from (defaults to basePoint)
+   * @returns {Object} World point {x, y}
+   * @throws {Error} If the entry can't be parsed or needs a base point that isn't there
+   */
+  static parse(text, basePoint, polarBasePoint = basePoint) {
+    const entry = (text || '').trim();
+    if (!entry) {
+      throw new Error('Enter E,N, @dE,dN or bearing<distance.');
+    }
+
+    // Polar: bearing<distance
+    if (entry.includes('<')) {
+      const [bearingText, distanceText] = entry.replace(/^@/, '').split('<');
+      const bearing = this.parseBearing(bearingText);
+      const distance = this.parseNumber(distanceText, 'distance');
+      this.requireBasePoint(polarBasePoint);
+      return this.polarPoint(polarBasePoint, bearing, distance);
+    }
+
+    // Relative: @dE,dN
+    if (entry.startsWith('@')) {
+      const [dE, dN] = this.parsePair(entry.slice(1));
+      this.requireBasePoint(basePoint);
+      const base = Viewport.toEastingNorthing(basePoint);
+      return Viewport.fromEastingNorthing(base.easting + dE, base.northing + dN);
+    }
+
+    // Absolute: E,N
+    const [easting, northing] = this.parsePair(entry);
+    return Viewport.fromEastingNorthing(easting, northing);
+  }
+
+  /**
+   * Point at a bearing and distance from a base point
+   * @param {Object} basePoint - World point
+   * @param {number} bearing - Bearing in radians, clockwise from north
+   * @param {number} distance - Distance in metres
+   * @returns {Object} World point
+   */
+  static polarPoint(basePoint, bearing, distance) {
+    // World Y runs south, so north is -Y
+    return {
+      x: basePoint.x + distance * Math.sin(bearing),
+      y: basePoint.y - distance * Math.cos(bearing)
+    };
+  }
+
+  /**
+   * Parse a bearing in decimal degrees, D°M'S" or quadrant form
+   * @param {string} text - Bearing text
+   * @returns {number} Bearing in radians, clockwise from north
+   * @throws {Error} If the bearing can't be parsed
+   */
+  static parseBearing(text) {
+    const value = (text || '').trim().toUpperCase();
+
+    const quadrant = value.match(/^([NS])\s*(.+?)\s*([EW])$/);
+    if (quadrant) {
+      const angle = this.parseAngle(quadrant[2]);
+      if (angle > 90) throw new Error('A quadrant bearing must be 90° or less.');
+      const [, from, , to] = quadrant;
+      let degrees;
+      if (from === 'N' && to === 'E') degrees = angle;
+      else if (from === 'S' && to === 'E') degrees = 180 - angle;
+      else if (from === 'S' && to === 'W') degrees = 180 + angle;
+      else degrees = 360 - angle;
+      return (degrees * Math.PI) / 180;
+    }
+
+    return (this.parseAngle(text.trim()) * Math.PI) / 180;
+  }
+
+  /**
+   * Parse an angle in decimal degrees or degrees-minutes-seconds
+   * @param {string} text - Angle text, e.g. "45.5", "45°30'", "45d30'15\""
+   * @returns {number} Angle in degrees
+   * @throws {Error} If the angle can't be parsed
+   */
+  static parseAngle(text) {
+    const value = text.trim();
+    if (/^[+-]?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+
+    const dms = value.match(/^(\d+)\s*[°dD]\s*(?:(\d+(?:\.\d+)?)\s*['′]?)?\s*(?:(\d+(?:\.\d+)?)\s*(?:"|″|''))?$/);
+    if (dms) {
+      const minutes = parseFloat(dms[2] || 0);
+      const seconds = parseFloat(dms[3] || 0);
+      if (minutes >= 60 || seconds >= 60) throw new Error(`"${text}" has minutes or seconds of 60 or more.`);
+      return parseInt(dms[1], 10) + minutes / 60 + seconds / 3600;
+    }
+
+    throw new Error(`"${text}" is not a bearing.`);
+  }
+
+  /**
+   * Parse "a,b" into two numbers
+   * @param {string} text - Pair text
+   * @returns {Array} [a, b]
+   * @throws {Error} If the text isn't two numbers
+   */
+  static parsePair(text) {
+    const parts = text.split(',');
+    if (parts.length !== 2) {
+      throw new Error(`"${text}" should be two values separated by a comma.`);
+    }
+    return [this.parseNumber(parts[0], 'easting'), this.parseNumber(parts[1], 'northing')];
+  }
+
+  /**
+   * Parse a number
+   * @param {string} text - Number text
+   * @param {string} name - Name of the value, for the error message
+   * @returns {number} Value
+   * @throws {Error} If the text isn't a finite number
+   */
+  static parseNumber(text, name) {
+    const value = Number((text || '').trim());
+    if ((text || '').trim() === '' || !Number.isFinite(value)) {
+      throw new Error(`The ${name} "${(text || '').trim()}" is not a number.`);
+    }
+    return value;
+  }
+
+  /**
+   * @param {Object|null} basePoint - Base point for relative entries
+   * @throws {Error} If there is no base point
+   */
+  static requireBasePoint(basePoint) {
+    if (!basePoint) {
+      throw new Error('Relative and polar entries need a previous point.');
+    }
+  }
+}
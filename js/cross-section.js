@@ -0,0 +1,135 @@
+/**
+ * Cross-Section Module
+ * Road cross-section templates: an ordered list of components on each side of the
+ * centreline, working outwards, each with a width and the line style of its outer edge
+ *
+ * Template: {left: [component...], right: [component...]}
+ * Component: {type, width, lineStyle} with type a key of COMPONENT_TYPES and lineStyle
+ * a key of LINE_STYLES. Offsets are signed like OffsetAlignment: positive = right.
+ */
+
+/**
+ * Component types. Pavement components (lanes, shoulders) next to the centreline make up
+ * the sealed width that superelevation rotates.
+ */
+export const COMPONENT_TYPES = {
+  lane: { label: 'Lane', defaultWidth: 3.5, color: '#fbbf24', isPavement: true, defaultLineStyle: 'solid' },
+  shoulder: { label: 'Shoulder', defaultWidth: 1.0, color: '#4b5563', isPavement: true, defaultLineStyle: 'solid' },
+  kerb: { label: 'Kerb', defaultWidth: 0.15, color: '#111827', isPavement: false, defaultLineStyle: 'solid' },
+  verge: { label: 'Verge', defaultWidth: 2.0, color: '#16a34a', isPavement: false, defaultLineStyle: 'dotted' },
+  footpath: { label: 'Footpath', defaultWidth: 1.8, color: '#9ca3af', isPavement: false, defaultLineStyle: 'solid' },
+  median: { label: 'Median', defaultWidth: 2.0, color: '#059669', isPavement: false, defaultLineStyle: 'solid' }
+};
+
+/**
+ * Edge line styles; dash lengths in screen pixels
+ */
+export const LINE_STYLES = {
+  solid: { label: 'Solid', dash: [] },
+  dashed: { label: 'Dashed', dash: [10, 10] },
+  dotted: { label: 'Dotted', dash: [2, 4] },
+  none: { label: 'None', dash: null }
+};
+
+export class CrossSection {
+  /**
+   * Template a new alignment starts with: a 3.5 m lane and 1 m shoulder each side
+   * @returns {Object} Template {left, right}
+   */
+  static createDefault() {
+    const side = () => [
+      this.createComponent('lane'),
+      this.createComponent('shoulder')
+    ];
+    return { left: side(), right: side() };
+  }
+
+  /**
+   * A component of a type with its default width and line style
+   * @param {string} type - Key of COMPONENT_TYPES
+   * @returns {Object} Component {type, width, lineStyle}
+   */
+  static createComponent(type) {
+    const componentType = COMPONENT_TYPES[type];
+    return { type, width: componentType.defaultWidth, lineStyle: componentType.defaultLineStyle };
+  }
+
+  /**
+   * Copy a template, dropping unknown component types and bad widths
+   * @param {Object} template - Template, e.g. from a project file
+   * @returns {Object} Template {left, right}
+   */
+  static normalize(template) {
+    const side = (components) => (Array.isArray(components) ? components : [])
+      .filter(component => COMPONENT_TYPES[component.type] && component.width > 0)
+      .map(component => ({
+        type: component.type,
+        width: component.width,
+        lineStyle: LINE_STYLES[component.lineStyle] ? component.lineStyle : COMPONENT_TYPES[component.type].defaultLineStyle
+      }));
+    return { left: side(template?.left), right: side(template?.right) };
+  }
+
+  /**
+   * Outer edge of every component, working outwards from the centreline on each side
+   * @param {Object} template - Template {left, right}
+   * @returns {Array} Edges {side, index, offset, component, name}; offset positive = right
+   */
+  static getEdges(template) {
+    const edges = [];
+
+    ['left', 'right'].forEach(side => {
+      const sign = side === 'right' ? 1 : -1;
+      const counts = {};
+      let distance = 0;
+
+      template[side].forEach((component, index) => {
+        distance += component.width;
+        counts[component.type] = (counts[component.type] || 0) + 1;
+        edges.push({
+          side,
+          index,
+          offset: sign * distance,
+          component,
+          name: `${side === 'right' ? 'Right' : 'Left'} ${COMPONENT_TYPES[component.type].label} ${counts[component.type]} Edge`
+        });
+      });
+    });
+
+    return edges;
+  }
+
+  /**
+   * Width of the pavement components next to the centreline on one side
+   * @param {Object} template - Template {left, right}
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} Width in metres
+   */
+  static getPavementWidth(template, side) {
+    let width = 0;
+    for (const component of template[side]) {
+      if (!COMPONENT_TYPES[component.type].isPavement) break;
+      width += component.width;
+    }
+    return width;
+  }
+
+  /**
+   * Total pavement width across both sides
+   * @param {Object} template - Template {left, right}
+   * @returns {number} Width in metres
+   */
+  static getTotalPavementWidth(template) {
+    return this.getPavementWidth(template, 'left') + this.getPavementWidth(template, 'right');
+  }
+
+  /**
+   * Total width of one side
+   * @param {Object} template - Template {left, right}
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} Width in metres
+   */
+  static getSideWidth(template, side) {
+    return template[side].reduce((total, component) => total + component.width, 0);
+  }
+}
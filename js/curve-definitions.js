@@ -0,0 +1,167 @@
+/**
+ * Curve Definitions Module
+ * Solves a circular curve's radius from whichever parameter the designer fixes it by
+ *
+ * With Δ the IP deflection: T = R·tan(Δ/2), E = R·(sec(Δ/2) − 1), C = 2R·sin(Δ/2),
+ * M = R·(1 − cos(Δ/2)) and L = R·Δ. Degree of curve is the angle subtended by a
+ * 100 m arc (arc definition) or a 100 m chord (chord definition). Transition spirals
+ * take Ls/(2R) of the deflection each, which the arc length allows for; T, E, C and M
+ * describe a simple curve, so they can't fix a spiralled one.
+ */
+
+import { GeometryUtils } from './geometry.js';
+
+export const DEGREE_OF_CURVE_LENGTH = 100; // Metres of arc or chord for degree of curve
+
+/**
+ * Parameters a curve can be defined by, in dialog order
+ */
+export const CURVE_PARAMETERS = {
+  radius: { label: 'Radius (R)', unit: 'm', allowsSpirals: true },
+  arcLength: { label: 'Arc length (L)', unit: 'm', allowsSpirals: true },
+  tangentLength: { label: 'Tangent length (T)', unit: 'm', allowsSpirals: false },
+  external: { label: 'External distance (E)', unit: 'm', allowsSpirals: false },
+  chord: { label: 'Long chord (C)', unit: 'm', allowsSpirals: false },
+  midOrdinate: { label: 'Mid-ordinate (M)', unit: 'm', allowsSpirals: false },
+  degreeArc: { label: 'Degree of curve, arc (Da)', unit: '°', allowsSpirals: true },
+  degreeChord: { label: 'Degree of curve, chord (Dc)', unit: '°', allowsSpirals: true }
+};
+
+export class CurveDefinitions {
+  /**
+   * Solve the radius that gives a parameter value
+   * @param {string} parameter - Key of CURVE_PARAMETERS
+   * @param {number} value - Parameter value (metres, or degrees for degree of curve)
+   * @param {number} deflection - IP deflection in radians (sign ignored)
+   * @param {Object} spiralLengths - {lengthIn, lengthOut}, for arc length
+   * @returns {number} Radius
+   * @throws {Error} If the value can't be met at this deflection
+   */
+  static solveRadius(parameter, value, deflection, spiralLengths = null) {
+    if (!(value > 0)) {
+      throw new Error(`${CURVE_PARAMETERS[parameter].label} must be greater than 0.`);
+    }
+
+    const delta = Math.abs(deflection);
+    const half = delta / 2;
+    const spiralTotal = spiralLengths ? (spiralLengths.lengthIn || 0) + (spiralLengths.lengthOut || 0) : 0;
+    const degrees = (value * Math.PI) / 180;
+
+    switch (parameter) {
+      case 'radius':
+        return value;
+      case 'arcLength':
+        return (value + spiralTotal / 2) / delta;
+      case 'tangentLength':
+        return value / Math.tan(half);
+      case 'external':
+        return value / (1 / Math.cos(half) - 1);
+      case 'chord':
+        return value / (2 * Math.sin(half));
+      case 'midOrdinate':
+        return value / (1 - Math.cos(half));
+      case 'degreeArc':
+        return DEGREE_OF_CURVE_LENGTH / degrees;
+      case 'degreeChord':
+        if (degrees >= Math.PI) throw new Error('A chord-definition degree of curve must be less than 180°.');
+        return DEGREE_OF_CURVE_LENGTH / 2 / Math.sin(degrees / 2);
+      default:
+        throw new Error(`Unknown curve parameter "${parameter}".`);
+    }
+  }
+
+  /**
+   * Value of a parameter for a radius - the inverse of solveRadius
+   * @param {string} parameter - Key of CURVE_PARAMETERS
+   * @param {number} radius - Radius
+   * @param {number} deflection - IP deflection in radians (sign ignored)
+   * @param {Object} spiralLengths - {lengthIn, lengthOut}, for arc length
+   * @returns {number} Parameter value
+   */
+  static getValue(parameter, radius, deflection, spiralLengths = null) {
+    const delta = Math.abs(deflection);
+    const half = delta / 2;
+    const spiralTotal = spiralLengths ? (spiralLengths.lengthIn || 0) + (spiralLengths.lengthOut || 0) : 0;
+
+    switch (parameter) {
+      case 'radius': return radius;
+      case 'arcLength': return radius * delta - spiralTotal / 2;
+      case 'tangentLength': return radius * Math.tan(half);
+      case 'external': return radius * (1 / Math.cos(half) - 1);
+      case 'chord': return 2 * radius * Math.sin(half);
+      case 'midOrdinate': return radius * (1 - Math.cos(half));
+      case 'degreeArc': return (DEGREE_OF_CURVE_LENGTH / radius) * 180 / Math.PI;
+      case 'degreeChord': return 2 * Math.asin(Math.min(1, DEGREE_OF_CURVE_LENGTH / 2 / radius)) * 180 / Math.PI;
+      default: return NaN;
+    }
+  }
+
+  /**
+   * Deflection at an interior IP
+   * @param {Array} points - IPs
+   * @param {number} ipIndex - Index of an interior IP
+   * @returns {number} Signed deflection in radians (positive = right turn)
+   */
+  static getDeflectionAt(points, ipIndex) {
+    const incoming = GeometryUtils.getUnitVector(points[ipIndex - 1], points[ipIndex]);
+    const outgoing = GeometryUtils.getUnitVector(points[ipIndex], points[ipIndex + 1]);
+    return GeometryUtils.calculateAngleBetweenVectors(incoming, outgoing);
+  }
+
+  /**
+   * Re-solve the radius of every constrained IP for the current IP positions, so the
+   * fixed parameter stays fixed as IPs move. A constraint that can't be met leaves the
+   * radius as it was; AlignmentValidation lists it.
+   * @param {Object} alignment - Alignment with points, radii, spirals and curveConstraints
+   */
+  static applyConstraints(alignment) {
+    this.forEachConstraint(alignment, (ipIndex, constraint) => {
+      try {
+        alignment.radii[ipIndex] = this.solveConstraint(alignment, ipIndex, constraint);
+      } catch (error) {
+        // Reported by AlignmentValidation.validate
+      }
+    });
+  }
+
+  /**
+   * Call back for each curve constraint on an interior IP
+   * @param {Object} alignment - Alignment with points and curveConstraints
+   * @param {Function} callback - (ipIndex, constraint)
+   */
+  static forEachConstraint(alignment, callback) {
+    const lastIndex = alignment.points.length - 1;
+    Object.entries(alignment.curveConstraints || {}).forEach(([key, constraint]) => {
+      const ipIndex = parseInt(key, 10);
+      if (ipIndex >= 1 && ipIndex < lastIndex) callback(ipIndex, constraint);
+    });
+  }
+
+  /**
+   * Radius that holds a curve constraint at the IP's current deflection
+   * @param {Object} alignment - Alignment with points, spirals
+   * @param {number} ipIndex - Index of an interior IP
+   * @param {Object} constraint - {parameter, value}
+   * @returns {number} Radius
+   * @throws {Error} If the constraint can't be met: spirals on a simple-curve parameter, too
+   *   little deflection, or a value no radius gives
+   */
+  static solveConstraint(alignment, ipIndex, constraint) {
+    const { label } = CURVE_PARAMETERS[constraint.parameter];
+    const spirals = alignment.spirals && alignment.spirals[ipIndex];
+    if (spirals && !CURVE_PARAMETERS[constraint.parameter].allowsSpirals) {
+      throw new Error(`${label} can't fix a curve with spirals.`);
+    }
+
+    const deflection = this.getDeflectionAt(alignment.points, ipIndex);
+    if (Math.abs(deflection) < 1e-6) {
+      throw new Error('The IP is straight.');
+    }
+
+    const radius = this.solveRadius(constraint.parameter, constraint.value, deflection, spirals);
+    if (!Number.isFinite(radius) || radius <= 0) {
+      throw new Error(`No radius gives a ${label} of ${constraint.value} at this deflection.`);
+    }
+    return radius;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Design Criteria Module
+ * Minimum horizontal curve radius for a design speed, from a standard's maximum
+ * superelevation (e_max) and side friction (f_max):
+ *
+ *   R_min = V² / (127 · (e_max + f_max))     V in km/h, R in metres
+ *
+ * and stopping sight distance from the standard's reaction time t and deceleration a:
+ *
+ *   SSD = v·t + v² / 2a                       v = V / 3.6 in m/s
+ *
+ * The tables are representative values for each style of standard; check them
+ * against the edition a project is designed to before relying on them.
+ */
+
+/**
+ * Design standards: side friction by design speed (km/h), the e_max values offered, and
+ * the reaction time (s) and deceleration (m/s²) stopping sight distance is based on.
+ * AASHTO and Austroads set f_max by speed whatever e_max is chosen; a standard that sets
+ * V²/R for each superelevation instead gives minimumRatio by e_max, and its friction is
+ * what that ratio leaves after e.
+ */
+export const DESIGN_STANDARDS = {
+  aashto: {
+    name: 'AASHTO',
+    eMaxOptions: [0.04, 0.06, 0.08, 0.10, 0.12],
+    defaultEMax: 0.08,
+    reactionTime: 2.5,
+    deceleration: 3.4,
+    sideFriction: {
+      20: 0.35, 30: 0.28, 40: 0.23, 50: 0.19, 60: 0.17, 70: 0.15,
+      80: 0.14, 90: 0.13, 100: 0.12, 110: 0.11, 120: 0.09, 130: 0.08
+    }
+  },
+  austroads: {
+    name: 'Austroads',
+    eMaxOptions: [0.05, 0.06, 0.07, 0.10],
+    defaultEMax: 0.06,
+    reactionTime: 2.0,
+    deceleration: 3.5, // d = 0.36
+    sideFriction: {
+      40: 0.35, 50: 0.32, 60: 0.27, 70: 0.23, 80: 0.19,
+      90: 0.15, 100: 0.12, 110: 0.12, 120: 0.11, 130: 0.11
+    }
+  },
+  dmrb: {
+    name: 'DMRB-style',
+    eMaxOptions: [0.05, 0.07],
+    defaultEMax: 0.05,
+    reactionTime: 2.0,
+    deceleration: 2.45, // 0.25 g
+    // TD 9/93 Table 3: the desirable minimum radius is V²/R = 14.14 at 5% superelevation
+    // (R = 1020 m at 120 km/h down to 180 m at 50 km/h) and one step below desirable is
+    // V²/R = 20 at 7%, so e + f = (V²/R) / 127
+    minimumRatio: { 0.05: 14.14, 0.07: 20 }
+  }
+};
+
+export class DesignCriteria {
+  /**
+   * Criteria a new alignment starts with
+   * @returns {Object} {standard, designSpeed, eMax, normalCrossfall, attainment, designVehicle}
+   */
+  static createDefault() {
+    return {
+      standard: 'aashto',
+      designSpeed: 80, // km/h
+      eMax: DESIGN_STANDARDS.aashto.defaultEMax,
+      normalCrossfall: 0.02, // Normal crown, m/m
+      attainment: 'centreline', // Key of ATTAINMENT_METHODS in superelevation.js
+      designVehicle: 'WB19' // Key of DESIGN_VEHICLES in design-vehicles.js
+    };
+  }
+
+  /**
+   * Maximum side friction for a speed and superelevation
+   * @param {string} standard - Key of DESIGN_STANDARDS
+   * @param {number} speed - Design speed in km/h
+   * @param {number} eMax - Maximum superelevation, for standards whose friction follows it
+   * @returns {number} f_max
+   */
+  static getSideFriction(standard, speed, eMax) {
+    const { sideFriction, minimumRatio } = DESIGN_STANDARDS[standard];
+    if (minimumRatio) {
+      return this.interpolate(minimumRatio, eMax) / 127 - eMax;
+    }
+    return this.interpolate(sideFriction, speed);
+  }
+
+  /**
+   * Look up a table, interpolating between its keys and holding the first or last value
+   * outside them
+   * @param {Object} table - Values keyed by number
+   * @param {number} key - Number to look up
+   * @returns {number} Value
+   */
+  static interpolate(table, key) {
+    const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+
+    if (key <= keys[0]) return table[keys[0]];
+    if (key >= keys[keys.length - 1]) return table[keys[keys.length - 1]];
+
+    const upper = keys.findIndex(tabulated => tabulated >= key);
+    const k0 = keys[upper - 1];
+    const k1 = keys[upper];
+    return table[k0] + (table[k1] - table[k0]) * (key - k0) / (k1 - k0);
+  }
+
+  /**
+   * Minimum radius for the criteria
+   * @param {Object} criteria - {standard, designSpeed, eMax}
+   * @returns {Object} {radius, eMax, fMax}
+   */
+  static getMinimumRadius(criteria) {
+    const fMax = this.getSideFriction(criteria.standard, criteria.designSpeed, criteria.eMax);
+    const radius = (criteria.designSpeed * criteria.designSpeed) / (127 * (criteria.eMax + fMax));
+    return { radius, eMax: criteria.eMax, fMax };
+  }
+
+  /**
+   * Stopping sight distance for the criteria
+   * @param {Object} criteria - {standard, designSpeed}
+   * @returns {number} Distance in metres
+   */
+  static getStoppingSightDistance(criteria) {
+    const { reactionTime, deceleration } = DESIGN_STANDARDS[criteria.standard];
+    const speed = criteria.designSpeed / 3.6;
+    return speed * reactionTime + (speed * speed) / (2 * deceleration);
+  }
+
+  /**
+   * Check an arc's radius against the criteria
+   * @param {Object} arc - Arc element
+   * @param {Object} criteria - {standard, designSpeed, eMax}
+   * @returns {Object} {passes, minRadius, eMax, fMax, sideFriction} where sideFriction is
+   *   the friction the arc demands at e_max
+   */
+  static checkArc(arc, criteria) {
+    const { radius: minRadius, eMax, fMax } = this.getMinimumRadius(criteria);
+    const sideFriction = (criteria.designSpeed * criteria.designSpeed) / (127 * arc.radius) - eMax;
+    return {
+      passes: arc.radius >= minRadius - 1e-6,
+      minRadius,
+      eMax,
+      fMax,
+      sideFriction
+    };
+  }
+}
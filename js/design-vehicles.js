@@ -0,0 +1,82 @@
+/**
+ * Design Vehicles Module
+ * Plan dimensions of the design vehicles used for curve widening and swept paths
+ *
+ * Dimensions are in metres, approximating the AASHTO metric design vehicles; check them
+ * against the edition a project is designed to before relying on them. A vehicle is a
+ * single unit with a wheelbase (front axle to rear axle), or a tractor with a trailer
+ * hitched at a kingpin over the tractor's rear axle.
+ */
+
+/**
+ * Design vehicles: overall width, track width (out-to-out of the tyres), front and rear
+ * overhangs, wheelbase and the minimum design turning radius (outer front wheel);
+ * semi-trailers add a trailer
+ * {frontOverhang (ahead of the kingpin), wheelbase (kingpin to rear axle), rearOverhang}
+ */
+export const DESIGN_VEHICLES = {
+  P: {
+    label: 'Passenger car (P)',
+    width: 2.1,
+    trackWidth: 1.8,
+    frontOverhang: 0.9,
+    wheelbase: 3.4,
+    rearOverhang: 1.5,
+    minTurningRadius: 7.3
+  },
+  SU: {
+    label: 'Single-unit truck (SU-9)',
+    width: 2.4,
+    trackWidth: 2.3,
+    frontOverhang: 1.2,
+    wheelbase: 6.1,
+    rearOverhang: 1.9,
+    minTurningRadius: 12.8
+  },
+  BUS: {
+    label: 'City bus (BUS-12)',
+    width: 2.6,
+    trackWidth: 2.44,
+    frontOverhang: 2.1,
+    wheelbase: 7.6,
+    rearOverhang: 2.5,
+    minTurningRadius: 12.8
+  },
+  WB19: {
+    label: 'Semi-trailer (WB-19)',
+    width: 2.6,
+    trackWidth: 2.44,
+    frontOverhang: 0.9,
+    wheelbase: 5.9,
+    rearOverhang: 0,
+    minTurningRadius: 13.7,
+    trailer: {
+      frontOverhang: 0.9,
+      wheelbase: 12.5,
+      rearOverhang: 1.6
+    }
+  }
+};
+
+export class DesignVehicles {
+  /**
+   * Wheelbases from the front axle back: the tractor's, then the trailer's
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @returns {Array} Lengths in metres
+   */
+  static getWheelbases(vehicle) {
+    return vehicle.trailer ? [vehicle.wheelbase, vehicle.trailer.wheelbase] : [vehicle.wheelbase];
+  }
+
+  /**
+   * Overall length from the front bumper to the rear of the last unit
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @returns {number} Length in metres
+   */
+  static getLength(vehicle) {
+    const tractor = vehicle.frontOverhang + vehicle.wheelbase;
+    return vehicle.trailer
+      ? tractor + vehicle.trailer.wheelbase + vehicle.trailer.rearOverhang
+      : tractor + vehicle.rearOverhang;
+  }
+}
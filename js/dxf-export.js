@@ -0,0 +1,332 @@
+/**
+ * DXF Export Module
+ * Writes alignments, offsets and road markings as an AutoCAD R12 (AC1009) DXF
+ *
+ * Tangents become LINEs and circular curves true ARCs; spirals, which DXF has no
+ * entity for, become POLYLINEs through their sampled points. Coordinates are
+ * written as easting/northing, so Y is flipped from the world frame.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { Stationing } from './stationing.js';
+import { Viewport } from './viewport.js';
+import { CrossSection, LINE_STYLES } from './cross-section.js';
+import { OffsetAlignment } from './offset-alignment.js';
+import { Widening } from './widening.js';
+
+/**
+ * Layers by category, with AutoCAD colour index and linetype
+ */
+export const DXF_LAYERS = {
+  centreline: { name: 'CENTRELINE', color: 1, lineType: 'DASHED' },
+  pavementEdge: { name: 'PAVEMENT_EDGE', color: 8, lineType: 'CONTINUOUS' },
+  laneEdge: { name: 'LANE_EDGE', color: 2, lineType: 'CONTINUOUS' },
+  roadsideEdge: { name: 'ROADSIDE_EDGE', color: 3, lineType: 'CONTINUOUS' },
+  ipPolyline: { name: 'IP_POLYLINE', color: 5, lineType: 'CONTINUOUS' },
+  stationLabels: { name: 'STATION_LABELS', color: 7, lineType: 'CONTINUOUS' }
+};
+
+export class DxfExport {
+  /**
+   * Write alignments as a DXF document
+   * @param {Array} alignments - Alignments with built, chainaged elements
+   * @param {Object} settings - {majorInterval, minorInterval, textHeight}
+   * @returns {string} DXF text
+   */
+  static exportAlignments(alignments, settings) {
+    const writer = new DxfWriter();
+
+    this.writeHeader(writer);
+    this.writeTables(writer);
+
+    writer.group(0, 'SECTION');
+    writer.group(2, 'ENTITIES');
+    alignments.forEach(alignment => this.writeAlignment(writer, alignment, settings));
+    writer.group(0, 'ENDSEC');
+
+    writer.group(0, 'EOF');
+    return writer.toString();
+  }
+
+  /**
+   * Write one alignment on all layers
+   * @param {DxfWriter} writer - Output
+   * @param {Object} alignment - Alignment
+   * @param {Object} settings - Export settings
+   */
+  static writeAlignment(writer, alignment, settings) {
+    const elements = alignment.elements || [];
+    if (elements.length === 0) return;
+
+    // IP polyline
+    writer.polyline(DXF_LAYERS.ipPolyline.name, alignment.points);
+
+    // Centreline and the cross-section edges the renderer draws: lanes, shoulders, then the rest
+    this.writeElements(writer, DXF_LAYERS.centreline.name, elements);
+    const template = alignment.crossSection || CrossSection.createDefault();
+    Widening.getEdges(template, alignment.widenings || []).forEach(edge => {
+      if (!LINE_STYLES[edge.component.lineStyle].dash) return;
+      const layer = edge.component.type === 'lane'
+        ? DXF_LAYERS.laneEdge
+        : (edge.component.type === 'shoulder' ? DXF_LAYERS.pavementEdge : DXF_LAYERS.roadsideEdge);
+      this.writeElements(writer, layer.name, OffsetAlignment.calculate(elements, edge.widenedOffset));
+    });
+
+    this.writeStations(writer, elements, settings);
+  }
+
+  /**
+   * Write tangents, arcs and spirals as LINE, ARC and POLYLINE entities
+   * @param {DxfWriter} writer - Output
+   * @param {string} layer - Layer name
+   * @param {Array} elements - Alignment or offset elements
+   */
+  static writeElements(writer, layer, elements) {
+    elements.forEach(element => {
+      if (element.type === 'tangent') {
+        if (GeometryUtils.calculateDistance(element.startPoint, element.endPoint) > 1e-9) {
+          writer.line(layer, element.startPoint, element.endPoint);
+        }
+      } else if (element.type === 'arc') {
+        writer.arc(layer, element.centerPoint, element.radius, element.startPoint, element.endPoint, element.isRightTurn);
+      } else if (element.type === 'spiral' || element.type === 'polyline') {
+        writer.polyline(layer, element.points);
+      }
+    });
+  }
+
+  /**
+   * Write station ticks, station labels and key point labels
+   * @param {DxfWriter} writer - Output
+   * @param {Array} elements - Chainaged alignment elements
+   * @param {Object} settings - Export settings
+   */
+  static writeStations(writer, elements, settings) {
+    const layer = DXF_LAYERS.stationLabels.name;
+    const textHeight = settings.textHeight || 2;
+    const { majorInterval, minorInterval } = settings;
+    const isMajor = (chainage) => majorInterval > 0 &&
+      Math.abs(chainage / majorInterval - Math.round(chainage / majorInterval)) < 1e-6;
+
+    const tick = (station, halfLength) => {
+      const normal = GeometryUtils.getPerpendicularVector(station.direction);
+      writer.line(
+        layer,
+        { x: station.x - normal.x * halfLength, y: station.y - normal.y * halfLength },
+        { x: station.x + normal.x * halfLength, y: station.y + normal.y * halfLength }
+      );
+      return normal;
+    };
+
+    Stationing.generateStations(elements, minorInterval).forEach(station => {
+      if (!isMajor(station.chainage)) tick(station, textHeight * 0.75);
+    });
+
+    // Major stations labelled on the left, key points on the right
+    Stationing.generateStations(elements, majorInterval).forEach(station => {
+      const normal = tick(station, textHeight * 1.5);
+      const distance = textHeight * 4;
+      writer.text(
+        layer,
+        { x: station.x - normal.x * distance, y: station.y - normal.y * distance },
+        textHeight,
+        Stationing.formatChainage(station.chainage, 0),
+        normal
+      );
+    });
+
+    Stationing.getKeyPoints(elements).forEach(keyPoint => {
+      const station = Stationing.getPointAtChainage(elements, keyPoint.chainage);
+      if (!station) return;
+      const normal = GeometryUtils.getPerpendicularVector(station.direction);
+      const distance = textHeight * 8;
+      writer.text(
+        layer,
+        { x: station.x + normal.x * distance, y: station.y + normal.y * distance },
+        textHeight,
+        `${keyPoint.label} ${Stationing.formatChainage(keyPoint.chainage)}`,
+        normal
+      );
+    });
+  }
+
+  /**
+   * Write the HEADER section
+   * @param {DxfWriter} writer - Output
+   */
+  static writeHeader(writer) {
+    writer.group(0, 'SECTION');
+    writer.group(2, 'HEADER');
+    writer.group(9, '$ACADVER');
+    writer.group(1, 'AC1009');
+    writer.group(0, 'ENDSEC');
+  }
+
+  /**
+   * Write the TABLES section (linetypes and layers)
+   * @param {DxfWriter} writer - Output
+   */
+  static writeTables(writer) {
+    writer.group(0, 'SECTION');
+    writer.group(2, 'TABLES');
+
+    writer.group(0, 'TABLE');
+    writer.group(2, 'LTYPE');
+    writer.group(70, 2);
+    writer.lineType('CONTINUOUS', 'Solid line', []);
+    writer.lineType('DASHED', '__ __ __ __', [6, -3]);
+    writer.group(0, 'ENDTAB');
+
+    const layers = Object.values(DXF_LAYERS);
+    writer.group(0, 'TABLE');
+    writer.group(2, 'LAYER');
+    writer.group(70, layers.length);
+    layers.forEach(layer => {
+      writer.group(0, 'LAYER');
+      writer.group(2, layer.name);
+      writer.group(70, 0);
+      writer.group(62, layer.color);
+      writer.group(6, layer.lineType);
+    });
+    writer.group(0, 'ENDTAB');
+
+    writer.group(0, 'ENDSEC');
+  }
+}
+
+/**
+ * Accumulates DXF group code/value pairs, converting world points to easting/northing
+ */
+class DxfWriter {
+  constructor() {
+    this.lines = [];
+  }
+
+  /**
+   * Write a group code and value
+   * @param {number} code - Group code
+   * @param {string|number} value - Value
+   */
+  group(code, value) {
+    this.lines.push(String(code), typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(6) : String(value));
+  }
+
+  /**
+   * Write a world point as X/Y/Z groups
+   * @param {Object} point - World point
+   * @param {number} baseCode - X group code (10, 11...)
+   */
+  point(point, baseCode = 10) {
+    const { easting, northing } = Viewport.toEastingNorthing(point);
+    this.group(baseCode, easting);
+    this.group(baseCode + 10, northing);
+    this.group(baseCode + 20, 0.0);
+  }
+
+  /**
+   * Write a LINE
+   * @param {string} layer - Layer name
+   * @param {Object} start - World start point
+   * @param {Object} end - World end point
+   */
+  line(layer, start, end) {
+    this.group(0, 'LINE');
+    this.group(8, layer);
+    this.point(start, 10);
+    this.point(end, 11);
+  }
+
+  /**
+   * Write an ARC. DXF arcs run counter-clockwise (northing up) from start to end angle,
+   * so a clockwise (right-turn) arc is written from its end point back to its start.
+   * @param {string} layer - Layer name
+   * @param {Object} center - World centre
+   * @param {number} radius - Radius
+   * @param {Object} startPoint - World point where the arc starts (in direction of travel)
+   * @param {Object} endPoint - World point where the arc ends
+   * @param {boolean} isRightTurn - Whether the arc turns clockwise
+   */
+  arc(layer, center, radius, startPoint, endPoint, isRightTurn) {
+    const angle = (point) => {
+      // Negate Y to measure the angle with northing up
+      const degrees = Math.atan2(-(point.y - center.y), point.x - center.x) * 180 / Math.PI;
+      return degrees < 0 ? degrees + 360 : degrees;
+    };
+
+    this.group(0, 'ARC');
+    this.group(8, layer);
+    this.point(center, 10);
+    this.group(40, radius);
+    this.group(50, angle(isRightTurn ? endPoint : startPoint));
+    this.group(51, angle(isRightTurn ? startPoint : endPoint));
+  }
+
+  /**
+   * Write an open 2D POLYLINE
+   * @param {string} layer - Layer name
+   * @param {Array} points - World points
+   */
+  polyline(layer, points) {
+    this.group(0, 'POLYLINE');
+    this.group(8, layer);
+    this.group(66, 1);
+    this.group(70, 0);
+    this.point({ x: 0, y: 0 }, 10);
+    points.forEach(point => {
+      this.group(0, 'VERTEX');
+      this.group(8, layer);
+      this.point(point, 10);
+    });
+    this.group(0, 'SEQEND');
+    this.group(8, layer);
+  }
+
+  /**
+   * Write middle-centred TEXT, rotated to read along a direction (never upside down)
+   * @param {string} layer - Layer name
+   * @param {Object} position - World insertion point
+   * @param {number} height - Text height
+   * @param {string} text - Text
+   * @param {Object} direction - World direction the text runs along
+   */
+  text(layer, position, height, text, direction) {
+    let rotation = Math.atan2(-direction.y, direction.x) * 180 / Math.PI;
+    if (rotation > 90) rotation -= 180;
+    if (rotation <= -90) rotation += 180;
+
+    this.group(0, 'TEXT');
+    this.group(8, layer);
+    this.point(position, 10);
+    this.group(40, height);
+    this.group(1, text);
+    this.group(50, rotation);
+    this.group(72, 1); // Centre
+    this.point(position, 11);
+    this.group(73, 2); // Middle
+  }
+
+  /**
+   * Write an LTYPE table entry
+   * @param {string} name - Linetype name
+   * @param {string} description - Description
+   * @param {Array} pattern - Dash lengths (negative for gaps)
+   */
+  lineType(name, description, pattern) {
+    this.group(0, 'LTYPE');
+    this.group(2, name);
+    this.group(70, 0);
+    this.group(3, description);
+    this.group(72, 65);
+    this.group(73, pattern.length);
+    this.group(40, pattern.reduce((sum, length) => sum + Math.abs(length), 0));
+    pattern.forEach(length => this.group(49, length));
+  }
+
+  /**
+   * Get the DXF text
+   * @returns {string} DXF
+   */
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * File Utilities Module
+ * Browser helpers for downloading and reading local files
+ */
+
+export class FileUtils {
+  /**
+   * Offer text content to the user as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File contents
+   * @param {string} mimeType - MIME type
+   */
+  static downloadText(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Open an HTML document in a new window and show the browser's print dialog
+   * @param {string} html - Document to print
+   */
+  static printHtml(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      throw new Error('The print window was blocked by the browser.');
+    }
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  /**
+   * Read a File as text
+   * @param {File} file - File from an input or drop event
+   * @returns {Promise<string>} File contents
+   */
+  static readAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Write rows of values as CSV, quoting fields that need it
+   * @param {Array} rows - Arrays of field values
+   * @returns {string} CSV text with CRLF line endings
+   */
+  static toCsv(rows) {
+    const escape = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Make a name safe to use as a file name
+   * @param {string} name - Name to clean
+   * @param {string} fallback - Name to use if nothing is left
+   * @returns {string} File name without extension
+   */
+  static toFileName(name, fallback = 'alignment') {
+    const cleaned = (name || '').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '_');
+    return cleaned || fallback;
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Geometry Report Module
+ * Horizontal alignment report: an IP table (coordinates, deflection, radius, tangent
+ * and arc lengths, external, mid-ordinate and curve chainages) and a tangent table
+ * (bearing and length), as HTML tables, a printable HTML page or CSV
+ *
+ * External is measured from the IP to the circular arc through its centre, so it
+ * includes the spiral shift on transitioned curves; mid-ordinate is that of the
+ * circular arc alone.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { Stationing } from './stationing.js';
+import { Viewport } from './viewport.js';
+import { CurveDefinitions } from './curve-definitions.js';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * IP table columns: heading and how to show a row's value (null values show as blank)
+ */
+const IP_COLUMNS = [
+  { heading: 'IP', format: ip => ip.label },
+  { heading: 'Easting', format: ip => ip.easting.toFixed(3) },
+  { heading: 'Northing', format: ip => ip.northing.toFixed(3) },
+  { heading: 'Chainage', format: ip => Stationing.formatChainage(ip.chainage, 3) },
+  { heading: 'Deflection', format: ip => ip.deflection === null ? null : GeometryReport.formatDeflection(ip.deflection) },
+  { heading: 'Radius', format: ip => ip.radius?.toFixed(3) },
+  { heading: 'Spiral In', format: ip => ip.spiralIn ? ip.spiralIn.toFixed(3) : null },
+  { heading: 'Spiral Out', format: ip => ip.spiralOut ? ip.spiralOut.toFixed(3) : null },
+  { heading: 'Tangent In', format: ip => ip.tangentIn?.toFixed(3) },
+  { heading: 'Tangent Out', format: ip => ip.tangentOut?.toFixed(3) },
+  { heading: 'Arc Length', format: ip => ip.arcLength?.toFixed(3) },
+  { heading: 'External', format: ip => ip.external?.toFixed(3) },
+  { heading: 'Mid-Ordinate', format: ip => ip.midOrdinate?.toFixed(3) },
+  { heading: 'Curve Start', format: ip => ip.curveStart ? `${ip.curveStart.label} ${Stationing.formatChainage(ip.curveStart.chainage, 3)}` : null },
+  { heading: 'Curve End', format: ip => ip.curveEnd ? `${ip.curveEnd.label} ${Stationing.formatChainage(ip.curveEnd.chainage, 3)}` : null }
+];
+
+/**
+ * Tangent table columns
+ */
+const TANGENT_COLUMNS = [
+  { heading: 'From', format: tangent => tangent.from },
+  { heading: 'To', format: tangent => tangent.to },
+  { heading: 'Start Chainage', format: tangent => Stationing.formatChainage(tangent.startChainage, 3) },
+  { heading: 'End Chainage', format: tangent => Stationing.formatChainage(tangent.endChainage, 3) },
+  { heading: 'Bearing', format: tangent => GeometryUtils.formatDms(tangent.bearing) },
+  { heading: 'Length', format: tangent => tangent.length.toFixed(3) }
+];
+
+export class GeometryReport {
+  /**
+   * Build the report for an alignment
+   * @param {Object} alignment - Alignment with built, chainaged elements
+   * @returns {Object} {name, ips, tangents}; curve values are null at IPs without a curve
+   */
+  static generate(alignment) {
+    const points = alignment.points;
+    const elements = alignment.elements || [];
+    const range = Stationing.getChainageRange(alignment);
+    const lastIndex = points.length - 1;
+
+    const ips = points.map((point, index) => {
+      const ip = {
+        ipIndex: index,
+        label: index === 0 ? 'BP' : (index === lastIndex ? 'EP' : `IP ${index}`),
+        ...Viewport.toEastingNorthing(point),
+        chainage: index === 0 ? range.start : (index === lastIndex ? range.end : Stationing.getIpChainage(alignment, index)),
+        deflection: index === 0 || index === lastIndex ? null : CurveDefinitions.getDeflectionAt(points, index),
+        radius: null,
+        spiralIn: null,
+        spiralOut: null,
+        tangentIn: null,
+        tangentOut: null,
+        arcLength: null,
+        external: null,
+        midOrdinate: null,
+        curveStart: null,
+        curveEnd: null
+      };
+
+      const arc = elements.find(element => element.type === 'arc' && element.ipIndex === index);
+      return arc ? { ...ip, ...this.getCurveValues(arc) } : ip;
+    });
+
+    const labelOf = (ipIndex) => ips[ipIndex].label;
+    const tangents = elements
+      .filter(element => element.type === 'tangent')
+      .map(tangent => ({
+        from: labelOf(tangent.segmentIndex),
+        to: labelOf(tangent.segmentIndex + 1),
+        startChainage: tangent.startChainage,
+        endChainage: tangent.endChainage,
+        bearing: GeometryUtils.calculateBearing(tangent.startPoint, tangent.endPoint),
+        length: tangent.length
+      }));
+
+    return { name: alignment.name, ips, tangents };
+  }
+
+  /**
+   * Curve values for an IP's arc
+   * @param {Object} arc - Arc element
+   * @returns {Object} Curve fields of an IP row
+   */
+  static getCurveValues(arc) {
+    const centralAngle = arc.length / arc.radius;
+    const start = arc.spiralIn
+      ? { label: 'TS', chainage: arc.spiralIn.startChainage }
+      : { label: 'PC', chainage: arc.startChainage };
+    const end = arc.spiralOut
+      ? { label: 'ST', chainage: arc.spiralOut.endChainage }
+      : { label: 'PT', chainage: arc.endChainage };
+
+    return {
+      radius: arc.radius,
+      spiralIn: arc.spiralIn ? arc.spiralIn.length : null,
+      spiralOut: arc.spiralOut ? arc.spiralOut.length : null,
+      tangentIn: arc.totalTangentIn ?? arc.tangentLength,
+      tangentOut: arc.totalTangentOut ?? arc.tangentLength,
+      arcLength: arc.length,
+      external: GeometryUtils.calculateDistance(arc.ipPoint, arc.centerPoint) - arc.radius,
+      midOrdinate: arc.radius * (1 - Math.cos(centralAngle / 2)),
+      curveStart: start,
+      curveEnd: end
+    };
+  }
+
+  /**
+   * Format a signed deflection as DMS with its direction
+   * @param {number} deflection - Deflection in radians (positive = right)
+   * @returns {string} e.g. 45°00'00.0" R
+   */
+  static formatDeflection(deflection) {
+    return `${GeometryUtils.formatDms(deflection)} ${deflection >= 0 ? 'R' : 'L'}`;
+  }
+
+  /**
+   * Rows of formatted values for a table
+   * @param {Array} columns - IP_COLUMNS or TANGENT_COLUMNS
+   * @param {Array} items - IP or tangent rows
+   * @returns {Array} Arrays of strings
+   */
+  static formatRows(columns, items) {
+    return items.map(item => columns.map(column => column.format(item) ?? ''));
+  }
+
+  /**
+   * The IP and tangent tables as HTML, for the report dialog and the printable page
+   * @param {Object} report - Result of generate()
+   * @returns {string} HTML
+   */
+  static toHtmlTables(report) {
+    const table = (columns, items) => {
+      const head = columns.map(column => `<th>${FileUtils.escapeHtml(column.heading)}</th>`).join('');
+      const body = this.formatRows(columns, items)
+        .map(values => `<tr>${values.map(value => `<td>${FileUtils.escapeHtml(value)}</td>`).join('')}</tr>`)
+        .join('\n');
+      return `<table class="geometry-report">\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+    };
+
+    return [
+      '<h3>Intersection Points</h3>',
+      table(IP_COLUMNS, report.ips),
+      '<h3>Tangents</h3>',
+      table(TANGENT_COLUMNS, report.tangents)
+    ].join('\n');
+  }
+
+  /**
+   * The report as a standalone, printable HTML page
+   * @param {Object} report - Result of generate()
+   * @returns {string} HTML document
+   */
+  static toHtml(report) {
+    const title = `Horizontal Geometry Report: ${FileUtils.escapeHtml(report.name)}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+  body { font-family: sans-serif; font-size: 11px; margin: 16px; }
+  h2 { font-size: 16px; }
+  h3 { font-size: 13px; margin-top: 16px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #999; padding: 2px 6px; white-space: nowrap; }
+  th { background: #eee; text-align: left; }
+  td { font-family: monospace; text-align: right; }
+  @page { size: landscape; }
+</style>
+</head>
+<body>
+<h2>${title}</h2>
+<p>Coordinates as easting/northing; bearings clockwise from north; deflections R (right) or L (left).</p>
+${this.toHtmlTables(report)}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * The report as CSV, the IP table then the tangent table
+   * @param {Object} report - Result of generate()
+   * @returns {string} CSV text
+   */
+  static toCsv(report) {
+    return FileUtils.toCsv([
+      ['Intersection Points'],
+      IP_COLUMNS.map(column => column.heading),
+      ...this.formatRows(IP_COLUMNS, report.ips),
+      [],
+      ['Tangents'],
+      TANGENT_COLUMNS.map(column => column.heading),
+      ...this.formatRows(TANGENT_COLUMNS, report.tangents)
+    ]);
+  }
+}
@@ -12,7 +12,7 @@ export class GeometryUtils {
    */
   static calculateBearing(point1, point2) {
     const dx = point2.x - point1.x; // Eastward displacement
-    const dy = point1.y - point2.y; // Northward displacement (canvas Y is inverted)
+    const dy = point1.y - point2.y; // Northward displacement (world Y runs south, like the canvas)
     
     // Calculate bearing from North (0°) clockwise
     // atan2(east, north) gives angle from North axis
@@ -155,6 +155,24 @@ export class GeometryUtils {
     else return `NW ${degrees.toFixed(1)}°`;
   }
 
+  /**
+   * Format an angle as degrees, minutes and seconds
+   * @param {number} angle - Angle in radians (sign is dropped)
+   * @param {number} decimals - Decimal places on the seconds
+   * @returns {string} e.g. 12°34'56.7"
+   */
+  static formatDms(angle, decimals = 1) {
+    const scale = Math.pow(10, decimals);
+    // Round on total seconds so 59.99" carries into the minutes
+    const totalSeconds = Math.round(Math.abs(angle) * 180 / Math.PI * 3600 * scale) / scale;
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds - degrees * 3600) / 60);
+    const seconds = totalSeconds - degrees * 3600 - minutes * 60;
+    const [whole, fraction] = seconds.toFixed(decimals).split('.');
+    
+    return `${degrees}°${String(minutes).padStart(2, '0')}'${whole.padStart(2, '0')}${fraction ? '.' + fraction : ''}"`;
+  }
+
   /**
    * Normalize angle to 0-2π range
    * @param {number} angle - Angle in radians
@@ -177,4 +195,20 @@ export class GeometryUtils {
     const dotProduct = vector1.x * vector2.x + vector1.y * vector2.y;
     return Math.atan2(crossProduct, dotProduct);
   }
-} 
\ No newline at end of file
+
+  /**
+   * Pick a round grid step (1, 2 or 5 × 10ⁿ) close to a raw step
+   * @param {number} rawStep - Approximate step
+   * @returns {number} Rounded step
+   */
+  static niceStep(rawStep) {
+    if (!(rawStep > 0)) return 1;
+
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+    if (normalized < 1.5) return magnitude;
+    if (normalized < 3.5) return 2 * magnitude;
+    if (normalized < 7.5) return 5 * magnitude;
+    return 10 * magnitude;
+  }
+}
@@ -0,0 +1,397 @@
+/**
+ * LandXML Module
+ * LandXML 1.2 export and import of horizontal alignments (Line, Curve, Spiral)
+ *
+ * LandXML points are written "northing easting", and directions are azimuths in
+ * decimal degrees. Imported alignments are rebuilt from IPs and per-IP radii and
+ * spiral lengths, so a round trip reproduces the geometry to LANDXML_TOLERANCE.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { AlignmentCalculations } from './alignment-calculations.js';
+import { Viewport } from './viewport.js';
+
+export const LANDXML_NAMESPACE = 'http://www.landxml.org/schema/LandXML-1.2';
+export const LANDXML_TOLERANCE = 0.001; // Round-trip positional tolerance in metres
+
+export class LandXML {
+  /**
+   * Write alignments as a LandXML 1.2 document
+   * @param {Array} alignments - Alignments with built elements
+   * @param {string} projectName - Name of the <Alignments> collection
+   * @returns {string} XML text
+   */
+  static exportAlignments(alignments, projectName = 'Alignments') {
+    const now = new Date().toISOString();
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<LandXML xmlns="${LANDXML_NAMESPACE}" version="1.2" date="${now.slice(0, 10)}" time="${now.slice(11, 19)}">`,
+      '  <Units>',
+      '    <Metric linearUnit="meter" areaUnit="squareMeter" volumeUnit="cubicMeter" angularUnit="decimal degrees" directionUnit="decimal degrees"/>',
+      '  </Units>',
+      '  <Application name="Alignment Tool" version="1.0"/>',
+      `  <Alignments name="${this.escape(projectName)}">`
+    ];
+
+    alignments.forEach(alignment => {
+      const elements = alignment.elements || [];
+      const length = elements.reduce((sum, element) => sum + element.length, 0);
+      lines.push(`    <Alignment name="${this.escape(alignment.name)}" length="${this.formatNumber(length)}" staStart="${this.formatNumber(alignment.startChainage || 0)}">`);
+      lines.push('      <CoordGeom>');
+      elements.forEach(element => {
+        const xml = this.exportElement(element);
+        if (xml) lines.push(...xml.map(line => '        ' + line));
+      });
+      lines.push('      </CoordGeom>');
+      lines.push('    </Alignment>');
+    });
+
+    lines.push('  </Alignments>');
+    lines.push('</LandXML>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write one element as LandXML lines
+   * @param {Object} element - Tangent, arc or spiral element
+   * @returns {Array|null} XML lines, or null for zero-length elements
+   */
+  static exportElement(element) {
+    if (element.length < 1e-9) return null;
+
+    const start = AlignmentCalculations.getPointOnElement(element, 0);
+    const end = AlignmentCalculations.getPointOnElement(element, element.length);
+    const dirStart = this.formatNumber(this.toAzimuth(start.direction), 8);
+    const dirEnd = this.formatNumber(this.toAzimuth(end.direction), 8);
+
+    if (element.type === 'tangent') {
+      return [
+        `<Line length="${this.formatNumber(element.length)}" dir="${dirStart}">`,
+        `  <Start>${this.formatPoint(element.startPoint)}</Start>`,
+        `  <End>${this.formatPoint(element.endPoint)}</End>`,
+        '</Line>'
+      ];
+    }
+
+    const rot = element.isRightTurn ? 'cw' : 'ccw';
+    const pi = GeometryUtils.calculateLineIntersection(start, start.direction, end, end.direction);
+
+    if (element.type === 'arc') {
+      const delta = element.length / element.radius;
+      return [
+        `<Curve rot="${rot}" crvType="arc" radius="${this.formatNumber(element.radius)}" length="${this.formatNumber(element.length)}" ` +
+          `delta="${this.formatNumber(delta * 180 / Math.PI, 8)}" chord="${this.formatNumber(GeometryUtils.calculateDistance(element.startPoint, element.endPoint))}" ` +
+          `dirStart="${dirStart}" dirEnd="${dirEnd}">`,
+        `  <Start>${this.formatPoint(element.startPoint)}</Start>`,
+        `  <Center>${this.formatPoint(element.centerPoint)}</Center>`,
+        `  <End>${this.formatPoint(element.endPoint)}</End>`,
+        ...(pi ? [`  <PI>${this.formatPoint(pi)}</PI>`] : []),
+        '</Curve>'
+      ];
+    }
+
+    if (element.type === 'spiral') {
+      const params = AlignmentCalculations.calculateSpiralParameters(element.length, element.radius);
+      const tanShort = params.y / Math.sin(params.theta);
+      const tanLong = params.x - params.y / Math.tan(params.theta);
+      return [
+        `<Spiral rot="${rot}" spiType="clothoid" length="${this.formatNumber(element.length)}" ` +
+          `radiusStart="${element.isEntry ? 'INF' : this.formatNumber(element.radius)}" ` +
+          `radiusEnd="${element.isEntry ? this.formatNumber(element.radius) : 'INF'}" ` +
+          `constant="${this.formatNumber(element.aParameter)}" theta="${this.formatNumber(params.theta * 180 / Math.PI, 8)}" ` +
+          `totalX="${this.formatNumber(params.x)}" totalY="${this.formatNumber(params.y)}" ` +
+          `tanLong="${this.formatNumber(tanLong)}" tanShort="${this.formatNumber(tanShort)}" ` +
+          `dirStart="${dirStart}" dirEnd="${dirEnd}">`,
+        `  <Start>${this.formatPoint(element.startPoint)}</Start>`,
+        ...(pi ? [`  <PI>${this.formatPoint(pi)}</PI>`] : []),
+        `  <End>${this.formatPoint(element.endPoint)}</End>`,
+        '</Spiral>'
+      ];
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the horizontal alignments from a LandXML document
+   * @param {string} text - XML text
+   * @returns {Array} Saved-alignment objects {name, points, radii, spirals, startChainage}
+   * @throws {Error} If the document is not LandXML or holds no usable alignment
+   */
+  static importAlignments(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('The file is not valid XML.');
+    }
+    if (!doc.documentElement || doc.documentElement.localName !== 'LandXML') {
+      throw new Error('The file is not a LandXML document.');
+    }
+
+    const cgPoints = this.readCgPoints(doc);
+    const alignments = [];
+
+    Array.from(doc.getElementsByTagNameNS('*', 'Alignment')).forEach((node, index) => {
+      const coordGeom = this.childElements(node).find(child => child.localName === 'CoordGeom');
+      if (!coordGeom) return;
+
+      const elements = this.childElements(coordGeom)
+        .map(child => this.readElement(child, cgPoints))
+        .filter(Boolean);
+      if (elements.length === 0) return;
+
+      const alignment = this.reconstructAlignment(elements);
+      alignment.name = node.getAttribute('name') || `Alignment ${index + 1}`;
+      alignment.startChainage = parseFloat(node.getAttribute('staStart')) || 0;
+      alignments.push(alignment);
+    });
+
+    if (alignments.length === 0) {
+      throw new Error('No horizontal alignments were found.');
+    }
+    return alignments;
+  }
+
+  /**
+   * Read an element of a <CoordGeom> into world coordinates
+   * @param {Element} node - Line, Curve or Spiral element
+   * @param {Map} cgPoints - Named CgPoints for pntRef lookups
+   * @returns {Object|null} Parsed element, or null for unsupported elements
+   */
+  static readElement(node, cgPoints) {
+    const point = (name) => {
+      const child = this.childElements(node).find(c => c.localName === name);
+      return child ? this.readPoint(child, cgPoints) : null;
+    };
+
+    const type = node.localName;
+    if (type !== 'Line' && type !== 'Curve' && type !== 'Spiral') return null;
+
+    const element = {
+      type: type,
+      start: point('Start'),
+      end: point('End'),
+      isRightTurn: node.getAttribute('rot') === 'cw'
+    };
+    if (!element.start || !element.end) {
+      throw new Error(`A ${type} element is missing its start or end point.`);
+    }
+
+    if (type === 'Curve') {
+      element.center = point('Center');
+      element.radius = parseFloat(node.getAttribute('radius'));
+      if (!element.center) {
+        throw new Error('A Curve element is missing its centre point.');
+      }
+      if (!(element.radius > 0)) {
+        element.radius = GeometryUtils.calculateDistance(element.start, element.center);
+      }
+    }
+
+    if (type === 'Spiral') {
+      const radiusStart = this.readRadius(node.getAttribute('radiusStart'));
+      const radiusEnd = this.readRadius(node.getAttribute('radiusEnd'));
+      element.pi = point('PI');
+      element.length = parseFloat(node.getAttribute('length')) || 0;
+      element.isEntry = radiusStart === Infinity;
+      element.radius = element.isEntry ? radiusEnd : radiusStart;
+    }
+
+    return element;
+  }
+
+  /**
+   * Rebuild IPs, radii and spiral lengths from a chain of parsed elements
+   * Each curve (with its spirals) becomes one IP at the intersection of its
+   * entry and exit tangents.
+   * @param {Array} elements - Parsed elements in chainage order
+   * @returns {Object} {points, radii, spirals}
+   */
+  static reconstructAlignment(elements) {
+    const points = [{ ...elements[0].start }];
+    const radii = {};
+    const spirals = {};
+
+    let i = 0;
+    while (i < elements.length) {
+      if (elements[i].type === 'Line') {
+        i++;
+        continue;
+      }
+
+      // Group an entry spiral, a curve and an exit spiral into one IP
+      const group = { first: i, spiralIn: null, curve: null, spiralOut: null };
+      if (elements[i].type === 'Spiral' && elements[i].isEntry) group.spiralIn = elements[i++];
+      if (i < elements.length && elements[i].type === 'Curve') group.curve = elements[i++];
+      if (i < elements.length && elements[i].type === 'Spiral' && !elements[i].isEntry) group.spiralOut = elements[i++];
+      if (!group.spiralIn && !group.curve && !group.spiralOut) {
+        i++; // A lone exit spiral with nothing before it - skip it
+        continue;
+      }
+      group.last = i - 1;
+
+      const startDirection = this.getStartDirection(elements, group.first);
+      const endDirection = this.getEndDirection(elements, group.last);
+      const startPoint = elements[group.first].start;
+      const endPoint = elements[group.last].end;
+      const ip = startDirection && endDirection
+        ? GeometryUtils.calculateLineIntersection(startPoint, startDirection, endPoint, endDirection)
+        : null;
+      if (!ip) continue; // Straight or undefined - the following line picks it up
+
+      const ipIndex = points.length;
+      points.push(ip);
+      radii[ipIndex] = (group.curve || group.spiralIn || group.spiralOut).radius;
+      if (group.spiralIn || group.spiralOut) {
+        spirals[ipIndex] = {
+          lengthIn: group.spiralIn ? group.spiralIn.length : 0,
+          lengthOut: group.spiralOut ? group.spiralOut.length : 0
+        };
+      }
+    }
+
+    points.push({ ...elements[elements.length - 1].end });
+    return { points, radii, spirals };
+  }
+
+  /**
+   * Direction of travel at the start of a parsed element
+   * @param {Array} elements - Parsed elements
+   * @param {number} index - Element index
+   * @returns {Object|null} Unit vector
+   */
+  static getStartDirection(elements, index) {
+    const element = elements[index];
+    if (element.type === 'Line') return GeometryUtils.getUnitVector(element.start, element.end);
+    if (element.type === 'Curve') return this.getCurveDirection(element, element.start);
+    if (element.pi) return GeometryUtils.getUnitVector(element.start, element.pi);
+    return index > 0 ? this.getEndDirection(elements, index - 1) : null;
+  }
+
+  /**
+   * Direction of travel at the end of a parsed element
+   * @param {Array} elements - Parsed elements
+   * @param {number} index - Element index
+   * @returns {Object|null} Unit vector
+   */
+  static getEndDirection(elements, index) {
+    const element = elements[index];
+    if (element.type === 'Line') return GeometryUtils.getUnitVector(element.start, element.end);
+    if (element.type === 'Curve') return this.getCurveDirection(element, element.end);
+    if (element.pi) return GeometryUtils.getUnitVector(element.pi, element.end);
+    return index < elements.length - 1 ? this.getStartDirection(elements, index + 1) : null;
+  }
+
+  /**
+   * Direction of travel at a point on a parsed curve
+   * @param {Object} curve - Parsed Curve element
+   * @param {Object} point - Point on the curve
+   * @returns {Object} Unit vector
+   */
+  static getCurveDirection(curve, point) {
+    const radial = GeometryUtils.getUnitVector(curve.center, point);
+    // The centre is on the right of travel for right (clockwise) turns
+    return curve.isRightTurn
+      ? { x: -radial.y, y: radial.x }
+      : { x: radial.y, y: -radial.x };
+  }
+
+  /**
+   * Read named CgPoints so elements can refer to them with pntRef
+   * @param {Document} doc - LandXML document
+   * @returns {Map} Point name -> world point
+   */
+  static readCgPoints(doc) {
+    const points = new Map();
+    Array.from(doc.getElementsByTagNameNS('*', 'CgPoint')).forEach(node => {
+      const name = node.getAttribute('name');
+      const point = this.parseCoordinates(node.textContent);
+      if (name && point) points.set(name, point);
+    });
+    return points;
+  }
+
+  /**
+   * Read a point element, either inline "N E" text or a pntRef
+   * @param {Element} node - Point element
+   * @param {Map} cgPoints - Named CgPoints
+   * @returns {Object|null} World point
+   */
+  static readPoint(node, cgPoints) {
+    const ref = node.getAttribute('pntRef');
+    if (ref && cgPoints.has(ref)) return { ...cgPoints.get(ref) };
+    return this.parseCoordinates(node.textContent);
+  }
+
+  /**
+   * Parse "northing easting [elevation]" text into a world point
+   * @param {string} text - Coordinate text
+   * @returns {Object|null} World point
+   */
+  static parseCoordinates(text) {
+    const values = (text || '').trim().split(/[\s,]+/).map(Number);
+    if (values.length < 2 || !Number.isFinite(values[0]) || !Number.isFinite(values[1])) return null;
+    return Viewport.fromEastingNorthing(values[1], values[0]);
+  }
+
+  /**
+   * Parse a radius attribute, where INF (or a missing value) means a straight
+   * @param {string|null} value - Attribute value
+   * @returns {number} Radius
+   */
+  static readRadius(value) {
+    if (!value || /^inf/i.test(value)) return Infinity;
+    const radius = parseFloat(value);
+    return radius > 0 ? radius : Infinity;
+  }
+
+  /**
+   * Format a world point as LandXML "northing easting"
+   * @param {Object} point - World point
+   * @returns {string} Coordinate text
+   */
+  static formatPoint(point) {
+    const { easting, northing } = Viewport.toEastingNorthing(point);
+    return `${this.formatNumber(northing)} ${this.formatNumber(easting)}`;
+  }
+
+  /**
+   * Azimuth of a direction vector in decimal degrees
+   * @param {Object} direction - Unit vector
+   * @returns {number} Degrees clockwise from north
+   */
+  static toAzimuth(direction) {
+    return GeometryUtils.calculateBearing({ x: 0, y: 0 }, direction) * 180 / Math.PI;
+  }
+
+  /**
+   * Format a number for output
+   * @param {number} value - Value
+   * @param {number} decimals - Decimal places
+   * @returns {string} Formatted number
+   */
+  static formatNumber(value, decimals = 6) {
+    return Number(value).toFixed(decimals);
+  }
+
+  /**
+   * Escape text for use in an XML attribute
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Element children of a node (skipping text and comments)
+   * @param {Element} node - Parent node
+   * @returns {Array} Child elements
+   */
+  static childElements(node) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+  }
+}
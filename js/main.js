@@ -3,6 +3,32 @@ import { GeometryUtils } from './geometry.js';
 import { AlignmentCalculations } from './alignment-calculations.js';
 import { CanvasRenderer } from './canvas-renderer.js';
 import { UIManager } from './ui-manager.js';
+import { Stationing } from './stationing.js';
+import { VerticalCalculations } from './vertical-alignment.js';
+import { ProfileRenderer } from './profile-renderer.js';
+import { Viewport } from './viewport.js';
+import { ProjectIO } from './project-io.js';
+import { FileUtils } from './file-utils.js';
+import { LandXML } from './landxml.js';
+import { DxfExport } from './dxf-export.js';
+import { CommandHistory } from './command-history.js';
+import { Snapping } from './snapping.js';
+import { CoordinateInput } from './coordinate-input.js';
+import { AlignmentEditing } from './alignment-editing.js';
+import { CurveDefinitions } from './curve-definitions.js';
+import { AlignmentValidation } from './alignment-validation.js';
+import { DesignCriteria, DESIGN_STANDARDS } from './design-criteria.js';
+import { Superelevation } from './superelevation.js';
+import { SuperelevationRenderer } from './superelevation-renderer.js';
+import { SettingOut } from './setting-out.js';
+import { GeometryReport } from './geometry-report.js';
+import { SvgExport, PAPER_SIZES } from './svg-export.js';
+import { CrossSection } from './cross-section.js';
+import { Widening } from './widening.js';
+import { SweptPath } from './swept-path.js';
+import { DESIGN_VEHICLES } from './design-vehicles.js';
+import { SightDistance } from './sight-distance.js';
+import { SurveyPoints } from './survey-points.js';
 
 class AlignmentTool {
   constructor() {
@@ -10,8 +36,21 @@ class AlignmentTool {
     this.ctx = this.canvas.getContext('2d');
     
     // Initialize modules
-    this.renderer = new CanvasRenderer(this.canvas, this.ctx);
+    this.viewport = new Viewport(4, 0, this.canvas.height); // Origin at the bottom-left corner
+    this.renderer = new CanvasRenderer(this.canvas, this.ctx, this.viewport);
     this.uiManager = new UIManager();
+    this.history = new CommandHistory();
+    
+    // Profile (vertical alignment) view
+    this.profileCanvas = document.getElementById('profileCanvas');
+    this.profileRenderer = new ProfileRenderer(this.profileCanvas, this.profileCanvas.getContext('2d'));
+    
+    // Superelevation diagram
+    this.superelevationCanvas = document.getElementById('superelevationCanvas');
+    this.superelevationRenderer = new SuperelevationRenderer(
+      this.superelevationCanvas,
+      this.superelevationCanvas.getContext('2d')
+    );
     
     // State management
     this.isDrawing = false;
@@ -20,13 +59,35 @@ class AlignmentTool {
     this.selectedAlignment = null; // New property to track which alignment shows grips
     this.tempPoints = [];
     this.tempCurvePoints = [];
+    this.extendTarget = null; // {alignment, atStart} while drawing an extension of an existing alignment
     this.draggedPoint = null;
     this.draggedCurvePoint = null;
     this.dragOffset = { x: 0, y: 0 };
     this.alignments = [];
     this.defaultRadius = 100;
-    this.tolerance = 15;
+    this.tolerance = 15; // Pick tolerance in screen pixels
+    this.snapSettings = Snapping.createDefaultSettings();
+    this.validationSettings = AlignmentValidation.createDefaultSettings();
+    this.settingOutSettings = { interval: 10, includeOffsets: true };
+    this.planSheetSettings = { paper: 'A3', scale: 1000, title: '', drawnBy: '' };
+    this.sweptPathSettings = { vehicle: 'WB19', lane: 'Centreline' }; // Lane: label from SweptPath.getLaneOffsets
+    this.sweptPathCache = null; // Last swept path and the inputs it was run for
+    this.sightDistanceCache = null; // Last sight distance check and the inputs it was run for
+    this.obstructionPoints = null; // Points of the obstruction being placed, while placing one
+    this.surveyPoints = []; // Imported survey points; a backdrop to the design, outside the undo history
+    this.surveySettings = { format: 'PNEZD', showLabels: true, hiddenCodes: [] }; // Format: key of POINT_FORMATS
+    this.isPanning = false;
+    this.lastPanPos = null;
     this.selectedElement = null;
+    this.selectedIpIndex = null; // IP of the current alignment targeted by the command line
+    this.isInquiryMode = false;
+    this.isProfileVisible = false;
+    this.isSuperelevationVisible = false;
+    this.isSweptPathVisible = false;
+    this.isSightLinesVisible = true;
+    this.selectedPviIndex = null;
+    this.draggedPviIndex = null;
+    this.profileDragMoved = false;
     
     this.init();
   }
@@ -34,7 +95,10 @@ class AlignmentTool {
   init() {
     this.setupCanvas();
     this.setupEventListeners();
-    this.uiManager.initializeCoordinateDisplay(this.canvas.height);
+    this.uiManager.initializeCoordinateDisplay();
+    this.updateHistoryControls();
+    this.uiManager.updateSnapControls(this.snapSettings);
+    this.updateSurveyControls();
     this.draw();
   }
   
@@ -45,12 +109,30 @@ class AlignmentTool {
   
   resizeCanvas() {
     const rect = this.canvas.getBoundingClientRect();
+    
+    // Keep the world origin at the bottom-left corner so northings start positive
+    this.viewport.pan(0, rect.height - this.canvas.height);
+    
     this.canvas.width = rect.width;
     this.canvas.height = rect.height;
-    this.uiManager.initializeCoordinateDisplay(this.canvas.height);
+    this.uiManager.updateScaleDisplay(this.viewport.scale);
+    this.resizeProfileCanvas();
+    this.resizeSuperelevationCanvas();
     this.draw();
   }
   
+  resizeProfileCanvas() {
+    const rect = this.profileCanvas.getBoundingClientRect();
+    this.profileCanvas.width = rect.width;
+    this.profileCanvas.height = rect.height;
+  }
+  
+  resizeSuperelevationCanvas() {
+    const rect = this.superelevationCanvas.getBoundingClientRect();
+    this.superelevationCanvas.width = rect.width;
+    this.superelevationCanvas.height = rect.height;
+  }
+  
   setupEventListeners() {
     // Register callbacks with UI manager
     this.uiManager.registerCallbacks({
@@ -60,11 +142,57 @@ class AlignmentTool {
       cancelNaming: () => this.cancelNaming(),
       finishDrawing: () => this.finishDrawing(),
       isDrawing: () => this.isDrawing,
-      updateRadius: (radius) => this.updateRadius(radius),
-      updateRoadMarkings: (settings) => this.updateRoadMarkings(settings)
+      updateRadius: (radius, spiralLengths, constraint) => this.updateRadius(radius, spiralLengths, constraint),
+      updateRoadMarkings: (settings) => this.updateRoadMarkings(settings),
+      showCrossSection: () => this.showCrossSection(),
+      updateCrossSection: (template, componentMap) => this.updateCrossSection(template, componentMap),
+      showWidening: () => this.showWidening(),
+      getCurveWidening: () => this.getCurveWidening(),
+      updateWidenings: (regions, curveWidening) => this.updateWidenings(regions, curveWidening),
+      updateStartChainage: (chainage) => this.updateStartChainage(chainage),
+      updateStationing: (settings) => this.updateStationing(settings),
+      toggleInquiryMode: () => this.toggleInquiryMode(),
+      toggleProfile: () => this.toggleProfile(),
+      toggleSuperelevation: () => this.toggleSuperelevation(),
+      showSettingOut: () => this.showSettingOut(),
+      updateSettingOut: (settings) => this.updateSettingOut(settings),
+      exportSettingOut: () => this.exportSettingOut(),
+      showGeometryReport: () => this.showGeometryReport(),
+      exportGeometryReport: (format) => this.exportGeometryReport(format),
+      updatePvi: (index, values) => this.updatePvi(index, values),
+      deletePvi: (index) => this.deletePvi(index),
+      openProject: (file) => this.openProject(file),
+      saveProject: () => this.saveProject(),
+      importLandXml: (file) => this.importLandXml(file),
+      importSurveyPoints: (file) => this.importSurveyPoints(file),
+      updateSurveySettings: (settings) => this.updateSurveySettings(settings),
+      toggleSurveyCode: (code, isVisible) => this.toggleSurveyCode(code, isVisible),
+      clearSurveyPoints: () => this.clearSurveyPoints(),
+      exportLandXml: () => this.exportLandXml(),
+      exportDxf: () => this.exportDxf(),
+      exportSvg: () => this.exportSvg(),
+      showPlanSheet: () => this.showPlanSheet(),
+      updatePlanSheet: (settings) => this.updatePlanSheet(settings),
+      exportPlanSheet: (format) => this.exportPlanSheet(format),
+      undo: () => this.undo(),
+      redo: () => this.redo(),
+      toggleSnap: (mode) => this.toggleSnap(mode),
+      updateSnapSettings: (settings) => this.updateSnapSettings(settings),
+      enterCoordinate: (text) => this.enterCoordinate(text),
+      extendAlignment: (atStart) => this.startExtension(atStart),
+      updateValidationSettings: (settings) => this.updateValidationSettings(settings),
+      selectIssue: (index) => this.selectIssue(index),
+      updateDesignCriteria: (settings) => this.updateDesignCriteria(settings),
+      getMinimumRadius: () => this.getMinimumRadius(),
+      toggleSweptPath: () => this.toggleSweptPath(),
+      updateSweptPath: (settings) => this.updateSweptPath(settings),
+      toggleSightLines: (isVisible) => this.toggleSightLines(isVisible),
+      placeObstruction: () => this.placeObstruction(),
+      clearObstructions: () => this.clearObstructions()
     });
     
     this.uiManager.setupEventListeners();
+    this.uiManager.updateSweptPathControls(this.sweptPathSettings, this.isSweptPathVisible);
     
     // Canvas Events
     this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
@@ -73,11 +201,35 @@ class AlignmentTool {
     this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
     this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
     this.canvas.addEventListener('mouseleave', (e) => this.handleMouseLeave(e));
+    this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    
+    // Project files dropped onto the canvas
+    this.canvas.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      this.uiManager.setDropHighlight(this.canvas, true);
+    });
+    this.canvas.addEventListener('dragleave', () => this.uiManager.setDropHighlight(this.canvas, false));
+    this.canvas.addEventListener('drop', (e) => this.handleDrop(e));
+    
+    // Profile Canvas Events
+    this.profileCanvas.addEventListener('click', (e) => this.handleProfileClick(e));
+    this.profileCanvas.addEventListener('contextmenu', (e) => this.handleProfileRightClick(e));
+    this.profileCanvas.addEventListener('mousedown', (e) => this.handleProfileMouseDown(e));
+    this.profileCanvas.addEventListener('mousemove', (e) => this.handleProfileMouseMove(e));
+    this.profileCanvas.addEventListener('mouseup', (e) => this.handleProfileMouseUp(e));
+    this.profileCanvas.addEventListener('mouseleave', (e) => this.handleProfileMouseUp(e));
+    
+    // Superelevation diagram - clicking selects the curve at that chainage
+    this.superelevationCanvas.addEventListener('click', (e) => this.handleSuperelevationClick(e));
     
     // Mouse move for coordinate display
     this.canvas.addEventListener('mousemove', (e) => {
       const mousePos = this.getMousePos(e);
-      this.uiManager.updateCoordinateDisplay(mousePos, this.canvas.height);
+      this.uiManager.updateCoordinateDisplay(mousePos);
+      
+      if (this.isInquiryMode) {
+        this.updateInquiry(mousePos);
+      }
     });
     
     // Keyboard events for deletion
@@ -89,6 +241,18 @@ class AlignmentTool {
         e.preventDefault(); // Prevent default browser behavior
         this.deleteSelectedAlignment();
       }
+      
+      // Ctrl+Z undo, Ctrl+Shift+Z (or Ctrl+Y) redo
+      if ((e.ctrlKey || e.metaKey) && !e.target.matches('input, textarea')) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          this.redo();
+        }
+      }
     });
   }
   
@@ -99,15 +263,23 @@ class AlignmentTool {
     this.uiManager.showControlsPanel();
     this.uiManager.hideCreateAlignmentButton();
     this.uiManager.setCanvasMode(this.canvas, 'drawing');
+    this.draw();
   }
   
   cancelDrawing() {
+    if (this.extendTarget) {
+      this.endExtension();
+      return;
+    }
+    
     this.isDrawing = false;
+    this.renderer.setSnap(null);
     this.tempPoints = [];
     this.tempCurvePoints = [];
     this.selectedAlignment = null; // Clear selection when canceling
     this.currentAlignment = null;
     this.selectedElement = null;
+    this.selectedIpIndex = null;
     this.uiManager.hideControlsPanel();
     this.uiManager.showCreateAlignmentButton();
     this.uiManager.hideAlignmentInfo();
@@ -116,8 +288,11 @@ class AlignmentTool {
   }
   
   handleCanvasClick(e) {
-    if (this.isDrawing) {
-      const point = this.getMousePos(e);
+    if (this.obstructionPoints) {
+      this.obstructionPoints.push(this.getMousePos(e));
+      this.draw();
+    } else if (this.isDrawing) {
+      const { point } = this.snapPosition(this.getMousePos(e), this.getDrawingSnapContext());
       this.tempPoints.push(point);
       this.draw();
     } else {
@@ -137,6 +312,10 @@ class AlignmentTool {
         this.selectedAlignment = clickedAlignment;
         this.currentAlignment = clickedAlignment; // Also make it current for element interaction
         
+        // A clicked IP becomes the target of command-line edits
+        const ip = this.getPointAt(mousePos, clickedAlignment.points);
+        this.selectedIpIndex = ip ? clickedAlignment.points.indexOf(ip) : null;
+        
         // Check if we clicked on a specific element within the alignment
         const element = this.getElementAt(mousePos);
         if (element) {
@@ -154,6 +333,7 @@ class AlignmentTool {
         this.selectedAlignment = null;
         this.currentAlignment = null;
         this.selectedElement = null;
+        this.selectedIpIndex = null;
         this.updateSelectedElementInfo();
         this.uiManager.hideAlignmentInfo();
         this.draw();
@@ -163,29 +343,56 @@ class AlignmentTool {
   
   handleRightClick(e) {
     e.preventDefault();
-    if (this.isDrawing && this.tempPoints.length >= 2) {
+    if (this.obstructionPoints) {
+      this.finishObstruction();
+    } else if (this.isDrawing && this.tempPoints.length >= 2) {
       this.finishDrawing();
-    } else if (this.currentAlignment) {
+    } else if (this.currentAlignment && !this.isDrawing) {
       const mousePos = this.getMousePos(e);
+      const ip = this.getPointAt(mousePos, this.currentAlignment.points);
       const element = this.getElementAt(mousePos);
       
-      if (element && element.type === 'arc') {
+      if (ip) {
+        this.deleteIp(this.currentAlignment.points.indexOf(ip));
+      } else if (element && element.type === 'tangent') {
+        const projection = AlignmentCalculations.projectPointOnElement(mousePos, element);
+        this.insertIp(element.segmentIndex + 1, projection.point);
+      } else if (element && element.type === 'arc') {
         this.selectedElement = element;
         console.log('Right-clicked arc element:', element);
         this.updateSelectedElementInfo();
-        this.uiManager.showRadiusDialog(element);
+        this.uiManager.showRadiusDialog(element, this.currentAlignment.curveConstraints?.[element.ipIndex]);
+        this.draw();
+      } else if (element && element.type === 'spiral') {
+        // Spirals are edited through the curve dialog of their IP
+        const arc = this.currentAlignment.elements.find(el => 
+          el.type === 'arc' && el.ipIndex === element.ipIndex
+        );
+        this.selectedElement = element;
+        this.updateSelectedElementInfo();
+        if (arc) this.uiManager.showRadiusDialog(arc, this.currentAlignment.curveConstraints?.[arc.ipIndex]);
         this.draw();
       }
     }
   }
   
   handleMouseDown(e) {
-    if (!this.isDrawing && this.currentAlignment) {
+    // Middle button pans the view
+    if (e.button === 1) {
+      e.preventDefault();
+      this.isPanning = true;
+      this.lastPanPos = this.getScreenPos(e);
+      this.uiManager.setCanvasMode(this.canvas, 'dragging');
+      return;
+    }
+    
+    if (e.button === 0 && !this.isDrawing && !this.obstructionPoints && this.currentAlignment) {
       const mousePos = this.getMousePos(e);
       const point = this.getPointAt(mousePos, this.currentAlignment.points);
       const curvePoint = this.getPointAt(mousePos, this.currentAlignment.curvePoints);
       
       if (point) {
+        this.history.begin('Move IP', this.captureState());
         this.isEditing = true;
         this.draggedPoint = point;
         this.dragOffset = {
@@ -195,6 +402,7 @@ class AlignmentTool {
         this.uiManager.setCanvasMode(this.canvas, 'dragging');
       }
       else if (curvePoint) {
+        this.history.begin('Move curve point', this.captureState());
         this.isEditing = true;
         this.draggedCurvePoint = curvePoint;
         this.dragOffset = {
@@ -207,11 +415,22 @@ class AlignmentTool {
   }
   
   handleMouseMove(e) {
-    if (this.isEditing && this.draggedPoint) {
+    if (this.isPanning) {
+      const screenPos = this.getScreenPos(e);
+      this.viewport.pan(screenPos.x - this.lastPanPos.x, screenPos.y - this.lastPanPos.y);
+      this.lastPanPos = screenPos;
+      this.draw();
+    }
+    else if (this.isEditing && this.draggedPoint) {
       const mousePos = this.getMousePos(e);
-      this.draggedPoint.x = mousePos.x - this.dragOffset.x;
-      this.draggedPoint.y = mousePos.y - this.dragOffset.y;
-      this.recalculateAlignment();
+      const { point } = this.snapPosition(
+        { x: mousePos.x - this.dragOffset.x, y: mousePos.y - this.dragOffset.y },
+        this.getDragSnapContext()
+      );
+      const reference = this.getMoveReference(this.draggedPoint);
+      this.draggedPoint.x = point.x;
+      this.draggedPoint.y = point.y;
+      this.recalculateAlignment(reference);
       this.draw();
     } 
     else if (this.isEditing && this.draggedCurvePoint) {
@@ -231,69 +450,330 @@ class AlignmentTool {
       const isHoveringInteractive = point || curvePoint || element;
       this.uiManager.setHoverCursor(this.canvas, isHoveringInteractive);
     }
-    else if (this.isDrawing && this.uiManager.currentCursorMode === 'create') {
-      console.log('Mousemove - isDrawing', this.isDrawing);
-      console.log('ui-manager', this.uiManager.currentCursorMode);
-      // set hover cursor to crosshair
-      
-      
+    else if (this.isDrawing) {
+      // Show where the next IP would snap to
+      this.snapPosition(this.getMousePos(e), this.getDrawingSnapContext());
+      this.draw();
     }
   }
   
   handleMouseUp(e) {
+    if (this.isPanning) {
+      this.endPan();
+    }
     if (this.isEditing) {
       this.isEditing = false;
       this.draggedPoint = null;
       this.draggedCurvePoint = null;
       this.uiManager.setCanvasMode(this.canvas, 'normal');
+      this.renderer.setSnap(null);
+      
+      // The whole drag is one undo step
+      this.history.commit(this.captureState());
+      this.updateHistoryControls();
+      
+      // Rerun the analyses held back while dragging
+      this.updateSelectedElementInfo();
+      this.draw();
     }
   }
   
   handleMouseLeave(e) {
+    if (this.isPanning) {
+      this.endPan();
+    }
+    if (this.renderer.snap && !this.isEditing) {
+      this.renderer.setSnap(null);
+      this.draw();
+    }
     // Reset cursor to default when mouse leaves canvas
     if (!this.isDrawing && !this.isEditing) {
       this.uiManager.setCanvasMode(this.canvas, 'normal');
     }
   }
   
+  /**
+   * Finish a middle-button pan
+   */
+  endPan() {
+    this.isPanning = false;
+    this.lastPanPos = null;
+    this.uiManager.setCanvasMode(this.canvas, this.isDrawing ? 'drawing' : 'normal');
+  }
+  
+  /**
+   * Snap a position using the active snap modes and show the snap glyph
+   * @param {Object} position - Unsnapped world position
+   * @param {Object} context - {excludeAlignment, anchor, previousPoint}
+   * @returns {Object} {point, snap} where point is the position to use
+   */
+  snapPosition(position, context) {
+    const snap = Snapping.findSnap(position, {
+      ...context,
+      settings: this.snapSettings,
+      alignments: this.alignments,
+      surveyPoints: this.getVisibleSurveyPoints(),
+      tolerance: this.getPickTolerance(),
+      gridSize: this.renderer.getGridSize()
+    });
+    this.renderer.setSnap(snap);
+    return { point: snap ? { ...snap.point } : position, snap };
+  }
+  
+  /**
+   * Snap context for placing the next IP of a new alignment
+   * @returns {Object} {excludeAlignment, anchor, previousPoint}
+   */
+  getDrawingSnapContext() {
+    const count = this.tempPoints.length;
+    return {
+      excludeAlignment: null,
+      anchor: this.tempPoints[count - 1] || null,
+      previousPoint: this.tempPoints[count - 2] || this.getExtensionNeighbour()
+    };
+  }
+  
+  /**
+   * Snap context for the IP being dragged; its own alignment is moving so isn't a target
+   * @returns {Object} {excludeAlignment, anchor, previousPoint}
+   */
+  getDragSnapContext() {
+    const index = this.currentAlignment.points.indexOf(this.draggedPoint);
+    return {
+      excludeAlignment: this.currentAlignment,
+      anchor: this.currentAlignment.points[index - 1] || null,
+      previousPoint: this.currentAlignment.points[index - 2] || null
+    };
+  }
+  
+  toggleSnap(mode) {
+    this.updateSnapSettings({ [mode]: !this.snapSettings[mode] });
+  }
+  
+  updateSnapSettings(settings) {
+    this.snapSettings = { ...this.snapSettings, ...settings };
+    this.uiManager.updateSnapControls(this.snapSettings);
+  }
+  
+  /**
+   * Zoom the plan view about the cursor
+   * @param {WheelEvent} e - Wheel event
+   */
+  handleWheel(e) {
+    e.preventDefault();
+    const factor = e.deltaY < 0 ? 1.2 : 1 / 1.2;
+    this.viewport.zoomAt(this.getScreenPos(e), factor);
+    this.uiManager.updateScaleDisplay(this.viewport.scale);
+    this.draw();
+  }
+  
+  /**
+   * Apply a command-line entry: the next point while drawing, otherwise new
+   * coordinates for the selected IP. Relative entries start from the last point
+   * drawn (or the IP itself when editing); polar entries from the previous IP.
+   * @param {string} text - Entry, e.g. "1200,3400", "@50,0" or "N45E<120"
+   */
+  enterCoordinate(text) {
+    try {
+      if (this.isDrawing) {
+        // An empty entry finishes the alignment, like Enter on the canvas
+        if (!text.trim() && this.tempPoints.length >= 2) {
+          this.uiManager.setCommandResult(null);
+          this.finishDrawing();
+          return;
+        }
+        
+        const lastPoint = this.tempPoints[this.tempPoints.length - 1] || null;
+        this.tempPoints.push(CoordinateInput.parse(text, lastPoint));
+      } else {
+        const ip = this.getSelectedIp();
+        if (!ip) return;
+        
+        const points = this.currentAlignment.points;
+        const previous = points[this.selectedIpIndex - 1] || null;
+        const position = CoordinateInput.parse(text, ip, previous);
+        
+        const before = this.captureState();
+        const reference = this.getMoveReference(ip);
+        ip.x = position.x;
+        ip.y = position.y;
+        this.recalculateAlignment(reference);
+        this.pushHistory('Edit IP', before);
+      }
+      
+      this.uiManager.setCommandResult(null);
+      this.draw();
+    } catch (error) {
+      this.uiManager.setCommandResult(error.message);
+    }
+  }
+  
+  /**
+   * The IP targeted by command-line edits
+   * @returns {Object|null} IP of the current alignment, or null
+   */
+  getSelectedIp() {
+    if (this.isDrawing || !this.currentAlignment || this.selectedIpIndex === null) return null;
+    return this.currentAlignment.points[this.selectedIpIndex] || null;
+  }
+  
+  /**
+   * Show the command line while drawing or with an IP selected, prompting for the next entry
+   */
+  updateCommandBar() {
+    if (this.isDrawing) {
+      const count = this.tempPoints.length;
+      const prompt = this.extendTarget ? `Extension point ${count}` : `Point ${count + 1}`;
+      this.uiManager.updateCommandBar(count >= 2 ? `${prompt} (Enter to finish):` : `${prompt}:`);
+    } else if (this.getSelectedIp()) {
+      this.uiManager.updateCommandBar(`Move IP ${this.selectedIpIndex}:`);
+    } else {
+      this.uiManager.updateCommandBar(null);
+    }
+  }
+  
   finishDrawing() {
-    if (this.tempPoints.length >= 2) {
+    if (this.extendTarget) {
+      if (this.tempPoints.length >= 2) this.applyExtension();
+    } else if (this.tempPoints.length >= 2) {
       this.uiManager.showNameModal();
     }
   }
   
+  /**
+   * Insert an IP on the current alignment; its curve gets the default radius
+   * @param {number} index - Index the new IP takes
+   * @param {Object} point - World point on the tangent being split
+   */
+  insertIp(index, point) {
+    const before = this.captureState();
+    AlignmentEditing.insertIp(this.currentAlignment, index, point, this.defaultRadius);
+    this.selectedElement = null;
+    this.selectedIpIndex = index;
+    this.recalculateAlignment();
+    this.updateSelectedElementInfo();
+    this.pushHistory('Insert IP', before);
+    this.draw();
+  }
+  
+  /**
+   * Delete an IP from the current alignment, keeping at least two points
+   * @param {number} index - Index of the IP
+   */
+  deleteIp(index) {
+    const before = this.captureState();
+    const points = this.currentAlignment.points;
+    const reference = index === 0 && points.length > 2
+      ? this.getStationReference(this.currentAlignment, Math.min(2, points.length - 1), Math.min(2, points.length - 1) - 1)
+      : null;
+    if (!AlignmentEditing.deleteIp(this.currentAlignment, index)) {
+      this.uiManager.showNotice('An alignment needs at least two points.');
+      return;
+    }
+    this.selectedElement = null;
+    this.selectedIpIndex = null;
+    this.recalculateAlignment(reference);
+    this.updateSelectedElementInfo();
+    this.pushHistory('Delete IP', before);
+    this.draw();
+  }
+  
+  /**
+   * Start drawing new IPs beyond one end of the selected alignment
+   * @param {boolean} atStart - Extend from the first IP rather than the last
+   */
+  startExtension(atStart) {
+    const alignment = this.selectedAlignment;
+    if (!alignment || this.isDrawing) return;
+    
+    const points = alignment.points;
+    this.extendTarget = { alignment, atStart };
+    this.isDrawing = true;
+    this.tempPoints = [{ ...points[atStart ? 0 : points.length - 1] }];
+    this.tempCurvePoints = [];
+    this.selectedElement = null;
+    this.selectedIpIndex = null;
+    this.updateSelectedElementInfo();
+    this.uiManager.showControlsPanel();
+    this.uiManager.hideCreateAlignmentButton();
+    this.uiManager.setCanvasMode(this.canvas, 'drawing');
+    this.draw();
+  }
+  
+  /**
+   * The IP next to the end being extended, so bearing lock measures deflection from the end tangent
+   * @returns {Object|null} IP, or null when not extending
+   */
+  getExtensionNeighbour() {
+    if (!this.extendTarget || this.tempPoints.length !== 1) return null;
+    const points = this.extendTarget.alignment.points;
+    return this.extendTarget.atStart ? points[1] : points[points.length - 2];
+  }
+  
+  /**
+   * Add the drawn points to the alignment being extended
+   */
+  applyExtension() {
+    const { alignment, atStart } = this.extendTarget;
+    const before = this.captureState();
+    
+    // The first temp point is the existing end IP
+    const count = this.tempPoints.length - 1;
+    const referenceIndex = Math.min(1, alignment.points.length - 1);
+    const reference = atStart ? this.getStationReference(alignment, referenceIndex, referenceIndex + count) : null;
+    AlignmentEditing.extend(alignment, this.tempPoints.slice(1), atStart, this.defaultRadius);
+    this.currentAlignment = alignment;
+    this.selectedAlignment = alignment;
+    this.recalculateAlignment(reference);
+    this.pushHistory('Extend alignment', before);
+    this.endExtension();
+  }
+  
+  /**
+   * Leave extension drawing, keeping the extended alignment selected
+   */
+  endExtension() {
+    this.extendTarget = null;
+    this.isDrawing = false;
+    this.renderer.setSnap(null);
+    this.tempPoints = [];
+    this.tempCurvePoints = [];
+    this.uiManager.hideControlsPanel();
+    this.uiManager.showCreateAlignmentButton();
+    this.uiManager.setCanvasMode(this.canvas, 'normal');
+    if (this.currentAlignment) {
+      this.uiManager.showAlignmentInfo(this.currentAlignment);
+    }
+    this.draw();
+  }
+  
   saveAlignment() {
     const name = this.uiManager.getAlignmentName();
     if (name) {
+      const before = this.captureState();
+      
       // Initialize radii object with default radius for all IPs
       const radii = { default: this.defaultRadius };
       for (let i = 1; i < this.tempPoints.length - 1; i++) {
         radii[i] = this.defaultRadius;
       }
       
-      // Calculate curve points from alignment elements
-      const elements = AlignmentCalculations.calculateAlignmentElements(
-        [...this.tempPoints], 
-        [], 
-        radii
-      );
-      
-      // Extract curve points from arc elements
-      const curvePoints = [];
-      elements.forEach(element => {
-        if (element.type === 'arc') {
-          curvePoints.push({ x: element.startPoint.x, y: element.startPoint.y });
-          curvePoints.push({ x: element.endPoint.x, y: element.endPoint.y });
-        }
-      });
-      
       this.currentAlignment = {
         name: name,
         points: [...this.tempPoints],
-        elements: elements,
-        curvePoints: curvePoints,
+        elements: [],
+        curvePoints: [],
         radii: radii, // Store individual radii
+        spirals: {}, // Per-IP transition spiral lengths {lengthIn, lengthOut}
+        curveConstraints: {}, // Per-IP parameter the radius is solved from {parameter, value}
+        designCriteria: DesignCriteria.createDefault(), // {standard, designSpeed, eMax}
+        crossSection: CrossSection.createDefault(), // Components each side {left, right}
+        widenings: [], // Width-change regions, see widening.js
+        curveWidening: false, // Whether curve widening regions are kept for every curve
+        obstructions: [], // Sight obstructions {points}, see sight-distance.js
+        startChainage: 0
       };
+      this.rebuildAlignmentGeometry(this.currentAlignment);
       this.alignments.push(this.currentAlignment);
       
       // Auto-select the newly created alignment to show grips
@@ -303,12 +783,13 @@ class AlignmentTool {
       this.uiManager.hideControlsPanel();
       this.uiManager.showCreateAlignmentButton(); // Show button again after saving
       this.uiManager.showAlignmentInfo(this.currentAlignment);
-      this.uiManager.logAlignmentData(this.currentAlignment);
       this.updateSelectedElementInfo(); // Initialize element info display
       this.isDrawing = false;
+      this.renderer.setSnap(null);
       this.tempPoints = [];
       this.tempCurvePoints = [];
       this.uiManager.setCanvasMode(this.canvas, 'normal');
+      this.pushHistory('Create alignment', before);
       this.draw();
     }
   }
@@ -318,7 +799,11 @@ class AlignmentTool {
     this.cancelDrawing();
   }
   
-  recalculateAlignment() {
+  /**
+   * Rebuild the current alignment and refresh everything that shows it
+   * @param {Object|null} stationReference - For edits at the start, see rebuildAlignmentGeometry
+   */
+  recalculateAlignment(stationReference = null) {
     if (this.currentAlignment) {
       // Ensure radii object exists, create if missing (for backward compatibility)
       if (!this.currentAlignment.radii) {
@@ -327,33 +812,32 @@ class AlignmentTool {
           this.currentAlignment.radii[i] = this.defaultRadius;
         }
       }
+      if (!this.currentAlignment.spirals) {
+        this.currentAlignment.spirals = {};
+      }
+      if (!this.currentAlignment.curveConstraints) {
+        this.currentAlignment.curveConstraints = {};
+      }
+      if (!this.currentAlignment.designCriteria) {
+        this.currentAlignment.designCriteria = DesignCriteria.createDefault();
+      }
+      if (!this.currentAlignment.crossSection) {
+        this.currentAlignment.crossSection = CrossSection.createDefault();
+      }
+      if (!this.currentAlignment.widenings) {
+        this.currentAlignment.widenings = [];
+      }
+      if (!this.currentAlignment.obstructions) {
+        this.currentAlignment.obstructions = [];
+      }
       
       // Recalculate elements using individual radii
-      const elements = AlignmentCalculations.calculateAlignmentElements(
-        this.currentAlignment.points, 
-        [], 
-        this.currentAlignment.radii
-      );
-      
-      // Update curve points from arc elements
-      const curvePoints = [];
-      elements.forEach(element => {
-        if (element.type === 'arc') {
-          curvePoints.push({ x: element.startPoint.x, y: element.startPoint.y });
-          curvePoints.push({ x: element.endPoint.x, y: element.endPoint.y });
-        }
-      });
-      
-      this.currentAlignment.elements = elements;
-      this.currentAlignment.curvePoints = curvePoints;
+      this.rebuildAlignmentGeometry(this.currentAlignment, stationReference);
       this.uiManager.updateAlignmentStats(this.currentAlignment);
-      this.uiManager.logAlignmentData(this.currentAlignment);
       
       // Update selected element reference if it exists
-      if (this.selectedElement && this.selectedElement.type === 'arc') {
-        this.selectedElement = this.currentAlignment.elements.find(el => 
-          el.type === 'arc' && el.ipIndex === this.selectedElement.ipIndex
-        );
+      if (this.selectedElement) {
+        this.selectedElement = this.findMatchingElement(this.currentAlignment.elements, this.selectedElement);
         this.updateSelectedElementInfo();
       }
       
@@ -361,12 +845,196 @@ class AlignmentTool {
     }
   }
   
+  /**
+   * Rebuild an alignment's ordered element chain, chainages and curve points from its IPs
+   *
+   * Chainages run from the start, so an edit there moves every station past it. Given the
+   * through chainage an IP past the edit had before it, everything designed to chainage
+   * moves with that IP and stays on the same ground.
+   * @param {Object} alignment - Alignment to rebuild
+   * @param {Object|null} stationReference - {ipIndex, chainage}: the IP's index after the
+   *   edit and its chainage before
+   */
+  rebuildAlignmentGeometry(alignment, stationReference = null) {
+    // Curves fixed by length, T, E etc. get the radius that holds that value at the current deflection
+    CurveDefinitions.applyConstraints(alignment);
+    
+    const elements = AlignmentCalculations.calculateAlignmentElements(
+      alignment.points, 
+      [], 
+      alignment.radii,
+      alignment.spirals
+    );
+    Stationing.assignChainages(elements, alignment.startChainage || 0);
+    
+    alignment.elements = elements;
+    
+    if (stationReference) {
+      this.shiftChainages(alignment, Stationing.getThroughChainage(alignment, stationReference.ipIndex) - stationReference.chainage);
+    }
+    
+    // Keep the profile ends on the (possibly lengthened or shortened) alignment
+    if (alignment.profile) {
+      VerticalCalculations.pinProfileToRange(alignment.profile, Stationing.getChainageRange(alignment));
+    }
+    
+    // Curve widening runs over the curves' runoff, wherever that now is
+    alignment.widenings = Widening.updateCurveWidening(alignment);
+    
+    // Extract curve points from arc elements
+    const curvePoints = [];
+    elements.forEach(element => {
+      if (element.type === 'arc') {
+        curvePoints.push({ x: element.startPoint.x, y: element.startPoint.y });
+        curvePoints.push({ x: element.endPoint.x, y: element.endPoint.y });
+      }
+    });
+    
+    alignment.curvePoints = curvePoints;
+    
+    // Derived like the elements, so never saved
+    alignment.issues = AlignmentValidation.validate(alignment, this.validationSettings);
+  }
+
+  /**
+   * Move everything designed to chainage along an alignment by the same distance
+   * @param {Object} alignment - Alignment
+   * @param {number} delta - Change in chainage
+   */
+  shiftChainages(alignment, delta) {
+    if (delta === 0) return;
+    VerticalCalculations.shiftProfile(alignment.profile, delta);
+    alignment.widenings = Widening.shift(alignment.widenings || [], delta);
+  }
+  
+  /**
+   * Reference for an edit at the start of an alignment: an IP past the edit
+   * @param {Object} alignment - Alignment before the edit
+   * @param {number} ipIndex - Index of the IP before the edit
+   * @param {number} indexAfter - Its index after the edit
+   * @returns {Object} Station reference for rebuildAlignmentGeometry
+   */
+  getStationReference(alignment, ipIndex, indexAfter = ipIndex) {
+    return { ipIndex: indexAfter, chainage: Stationing.getThroughChainage(alignment, ipIndex) };
+  }
+  
+  /**
+   * Reference for moving an IP of the current alignment; only moving the first IP
+   * moves the stations past it
+   * @param {Object} ip - IP about to move
+   * @returns {Object|null} Station reference, or null for other IPs
+   */
+  getMoveReference(ip) {
+    const points = this.currentAlignment.points;
+    return ip === points[0] ? this.getStationReference(this.currentAlignment, Math.min(2, points.length - 1)) : null;
+  }
+  
+  /**
+   * Find the element in a rebuilt chain that corresponds to a previous element
+   * @param {Array} elements - Rebuilt alignment elements
+   * @param {Object} element - Element from before the rebuild
+   * @returns {Object|null} Matching element, or null if it no longer exists
+   */
+  findMatchingElement(elements, element) {
+    return elements.find(el => 
+      el.type === element.type &&
+      el.ipIndex === element.ipIndex &&
+      el.isEntry === element.isEntry &&
+      el.segmentIndex === element.segmentIndex
+    ) || null;
+  }
+
+  /**
+   * Snapshot the design data and selection for the undo history
+   * @returns {Object} Snapshot {document, selection}
+   */
+  captureState() {
+    const element = this.selectedElement;
+    return {
+      document: JSON.stringify(this.alignments.map(alignment => ProjectIO.serializeAlignment(alignment))),
+      selection: {
+        selectedIndex: this.alignments.indexOf(this.selectedAlignment),
+        currentIndex: this.alignments.indexOf(this.currentAlignment),
+        element: element
+          ? { type: element.type, ipIndex: element.ipIndex, isEntry: element.isEntry, segmentIndex: element.segmentIndex }
+          : null,
+        pviIndex: this.selectedPviIndex,
+        ipIndex: this.selectedIpIndex
+      }
+    };
+  }
+  
+  /**
+   * Rebuild the drawing and selection from a history snapshot
+   * @param {Object} state - Snapshot from captureState
+   */
+  restoreState(state) {
+    this.alignments = JSON.parse(state.document).map(data => {
+      const alignment = ProjectIO.restoreAlignment(data, this.defaultRadius);
+      this.rebuildAlignmentGeometry(alignment);
+      return alignment;
+    });
+    
+    const { selectedIndex, currentIndex, element, pviIndex, ipIndex } = state.selection;
+    this.selectedAlignment = this.alignments[selectedIndex] || null;
+    this.currentAlignment = this.alignments[currentIndex] || null;
+    this.selectedElement = this.currentAlignment && element
+      ? this.findMatchingElement(this.currentAlignment.elements, element)
+      : null;
+    this.selectedPviIndex = pviIndex;
+    this.selectedIpIndex = this.currentAlignment ? ipIndex ?? null : null;
+    
+    if (this.currentAlignment) {
+      this.uiManager.showAlignmentInfo(this.currentAlignment);
+    } else {
+      this.uiManager.hideAlignmentInfo();
+    }
+    this.updateSelectedElementInfo();
+    this.draw();
+  }
+  
+  /**
+   * Record a finished edit as one undo step
+   * @param {string} label - Description of the edit
+   * @param {Object} before - Snapshot taken before the edit
+   */
+  pushHistory(label, before) {
+    this.history.push({ label, before, after: this.captureState() });
+    this.updateHistoryControls();
+  }
+  
+  undo() {
+    if (this.isDrawing || this.isEditing) return;
+    
+    const command = this.history.undo();
+    if (command) {
+      this.restoreState(command.before);
+    }
+    this.updateHistoryControls();
+  }
+  
+  redo() {
+    if (this.isDrawing || this.isEditing) return;
+    
+    const command = this.history.redo();
+    if (command) {
+      this.restoreState(command.after);
+    }
+    this.updateHistoryControls();
+  }
+  
+  updateHistoryControls() {
+    this.uiManager.updateHistoryButtons(this.history);
+  }
+  
   /**
    * Delete the currently selected alignment
    */
   deleteSelectedAlignment() {
     if (!this.selectedAlignment) return;
     
+    const before = this.captureState();
+    
     // Find and remove the alignment from the array
     const index = this.alignments.indexOf(this.selectedAlignment);
     if (index > -1) {
@@ -378,44 +1046,1023 @@ class AlignmentTool {
     this.selectedAlignment = null;
     this.currentAlignment = null;
     this.selectedElement = null;
+    this.selectedIpIndex = null;
     this.draggedPoint = null;
     this.draggedCurvePoint = null;
     
     // Update UI
     this.uiManager.hideAlignmentInfo();
     this.updateSelectedElementInfo();
+    this.pushHistory('Delete alignment', before);
     this.draw();
   }
   
-  updateRadius(newRadius) {
-    if (this.currentAlignment && this.selectedElement && this.selectedElement.type === 'arc') {
-      // Update the radius for the specific arc
-      const ipIndex = this.selectedElement.ipIndex;
-      if (ipIndex !== undefined) {
-        this.currentAlignment.radii[ipIndex] = newRadius;
-        this.recalculateAlignment();
-        
-        // Update the selected element to reflect the new radius
-        this.selectedElement = this.currentAlignment.elements.find(el => 
-          el.type === 'arc' && el.ipIndex === ipIndex
-        );
-        this.updateSelectedElementInfo();
-        
-        console.log(`Arc at IP ${ipIndex} radius updated to:`, newRadius);
-      }
-    } else {
-      // Fallback: update default radius for new alignments
-      this.defaultRadius = newRadius;
+  /**
+   * Download all alignments and display settings as a project file
+   */
+  saveProject() {
+    const project = ProjectIO.serializeProject({
+      alignments: this.alignments,
+      roadMarkings: this.renderer.roadMarkings,
+      stationing: this.renderer.stationing,
+      validation: this.validationSettings,
+      surveyPoints: this.surveyPoints,
+      survey: this.surveySettings
+    });
+    FileUtils.downloadText('alignment-project.json', JSON.stringify(project, null, 2), 'application/json');
+  }
+  
+  /**
+   * Read a project file chosen by the user and load it
+   * @param {File} file - Project file
+   * @returns {Promise} Resolves once the project is loaded (or the error reported)
+   */
+  openProject(file) {
+    return FileUtils.readAsText(file)
+      .then(text => this.loadProject(ProjectIO.parseProject(text)))
+      .catch(error => this.uiManager.showFileError('open project', error.message));
+  }
+  
+  /**
+   * Download all alignments as LandXML 1.2
+   */
+  exportLandXml() {
+    if (this.alignments.length === 0) {
+      this.uiManager.showFileError('export LandXML', 'There are no alignments to export.');
+      return;
+    }
+    FileUtils.downloadText('alignments.xml', LandXML.exportAlignments(this.alignments), 'application/xml');
+  }
+  
+  /**
+   * Download all alignments, road markings and stations as DXF
+   */
+  exportDxf() {
+    if (this.alignments.length === 0) {
+      this.uiManager.showFileError('export DXF', 'There are no alignments to export.');
+      return;
+    }
+    const dxf = DxfExport.exportAlignments(this.alignments, {
+      majorInterval: this.renderer.stationing.majorInterval,
+      minorInterval: this.renderer.stationing.minorInterval
+    });
+    FileUtils.downloadText('alignments.dxf', dxf, 'application/dxf');
+  }
+  
+  /**
+   * Setting-out table for the current alignment at the current settings
+   * @returns {Object} Result of SettingOut.generate
+   */
+  generateSettingOut() {
+    return SettingOut.generate(this.currentAlignment, this.settingOutSettings);
+  }
+  
+  /**
+   * Open the setting-out table for the current alignment
+   */
+  showSettingOut() {
+    if (!this.currentAlignment || this.currentAlignment.elements.length === 0) {
+      this.uiManager.showFileError('build a setting-out table', 'Select an alignment first.');
+      return;
+    }
+    this.uiManager.showSettingOutDialog(this.currentAlignment, this.generateSettingOut(), this.settingOutSettings);
+  }
+  
+  /**
+   * Change the setting-out interval or offset points and rebuild the table
+   * @param {Object} settings - Partial {interval, includeOffsets}
+   */
+  updateSettingOut(settings) {
+    this.settingOutSettings = { ...this.settingOutSettings, ...settings };
+    if (!this.currentAlignment) return;
+    this.uiManager.updateSettingOutTable(this.generateSettingOut());
+  }
+  
+  /**
+   * Download the current alignment's setting-out table as CSV
+   */
+  exportSettingOut() {
+    if (!this.currentAlignment) return;
+    const csv = SettingOut.toCsv(this.generateSettingOut());
+    FileUtils.downloadText(`${FileUtils.toFileName(this.currentAlignment.name)}_setting_out.csv`, csv, 'text/csv');
+  }
+  
+  /**
+   * Open the geometry report for the current alignment
+   */
+  showGeometryReport() {
+    if (!this.currentAlignment || this.currentAlignment.elements.length === 0) {
+      this.uiManager.showFileError('build a geometry report', 'Select an alignment first.');
+      return;
+    }
+    const report = GeometryReport.generate(this.currentAlignment);
+    this.uiManager.showGeometryReportDialog(report.name, GeometryReport.toHtmlTables(report));
+  }
+  
+  /**
+   * Download the current alignment's geometry report
+   * @param {string} format - 'html' (printable page) or 'csv'
+   */
+  exportGeometryReport(format) {
+    if (!this.currentAlignment) return;
+    const report = GeometryReport.generate(this.currentAlignment);
+    const fileName = `${FileUtils.toFileName(this.currentAlignment.name)}_geometry`;
+    if (format === 'csv') {
+      FileUtils.downloadText(`${fileName}.csv`, GeometryReport.toCsv(report), 'text/csv');
+    } else {
+      FileUtils.downloadText(`${fileName}.html`, GeometryReport.toHtml(report), 'text/html');
+    }
+  }
+  
+  /**
+   * Layers drawn over the plan besides the alignments, as the renderer takes them
+   * @returns {Object} {surveyPoints, sweptPath, sightDistance}, each null when not shown;
+   *   sightDistance leaves out the obstruction being placed
+   */
+  getLayers() {
+    return {
+      surveyPoints: this.surveyPoints.length > 0 ? {
+        points: this.getVisibleSurveyPoints(),
+        showLabels: this.surveySettings.showLabels
+      } : null,
+      sweptPath: this.getSweptPath(),
+      sightDistance: this.currentAlignment ? {
+        result: this.getSightDistance(),
+        obstructions: this.currentAlignment.obstructions || [],
+        pending: null,
+        showEnvelopes: this.isSightLinesVisible
+      } : null
+    };
+  }
+  
+  /**
+   * What the SVG exports draw: the alignments with the current road marking and station
+   * settings, and the layers shown on screen
+   * @returns {Object} Scene for SvgExport
+   */
+  getSvgScene() {
+    return {
+      alignments: this.alignments,
+      currentAlignment: this.currentAlignment,
+      roadMarkings: this.renderer.roadMarkings,
+      stationing: this.renderer.stationing,
+      layers: this.getLayers()
+    };
+  }
+  
+  /**
+   * Download the current view as SVG
+   */
+  exportSvg() {
+    if (this.alignments.length === 0) {
+      this.uiManager.showFileError('export SVG', 'There are no alignments to export.');
+      return;
+    }
+    const svg = SvgExport.exportView(this.getSvgScene(), this.viewport, this.canvas.width, this.canvas.height);
+    FileUtils.downloadText('alignments.svg', svg, 'image/svg+xml');
+  }
+  
+  /**
+   * Plan sheet for the current settings, centred on the middle of the current view
+   * @returns {Object} Sheet for SvgExport.exportSheet
+   */
+  getPlanSheet() {
+    const { paper, scale, title, drawnBy } = this.planSheetSettings;
+    return {
+      paper,
+      scale,
+      title: title || (this.currentAlignment ? this.currentAlignment.name : 'Alignment Plan'),
+      drawnBy,
+      date: new Date().toISOString().slice(0, 10),
+      center: this.viewport.screenToWorld({ x: this.canvas.width / 2, y: this.canvas.height / 2 })
+    };
+  }
+  
+  /**
+   * Open the plan sheet layout
+   */
+  showPlanSheet() {
+    if (this.alignments.length === 0) {
+      this.uiManager.showFileError('lay out a plan sheet', 'There are no alignments to draw.');
+      return;
+    }
+    const sheet = this.getPlanSheet();
+    this.uiManager.showPlanSheetDialog(sheet, SvgExport.exportSheet(this.getSvgScene(), sheet), SvgExport.getSheetBounds(sheet));
+  }
+  
+  /**
+   * Change the paper, scale or title block and refresh the preview
+   * @param {Object} settings - Partial {paper, scale, title, drawnBy}
+   */
+  updatePlanSheet(settings) {
+    this.planSheetSettings = { ...this.planSheetSettings, ...settings };
+    this.showPlanSheet();
+  }
+  
+  /**
+   * Download the plan sheet as SVG, or open it for printing (e.g. to PDF)
+   * @param {string} format - 'svg' or 'print'
+   */
+  exportPlanSheet(format) {
+    const sheet = this.getPlanSheet();
+    const svg = SvgExport.exportSheet(this.getSvgScene(), sheet);
+    const fileName = FileUtils.toFileName(sheet.title, 'plan');
+    
+    if (format === 'svg') {
+      FileUtils.downloadText(`${fileName}.svg`, svg, 'image/svg+xml');
+      return;
+    }
+    
+    const paper = PAPER_SIZES[sheet.paper];
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${FileUtils.escapeHtml(sheet.title)}</title>
+<style>
+  @page { size: ${paper.width}mm ${paper.height}mm; margin: 0; }
+  html, body { margin: 0; }
+  svg { display: block; }
+</style>
+</head>
+<body>
+${svg.replace(/^<\?xml[^>]*>\s*/, '')}
+</body>
+</html>
+`;
+    try {
+      FileUtils.printHtml(html);
+    } catch (error) {
+      this.uiManager.showFileError('print the plan sheet', error.message);
+    }
+  }
+  
+  /**
+   * Add the alignments in a LandXML file to the drawing
+   * @param {File} file - LandXML file
+   * @returns {Promise} Resolves once the alignments are added (or the error reported)
+   */
+  importLandXml(file) {
+    return FileUtils.readAsText(file)
+      .then(text => {
+        const imported = LandXML.importAlignments(text);
+        const before = this.captureState();
+        imported.forEach(data => {
+          const alignment = ProjectIO.restoreAlignment(data, this.defaultRadius);
+          this.rebuildAlignmentGeometry(alignment);
+          this.alignments.push(alignment);
+        });
+        this.pushHistory('Import LandXML', before);
+        this.zoomToAlignments();
+        this.draw();
+      })
+      .catch(error => this.uiManager.showFileError('import LandXML', error.message));
+  }
+  
+  /**
+   * Add the points in a survey point file, read in the chosen format; points with the
+   * number of one already imported replace it
+   * @param {File} file - PNEZD or PENZD point file
+   * @returns {Promise} Resolves once the points are added (or the error reported)
+   */
+  importSurveyPoints(file) {
+    return FileUtils.readAsText(file)
+      .then(text => {
+        const { points, skipped } = SurveyPoints.parse(text, this.surveySettings.format);
+        const numbers = new Set(points.map(point => point.number));
+        this.surveyPoints = [...this.surveyPoints.filter(point => !numbers.has(point.number)), ...points];
+        this.updateSurveyControls(skipped);
+        this.zoomToPoints(points);
+        this.draw();
+      })
+      .catch(error => this.uiManager.showFileError('import survey points', error.message));
+  }
+  
+  /**
+   * Update the survey point format and labelling
+   * @param {Object} settings - {format, showLabels}
+   */
+  updateSurveySettings(settings) {
+    this.surveySettings = { ...this.surveySettings, ...settings };
+    this.updateSurveyControls();
+    this.draw();
+  }
+  
+  /**
+   * Show or hide the survey points with a description code
+   * @param {string} code - Code from SurveyPoints.getCodes
+   * @param {boolean} isVisible - Whether to show the points
+   */
+  toggleSurveyCode(code, isVisible) {
+    const hiddenCodes = this.surveySettings.hiddenCodes.filter(hidden => hidden !== code);
+    if (!isVisible) hiddenCodes.push(code);
+    this.updateSurveySettings({ hiddenCodes });
+  }
+  
+  /**
+   * Remove every survey point
+   */
+  clearSurveyPoints() {
+    this.surveyPoints = [];
+    this.surveySettings = { ...this.surveySettings, hiddenCodes: [] };
+    this.updateSurveyControls();
+    this.draw();
+  }
+  
+  /**
+   * Survey points whose code is not filtered out
+   * @returns {Array} Points
+   */
+  getVisibleSurveyPoints() {
+    return SurveyPoints.filterVisible(this.surveyPoints, this.surveySettings.hiddenCodes);
+  }
+  
+  /**
+   * Refresh the survey panel
+   * @param {Array} skipped - Line numbers the last import skipped, if any
+   */
+  updateSurveyControls(skipped = []) {
+    this.uiManager.updateSurveyControls(
+      this.surveySettings,
+      SurveyPoints.getCodes(this.surveyPoints),
+      this.surveyPoints.length,
+      skipped
+    );
+  }
+  
+  /**
+   * Replace the current drawing with a parsed project
+   * @param {Object} project - Project data at the current version
+   */
+  loadProject(project) {
+    if (this.isDrawing) {
+      this.cancelDrawing();
+    }
+    
+    const { roadMarkings, stationing, validation, survey } = project.settings || {};
+    
+    // Before the rebuild, which validates against these minimums
+    if (validation) {
+      this.validationSettings = { ...AlignmentValidation.createDefaultSettings(), ...validation };
+      this.uiManager.updateValidationControls(this.validationSettings);
+    }
+    
+    this.alignments = project.alignments.map(data => {
+      const alignment = ProjectIO.restoreAlignment(data, this.defaultRadius);
+      this.rebuildAlignmentGeometry(alignment);
+      return alignment;
+    });
+    
+    if (roadMarkings) {
+      this.renderer.updateRoadMarkings(roadMarkings);
+      this.uiManager.updateRoadMarkingControls(this.renderer.roadMarkings);
+    }
+    if (stationing) {
+      this.renderer.updateStationing(stationing);
+      this.uiManager.updateStationingControls(this.renderer.stationing);
+    }
+    
+    this.surveyPoints = SurveyPoints.normalize(project.surveyPoints);
+    this.surveySettings = {
+      format: 'PNEZD',
+      showLabels: true,
+      ...survey,
+      hiddenCodes: [...(survey?.hiddenCodes || [])]
+    };
+    this.updateSurveyControls();
+    
+    // Start with nothing selected
+    this.currentAlignment = null;
+    this.selectedAlignment = null;
+    this.selectedElement = null;
+    this.selectedPviIndex = null;
+    this.selectedIpIndex = null;
+    this.uiManager.hideAlignmentInfo();
+    this.updateSelectedElementInfo();
+    
+    // Edits made before opening can't be undone into the new project
+    this.history.clear();
+    this.updateHistoryControls();
+    
+    if (this.alignments.length > 0) {
+      this.zoomToAlignments();
+    } else {
+      this.zoomToPoints(this.surveyPoints);
+    }
+    this.draw();
+  }
+  
+  /**
+   * Fit the view to the IPs of all alignments
+   */
+  zoomToAlignments() {
+    this.zoomToPoints(this.alignments.flatMap(alignment => alignment.points));
+  }
+  
+  /**
+   * Fit the view to a set of points
+   * @param {Array} points - World points
+   */
+  zoomToPoints(points) {
+    if (points.length === 0) return;
+    
+    // Reduced rather than spread: a survey can hold more points than a call takes arguments
+    const bounds = points.reduce((box, p) => ({
+      minX: Math.min(box.minX, p.x),
+      minY: Math.min(box.minY, p.y),
+      maxX: Math.max(box.maxX, p.x),
+      maxY: Math.max(box.maxY, p.y)
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    this.viewport.fitBounds(bounds, this.canvas.width, this.canvas.height);
+    this.uiManager.updateScaleDisplay(this.viewport.scale);
+  }
+  
+  /**
+   * Open a project, LandXML or survey point file dropped onto the canvas
+   * @param {DragEvent} e - Drop event
+   */
+  handleDrop(e) {
+    e.preventDefault();
+    this.uiManager.setDropHighlight(this.canvas, false);
+    
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.json')) {
+      this.openProject(file);
+    } else if (name.endsWith('.xml')) {
+      this.importLandXml(file);
+    } else if (/\.(csv|txt|pnt)$/.test(name)) {
+      this.importSurveyPoints(file);
+    } else {
+      this.uiManager.showFileError('open file', 'Drop a .json project, a LandXML .xml file or a .csv/.txt point file.');
+    }
+  }
+  
+  updateRadius(newRadius, spiralLengths = null, constraint = null) {
+    if (this.currentAlignment && this.selectedElement && 
+        (this.selectedElement.type === 'arc' || this.selectedElement.type === 'spiral')) {
+      // Update the radius (and spirals) for the specific curve
+      const ipIndex = this.selectedElement.ipIndex;
+      if (ipIndex !== undefined) {
+        const before = this.captureState();
+        this.currentAlignment.radii[ipIndex] = newRadius;
+        
+        // A curve fixed by a parameter other than radius keeps that parameter as the IP moves
+        if (constraint) {
+          this.currentAlignment.curveConstraints[ipIndex] = { ...constraint };
+        } else {
+          delete this.currentAlignment.curveConstraints[ipIndex];
+        }
+        if (spiralLengths) {
+          if (spiralLengths.lengthIn > 0 || spiralLengths.lengthOut > 0) {
+            this.currentAlignment.spirals[ipIndex] = { ...spiralLengths };
+          } else {
+            delete this.currentAlignment.spirals[ipIndex];
+          }
+        }
+        this.recalculateAlignment();
+        
+        // Update the selected element to reflect the new radius
+        this.selectedElement = this.currentAlignment.elements.find(el => 
+          el.type === 'arc' && el.ipIndex === ipIndex
+        );
+        this.updateSelectedElementInfo();
+        this.pushHistory('Edit curve', before);
+        
+        console.log(`Arc at IP ${ipIndex} radius updated to:`, newRadius);
+      }
+    } else {
+      // Fallback: update default radius for new alignments
+      this.defaultRadius = newRadius;
       console.log('Default radius updated to:', newRadius);
     }
   }
   
+  /**
+   * Change the minimum tangent lengths and re-check every alignment
+   * @param {Object} settings - Partial validation settings
+   */
+  updateValidationSettings(settings) {
+    this.validationSettings = { ...this.validationSettings, ...settings };
+    this.alignments.forEach(alignment => {
+      alignment.issues = AlignmentValidation.validate(alignment, this.validationSettings);
+    });
+    if (this.currentAlignment) {
+      this.uiManager.updateAlignmentStats(this.currentAlignment);
+    }
+    this.draw();
+  }
+  
+  /**
+   * Select the element (or IP) a validation issue of the current alignment refers to
+   * @param {number} index - Index into the current alignment's issues
+   */
+  selectIssue(index) {
+    const issue = this.currentAlignment && this.currentAlignment.issues[index];
+    if (!issue) return;
+    
+    if (issue.point) {
+      this.selectedElement = null;
+      this.selectedIpIndex = this.currentAlignment.points.indexOf(issue.point);
+    } else {
+      this.selectedElement = issue.elements[0] || null;
+      this.selectedIpIndex = null;
+    }
+    this.updateSelectedElementInfo();
+    this.draw();
+  }
+  
+  /**
+   * Change the current alignment's design standard, speed or e_max
+   * @param {Object} settings - Partial {standard, designSpeed, eMax}
+   */
+  updateDesignCriteria(settings) {
+    if (!this.currentAlignment) return;
+    
+    const before = this.captureState();
+    const criteria = { ...this.currentAlignment.designCriteria, ...settings };
+    
+    // A new standard may not offer the old e_max
+    if (!DESIGN_STANDARDS[criteria.standard].eMaxOptions.includes(criteria.eMax)) {
+      criteria.eMax = DESIGN_STANDARDS[criteria.standard].defaultEMax;
+    }
+    
+    this.currentAlignment.designCriteria = criteria;
+    this.currentAlignment.widenings = Widening.updateCurveWidening(this.currentAlignment); // For the new vehicle and speed
+    this.uiManager.updateDesignCriteriaControls(criteria);
+    this.updateSelectedElementInfo();
+    this.pushHistory('Edit design criteria', before);
+    this.draw();
+  }
+  
+  /**
+   * Minimum radius for the current alignment's design criteria
+   * @returns {number|null} Radius, or null without a current alignment
+   */
+  getMinimumRadius() {
+    if (!this.currentAlignment) return null;
+    return DesignCriteria.getMinimumRadius(this.currentAlignment.designCriteria).radius;
+  }
+  
   updateRoadMarkings(settings) {
     this.renderer.updateRoadMarkings(settings);
     this.draw();
   }
   
+  /**
+   * Open the cross-section editor for the current alignment
+   */
+  showCrossSection() {
+    if (!this.currentAlignment) return;
+    this.uiManager.showCrossSectionDialog(this.currentAlignment);
+  }
+  
+  /**
+   * Replace the current alignment's cross-section template; widening stays on the
+   * components it was on
+   * @param {Object} template - Template {left, right}
+   * @param {Object} componentMap - {left, right}: new index of each old component, null if removed
+   */
+  updateCrossSection(template, componentMap) {
+    if (!this.currentAlignment) return;
+    
+    const before = this.captureState();
+    this.currentAlignment.widenings = Widening.remapComponents(this.currentAlignment.widenings || [], componentMap);
+    this.currentAlignment.crossSection = template;
+    this.uiManager.updateSweptPathLanes(template, this.sweptPathSettings.lane);
+    this.recalculateAlignment();
+    this.pushHistory('Edit cross-section', before);
+  }
+  
+  /**
+   * Open the widening and taper editor for the current alignment
+   */
+  showWidening() {
+    if (!this.currentAlignment) return;
+    this.uiManager.showWideningDialog(this.currentAlignment);
+  }
+  
+  /**
+   * Curve widening the current alignment's curves need for its design vehicle
+   * @returns {Object|null} Result of Widening.generateCurveWidening, or null without a current alignment
+   */
+  getCurveWidening() {
+    if (!this.currentAlignment) return null;
+    return Widening.generateCurveWidening(this.currentAlignment);
+  }
+  
+  /**
+   * Replace the current alignment's width-change regions
+   * @param {Array} regions - Regions, see widening.js
+   * @param {boolean} curveWidening - Whether curve widening is worked out for every curve
+   */
+  updateWidenings(regions, curveWidening) {
+    if (!this.currentAlignment) return;
+    
+    const before = this.captureState();
+    this.currentAlignment.widenings = regions;
+    this.currentAlignment.curveWidening = curveWidening;
+    this.pushHistory('Edit widening', before);
+    this.draw();
+  }
+  
+  /**
+   * Show or hide the swept path of the design vehicle along the current alignment
+   */
+  toggleSweptPath() {
+    if (!this.currentAlignment && !this.isSweptPathVisible) return;
+    
+    this.isSweptPathVisible = !this.isSweptPathVisible;
+    this.uiManager.updateSweptPathControls(this.sweptPathSettings, this.isSweptPathVisible);
+    this.draw();
+  }
+  
+  /**
+   * Change the swept path vehicle or the lane it follows
+   * @param {Object} settings - Partial {vehicle, lane}
+   */
+  updateSweptPath(settings) {
+    this.sweptPathSettings = { ...this.sweptPathSettings, ...settings };
+    this.draw();
+  }
+  
+  /**
+   * Swept path along the current alignment, rerun only when the alignment or settings change
+   * and not while an IP is dragged: the previous path stands until the drag is committed
+   * @returns {Object|null} Result of SweptPath.analyse, or null while hidden
+   */
+  getSweptPath() {
+    const alignment = this.currentAlignment;
+    if (!this.isSweptPathVisible) return null;
+    
+    // The swept path follows the current alignment; hide it when nothing is selected
+    if (!alignment) {
+      this.isSweptPathVisible = false;
+      this.uiManager.updateSweptPathControls(this.sweptPathSettings, false);
+      return null;
+    }
+    
+    const template = alignment.crossSection || CrossSection.createDefault();
+    const lane = SweptPath.getLaneOffsets(template).find(line => line.label === this.sweptPathSettings.lane);
+    const offset = lane ? lane.offset : 0;
+    const inputs = [alignment, alignment.elements, template, alignment.widenings, this.sweptPathSettings.vehicle, offset];
+    
+    const cache = this.sweptPathCache;
+    if (this.isEditing && cache && cache.inputs[0] === alignment) return cache.result;
+    if (!cache || inputs.some((input, index) => input !== cache.inputs[index])) {
+      const vehicle = DESIGN_VEHICLES[this.sweptPathSettings.vehicle];
+      this.sweptPathCache = { inputs, result: SweptPath.analyse(alignment, vehicle, offset) };
+      this.uiManager.showSweptPathResult(this.sweptPathCache.result);
+    }
+    return this.sweptPathCache.result;
+  }
+  
+  /**
+   * Turn the sight distance check, its envelopes and summary, on or off
+   * @param {boolean} isVisible - Whether to check and draw the sight lines
+   */
+  toggleSightLines(isVisible) {
+    this.isSightLinesVisible = isVisible;
+    if (!isVisible) {
+      this.sightDistanceCache = null;
+      this.uiManager.updateSightDistanceSummary(null);
+    }
+    this.updateSelectedElementInfo();
+    this.draw();
+  }
+  
+  /**
+   * Start placing an obstruction on the current alignment, or finish the one being placed.
+   * Each click adds a point; a right-click finishes, one point making a point obstruction.
+   */
+  placeObstruction() {
+    if (this.obstructionPoints) {
+      this.finishObstruction();
+      return;
+    }
+    if (!this.currentAlignment || this.isDrawing) return;
+    
+    this.obstructionPoints = [];
+    this.uiManager.setObstructionMode(true);
+    this.uiManager.setCanvasMode(this.canvas, 'drawing');
+  }
+  
+  /**
+   * Add the obstruction being placed to the current alignment
+   */
+  finishObstruction() {
+    const points = this.obstructionPoints;
+    this.obstructionPoints = null;
+    this.uiManager.setObstructionMode(false);
+    this.uiManager.setCanvasMode(this.canvas, 'normal');
+    
+    if (this.currentAlignment && points.length > 0) {
+      const before = this.captureState();
+      this.currentAlignment.obstructions = [...(this.currentAlignment.obstructions || []), { points }];
+      this.pushHistory('Add obstruction', before);
+      this.updateSelectedElementInfo();
+    }
+    this.draw();
+  }
+  
+  /**
+   * Remove every obstruction from the current alignment
+   */
+  clearObstructions() {
+    if (!this.currentAlignment || !this.currentAlignment.obstructions?.length) return;
+    
+    const before = this.captureState();
+    this.currentAlignment.obstructions = [];
+    this.pushHistory('Clear obstructions', before);
+    this.updateSelectedElementInfo();
+    this.draw();
+  }
+  
+  /**
+   * Sight distance check of the current alignment, rerun only when the alignment changes
+   * and not while an IP is dragged: the previous check stands until the drag is committed
+   * @returns {Object|null} Result of SightDistance.analyse, or null without a current
+   *   alignment or while the check is off
+   */
+  getSightDistance() {
+    const alignment = this.currentAlignment;
+    if (!alignment || !alignment.elements || !this.isSightLinesVisible) return null;
+    
+    const inputs = [alignment, alignment.elements, alignment.crossSection, alignment.designCriteria, alignment.obstructions];
+    const cache = this.sightDistanceCache;
+    if (this.isEditing && cache && cache.inputs[0] === alignment) return cache.result;
+    if (!cache || inputs.some((input, index) => input !== cache.inputs[index])) {
+      this.sightDistanceCache = { inputs, result: SightDistance.analyse(alignment) };
+      this.uiManager.updateSightDistanceSummary(this.sightDistanceCache.result, alignment.obstructions || []);
+    }
+    return this.sightDistanceCache.result;
+  }
+  
+  updateStartChainage(startChainage) {
+    if (!this.currentAlignment) return;
+    const before = this.captureState();
+    this.shiftChainages(this.currentAlignment, startChainage - (this.currentAlignment.startChainage || 0));
+    this.currentAlignment.startChainage = startChainage;
+    this.recalculateAlignment();
+    this.pushHistory('Change start chainage', before);
+  }
+  
+  updateStationing(settings) {
+    this.renderer.updateStationing(settings);
+    this.draw();
+  }
+  
+  toggleProfile() {
+    if (!this.currentAlignment) return;
+    
+    this.isProfileVisible = !this.isProfileVisible;
+    this.selectedPviIndex = null;
+    
+    if (this.isProfileVisible) {
+      this.ensureProfile(this.currentAlignment);
+      this.uiManager.showProfilePanel(this.currentAlignment);
+      this.resizeProfileCanvas();
+    } else {
+      this.uiManager.hideProfilePanel();
+    }
+    this.draw();
+  }
+  
+  /**
+   * Give an alignment a flat default profile if it doesn't have one yet
+   * @param {Object} alignment - Alignment
+   */
+  ensureProfile(alignment) {
+    if (!alignment.profile) {
+      const range = Stationing.getChainageRange(alignment);
+      alignment.profile = VerticalCalculations.createDefaultProfile(range.start, range.end);
+    }
+  }
+  
+  updatePvi(index, values) {
+    if (!this.currentAlignment || !this.currentAlignment.profile) return;
+    
+    const before = this.captureState();
+    Object.assign(this.currentAlignment.profile.pvis[index], values);
+    this.selectedPviIndex = index;
+    this.pushHistory('Edit PVI', before);
+    this.draw();
+  }
+  
+  deletePvi(index) {
+    if (!this.currentAlignment || !this.currentAlignment.profile) return;
+    
+    const pvis = this.currentAlignment.profile.pvis;
+    if (index > 0 && index < pvis.length - 1) {
+      const before = this.captureState();
+      pvis.splice(index, 1);
+      this.selectedPviIndex = null;
+      this.pushHistory('Delete PVI', before);
+      this.draw();
+    }
+  }
+  
+  getProfileMousePos(e) {
+    const rect = this.profileCanvas.getBoundingClientRect();
+    return {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    };
+  }
+  
+  /**
+   * Find the PVI grip under a profile canvas position
+   * @param {Object} pos - Profile canvas position {x, y}
+   * @returns {number|null} PVI index
+   */
+  getPviAt(pos) {
+    if (!this.currentAlignment || !this.currentAlignment.profile || !this.profileRenderer.view) return null;
+    
+    const pvis = this.currentAlignment.profile.pvis;
+    for (let i = 0; i < pvis.length; i++) {
+      const grip = this.profileRenderer.toCanvas(pvis[i].chainage, pvis[i].elevation);
+      if (GeometryUtils.isPointNear(pos, grip, this.tolerance)) {
+        return i;
+      }
+    }
+    return null;
+  }
+  
+  handleProfileMouseDown(e) {
+    if (e.button !== 0) return;
+    
+    const index = this.getPviAt(this.getProfileMousePos(e));
+    if (index !== null) {
+      this.history.begin('Move PVI', this.captureState());
+      this.draggedPviIndex = index;
+      this.selectedPviIndex = index;
+      this.profileDragMoved = false;
+      this.drawProfile();
+    }
+  }
+  
+  handleProfileMouseMove(e) {
+    if (this.draggedPviIndex === null) return;
+    
+    const pvis = this.currentAlignment.profile.pvis;
+    const pvi = pvis[this.draggedPviIndex];
+    const position = this.profileRenderer.toProfile(this.getProfileMousePos(e));
+    
+    pvi.elevation = position.elevation;
+    
+    // End PVIs stay on the alignment ends; others stay between their neighbours
+    if (this.draggedPviIndex > 0 && this.draggedPviIndex < pvis.length - 1) {
+      const minChainage = pvis[this.draggedPviIndex - 1].chainage + 0.01;
+      const maxChainage = pvis[this.draggedPviIndex + 1].chainage - 0.01;
+      pvi.chainage = Math.max(minChainage, Math.min(maxChainage, position.chainage));
+    }
+    
+    this.profileDragMoved = true;
+    this.drawProfile();
+  }
+  
+  handleProfileMouseUp(e) {
+    if (this.draggedPviIndex !== null) {
+      this.draggedPviIndex = null;
+      this.history.commit(this.captureState());
+      this.updateHistoryControls();
+      this.drawProfile();
+    }
+  }
+  
+  handleProfileClick(e) {
+    if (!this.currentAlignment || !this.currentAlignment.profile) return;
+    
+    // The click that ends a drag shouldn't also add a PVI
+    if (this.profileDragMoved) {
+      this.profileDragMoved = false;
+      return;
+    }
+    
+    const pos = this.getProfileMousePos(e);
+    const index = this.getPviAt(pos);
+    if (index !== null) {
+      this.selectedPviIndex = index;
+      this.drawProfile();
+      return;
+    }
+    
+    // Add a PVI at the clicked chainage/elevation, keeping the list ordered
+    const position = this.profileRenderer.toProfile(pos);
+    const pvis = this.currentAlignment.profile.pvis;
+    pvis.sort((a, b) => a.chainage - b.chainage);
+    const insertAt = pvis.findIndex(pvi => pvi.chainage > position.chainage);
+    if (insertAt <= 0) return; // Outside the profile ends
+    
+    const before = this.captureState();
+    pvis.splice(insertAt, 0, { chainage: position.chainage, elevation: position.elevation, lengthIn: 0, lengthOut: 0 });
+    this.selectedPviIndex = insertAt;
+    this.pushHistory('Add PVI', before);
+    this.drawProfile();
+  }
+  
+  handleProfileRightClick(e) {
+    e.preventDefault();
+    
+    const index = this.getPviAt(this.getProfileMousePos(e));
+    if (index === null) return;
+    
+    const pvis = this.currentAlignment.profile.pvis;
+    this.selectedPviIndex = index;
+    this.uiManager.showVerticalCurveDialog({
+      index: index,
+      pvi: pvis[index],
+      previous: pvis[index - 1] || null,
+      next: pvis[index + 1] || null,
+      isEndPvi: index === 0 || index === pvis.length - 1
+    });
+    this.drawProfile();
+  }
+  
+  toggleSuperelevation() {
+    if (!this.currentAlignment) return;
+    
+    this.isSuperelevationVisible = !this.isSuperelevationVisible;
+    if (this.isSuperelevationVisible) {
+      this.uiManager.showSuperelevationPanel(this.currentAlignment, null);
+      this.resizeSuperelevationCanvas();
+    } else {
+      this.uiManager.hideSuperelevationPanel();
+    }
+    
+    // The profile panel moves to make room
+    this.resizeProfileCanvas();
+    this.draw();
+  }
+  
+  /**
+   * Select the arc whose superelevation applies at the clicked chainage
+   * @param {MouseEvent} e - Click on the superelevation canvas
+   */
+  handleSuperelevationClick(e) {
+    if (!this.currentAlignment || !this.superelevationRenderer.view) return;
+    
+    const rect = this.superelevationCanvas.getBoundingClientRect();
+    const chainage = this.superelevationRenderer.toChainage(e.clientX - rect.left);
+    const model = Superelevation.calculate(this.currentAlignment);
+    const governing = Superelevation.getGoverningCurve(model, chainage);
+    
+    this.selectedElement = governing
+      ? this.currentAlignment.elements.find(el => el.type === 'arc' && el.ipIndex === governing.curve.ipIndex)
+      : null;
+    this.updateSelectedElementInfo();
+    this.draw();
+  }
+  
+  toggleInquiryMode() {
+    this.isInquiryMode = !this.isInquiryMode;
+    this.uiManager.setInquiryMode(this.isInquiryMode);
+    
+    if (!this.isInquiryMode) {
+      this.renderer.setInquiry(null);
+      this.uiManager.updateStationOffsetDisplay(null);
+      this.draw();
+    }
+  }
+  
+  /**
+   * Calculate and show the station/offset of a point
+   * Uses the current alignment if one is selected, otherwise the nearest alignment
+   * @param {Object} mousePos - Inquiry point {x, y}
+   */
+  updateInquiry(mousePos) {
+    const candidates = this.currentAlignment ? [this.currentAlignment] : this.alignments;
+    let inquiry = null;
+    
+    candidates.forEach(alignment => {
+      const result = AlignmentCalculations.calculateStationOffset(mousePos, alignment.elements);
+      if (result && (!inquiry || result.separation < inquiry.separation)) {
+        inquiry = { ...result, alignment: alignment, from: { ...mousePos } };
+      }
+    });
+    
+    this.uiManager.updateStationOffsetDisplay(inquiry);
+    this.renderer.setInquiry(inquiry);
+    this.draw();
+  }
+  
+  /**
+   * Get the mouse position in world coordinates (metres)
+   * @param {MouseEvent} e - Mouse event
+   * @returns {Object} World point {x, y}
+   */
   getMousePos(e) {
+    return this.viewport.screenToWorld(this.getScreenPos(e));
+  }
+  
+  /**
+   * Get the mouse position in canvas pixels
+   * @param {MouseEvent} e - Mouse event
+   * @returns {Object} Screen point {x, y}
+   */
+  getScreenPos(e) {
     const rect = this.canvas.getBoundingClientRect();
     return {
       x: e.clientX - rect.left,
@@ -423,9 +2070,18 @@ class AlignmentTool {
     };
   }
   
+  /**
+   * Pick tolerance in world units at the current zoom
+   * @returns {number} Tolerance in metres
+   */
+  getPickTolerance() {
+    return this.viewport.pixelsToWorld(this.tolerance);
+  }
+  
   getPointAt(mousePos, points) {
+    const tolerance = this.getPickTolerance();
     for (let point of points) {
-      if (GeometryUtils.isPointNear(mousePos, point, this.tolerance)) {
+      if (GeometryUtils.isPointNear(mousePos, point, tolerance)) {
         return point;
       }
     }
@@ -435,8 +2091,9 @@ class AlignmentTool {
   getElementAt(mousePos) {
     if (!this.currentAlignment || !this.currentAlignment.elements) return null;
     
+    const tolerance = this.getPickTolerance();
     for (let element of this.currentAlignment.elements) {
-      if (AlignmentCalculations.isElementAtPosition(mousePos, element, this.tolerance)) {
+      if (AlignmentCalculations.isElementAtPosition(mousePos, element, tolerance)) {
         return element;
       }
     }
@@ -453,16 +2110,18 @@ class AlignmentTool {
   isPositionOnAlignment(mousePos, alignment) {
     if (!alignment.elements) return false;
     
+    const tolerance = this.getPickTolerance();
+    
     // Check if clicked on any element within the alignment
     for (let element of alignment.elements) {
-      if (AlignmentCalculations.isElementAtPosition(mousePos, element, this.tolerance)) {
+      if (AlignmentCalculations.isElementAtPosition(mousePos, element, tolerance)) {
         return true;
       }
     }
     
     // Also check if clicked on any IP points
     for (let point of alignment.points) {
-      if (GeometryUtils.isPointNear(mousePos, point, this.tolerance)) {
+      if (GeometryUtils.isPointNear(mousePos, point, tolerance)) {
         return true;
       }
     }
@@ -471,6 +2130,12 @@ class AlignmentTool {
   }
   
   draw() {
+    this.renderer.setSelectedIp(this.getSelectedIp());
+    this.updateCommandBar();
+    const layers = this.getLayers();
+    this.renderer.setSurveyPoints(layers.surveyPoints);
+    this.renderer.setSweptPath(layers.sweptPath);
+    this.renderer.setSightDistance(layers.sightDistance && { ...layers.sightDistance, pending: this.obstructionPoints });
     this.renderer.drawScene(
       this.alignments,
       this.currentAlignment,
@@ -479,6 +2144,63 @@ class AlignmentTool {
       this.selectedElement,
       this.isDrawing
     );
+    this.drawProfile();
+    this.drawSuperelevation();
+  }
+  
+  drawSuperelevation() {
+    if (!this.isSuperelevationVisible) return;
+    
+    // The diagram follows the current alignment; close it when nothing is selected
+    if (!this.currentAlignment) {
+      this.isSuperelevationVisible = false;
+      this.uiManager.hideSuperelevationPanel();
+      this.resizeProfileCanvas();
+      return;
+    }
+    
+    const model = Superelevation.calculate(this.currentAlignment);
+    
+    // Linked to the curve of the selected arc or spiral
+    const element = this.selectedElement;
+    const ipIndex = element && (element.type === 'arc' || element.type === 'spiral') ? element.ipIndex : null;
+    const curve = model.curves.find(c => c.ipIndex === ipIndex) || null;
+    
+    this.uiManager.showSuperelevationPanel(this.currentAlignment, curve);
+    this.superelevationRenderer.fitView(model);
+    this.superelevationRenderer.drawDiagram(model, ipIndex);
+  }
+  
+  drawProfile() {
+    if (!this.isProfileVisible) return;
+    
+    // The profile follows the current alignment; close it when nothing is selected
+    if (!this.currentAlignment) {
+      this.isProfileVisible = false;
+      this.uiManager.hideProfilePanel();
+      return;
+    }
+    
+    this.ensureProfile(this.currentAlignment);
+    this.uiManager.showProfilePanel(this.currentAlignment);
+    
+    const profileElements = VerticalCalculations.calculateProfileElements(this.currentAlignment.profile);
+    
+    // Keep the scale fixed under the cursor while a PVI is being dragged
+    if (this.draggedPviIndex === null) {
+      this.profileRenderer.fitView(profileElements, Stationing.getChainageRange(this.currentAlignment));
+    }
+    
+    const highlightRange = this.selectedElement
+      ? { start: this.selectedElement.startChainage, end: this.selectedElement.endChainage }
+      : null;
+    
+    this.profileRenderer.drawProfile(
+      profileElements,
+      this.selectedPviIndex,
+      highlightRange,
+      VerticalCalculations.findOverlappingCurves(profileElements)
+    );
   }
 
   /**
@@ -505,28 +2227,83 @@ class AlignmentTool {
     const infoPanel = document.getElementById('selectedElementInfo');
     const typeElement = document.getElementById('selectedElementType');
     const detailsElement = document.getElementById('selectedElementDetails');
+    const chainageElement = document.getElementById('selectedElementChainage');
+    const criteriaElement = document.getElementById('selectedElementCriteria');
+    criteriaElement.textContent = '';
+    document.getElementById('selectedElementSightDistance').textContent = '';
     
     if (!this.selectedElement) {
       infoPanel.classList.add('hidden');
       typeElement.textContent = 'None';
       detailsElement.textContent = '';
+      chainageElement.textContent = '';
       return;
     }
     
     infoPanel.classList.remove('hidden');
+    chainageElement.textContent = `Chainage: ${Stationing.formatChainage(this.selectedElement.startChainage)} – ` +
+      `${Stationing.formatChainage(this.selectedElement.endChainage)}`;
     
     if (this.selectedElement.type === 'tangent') {
       typeElement.textContent = 'Tangent';
       const length = this.selectedElement.length.toFixed(1);
       const bearing = (this.selectedElement.bearing * 180 / Math.PI).toFixed(1);
-      detailsElement.textContent = `Length: ${length}px, Bearing: ${bearing}°`;
+      detailsElement.textContent = `Length: ${length}m, Bearing: ${bearing}°`;
     } else if (this.selectedElement.type === 'arc') {
       typeElement.textContent = `Arc (IP ${this.selectedElement.ipIndex || 'unknown'})`;
       const radius = this.selectedElement.radius.toFixed(1);
       const deflection = (Math.abs(this.selectedElement.deflectionAngle) * 180 / Math.PI).toFixed(1);
       const direction = this.selectedElement.isRightTurn ? 'Right' : 'Left';
-      detailsElement.textContent = `Radius: ${radius}px, Deflection: ${deflection}°, ${direction} turn`;
+      let details = `Radius: ${radius}m, Deflection: ${deflection}°, ${direction} turn`;
+      if (this.selectedElement.spiralIn || this.selectedElement.spiralOut) {
+        const arc = this.selectedElement;
+        details += `, Spirals: ${arc.spiralInLength.toFixed(1)}/${arc.spiralOutLength.toFixed(1)}m` +
+          `, p: ${arc.shiftIn.toFixed(2)}/${arc.shiftOut.toFixed(2)}m` +
+          `, k: ${arc.kIn.toFixed(1)}/${arc.kOut.toFixed(1)}m` +
+          `, Ts: ${arc.totalTangentIn.toFixed(1)}/${arc.totalTangentOut.toFixed(1)}m`;
+      } else if (this.selectedElement.spiralsIgnored) {
+        details += ', Spirals too long for this deflection';
+      }
+      detailsElement.textContent = details;
+      
+      const criteria = this.currentAlignment.designCriteria;
+      const check = DesignCriteria.checkArc(this.selectedElement, criteria);
+      criteriaElement.textContent = `${check.passes ? 'PASS' : 'FAIL'}: min R ${check.minRadius.toFixed(1)}m at ` +
+        `${criteria.designSpeed} km/h (${DESIGN_STANDARDS[criteria.standard].name}, ` +
+        `e ${(check.eMax * 100).toFixed(0)}%, f ${check.fMax.toFixed(3)}; needs f ${check.sideFriction.toFixed(3)})`;
+      criteriaElement.className = check.passes ? 'text-green-600' : 'text-red-600 font-semibold';
+      this.showCurveSightDistance(this.selectedElement.ipIndex);
+    } else if (this.selectedElement.type === 'spiral') {
+      const spiral = this.selectedElement;
+      typeElement.textContent = `${spiral.isEntry ? 'Spiral In' : 'Spiral Out'} (IP ${spiral.ipIndex || 'unknown'})`;
+      const angle = (spiral.spiralAngle * 180 / Math.PI).toFixed(2);
+      detailsElement.textContent = `Length: ${spiral.length.toFixed(1)}m, A: ${spiral.aParameter.toFixed(1)}, ` +
+        `Radius: ${spiral.radius.toFixed(1)}m, θs: ${angle}°`;
+      this.showCurveSightDistance(spiral.ipIndex);
+    }
+  }
+  
+  /**
+   * Show the sight distance check of a curve with the selected element info
+   * @param {number} ipIndex - IP of the curve
+   */
+  showCurveSightDistance(ipIndex) {
+    const result = this.getSightDistance();
+    const curve = result && result.curves.find(c => c.ipIndex === ipIndex);
+    const element = document.getElementById('selectedElementSightDistance');
+    if (!curve) return;
+    
+    let text = `SSD ${result.sightDistance.toFixed(0)}m: needs ${curve.requiredClearance.toFixed(2)}m clear ` +
+      `inside the ${curve.side} lane centre (R ${curve.laneRadius.toFixed(1)}m)`;
+    if (curve.blocked.length > 0) {
+      text += `; obstructed from ${curve.blocked.map(range =>
+        `${Stationing.formatChainage(range.startChainage)} to ${Stationing.formatChainage(range.endChainage)}`
+      ).join(', ')}`;
+    } else if ((this.currentAlignment.obstructions || []).length > 0) {
+      text += '; clear of obstructions';
     }
+    element.textContent = text;
+    element.className = curve.blocked.length > 0 ? 'text-red-600 font-semibold' : 'text-green-600';
   }
 }
 
@@ -0,0 +1,649 @@
+/**
+ * Offset Alignment Module
+ * Offset chains for road edges: the raw offset of every element, joined with an arc
+ * wherever the centreline kinks, then trimmed of the loops that lie closer to the
+ * centreline than their own offset
+ *
+ * The offset is a constant or a function of chainage (tapers, widenings). Elements at a
+ * constant offset keep their exact shape - tangents stay lines and arcs stay arcs, and an
+ * inside offset larger than the radius gives the same circle traversed through the centre,
+ * which is the loop trimming removes. Spirals and elements whose offset varies become
+ * polylines sampled along the centreline.
+ *
+ * Every piece of a chain records the centreline chainages it spans, so the point square
+ * to a chainage can be found after trimming. Joins span no chainage.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { AlignmentCalculations } from './alignment-calculations.js';
+
+const SAMPLE_INTERVAL = 2; // Metres of centreline between the points of a sampled piece
+const MIN_SAMPLES = 8; // Segments in the shortest sampled piece
+const JOIN_ANGLE = 1e-6; // Radians; smaller kinks in the centreline get no join
+const CUT_TOLERANCE = 1e-6; // Metres; intersections this close to a shared end are not cuts
+const DISTANCE_TOLERANCE = 1e-4; // Metres a kept point may sit inside its offset
+
+export class OffsetAlignment {
+  /**
+   * Continuous, trimmed offset chain of an alignment
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @param {number|Function} offset - Offset in metres (positive = right), or a function
+   *   returning the offset at a chainage
+   * @returns {Array} Pieces in order of travel: tangent, arc or polyline elements with
+   *   {startPoint, endPoint, length, startChainage, endChainage, parentElement}; arcs also
+   *   carry {centerPoint, radius, startAngle, endAngle, isRightTurn} drawn like alignment
+   *   arcs, and polylines {points, chainages}. Joins have no parent element.
+   */
+  static calculate(elements, offset) {
+    if (!elements || elements.length === 0) return [];
+
+    const offsetAt = typeof offset === 'function' ? offset : () => offset;
+    const pieces = this.buildRawChain(elements, offsetAt);
+    return this.removeLoops(pieces, elements, offsetAt);
+  }
+
+  /**
+   * Point on an offset chain square to a centreline chainage
+   * @param {Array} pieces - Result of calculate()
+   * @param {number} chainage - Centreline chainage
+   * @returns {Object|null} Point {x, y}, or null where the chainage was trimmed away
+   */
+  static getPointAtChainage(pieces, chainage) {
+    const piece = pieces.find(candidate =>
+      candidate.endChainage - candidate.startChainage > CUT_TOLERANCE &&
+      chainage >= candidate.startChainage - CUT_TOLERANCE &&
+      chainage <= candidate.endChainage + CUT_TOLERANCE
+    );
+    if (!piece) return null;
+
+    if (piece.type === 'polyline') {
+      const { points, chainages } = piece;
+      for (let i = 0; i < points.length - 1; i++) {
+        if (chainage <= chainages[i + 1] || i === points.length - 2) {
+          const span = chainages[i + 1] - chainages[i];
+          const t = span > 0 ? Math.max(0, Math.min(1, (chainage - chainages[i]) / span)) : 0;
+          return {
+            x: points[i].x + (points[i + 1].x - points[i].x) * t,
+            y: points[i].y + (points[i + 1].y - points[i].y) * t
+          };
+        }
+      }
+    }
+
+    // Exact pieces are evenly spread over their chainages
+    const fraction = Math.max(0, Math.min(1, (chainage - piece.startChainage) / (piece.endChainage - piece.startChainage)));
+    return this.getPointAtDistance(piece, fraction * piece.length);
+  }
+
+  /**
+   * Raw offset of every element, with a join wherever consecutive elements meet at an angle
+   * @param {Array} elements - Ordered alignment elements
+   * @param {Function} offsetAt - Offset at a chainage
+   * @returns {Array} Continuous raw pieces, possibly self-intersecting
+   */
+  static buildRawChain(elements, offsetAt) {
+    const pieces = [];
+    let chainage = elements[0].startChainage ?? 0;
+    let previous = null;
+
+    elements.forEach(element => {
+      const startChainage = element.startChainage ?? chainage;
+      chainage = startChainage + element.length;
+      if (!(element.length > 0)) return;
+
+      if (previous) {
+        const join = this.createJoin(previous, element, offsetAt(startChainage), startChainage);
+        if (join) pieces.push(join);
+      }
+
+      const piece = this.offsetElement(element, startChainage, offsetAt);
+      if (piece) pieces.push(piece);
+      previous = element;
+    });
+
+    return pieces;
+  }
+
+  /**
+   * Raw offset of one element
+   * @param {Object} element - Tangent, arc or spiral element
+   * @param {number} startChainage - Chainage at the element start
+   * @param {Function} offsetAt - Offset at a chainage
+   * @returns {Object|null} Piece, or null where an arc's offset collapses to its centre
+   */
+  static offsetElement(element, startChainage, offsetAt) {
+    const count = Math.max(MIN_SAMPLES, Math.ceil(element.length / SAMPLE_INTERVAL));
+    const offsets = [];
+    for (let i = 0; i <= count; i++) {
+      offsets.push(offsetAt(startChainage + element.length * i / count));
+    }
+
+    const fields = {
+      startChainage,
+      endChainage: startChainage + element.length,
+      parentElement: element
+    };
+    const isConstant = offsets.every(offset => Math.abs(offset - offsets[0]) < 1e-9);
+
+    if (isConstant && element.type === 'tangent') {
+      const normal = GeometryUtils.getPerpendicularVector(GeometryUtils.getUnitVector(element.startPoint, element.endPoint));
+      return this.createTangent(
+        { x: element.startPoint.x + offsets[0] * normal.x, y: element.startPoint.y + offsets[0] * normal.y },
+        { x: element.endPoint.x + offsets[0] * normal.x, y: element.endPoint.y + offsets[0] * normal.y },
+        fields
+      );
+    }
+
+    if (isConstant && element.type === 'arc') {
+      // The centre lies on the right of a right-hand curve, so a positive (right) offset tightens it
+      const turn = element.isRightTurn ? 1 : -1;
+      const radius = element.radius - turn * offsets[0];
+      if (Math.abs(radius) < 1e-9) return null;
+
+      const fromAngle = Math.atan2(element.startPoint.y - element.centerPoint.y, element.startPoint.x - element.centerPoint.x);
+      return this.createArc(
+        element.centerPoint,
+        Math.abs(radius),
+        radius > 0 ? fromAngle : fromAngle + Math.PI,
+        turn * element.length / element.radius,
+        fields
+      );
+    }
+
+    const points = offsets.map((offset, i) => {
+      const station = AlignmentCalculations.getPointOnElement(element, element.length * i / count);
+      const normal = GeometryUtils.getPerpendicularVector(station.direction);
+      return { x: station.x + offset * normal.x, y: station.y + offset * normal.y };
+    });
+    const chainages = offsets.map((offset, i) => startChainage + element.length * i / count);
+    return this.createPolyline(points, chainages, fields);
+  }
+
+  /**
+   * Arc about the point where two elements meet at an angle, joining their offsets
+   * On the outside of the kink it is the true offset; on the inside it loops back and is trimmed.
+   * @param {Object} previous - Element ending at the kink
+   * @param {Object} next - Element starting at the kink
+   * @param {number} offset - Offset at the kink
+   * @param {number} chainage - Chainage of the kink
+   * @returns {Object|null} Join arc, or null where the elements meet smoothly
+   */
+  static createJoin(previous, next, offset, chainage) {
+    if (Math.abs(offset) < 1e-9) return null;
+
+    const before = AlignmentCalculations.getPointOnElement(previous, previous.length).direction;
+    const after = AlignmentCalculations.getPointOnElement(next, 0).direction;
+    let turn = GeometryUtils.calculateAngleBetweenVectors(before, after);
+    if (Math.abs(turn) < JOIN_ANGLE) return null;
+
+    // A tangent reversed between overlapping curves turns the way its curves do
+    if (Math.PI - Math.abs(turn) < JOIN_ANGLE) {
+      const curve = previous.type !== 'tangent' ? previous : (next.type !== 'tangent' ? next : null);
+      if (curve) turn = curve.isRightTurn ? Math.PI : -Math.PI;
+    }
+
+    const normal = GeometryUtils.getPerpendicularVector(before);
+    return this.createArc(
+      next.startPoint,
+      Math.abs(offset),
+      Math.atan2(offset * normal.y, offset * normal.x),
+      turn,
+      { startChainage: chainage, endChainage: chainage, parentElement: null }
+    );
+  }
+
+  /**
+   * Step across every loop of a raw chain that lies closer to the centreline than its offset
+   * The chain is walked in order of travel; where it crosses itself and the stretch up to the
+   * later crossing is inside the offset, that stretch is skipped, so the result stays continuous.
+   * @param {Array} pieces - Raw pieces from buildRawChain
+   * @param {Array} elements - Centreline elements
+   * @param {Function} offsetAt - Offset at a chainage
+   * @returns {Array} Trimmed pieces in order of travel
+   */
+  static removeLoops(pieces, elements, offsetAt) {
+    const boxes = elements.map(element => this.getBounds(element));
+    const isInside = (piece, distance) => {
+      const offset = offsetAt(this.getChainageAtDistance(piece, distance));
+      const point = this.getExactPoint(piece, distance, offset);
+      return this.getCentrelineDistance(point, elements, boxes) < Math.abs(offset) - DISTANCE_TOLERANCE;
+    };
+
+    // Positions along the whole chain
+    const starts = [];
+    let total = 0;
+    pieces.forEach(piece => {
+      starts.push(total);
+      total += piece.length;
+    });
+    const locate = (position) => {
+      let index = 0;
+      while (index < pieces.length - 1 && starts[index + 1] <= position) index++;
+      return { piece: pieces[index], distance: position - starts[index] };
+    };
+
+    const crossings = this.findSelfIntersections(pieces)
+      .map(crossing => ({
+        from: starts[crossing.first.pieceIndex] + crossing.first.distance,
+        to: starts[crossing.second.pieceIndex] + crossing.second.distance
+      }))
+      .sort((a, b) => a.from - b.from);
+
+    const ranges = [];
+    let position = 0;
+    crossings.forEach(crossing => {
+      if (crossing.from <= position + CUT_TOLERANCE || crossing.to - crossing.from <= CUT_TOLERANCE) return;
+
+      const middle = locate((crossing.from + crossing.to) / 2);
+      if (!isInside(middle.piece, middle.distance)) return;
+
+      ranges.push([position, crossing.from]);
+      position = crossing.to;
+    });
+    ranges.push([position, total]);
+
+    const result = [];
+    ranges.forEach(([from, to]) => {
+      pieces.forEach((piece, index) => {
+        const start = Math.max(from, starts[index]) - starts[index];
+        const end = Math.min(to, starts[index] + piece.length) - starts[index];
+        if (end - start > CUT_TOLERANCE) result.push(this.slice(piece, start, end));
+      });
+    });
+
+    // An alignment can begin or end where its offset has no valid part
+    while (result.length > 0 && isInside(result[0], result[0].length / 2)) result.shift();
+    while (result.length > 0 && isInside(result[result.length - 1], result[result.length - 1].length / 2)) result.pop();
+
+    return result;
+  }
+
+  /**
+   * Every point where a chain crosses itself
+   * @param {Array} pieces - Raw pieces
+   * @returns {Array} Crossings {first, second}, each {pieceIndex, distance}, first earlier in the chain
+   */
+  static findSelfIntersections(pieces) {
+    const crossings = [];
+    const primitives = [];
+
+    pieces.forEach((piece, pieceIndex) => {
+      if (piece.type === 'arc') {
+        primitives.push({ pieceIndex, start: 0, length: piece.length, arc: piece, box: this.getBounds(piece) });
+        return;
+      }
+
+      const points = piece.type === 'polyline' ? piece.points : [piece.startPoint, piece.endPoint];
+      let start = 0;
+      for (let i = 0; i < points.length - 1; i++) {
+        const length = GeometryUtils.calculateDistance(points[i], points[i + 1]);
+        if (length > 0) {
+          primitives.push({
+            pieceIndex, start, length, a: points[i], b: points[i + 1],
+            box: this.getBounds({ type: 'polyline', points: [points[i], points[i + 1]] })
+          });
+        }
+        start += length;
+      }
+    });
+
+    // Sweep across x so only primitives with overlapping bounds are tested
+    const order = primitives.map((primitive, index) => index)
+      .sort((a, b) => primitives[a].box.minX - primitives[b].box.minX);
+
+    for (let a = 0; a < order.length; a++) {
+      for (let b = a + 1; b < order.length && primitives[order[b]].box.minX <= primitives[order[a]].box.maxX; b++) {
+        const i = Math.min(order[a], order[b]);
+        const j = Math.max(order[a], order[b]);
+        const p = primitives[i];
+        const q = primitives[j];
+        if (p.box.maxY < q.box.minY || q.box.maxY < p.box.minY) continue;
+
+        this.intersectPrimitives(p, q).forEach(([u, v]) => {
+          // Neighbours always touch where one ends and the next begins
+          if (j === i + 1 && u > p.length - CUT_TOLERANCE && v < CUT_TOLERANCE) return;
+          crossings.push({
+            first: { pieceIndex: p.pieceIndex, distance: p.start + u },
+            second: { pieceIndex: q.pieceIndex, distance: q.start + v }
+          });
+        });
+      }
+    }
+
+    return crossings;
+  }
+
+  /**
+   * Intersections of two segments or arcs
+   * @param {Object} p - Segment {a, b, length} or arc primitive {arc, length}
+   * @param {Object} q - Segment or arc primitive
+   * @returns {Array} Pairs [distance along p, distance along q]
+   */
+  static intersectPrimitives(p, q) {
+    if (!p.arc && !q.arc) {
+      const d1 = { x: p.b.x - p.a.x, y: p.b.y - p.a.y };
+      const d2 = { x: q.b.x - q.a.x, y: q.b.y - q.a.y };
+      const denominator = d1.x * d2.y - d1.y * d2.x;
+      if (Math.abs(denominator) < 1e-12) return [];
+
+      const dx = q.a.x - p.a.x;
+      const dy = q.a.y - p.a.y;
+      const t = (dx * d2.y - dy * d2.x) / denominator;
+      const u = (dx * d1.y - dy * d1.x) / denominator;
+      const margin = 1e-9;
+      if (t < -margin || t > 1 + margin || u < -margin || u > 1 + margin) return [];
+      return [[Math.max(0, Math.min(1, t)) * p.length, Math.max(0, Math.min(1, u)) * q.length]];
+    }
+
+    if (p.arc && q.arc) {
+      return this.intersectCircles(p.arc, q.arc)
+        .map(point => [this.getArcDistance(p.arc, point), this.getArcDistance(q.arc, point)])
+        .filter(([u, v]) => u !== null && v !== null);
+    }
+
+    const segment = p.arc ? q : p;
+    const arc = p.arc ? p.arc : q.arc;
+    const pairs = this.intersectSegmentCircle(segment, arc)
+      .map(([t, point]) => [t * segment.length, this.getArcDistance(arc, point)])
+      .filter(([, v]) => v !== null);
+    return p.arc ? pairs.map(([u, v]) => [v, u]) : pairs;
+  }
+
+  /**
+   * Points where a segment crosses an arc's circle
+   * @param {Object} segment - Segment primitive {a, b}
+   * @param {Object} arc - Arc piece
+   * @returns {Array} Pairs [fraction along the segment, point]
+   */
+  static intersectSegmentCircle(segment, arc) {
+    const d = { x: segment.b.x - segment.a.x, y: segment.b.y - segment.a.y };
+    const f = { x: segment.a.x - arc.centerPoint.x, y: segment.a.y - arc.centerPoint.y };
+    const a = d.x * d.x + d.y * d.y;
+    const b = 2 * (f.x * d.x + f.y * d.y);
+    const c = f.x * f.x + f.y * f.y - arc.radius * arc.radius;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return [];
+
+    const root = Math.sqrt(discriminant);
+    const fractions = root === 0 ? [-b / (2 * a)] : [(-b - root) / (2 * a), (-b + root) / (2 * a)];
+    return fractions
+      .filter(t => t >= -1e-9 && t <= 1 + 1e-9)
+      .map(t => [t, { x: segment.a.x + t * d.x, y: segment.a.y + t * d.y }]);
+  }
+
+  /**
+   * Points where the circles of two arcs cross
+   * @param {Object} first - Arc piece
+   * @param {Object} second - Arc piece
+   * @returns {Array} Points {x, y}
+   */
+  static intersectCircles(first, second) {
+    const dx = second.centerPoint.x - first.centerPoint.x;
+    const dy = second.centerPoint.y - first.centerPoint.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance < 1e-12 || distance > first.radius + second.radius || distance < Math.abs(first.radius - second.radius)) {
+      return [];
+    }
+
+    const along = (first.radius * first.radius - second.radius * second.radius + distance * distance) / (2 * distance);
+    const across = Math.sqrt(Math.max(0, first.radius * first.radius - along * along));
+    const base = { x: first.centerPoint.x + along * dx / distance, y: first.centerPoint.y + along * dy / distance };
+    return [
+      { x: base.x - across * dy / distance, y: base.y + across * dx / distance },
+      { x: base.x + across * dy / distance, y: base.y - across * dx / distance }
+    ];
+  }
+
+  /**
+   * Distance along an arc to a point on its circle
+   * @param {Object} arc - Arc piece
+   * @param {Object} point - Point on the circle
+   * @returns {number|null} Distance from the arc start, or null outside its sweep
+   */
+  static getArcDistance(arc, point) {
+    const fromStart = Math.atan2(arc.startPoint.y - arc.centerPoint.y, arc.startPoint.x - arc.centerPoint.x);
+    const toPoint = Math.atan2(point.y - arc.centerPoint.y, point.x - arc.centerPoint.x);
+    const swept = GeometryUtils.normalizeAngle(arc.isRightTurn ? toPoint - fromStart : fromStart - toPoint);
+    const sweep = arc.length / arc.radius;
+    const margin = 1e-9;
+
+    if (swept <= sweep + margin) return Math.min(swept, sweep) * arc.radius;
+    if (2 * Math.PI - swept < margin) return 0;
+    return null;
+  }
+
+  /**
+   * Shortest distance from a point to the centreline
+   * @param {Object} point - Point {x, y}
+   * @param {Array} elements - Centreline elements
+   * @param {Array} boxes - Bounds of each element
+   * @returns {number} Distance in metres
+   */
+  static getCentrelineDistance(point, elements, boxes) {
+    let best = Infinity;
+
+    elements.forEach((element, index) => {
+      const box = boxes[index];
+      const gapX = Math.max(box.minX - point.x, 0, point.x - box.maxX);
+      const gapY = Math.max(box.minY - point.y, 0, point.y - box.maxY);
+      if (!(element.length > 0) || Math.sqrt(gapX * gapX + gapY * gapY) >= best) return;
+
+      best = Math.min(best, AlignmentCalculations.projectPointOnElement(point, element).separation);
+    });
+
+    return best;
+  }
+
+  /**
+   * Bounding box of an element or piece
+   * @param {Object} element - Tangent, arc, spiral or polyline
+   * @returns {Object} Bounds {minX, minY, maxX, maxY}
+   */
+  static getBounds(element) {
+    let points = element.points || [element.startPoint, element.endPoint];
+
+    // An arc reaches further than its ends wherever it passes due east, south, west or north of its centre
+    if (element.type === 'arc') {
+      const { x, y } = element.centerPoint;
+      const extremes = [[1, 0], [0, 1], [-1, 0], [0, -1]]
+        .map(([dx, dy]) => ({ x: x + dx * element.radius, y: y + dy * element.radius }))
+        .filter(point => this.getArcDistance(element, point) !== null);
+      points = [...points, ...extremes];
+    }
+
+    return {
+      minX: Math.min(...points.map(point => point.x)),
+      minY: Math.min(...points.map(point => point.y)),
+      maxX: Math.max(...points.map(point => point.x)),
+      maxY: Math.max(...points.map(point => point.y))
+    };
+  }
+
+  /**
+   * Point a distance along a piece
+   * @param {Object} piece - Tangent, arc or polyline piece
+   * @param {number} distance - Distance from the piece start
+   * @returns {Object} Point {x, y}
+   */
+  static getPointAtDistance(piece, distance) {
+    if (piece.type === 'arc') {
+      const fromAngle = Math.atan2(piece.startPoint.y - piece.centerPoint.y, piece.startPoint.x - piece.centerPoint.x);
+      const angle = fromAngle + (piece.isRightTurn ? 1 : -1) * distance / piece.radius;
+      return {
+        x: piece.centerPoint.x + piece.radius * Math.cos(angle),
+        y: piece.centerPoint.y + piece.radius * Math.sin(angle)
+      };
+    }
+
+    const points = piece.type === 'polyline' ? piece.points : [piece.startPoint, piece.endPoint];
+    let remaining = distance;
+    for (let i = 0; i < points.length - 1; i++) {
+      const length = GeometryUtils.calculateDistance(points[i], points[i + 1]);
+      if (remaining <= length || i === points.length - 2) {
+        const t = length > 0 ? Math.max(0, Math.min(1, remaining / length)) : 0;
+        return {
+          x: points[i].x + (points[i + 1].x - points[i].x) * t,
+          y: points[i].y + (points[i + 1].y - points[i].y) * t
+        };
+      }
+      remaining -= length;
+    }
+    return { ...points[0] };
+  }
+
+  /**
+   * Raw offset point a distance along a piece, off the centreline itself for sampled pieces
+   * so the chords between samples don't read as lying inside the offset
+   * @param {Object} piece - Raw piece spanning its whole parent element
+   * @param {number} distance - Distance from the piece start
+   * @param {number} offset - Offset at that distance
+   * @returns {Object} Point {x, y}
+   */
+  static getExactPoint(piece, distance, offset) {
+    if (piece.type !== 'polyline') return this.getPointAtDistance(piece, distance);
+
+    const chainage = this.getChainageAtDistance(piece, distance);
+    const station = AlignmentCalculations.getPointOnElement(piece.parentElement, chainage - piece.startChainage);
+    const normal = GeometryUtils.getPerpendicularVector(station.direction);
+    return { x: station.x + offset * normal.x, y: station.y + offset * normal.y };
+  }
+
+  /**
+   * Centreline chainage a distance along a piece
+   * @param {Object} piece - Tangent, arc or polyline piece
+   * @param {number} distance - Distance from the piece start
+   * @returns {number} Chainage
+   */
+  static getChainageAtDistance(piece, distance) {
+    if (piece.type !== 'polyline') {
+      const fraction = piece.length > 0 ? distance / piece.length : 0;
+      return piece.startChainage + fraction * (piece.endChainage - piece.startChainage);
+    }
+
+    const { points, chainages } = piece;
+    let remaining = distance;
+    for (let i = 0; i < points.length - 1; i++) {
+      const length = GeometryUtils.calculateDistance(points[i], points[i + 1]);
+      if (remaining <= length || i === points.length - 2) {
+        const t = length > 0 ? Math.max(0, Math.min(1, remaining / length)) : 0;
+        return chainages[i] + (chainages[i + 1] - chainages[i]) * t;
+      }
+      remaining -= length;
+    }
+    return chainages[0];
+  }
+
+  /**
+   * Part of a piece between two distances along it
+   * @param {Object} piece - Tangent, arc or polyline piece
+   * @param {number} from - Start distance
+   * @param {number} to - End distance
+   * @returns {Object} Piece of the same type
+   */
+  static slice(piece, from, to) {
+    if (from <= 0 && to >= piece.length) return piece;
+
+    const fields = {
+      startChainage: this.getChainageAtDistance(piece, from),
+      endChainage: this.getChainageAtDistance(piece, to),
+      parentElement: piece.parentElement
+    };
+
+    if (piece.type === 'arc') {
+      const turn = piece.isRightTurn ? 1 : -1;
+      const fromAngle = Math.atan2(piece.startPoint.y - piece.centerPoint.y, piece.startPoint.x - piece.centerPoint.x);
+      return this.createArc(piece.centerPoint, piece.radius, fromAngle + turn * from / piece.radius, turn * (to - from) / piece.radius, fields);
+    }
+
+    if (piece.type === 'tangent') {
+      return this.createTangent(this.getPointAtDistance(piece, from), this.getPointAtDistance(piece, to), fields);
+    }
+
+    const points = [this.getPointAtDistance(piece, from)];
+    const chainages = [fields.startChainage];
+    let travelled = 0;
+    for (let i = 0; i < piece.points.length - 1; i++) {
+      travelled += GeometryUtils.calculateDistance(piece.points[i], piece.points[i + 1]);
+      if (travelled > from && travelled < to) {
+        points.push({ ...piece.points[i + 1] });
+        chainages.push(piece.chainages[i + 1]);
+      }
+    }
+    points.push(this.getPointAtDistance(piece, to));
+    chainages.push(fields.endChainage);
+    return this.createPolyline(points, chainages, fields);
+  }
+
+  /**
+   * Straight piece between two points
+   * @param {Object} startPoint - Start {x, y}
+   * @param {Object} endPoint - End {x, y}
+   * @param {Object} fields - {startChainage, endChainage, parentElement}
+   * @returns {Object} Tangent piece
+   */
+  static createTangent(startPoint, endPoint, fields) {
+    return {
+      type: 'tangent',
+      startPoint,
+      endPoint,
+      bearing: GeometryUtils.calculateBearing(startPoint, endPoint),
+      length: GeometryUtils.calculateDistance(startPoint, endPoint),
+      ...fields
+    };
+  }
+
+  /**
+   * Circular piece, with the drawing angles alignment arcs use
+   * @param {Object} center - Centre {x, y}
+   * @param {number} radius - Radius
+   * @param {number} fromAngle - Canvas angle of the start point
+   * @param {number} sweep - Swept angle; positive runs clockwise on screen (a right turn)
+   * @param {Object} fields - {startChainage, endChainage, parentElement}
+   * @returns {Object} Arc piece
+   */
+  static createArc(center, radius, fromAngle, sweep, fields) {
+    const isRightTurn = sweep > 0;
+    const toAngle = fromAngle + sweep;
+    const at = (angle) => ({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+
+    // Alignment arcs are drawn from their end point back to their start
+    const { normalizedStartAngle, normalizedEndAngle } = AlignmentCalculations.normalizeArcAngles(toAngle, fromAngle, isRightTurn);
+
+    return {
+      type: 'arc',
+      centerPoint: { ...center },
+      radius,
+      startAngle: normalizedStartAngle,
+      endAngle: normalizedEndAngle,
+      isRightTurn,
+      startPoint: at(fromAngle),
+      endPoint: at(toAngle),
+      length: radius * Math.abs(sweep),
+      ...fields
+    };
+  }
+
+  /**
+   * Piece through sampled points
+   * @param {Array} points - Points {x, y} in order of travel
+   * @param {Array} chainages - Centreline chainage of each point
+   * @param {Object} fields - {startChainage, endChainage, parentElement}
+   * @returns {Object} Polyline piece
+   */
+  static createPolyline(points, chainages, fields) {
+    let length = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      length += GeometryUtils.calculateDistance(points[i], points[i + 1]);
+    }
+
+    return {
+      type: 'polyline',
+      startPoint: { ...points[0] },
+      endPoint: { ...points[points.length - 1] },
+      points,
+      chainages,
+      length,
+      ...fields
+    };
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Profile Renderer Module
+ * Draws the vertical alignment (profile) view: chainage on X, elevation on Y
+ */
+
+import { VerticalCalculations } from './vertical-alignment.js';
+import { Stationing } from './stationing.js';
+import { GeometryUtils } from './geometry.js';
+
+export class ProfileRenderer {
+  constructor(canvas, ctx) {
+    this.canvas = canvas;
+    this.ctx = ctx;
+    this.padding = { left: 60, right: 20, top: 20, bottom: 30 };
+    this.view = null; // {startChainage, endChainage, minElevation, maxElevation}
+  }
+
+  /**
+   * Fit the view to a chainage range and the elevations of a profile
+   * The current view is kept while it still spans the range and contains every elevation,
+   * so grips don't jump away from the cursor after each edit
+   * @param {Object} profileElements - Result of VerticalCalculations.calculateProfileElements
+   * @param {Object} range - Chainage range {start, end}
+   */
+  fitView(profileElements, range) {
+    const elevations = profileElements.pvis.map(pvi => pvi.elevation);
+    profileElements.curves.forEach(curve => {
+      elevations.push(curve.startElevation, curve.endElevation);
+      if (curve.turningPoint) elevations.push(curve.turningPoint.elevation);
+    });
+
+    let minElevation = Math.min(...elevations);
+    let maxElevation = Math.max(...elevations);
+
+    if (this.view &&
+        this.view.startChainage === range.start &&
+        this.view.endChainage === Math.max(range.end, range.start + 1) &&
+        minElevation >= this.view.minElevation &&
+        maxElevation <= this.view.maxElevation) {
+      return;
+    }
+
+    const margin = Math.max((maxElevation - minElevation) * 0.2, 2);
+    minElevation -= margin;
+    maxElevation += margin;
+
+    this.view = {
+      startChainage: range.start,
+      endChainage: Math.max(range.end, range.start + 1),
+      minElevation: minElevation,
+      maxElevation: maxElevation
+    };
+  }
+
+  /**
+   * Convert profile coordinates to canvas coordinates
+   * @param {number} chainage - Chainage
+   * @param {number} elevation - Elevation
+   * @returns {Object} Canvas point {x, y}
+   */
+  toCanvas(chainage, elevation) {
+    const { startChainage, endChainage, minElevation, maxElevation } = this.view;
+    const width = this.canvas.width - this.padding.left - this.padding.right;
+    const height = this.canvas.height - this.padding.top - this.padding.bottom;
+
+    return {
+      x: this.padding.left + ((chainage - startChainage) / (endChainage - startChainage)) * width,
+      y: this.padding.top + ((maxElevation - elevation) / (maxElevation - minElevation)) * height
+    };
+  }
+
+  /**
+   * Convert canvas coordinates to profile coordinates
+   * @param {Object} pos - Canvas point {x, y}
+   * @returns {Object} Profile point {chainage, elevation}
+   */
+  toProfile(pos) {
+    const { startChainage, endChainage, minElevation, maxElevation } = this.view;
+    const width = this.canvas.width - this.padding.left - this.padding.right;
+    const height = this.canvas.height - this.padding.top - this.padding.bottom;
+
+    return {
+      chainage: startChainage + ((pos.x - this.padding.left) / width) * (endChainage - startChainage),
+      elevation: maxElevation - ((pos.y - this.padding.top) / height) * (maxElevation - minElevation)
+    };
+  }
+
+  /**
+   * Clear the canvas
+   */
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Draw the complete profile view
+   * @param {Object} profileElements - Result of VerticalCalculations.calculateProfileElements
+   * @param {number|null} selectedPviIndex - Index of the selected PVI
+   * @param {Object|null} highlightRange - Chainage range of the selected plan element {start, end}
+   * @param {Array} flaggedPvis - Indices of PVIs with overlapping curves
+   */
+  drawProfile(profileElements, selectedPviIndex = null, highlightRange = null, flaggedPvis = []) {
+    this.clear();
+    if (!this.view) return;
+
+    this.drawAxes();
+
+    if (highlightRange) {
+      this.drawHighlightRange(highlightRange);
+    }
+
+    this.drawGradeLines(profileElements);
+    this.drawDesignProfile(profileElements);
+    this.drawCurveLabels(profileElements);
+
+    profileElements.pvis.forEach((pvi, index) => {
+      this.drawPvi(pvi, index === selectedPviIndex, flaggedPvis.includes(index));
+    });
+  }
+
+  /**
+   * Draw the chainage/elevation grid with axis labels
+   */
+  drawAxes() {
+    const { startChainage, endChainage, minElevation, maxElevation } = this.view;
+    const chainageStep = GeometryUtils.niceStep((endChainage - startChainage) / 8);
+    const elevationStep = GeometryUtils.niceStep((maxElevation - minElevation) / 5);
+
+    this.ctx.strokeStyle = '#e5e7eb';
+    this.ctx.fillStyle = '#6b7280';
+    this.ctx.lineWidth = 1;
+    this.ctx.font = '10px sans-serif';
+
+    // Vertical grid lines at chainage steps
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'top';
+    for (let chainage = Math.ceil(startChainage / chainageStep) * chainageStep; chainage <= endChainage; chainage += chainageStep) {
+      const top = this.toCanvas(chainage, maxElevation);
+      const bottom = this.toCanvas(chainage, minElevation);
+      this.ctx.beginPath();
+      this.ctx.moveTo(top.x, top.y);
+      this.ctx.lineTo(bottom.x, bottom.y);
+      this.ctx.stroke();
+      this.ctx.fillText(Stationing.formatChainage(chainage, 0), bottom.x, bottom.y + 4);
+    }
+
+    // Horizontal grid lines at elevation steps
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'middle';
+    for (let elevation = Math.ceil(minElevation / elevationStep) * elevationStep; elevation <= maxElevation; elevation += elevationStep) {
+      const left = this.toCanvas(startChainage, elevation);
+      const right = this.toCanvas(endChainage, elevation);
+      this.ctx.beginPath();
+      this.ctx.moveTo(left.x, left.y);
+      this.ctx.lineTo(right.x, right.y);
+      this.ctx.stroke();
+      this.ctx.fillText(elevation.toFixed(1), left.x - 4, left.y);
+    }
+  }
+
+  /**
+   * Shade the chainage range of the selected plan element
+   * @param {Object} range - Chainage range {start, end}
+   */
+  drawHighlightRange(range) {
+    const { minElevation, maxElevation } = this.view;
+    const topLeft = this.toCanvas(range.start, maxElevation);
+    const bottomRight = this.toCanvas(range.end, minElevation);
+
+    this.ctx.fillStyle = 'rgba(251, 191, 36, 0.2)';
+    this.ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+  }
+
+  /**
+   * Draw the straight grade lines between PVIs with their grades
+   * @param {Object} profileElements - Profile elements
+   */
+  drawGradeLines(profileElements) {
+    const { pvis, grades } = profileElements;
+
+    this.ctx.strokeStyle = '#9ca3af';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([5, 5]);
+    this.ctx.beginPath();
+    pvis.forEach((pvi, index) => {
+      const point = this.toCanvas(pvi.chainage, pvi.elevation);
+      if (index === 0) {
+        this.ctx.moveTo(point.x, point.y);
+      } else {
+        this.ctx.lineTo(point.x, point.y);
+      }
+    });
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+
+    // Grade labels at the middle of each grade line
+    this.ctx.fillStyle = '#374151';
+    this.ctx.font = '11px sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'bottom';
+    grades.forEach((grade, index) => {
+      const chainage = (pvis[index].chainage + pvis[index + 1].chainage) / 2;
+      const elevation = (pvis[index].elevation + pvis[index + 1].elevation) / 2;
+      const point = this.toCanvas(chainage, elevation);
+      this.ctx.fillText(VerticalCalculations.formatGrade(grade), point.x, point.y - 6);
+    });
+  }
+
+  /**
+   * Draw the design profile including vertical curves
+   * @param {Object} profileElements - Profile elements
+   */
+  drawDesignProfile(profileElements) {
+    const { pvis, curves } = profileElements;
+    if (pvis.length < 2) return;
+
+    const start = pvis[0].chainage;
+    const end = pvis[pvis.length - 1].chainage;
+    const steps = Math.max(2, Math.floor(this.canvas.width / 2));
+
+    this.ctx.strokeStyle = '#2563eb';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const chainage = start + ((end - start) * i) / steps;
+      const elevation = VerticalCalculations.getElevationAtChainage(profileElements, chainage);
+      const point = this.toCanvas(chainage, elevation);
+      if (i === 0) {
+        this.ctx.moveTo(point.x, point.y);
+      } else {
+        this.ctx.lineTo(point.x, point.y);
+      }
+    }
+    this.ctx.stroke();
+
+    // PVC/PVT markers and the high/low point of each curve
+    curves.forEach(curve => {
+      this.ctx.fillStyle = '#22c55e';
+      [
+        this.toCanvas(curve.startChainage, curve.startElevation),
+        this.toCanvas(curve.endChainage, curve.endElevation)
+      ].forEach(point => {
+        this.ctx.beginPath();
+        this.ctx.arc(point.x, point.y, 3, 0, 2 * Math.PI);
+        this.ctx.fill();
+      });
+
+      if (curve.turningPoint) {
+        const point = this.toCanvas(curve.turningPoint.chainage, curve.turningPoint.elevation);
+        this.ctx.strokeStyle = '#2563eb';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(point.x - 4, point.y - 4);
+        this.ctx.lineTo(point.x + 4, point.y + 4);
+        this.ctx.moveTo(point.x + 4, point.y - 4);
+        this.ctx.lineTo(point.x - 4, point.y + 4);
+        this.ctx.stroke();
+      }
+    });
+  }
+
+  /**
+   * Label each vertical curve with its length, K-value and type
+   * @param {Object} profileElements - Profile elements
+   */
+  drawCurveLabels(profileElements) {
+    this.ctx.fillStyle = '#1d4ed8';
+    this.ctx.font = '10px sans-serif';
+    this.ctx.textAlign = 'center';
+
+    profileElements.curves.forEach(curve => {
+      const point = this.toCanvas(curve.pvi.chainage, curve.pvi.elevation);
+      const length = curve.isAsymmetric
+        ? `L=${curve.lengthIn.toFixed(1)}+${curve.lengthOut.toFixed(1)}`
+        : `L=${curve.length.toFixed(1)}`;
+      const label = `${curve.type === 'crest' ? 'Crest' : 'Sag'} ${length} K=${curve.kValue.toFixed(1)}`;
+
+      // Crest labels above the PVI, sag labels below
+      this.ctx.textBaseline = curve.type === 'crest' ? 'bottom' : 'top';
+      this.ctx.fillText(label, point.x, curve.type === 'crest' ? point.y - 12 : point.y + 12);
+    });
+  }
+
+  /**
+   * Draw a PVI grip
+   * @param {Object} pvi - PVI {chainage, elevation}
+   * @param {boolean} isSelected - Whether the PVI is selected
+   * @param {boolean} isFlagged - Whether the PVI's curve overlaps a neighbour
+   */
+  drawPvi(pvi, isSelected = false, isFlagged = false) {
+    const point = this.toCanvas(pvi.chainage, pvi.elevation);
+
+    this.ctx.beginPath();
+    this.ctx.arc(point.x, point.y, isSelected ? 7 : 6, 0, 2 * Math.PI);
+    this.ctx.fillStyle = isFlagged ? '#dc2626' : (isSelected ? '#1d4ed8' : '#3b82f6');
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.fill();
+    this.ctx.lineWidth = 2;
+    this.ctx.stroke();
+  }
+}
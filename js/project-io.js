@@ -0,0 +1,243 @@
+/**
+ * Project I/O Module
+ * Versioned JSON project files: serialization, parsing and schema migrations
+ *
+ * Only the design inputs are saved (IPs, radii, spirals, profile, settings) and the
+ * imported survey points; elements and curve points are rebuilt from them on load.
+ * Fields other than the points are optional and take their defaults when missing.
+ */
+
+import { DesignCriteria } from './design-criteria.js';
+import { CrossSection } from './cross-section.js';
+import { Widening } from './widening.js';
+import { SightDistance } from './sight-distance.js';
+import { SurveyPoints } from './survey-points.js';
+import { CURVE_PARAMETERS } from './curve-definitions.js';
+
+export const PROJECT_FORMAT = 'civil-alignment-project';
+export const PROJECT_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade from. Each takes a project of
+ * version n and returns one of version n + 1.
+ */
+const MIGRATIONS = {
+  // Version 0: an unversioned file holding a bare array of alignments
+  0: (data) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    settings: {},
+    alignments: data
+  })
+};
+
+export class ProjectIO {
+  /**
+   * Build a project file object from the application state
+   * @param {Object} state - {alignments, roadMarkings, stationing, validation, surveyPoints, survey}
+   * @returns {Object} Project data
+   */
+  static serializeProject(state) {
+    return {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      settings: {
+        roadMarkings: { ...state.roadMarkings },
+        stationing: { ...state.stationing },
+        validation: { ...state.validation },
+        survey: { ...state.survey, hiddenCodes: [...state.survey.hiddenCodes] }
+      },
+      alignments: state.alignments.map(alignment => this.serializeAlignment(alignment)),
+      surveyPoints: SurveyPoints.normalize(state.surveyPoints)
+    };
+  }
+
+  /**
+   * Strip an alignment down to its design inputs
+   * @param {Object} alignment - Alignment
+   * @returns {Object} Serializable alignment
+   */
+  static serializeAlignment(alignment) {
+    const data = {
+      name: alignment.name,
+      points: alignment.points.map(point => ({ x: point.x, y: point.y })),
+      radii: { ...alignment.radii },
+      spirals: JSON.parse(JSON.stringify(alignment.spirals || {})),
+      startChainage: alignment.startChainage || 0
+    };
+
+    if (alignment.designCriteria) {
+      data.designCriteria = { ...alignment.designCriteria };
+    }
+
+    if (alignment.crossSection) {
+      data.crossSection = JSON.parse(JSON.stringify(alignment.crossSection));
+    }
+
+    if (alignment.widenings && alignment.widenings.length > 0) {
+      data.widenings = JSON.parse(JSON.stringify(alignment.widenings));
+    }
+
+    if (alignment.curveWidening) {
+      data.curveWidening = true;
+    }
+
+    if (alignment.obstructions && alignment.obstructions.length > 0) {
+      data.obstructions = JSON.parse(JSON.stringify(alignment.obstructions));
+    }
+
+    if (alignment.curveConstraints && Object.keys(alignment.curveConstraints).length > 0) {
+      data.curveConstraints = JSON.parse(JSON.stringify(alignment.curveConstraints));
+    }
+
+    if (alignment.profile) {
+      data.profile = JSON.parse(JSON.stringify(alignment.profile));
+    }
+
+    return data;
+  }
+
+  /**
+   * Parse, migrate and validate a project file
+   * @param {string} text - File contents
+   * @returns {Object} Project data at the current version
+   * @throws {Error} If the file is not a readable project
+   */
+  static parseProject(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    data = this.migrateProject(data);
+    this.validateProject(data);
+    return data;
+  }
+
+  /**
+   * Upgrade a project to the current schema version
+   * @param {Object|Array} data - Parsed project data
+   * @returns {Object} Project data at the current version
+   * @throws {Error} If the file is not a project, is from a newer version or has no migration path
+   */
+  static migrateProject(data) {
+    if (!Array.isArray(data) && (!data || data.format !== PROJECT_FORMAT)) {
+      throw new Error('The file is not an alignment project.');
+    }
+
+    let version = Array.isArray(data) ? 0 : data.version;
+
+    if (version > PROJECT_VERSION) {
+      throw new Error(`This project was saved by a newer version (format ${version}).`);
+    }
+
+    while (version < PROJECT_VERSION) {
+      const migrate = MIGRATIONS[version];
+      if (!migrate) {
+        throw new Error(`No migration from project format ${version}.`);
+      }
+      data = migrate(data);
+      version = data.version;
+    }
+
+    return data;
+  }
+
+  /**
+   * Check that a migrated project has the fields needed to rebuild it
+   * @param {Object} data - Project data
+   * @throws {Error} If a required field is missing or malformed
+   */
+  static validateProject(data) {
+    if (data.format !== PROJECT_FORMAT) {
+      throw new Error('The file is not an alignment project.');
+    }
+    if (!Array.isArray(data.alignments)) {
+      throw new Error('The project has no alignments list.');
+    }
+
+    data.alignments.forEach((alignment, index) => {
+      const valid = Array.isArray(alignment.points) &&
+        alignment.points.length >= 2 &&
+        alignment.points.every(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+      if (!valid) {
+        throw new Error(`Alignment ${index + 1} needs at least two points with numeric coordinates.`);
+      }
+
+      const count = alignment.points.length;
+      if (!this.isIpMap(alignment.radii, count, radius => Number.isFinite(radius) && radius > 0, ['default'])) {
+        throw new Error(`Alignment ${index + 1} has a radius that is not a positive number or not on one of its IPs.`);
+      }
+      const isLength = length => length === undefined || (Number.isFinite(length) && length >= 0);
+      if (!this.isIpMap(alignment.spirals, count, spiral => spiral && isLength(spiral.lengthIn) && isLength(spiral.lengthOut))) {
+        throw new Error(`Alignment ${index + 1} has a spiral length that is negative, not a number or not on one of its IPs.`);
+      }
+      const isConstraint = constraint => constraint && Object.hasOwn(CURVE_PARAMETERS, constraint.parameter) &&
+        Number.isFinite(constraint.value) && constraint.value > 0;
+      if (!this.isIpMap(alignment.curveConstraints, count, isConstraint)) {
+        throw new Error(`Alignment ${index + 1} has a curve constraint that is not valid or not on one of its IPs.`);
+      }
+
+      if (alignment.profile) {
+        const pvis = alignment.profile.pvis;
+        const validProfile = Array.isArray(pvis) &&
+          pvis.length >= 2 &&
+          pvis.every(pvi => pvi && Number.isFinite(pvi.chainage) && Number.isFinite(pvi.elevation) &&
+            [pvi.lengthIn, pvi.lengthOut].every(length => length === undefined || (Number.isFinite(length) && length >= 0)));
+        if (!validProfile) {
+          throw new Error(`The profile of alignment ${index + 1} needs at least two PVIs with numeric chainages and elevations and no negative curve lengths.`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Check a saved map keyed by IP index, such as radii
+   * @param {Object|undefined} map - Map, or undefined when the file leaves it out
+   * @param {number} pointCount - Number of IPs of the alignment
+   * @param {Function} isValid - Entry => whether it is usable
+   * @param {Array} otherKeys - Keys allowed besides IP indices
+   * @returns {boolean} True if missing, or an object whose keys are IPs and entries are valid
+   */
+  static isIpMap(map, pointCount, isValid, otherKeys = []) {
+    if (map === undefined) return true;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return false;
+
+    return Object.entries(map).every(([key, value]) =>
+      (otherKeys.includes(key) || (/^\d+$/.test(key) && parseInt(key, 10) < pointCount)) && isValid(value)
+    );
+  }
+
+  /**
+   * Turn a saved alignment back into an (unbuilt) application alignment
+   * @param {Object} data - Saved alignment
+   * @param {number} defaultRadius - Radius for IPs without one
+   * @returns {Object} Alignment with empty elements and curve points
+   */
+  static restoreAlignment(data, defaultRadius) {
+    const alignment = {
+      name: data.name || 'Unnamed',
+      points: data.points.map(point => ({ x: point.x, y: point.y })),
+      elements: [],
+      curvePoints: [],
+      radii: { default: defaultRadius, ...(data.radii || {}) },
+      spirals: { ...(data.spirals || {}) },
+      curveConstraints: { ...(data.curveConstraints || {}) },
+      designCriteria: { ...DesignCriteria.createDefault(), ...(data.designCriteria || {}) },
+      crossSection: data.crossSection ? CrossSection.normalize(data.crossSection) : CrossSection.createDefault(),
+      widenings: Widening.normalize(data.widenings),
+      curveWidening: data.curveWidening === true,
+      obstructions: SightDistance.normalize(data.obstructions),
+      startChainage: data.startChainage || 0
+    };
+
+    if (data.profile) {
+      alignment.profile = data.profile;
+    }
+
+    return alignment;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Setting-Out Module
+ * Stakeout table for an alignment: chainage, easting, northing and tangent bearing at
+ * a regular interval and at every key point, with optional points on the edges of the
+ * alignment's cross-section components, widened where its width-change regions say
+ *
+ * Edge points are the points of each trimmed offset chain square to the centreline
+ * point; where trimming has removed that part of an edge there is no point.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { OffsetAlignment } from './offset-alignment.js';
+import { Stationing } from './stationing.js';
+import { Viewport } from './viewport.js';
+import { FileUtils } from './file-utils.js';
+import { CrossSection } from './cross-section.js';
+import { Widening } from './widening.js';
+
+export class SettingOut {
+  /**
+   * Build the setting-out table for an alignment
+   * @param {Object} alignment - Alignment with built, chainaged elements
+   * @param {Object} settings - {interval, includeOffsets}
+   * @returns {Object} {offsets, rows}; offsets are {name, offset} (positive = right; a function
+   *   of chainage where the edge is widened), rows are
+   *   {chainage, label, easting, northing, bearing, offsets} where offsets holds an
+   *   {easting, northing} (or null where the edge can't be built) per entry of offsets
+   */
+  static generate(alignment, settings) {
+    const elements = alignment.elements || [];
+    const offsets = settings.includeOffsets
+      ? this.getOffsetLines(alignment.crossSection || CrossSection.createDefault(), alignment.widenings || [])
+      : [];
+    if (elements.length === 0) return { offsets, rows: [] };
+
+    const chains = offsets.map(line => OffsetAlignment.calculate(elements, line.offset));
+
+    const rows = [];
+    const addRow = (chainage, label) => {
+      const existing = rows.find(row => Math.abs(row.chainage - chainage) < 1e-6);
+      if (existing) {
+        if (label) existing.label = existing.label ? `${existing.label}/${label}` : label;
+        return;
+      }
+
+      const station = Stationing.getPointAtChainage(elements, chainage);
+      if (!station) return;
+
+      rows.push({
+        chainage,
+        label,
+        ...Viewport.toEastingNorthing(station),
+        bearing: station.bearing,
+        offsets: chains.map(chain => {
+          const point = OffsetAlignment.getPointAtChainage(chain, chainage);
+          return point ? Viewport.toEastingNorthing(point) : null;
+        })
+      });
+    };
+
+    Stationing.getKeyPoints(elements).forEach(keyPoint => addRow(keyPoint.chainage, keyPoint.label));
+    Stationing.generateStations(elements, settings.interval).forEach(station => addRow(station.chainage, ''));
+
+    rows.push(...this.getIpRows(alignment, offsets.length));
+
+    return { offsets, rows: rows.sort((a, b) => a.chainage - b.chainage) };
+  }
+
+  /**
+   * Cross-section component edges, from the outer left edge across to the outer right
+   * @param {Object} template - Cross-section template
+   * @param {Array} regions - Width-change regions
+   * @returns {Array} Offset lines {name, offset}
+   */
+  static getOffsetLines(template, regions = []) {
+    return Widening.getEdges(template, regions)
+      .sort((a, b) => a.offset - b.offset)
+      .map(edge => ({ name: edge.name, offset: edge.widenedOffset }));
+  }
+
+  /**
+   * Rows for the interior IPs, at their through chainage with the incoming tangent bearing
+   * @param {Object} alignment - Alignment with built, chainaged elements
+   * @param {number} offsetCount - Number of offset lines (IPs get no edge points)
+   * @returns {Array} Rows
+   */
+  static getIpRows(alignment, offsetCount) {
+    const rows = [];
+    const points = alignment.points;
+
+    for (let i = 1; i < points.length - 1; i++) {
+      rows.push({
+        chainage: Stationing.getIpChainage(alignment, i),
+        label: 'IP',
+        ...Viewport.toEastingNorthing(points[i]),
+        bearing: GeometryUtils.calculateBearing(points[i - 1], points[i]),
+        offsets: new Array(offsetCount).fill(null)
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Bearing as decimal degrees for the table and CSV
+   * @param {number} bearing - Bearing in radians
+   * @returns {string} Degrees to four decimals
+   */
+  static formatBearing(bearing) {
+    return (bearing * 180 / Math.PI).toFixed(4);
+  }
+
+  /**
+   * Write the table as CSV
+   * @param {Object} table - Result of generate()
+   * @returns {string} CSV text
+   */
+  static toCsv(table) {
+    const header = ['Chainage', 'Point', 'Easting', 'Northing', 'Bearing (deg)'];
+    table.offsets.forEach(line => header.push(`${line.name} E`, `${line.name} N`));
+
+    const lines = [header];
+    table.rows.forEach(row => {
+      const values = [
+        row.chainage.toFixed(3),
+        row.label,
+        row.easting.toFixed(3),
+        row.northing.toFixed(3),
+        this.formatBearing(row.bearing)
+      ];
+      row.offsets.forEach(point => {
+        values.push(point ? point.easting.toFixed(3) : '', point ? point.northing.toFixed(3) : '');
+      });
+      lines.push(values);
+    });
+
+    return FileUtils.toCsv(lines);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Sight Distance Module
+ * Stopping sight distance on horizontal curves. The driver's eye and the object they must
+ * see are both on the centre of the inside lane, a stopping sight distance S apart along
+ * it, and the sight line between them must stay clear. For a lane of radius R the
+ * clearance it needs from the lane centre, the horizontal sightline offset, is
+ *
+ *   M = R · (1 − cos(S / 2R))            S ≤ L
+ *   M = L · (2S − L) / 8R                S > L, the sight line longer than the curve
+ *
+ * with L the curve length along the lane. The envelope drawn and checked against
+ * obstructions is found from the sight lines themselves, every STEP of chainage, so it
+ * follows spirals and tapers off past the ends of the curve.
+ *
+ * Obstruction: {points} with one point for a point obstruction and more for a line
+ * (a wall, the face of a building). Only obstructions inside the curve can block it.
+ */
+
+import { AlignmentCalculations } from './alignment-calculations.js';
+import { OffsetAlignment } from './offset-alignment.js';
+import { GeometryUtils } from './geometry.js';
+import { CrossSection } from './cross-section.js';
+import { DesignCriteria } from './design-criteria.js';
+
+const STEP = 2; // Metres of chainage between driver positions
+const OBSTRUCTION_SPACING = 1; // Metres between checked points along obstruction lines
+
+export class SightDistance {
+  /**
+   * Copy obstructions, dropping any without points
+   * @param {Array} obstructions - Obstructions, e.g. from a project file
+   * @returns {Array} Obstructions
+   */
+  static normalize(obstructions) {
+    return (Array.isArray(obstructions) ? obstructions : [])
+      .map(obstruction => ({
+        points: (Array.isArray(obstruction.points) ? obstruction.points : [])
+          .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+          .map(point => ({ x: point.x, y: point.y }))
+      }))
+      .filter(obstruction => obstruction.points.length > 0);
+  }
+
+  /**
+   * Check every curve of an alignment
+   * @param {Object} alignment - Alignment with chainaged elements, design criteria,
+   *   cross-section and obstructions
+   * @returns {Object} {sightDistance, curves}; curves are {ipIndex, side, eyeOffset, laneRadius,
+   *   requiredClearance, maxClearance, envelope, blocked} with the envelope a point list and
+   *   blocked the driver positions {startChainage, endChainage, points} whose sight line is cut
+   */
+  static analyse(alignment) {
+    const elements = alignment.elements || [];
+    const sightDistance = DesignCriteria.getStoppingSightDistance(alignment.designCriteria);
+    if (elements.length === 0) return { sightDistance, curves: [] };
+
+    const template = alignment.crossSection || CrossSection.createDefault();
+    const samples = this.sampleObstructions(alignment.obstructions || [], elements);
+
+    // The eye path along each side's lane, built once for all the curves turning that way
+    const eyePaths = {};
+    const curves = elements
+      .filter(element => element.type === 'arc')
+      .map(arc => {
+        const side = arc.isRightTurn ? 'right' : 'left';
+        if (!eyePaths[side]) {
+          const offset = this.getEyeOffset(template, side);
+          eyePaths[side] = { side, offset, pieces: OffsetAlignment.calculate(elements, offset) };
+        }
+        return this.analyseCurve(elements, arc, sightDistance, eyePaths[side], samples);
+      });
+
+    return { sightDistance, curves };
+  }
+
+  /**
+   * Centre of the first lane on one side, where the driver's eye is taken to be
+   * @param {Object} template - Cross-section template
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} Offset, positive = right; the centreline without a lane
+   */
+  static getEyeOffset(template, side) {
+    const sign = side === 'right' ? 1 : -1;
+    let distance = 0;
+    for (const component of template[side]) {
+      if (component.type === 'lane') return sign * (distance + component.width / 2);
+      distance += component.width;
+    }
+    return 0;
+  }
+
+  /**
+   * Horizontal sightline offset for a circular lane
+   * @param {number} radius - Radius of the lane centre
+   * @param {number} length - Curve length along the lane centre
+   * @param {number} sightDistance - Stopping sight distance
+   * @returns {number} Clearance in metres
+   */
+  static getRequiredClearance(radius, length, sightDistance) {
+    return sightDistance <= length
+      ? radius * (1 - Math.cos(sightDistance / (2 * radius)))
+      : length * (2 * sightDistance - length) / (8 * radius);
+  }
+
+  /**
+   * Sight lines through one curve: the envelope they sweep and the drivers whose view an
+   * obstruction cuts
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @param {Object} arc - Arc of the curve
+   * @param {number} sightDistance - Stopping sight distance
+   * @param {Object} eyePath - {side, offset, pieces}: the inside lane centre, offset from
+   *   the whole alignment
+   * @param {Array} samples - Obstruction points from sampleObstructions()
+   * @returns {Object} Curve result, see analyse()
+   */
+  static analyseCurve(elements, arc, sightDistance, eyePath, samples) {
+    const { side, offset: eyeOffset } = eyePath;
+    const sign = side === 'right' ? 1 : -1;
+    const laneRadius = arc.radius - Math.abs(eyeOffset);
+    const requiredClearance = this.getRequiredClearance(laneRadius, arc.length * laneRadius / arc.radius, sightDistance);
+
+    // The curve with its spirals, and enough either side for sight lines reaching into it
+    const parts = elements.filter(element => element.ipIndex === arc.ipIndex && element.type !== 'tangent');
+    const curveStart = Math.min(...parts.map(element => element.startChainage));
+    const curveEnd = Math.max(...parts.map(element => element.endChainage));
+    const from = Math.max(elements[0].startChainage, curveStart - sightDistance);
+    const to = Math.min(elements[elements.length - 1].endChainage, curveEnd + 2 * sightDistance);
+
+    const eyes = [];
+    for (let chainage = from; chainage < to + STEP / 2; chainage += STEP) {
+      const point = OffsetAlignment.getPointAtChainage(eyePath.pieces, Math.min(chainage, to));
+      if (!point) continue;
+      const previous = eyes[eyes.length - 1];
+      eyes.push({
+        chainage: Math.min(chainage, to),
+        point,
+        distance: previous ? previous.distance + GeometryUtils.calculateDistance(previous.point, point) : 0
+      });
+    }
+
+    // Clearance a sight line needs at a point, measured towards the inside
+    const clearanceFrom = (eye, object, point) => {
+      const direction = GeometryUtils.getUnitVector(eye, object);
+      const right = (point.x - eye.x) * -direction.y + (point.y - eye.y) * direction.x;
+      return -sign * right;
+    };
+
+    // Obstructions inside the lane, by how far in from the lane centre they stand
+    const inside = samples
+      .map(sample => ({ ...sample, depth: sign * (sample.offset - eyeOffset) }))
+      .filter(sample => sample.depth > 0 && sample.chainage > from && sample.chainage < to)
+      .map(sample => ({ ...sample, eye: OffsetAlignment.getPointAtChainage(eyePath.pieces, sample.chainage) }))
+      .filter(sample => sample.eye);
+
+    const clearances = new Array(eyes.length).fill(0);
+    const blockedDrivers = [];
+    let target = 0;
+
+    for (let j = 0; j < eyes.length && eyes[j].chainage <= curveEnd; j++) {
+      while (target < eyes.length && eyes[target].distance - eyes[j].distance < sightDistance) target++;
+      if (target >= eyes.length) break;
+
+      // The object, exactly the sight distance along the lane
+      const before = eyes[target - 1];
+      const t = (sightDistance - (before.distance - eyes[j].distance)) / (eyes[target].distance - before.distance);
+      const object = {
+        x: before.point.x + (eyes[target].point.x - before.point.x) * t,
+        y: before.point.y + (eyes[target].point.y - before.point.y) * t
+      };
+      const objectChainage = before.chainage + (eyes[target].chainage - before.chainage) * t;
+
+      for (let i = j + 1; i < target; i++) {
+        clearances[i] = Math.max(clearances[i], clearanceFrom(eyes[j].point, object, eyes[i].point));
+      }
+
+      const isBlocked = inside.some(sample =>
+        sample.chainage > eyes[j].chainage && sample.chainage < objectChainage &&
+        clearanceFrom(eyes[j].point, object, sample.eye) > sample.depth
+      );
+      if (isBlocked) blockedDrivers.push(j);
+    }
+
+    return {
+      ipIndex: arc.ipIndex,
+      side,
+      eyeOffset,
+      laneRadius,
+      requiredClearance,
+      maxClearance: Math.max(0, ...clearances),
+      envelope: this.buildEnvelope(eyes, clearances, sign),
+      blocked: this.groupDrivers(eyes, blockedDrivers)
+    };
+  }
+
+  /**
+   * Points the sight lines reach in from the lane centre
+   * @param {Array} eyes - Eye positions {chainage, point}
+   * @param {Array} clearances - Clearance needed at each eye position
+   * @param {number} sign - 1 when the inside is on the right, -1 on the left
+   * @returns {Array} Points {x, y} where any clearance is needed
+   */
+  static buildEnvelope(eyes, clearances, sign) {
+    const envelope = [];
+
+    eyes.forEach((eye, i) => {
+      if (clearances[i] <= 0) return;
+
+      const before = eyes[Math.max(0, i - 1)].point;
+      const after = eyes[Math.min(eyes.length - 1, i + 1)].point;
+      const normal = GeometryUtils.getPerpendicularVector(GeometryUtils.getUnitVector(before, after));
+      envelope.push({
+        x: eye.point.x + normal.x * sign * clearances[i],
+        y: eye.point.y + normal.y * sign * clearances[i]
+      });
+    });
+
+    return envelope;
+  }
+
+  /**
+   * Group consecutive blocked driver positions into chainage ranges
+   * @param {Array} eyes - Eye positions {chainage, point}
+   * @param {Array} indices - Indices of blocked drivers, ascending
+   * @returns {Array} Ranges {startChainage, endChainage, points}
+   */
+  static groupDrivers(eyes, indices) {
+    const ranges = [];
+    let last = null;
+
+    indices.forEach(index => {
+      if (last === null || index !== last + 1) {
+        ranges.push({ startChainage: eyes[index].chainage, endChainage: eyes[index].chainage, points: [] });
+      }
+      const range = ranges[ranges.length - 1];
+      range.endChainage = eyes[index].chainage;
+      range.points.push(eyes[index].point);
+      last = index;
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Station and offset of points along every obstruction
+   * @param {Array} obstructions - Obstructions {points}
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @returns {Array} {chainage, offset} for the points square to the alignment
+   */
+  static sampleObstructions(obstructions, elements) {
+    const points = [];
+
+    obstructions.forEach(({ points: vertices }) => {
+      points.push(vertices[0]);
+      for (let i = 1; i < vertices.length; i++) {
+        const count = Math.max(1, Math.ceil(GeometryUtils.calculateDistance(vertices[i - 1], vertices[i]) / OBSTRUCTION_SPACING));
+        for (let k = 1; k <= count; k++) {
+          points.push({
+            x: vertices[i - 1].x + (vertices[i].x - vertices[i - 1].x) * k / count,
+            y: vertices[i - 1].y + (vertices[i].y - vertices[i - 1].y) * k / count
+          });
+        }
+      }
+    });
+
+    return points
+      .map(point => AlignmentCalculations.calculateStationOffset(point, elements))
+      .filter(projection => projection && projection.isPerpendicular)
+      .map(projection => ({ chainage: projection.chainage, offset: projection.offset }));
+  }
+}
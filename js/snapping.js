@@ -0,0 +1,214 @@
+/**
+ * Snapping Module
+ * Object, survey-point, nearest-point, bearing-lock and grid snaps for placing and dragging IPs
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { AlignmentCalculations } from './alignment-calculations.js';
+
+export const BEARING_INCREMENTS = [1, 5, 15]; // Degrees
+
+export class Snapping {
+  /**
+   * Default snap settings
+   * @returns {Object} {grid, points, survey, nearest, bearing, bearingIncrement}
+   */
+  static createDefaultSettings() {
+    return {
+      grid: false,
+      points: true, // IPs, TC/CT (and spiral) points, arc centres
+      survey: true, // Visible survey points
+      nearest: false,
+      bearing: false,
+      bearingIncrement: 5
+    };
+  }
+
+  /**
+   * Find the snapped position for a cursor position
+   * Object snaps win over survey points, then nearest-point, bearing lock and grid.
+   * @param {Object} position - Unsnapped world position
+   * @param {Object} options - {settings, alignments, surveyPoints, excludeAlignment, anchor, previousPoint,
+   *   tolerance, gridSize}; anchor is the IP the new tangent starts from, previousPoint the IP before it
+   * @returns {Object|null} Snap {point, type, ...} or null if nothing applies
+   */
+  static findSnap(position, options) {
+    const { settings, alignments, surveyPoints = [], excludeAlignment, anchor, previousPoint, tolerance, gridSize } = options;
+    const others = alignments.filter(alignment => alignment !== excludeAlignment);
+
+    if (settings.points) {
+      const snap = this.snapToPoints(position, others, tolerance);
+      if (snap) return snap;
+    }
+
+    if (settings.survey && surveyPoints.length > 0) {
+      const snap = this.snapToSurveyPoints(position, surveyPoints, tolerance);
+      if (snap) return snap;
+    }
+
+    if (settings.nearest) {
+      const snap = this.snapToNearest(position, others, tolerance);
+      if (snap) return snap;
+    }
+
+    if (settings.bearing && anchor) {
+      const snap = this.snapToBearing(position, anchor, previousPoint, settings.bearingIncrement);
+      if (snap) return snap;
+    }
+
+    if (settings.grid && gridSize > 0) {
+      return this.snapToGrid(position, gridSize);
+    }
+
+    return null;
+  }
+
+  /**
+   * Snap to the closest IP, curve key point or arc centre within tolerance
+   * @param {Object} position - World position
+   * @param {Array} alignments - Alignments to snap to
+   * @param {number} tolerance - Snap radius in world units
+   * @returns {Object|null} Snap {point, type, label}
+   */
+  static snapToPoints(position, alignments, tolerance) {
+    let best = null;
+    let bestDistance = tolerance;
+
+    alignments.forEach(alignment => {
+      this.getSnapTargets(alignment).forEach(target => {
+        const distance = GeometryUtils.calculateDistance(position, target.point);
+        if (distance <= bestDistance) {
+          bestDistance = distance;
+          best = { point: { ...target.point }, type: target.type, label: target.label };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Points of an alignment that can be snapped to
+   * @param {Object} alignment - Alignment with built elements
+   * @returns {Array} Targets {point, type: 'ip'|'keyPoint'|'centre', label}
+   */
+  static getSnapTargets(alignment) {
+    const targets = alignment.points.map(point => ({ point, type: 'ip', label: 'IP' }));
+
+    (alignment.elements || []).forEach(element => {
+      if (element.type === 'arc') {
+        targets.push({ point: element.startPoint, type: 'keyPoint', label: element.spiralIn ? 'SC' : 'TC' });
+        targets.push({ point: element.endPoint, type: 'keyPoint', label: element.spiralOut ? 'CS' : 'CT' });
+        targets.push({ point: element.centerPoint, type: 'centre', label: 'Centre' });
+      } else if (element.type === 'spiral') {
+        targets.push(element.isEntry
+          ? { point: element.startPoint, type: 'keyPoint', label: 'TS' }
+          : { point: element.endPoint, type: 'keyPoint', label: 'ST' });
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Snap to the closest survey point within tolerance
+   * @param {Object} position - World position
+   * @param {Array} surveyPoints - Survey points {number, x, y, description}
+   * @param {number} tolerance - Snap radius in world units
+   * @returns {Object|null} Snap {point, type: 'survey', label}
+   */
+  static snapToSurveyPoints(position, surveyPoints, tolerance) {
+    let best = null;
+    let bestDistance = tolerance;
+
+    surveyPoints.forEach(surveyPoint => {
+      const distance = GeometryUtils.calculateDistance(position, surveyPoint);
+      if (distance <= bestDistance) {
+        bestDistance = distance;
+        best = {
+          point: { x: surveyPoint.x, y: surveyPoint.y },
+          type: 'survey',
+          label: `Pt ${surveyPoint.number}${surveyPoint.description ? ` ${surveyPoint.description}` : ''}`
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Snap to the nearest point on any element within tolerance
+   * @param {Object} position - World position
+   * @param {Array} alignments - Alignments to snap to
+   * @param {number} tolerance - Snap radius in world units
+   * @returns {Object|null} Snap {point, type: 'nearest', element}
+   */
+  static snapToNearest(position, alignments, tolerance) {
+    let best = null;
+    let bestDistance = tolerance;
+
+    alignments.forEach(alignment => {
+      (alignment.elements || []).forEach(element => {
+        const projection = AlignmentCalculations.projectPointOnElement(position, element);
+        if (projection.separation <= bestDistance) {
+          bestDistance = projection.separation;
+          best = { point: { x: projection.point.x, y: projection.point.y }, type: 'nearest', element };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Lock the bearing from the anchor to a whole increment of deflection from the
+   * previous tangent (or of bearing from north when there is no previous tangent),
+   * keeping the cursor's distance from the anchor
+   * @param {Object} position - World position
+   * @param {Object} anchor - IP the new tangent starts from
+   * @param {Object|null} previousPoint - IP before the anchor
+   * @param {number} increment - Increment in degrees
+   * @returns {Object|null} Snap {point, type: 'bearing', anchor, bearing, deflection}
+   */
+  static snapToBearing(position, anchor, previousPoint, increment) {
+    const distance = GeometryUtils.calculateDistance(anchor, position);
+    if (distance < 1e-9) return null;
+
+    const step = (increment * Math.PI) / 180;
+    const reference = previousPoint ? GeometryUtils.calculateBearing(previousPoint, anchor) : 0;
+    let deflection = GeometryUtils.calculateBearing(anchor, position) - reference;
+
+    // Deflection in -π..π so left and right turns round symmetrically
+    deflection = Math.atan2(Math.sin(deflection), Math.cos(deflection));
+    deflection = Math.round(deflection / step) * step;
+
+    const bearing = GeometryUtils.normalizeAngle(reference + deflection);
+    return {
+      point: {
+        // Bearings run clockwise from north, and world Y runs south
+        x: anchor.x + distance * Math.sin(bearing),
+        y: anchor.y - distance * Math.cos(bearing)
+      },
+      type: 'bearing',
+      anchor: { ...anchor },
+      bearing: bearing,
+      deflection: previousPoint ? deflection : null
+    };
+  }
+
+  /**
+   * Snap to the nearest grid intersection
+   * @param {Object} position - World position
+   * @param {number} gridSize - Grid spacing in world units
+   * @returns {Object} Snap {point, type: 'grid'}
+   */
+  static snapToGrid(position, gridSize) {
+    return {
+      point: {
+        x: Math.round(position.x / gridSize) * gridSize,
+        y: Math.round(position.y / gridSize) * gridSize
+      },
+      type: 'grid'
+    };
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Stationing Module
+ * Chainage (stationing) along an ordered alignment element chain
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { AlignmentCalculations } from './alignment-calculations.js';
+
+export class Stationing {
+  /**
+   * Assign cumulative start/end chainages to an ordered element chain
+   * @param {Array} elements - Ordered alignment elements
+   * @param {number} startChainage - Chainage at the start of the alignment
+   * @returns {number} Chainage at the end of the alignment
+   */
+  static assignChainages(elements, startChainage = 0) {
+    let chainage = startChainage;
+
+    elements.forEach(element => {
+      element.startChainage = chainage;
+      chainage += element.length;
+      element.endChainage = chainage;
+    });
+
+    return chainage;
+  }
+
+  /**
+   * Get the start and end chainage of an alignment
+   * @param {Object} alignment - Alignment with chainaged elements
+   * @returns {Object} Range {start, end}
+   */
+  static getChainageRange(alignment) {
+    const elements = alignment.elements || [];
+    const start = alignment.startChainage || 0;
+    if (elements.length === 0) return { start, end: start };
+
+    return {
+      start: elements[0].startChainage,
+      end: elements[elements.length - 1].endChainage
+    };
+  }
+
+  /**
+   * Find the element containing a chainage
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @param {number} chainage - Chainage to look up
+   * @returns {Object|null} Element, or null if the chainage is off the alignment
+   */
+  static getElementAtChainage(elements, chainage) {
+    if (!elements || elements.length === 0) return null;
+
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    if (chainage < first.startChainage || chainage > last.endChainage) return null;
+
+    return elements.find(element => chainage <= element.endChainage) || last;
+  }
+
+  /**
+   * Get the point and bearing at a chainage
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @param {number} chainage - Chainage to evaluate
+   * @returns {Object|null} {x, y, bearing, direction, element, chainage} or null if off the alignment
+   */
+  static getPointAtChainage(elements, chainage) {
+    const element = this.getElementAtChainage(elements, chainage);
+    if (!element) return null;
+
+    const point = AlignmentCalculations.getPointOnElement(element, chainage - element.startChainage);
+    return {
+      x: point.x,
+      y: point.y,
+      direction: point.direction,
+      bearing: GeometryUtils.calculateBearing({ x: 0, y: 0 }, point.direction),
+      element: element,
+      chainage: chainage
+    };
+  }
+
+  /**
+   * Get the labelled key points (BP, TS, SC, CS, ST, PC, PT, EP) of an alignment
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @returns {Array} Key points {label, chainage, point, ipIndex}
+   */
+  static getKeyPoints(elements) {
+    if (!elements || elements.length === 0) return [];
+
+    const keyPoints = [];
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+
+    keyPoints.push({ label: 'BP', chainage: first.startChainage, point: { ...first.startPoint } });
+
+    elements.forEach(element => {
+      if (element.type === 'spiral') {
+        if (element.isEntry) {
+          keyPoints.push({ label: 'TS', chainage: element.startChainage, point: { ...element.startPoint }, ipIndex: element.ipIndex });
+        } else {
+          keyPoints.push({ label: 'ST', chainage: element.endChainage, point: { ...element.endPoint }, ipIndex: element.ipIndex });
+        }
+      } else if (element.type === 'arc') {
+        keyPoints.push({
+          label: element.spiralIn ? 'SC' : 'PC',
+          chainage: element.startChainage,
+          point: { ...element.startPoint },
+          ipIndex: element.ipIndex
+        });
+        keyPoints.push({
+          label: element.spiralOut ? 'CS' : 'PT',
+          chainage: element.endChainage,
+          point: { ...element.endPoint },
+          ipIndex: element.ipIndex
+        });
+      }
+    });
+
+    keyPoints.push({ label: 'EP', chainage: last.endChainage, point: { ...last.endPoint } });
+
+    // Keep the curve key points in order of chainage (ST comes after CS)
+    return keyPoints.sort((a, b) => a.chainage - b.chainage);
+  }
+
+  /**
+   * Through chainage of an interior IP: the chainage it would have if the alignment ran
+   * along the tangents to it
+   * @param {Object} alignment - Alignment with built, chainaged elements
+   * @param {number} ipIndex - Index of an interior IP
+   * @returns {number} Chainage
+   */
+  static getIpChainage(alignment, ipIndex) {
+    const arc = alignment.elements.find(element => element.type === 'arc' && element.ipIndex === ipIndex);
+    if (!arc) {
+      // No curve, so the alignment runs through the IP
+      return AlignmentCalculations.calculateStationOffset(alignment.points[ipIndex], alignment.elements).chainage;
+    }
+
+    const curveStart = arc.spiralIn ? arc.spiralIn.startChainage : arc.startChainage;
+    return curveStart + (arc.totalTangentIn ?? arc.tangentLength);
+  }
+
+  /**
+   * Through chainage of any IP: the start or end chainage for the end points
+   * @param {Object} alignment - Alignment with built, chainaged elements
+   * @param {number} ipIndex - Index of the IP
+   * @returns {number} Chainage
+   */
+  static getThroughChainage(alignment, ipIndex) {
+    if (ipIndex <= 0) return this.getChainageRange(alignment).start;
+    if (ipIndex >= alignment.points.length - 1) return this.getChainageRange(alignment).end;
+    return this.getIpChainage(alignment, ipIndex);
+  }
+
+  /**
+   * Generate regular stations along an alignment
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @param {number} interval - Station interval
+   * @returns {Array} Stations from getPointAtChainage, on whole multiples of the interval
+   */
+  static generateStations(elements, interval) {
+    if (!elements || elements.length === 0 || !(interval > 0)) return [];
+
+    const start = elements[0].startChainage;
+    const end = elements[elements.length - 1].endChainage;
+    const stations = [];
+
+    // Stations fall on whole multiples of the interval, not offsets from the start chainage
+    for (let i = Math.ceil(start / interval); i * interval <= end + 1e-9; i++) {
+      const station = this.getPointAtChainage(elements, i * interval);
+      if (station) stations.push(station);
+    }
+
+    return stations;
+  }
+
+  /**
+   * Format a chainage as a station string, e.g. 1234.5 -> "1+234.50"
+   * @param {number} chainage - Chainage value
+   * @param {number} decimals - Decimal places
+   * @returns {string} Formatted station
+   */
+  static formatChainage(chainage, decimals = 2) {
+    const sign = chainage < 0 ? '-' : '';
+    const rounded = Math.abs(chainage).toFixed(decimals);
+    const [whole, fraction] = rounded.split('.');
+    const thousands = Math.floor(Number(whole) / 1000);
+    const remainder = String(Number(whole) % 1000).padStart(3, '0');
+
+    return `${sign}${thousands}+${remainder}${fraction ? '.' + fraction : ''}`;
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Superelevation Renderer Module
+ * Draws the superelevation diagram: chainage on X, left and right crossfall (%) on Y
+ */
+
+import { Superelevation } from './superelevation.js';
+import { Stationing } from './stationing.js';
+import { GeometryUtils } from './geometry.js';
+
+export class SuperelevationRenderer {
+  constructor(canvas, ctx) {
+    this.canvas = canvas;
+    this.ctx = ctx;
+    this.padding = { left: 50, right: 20, top: 14, bottom: 26 };
+    this.view = null; // {startChainage, endChainage, minCrossfall, maxCrossfall} (crossfall in %)
+  }
+
+  /**
+   * Fit the view to the alignment's chainage range and the largest superelevation rate
+   * @param {Object} model - Result of Superelevation.calculate
+   */
+  fitView(model) {
+    const maxRate = Math.max(model.normalCrossfall, ...model.curves.map(curve => curve.rate)) * 100;
+    const limit = Math.ceil(maxRate + 1);
+    this.view = {
+      startChainage: model.range.start,
+      endChainage: Math.max(model.range.end, model.range.start + 1),
+      minCrossfall: -limit,
+      maxCrossfall: limit
+    };
+  }
+
+  /**
+   * Convert diagram coordinates to canvas coordinates
+   * @param {number} chainage - Chainage
+   * @param {number} crossfall - Crossfall in %
+   * @returns {Object} Canvas point {x, y}
+   */
+  toCanvas(chainage, crossfall) {
+    const { startChainage, endChainage, minCrossfall, maxCrossfall } = this.view;
+    const width = this.canvas.width - this.padding.left - this.padding.right;
+    const height = this.canvas.height - this.padding.top - this.padding.bottom;
+
+    return {
+      x: this.padding.left + ((chainage - startChainage) / (endChainage - startChainage)) * width,
+      y: this.padding.top + ((maxCrossfall - crossfall) / (maxCrossfall - minCrossfall)) * height
+    };
+  }
+
+  /**
+   * Convert a canvas X coordinate to chainage
+   * @param {number} x - Canvas X
+   * @returns {number} Chainage
+   */
+  toChainage(x) {
+    const { startChainage, endChainage } = this.view;
+    const width = this.canvas.width - this.padding.left - this.padding.right;
+    return startChainage + ((x - this.padding.left) / width) * (endChainage - startChainage);
+  }
+
+  /**
+   * Clear the canvas
+   */
+  clear() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Draw the complete diagram
+   * @param {Object} model - Result of Superelevation.calculate
+   * @param {number|null} selectedIpIndex - IP of the curve linked to the selected plan element
+   */
+  drawDiagram(model, selectedIpIndex = null) {
+    this.clear();
+    if (!this.view) return;
+
+    this.drawAxes();
+
+    const selected = model.curves.find(curve => curve.ipIndex === selectedIpIndex);
+    if (selected) {
+      this.drawCurveStations(selected);
+    }
+
+    // Crossfall is piecewise linear, so its break points plus a regular sampling draw it exactly
+    const { startChainage, endChainage } = this.view;
+    const chainages = [startChainage, endChainage];
+    for (let i = 1; i < 200; i++) {
+      chainages.push(startChainage + (endChainage - startChainage) * i / 200);
+    }
+    model.curves.forEach(curve => curve.stations.forEach(station => chainages.push(station.chainage)));
+    const samples = chainages
+      .filter(chainage => chainage >= startChainage && chainage <= endChainage)
+      .sort((a, b) => a - b)
+      .map(chainage => ({ chainage, ...Superelevation.getCrossfall(model, chainage) }));
+
+    this.drawCrossfallLine(samples, 'left', '#2563eb');
+    this.drawCrossfallLine(samples, 'right', '#dc2626');
+    this.drawLegend();
+  }
+
+  /**
+   * Draw the chainage/crossfall grid with axis labels
+   */
+  drawAxes() {
+    const { startChainage, endChainage, minCrossfall, maxCrossfall } = this.view;
+    const chainageStep = GeometryUtils.niceStep((endChainage - startChainage) / 8);
+    const crossfallStep = GeometryUtils.niceStep((maxCrossfall - minCrossfall) / 4);
+
+    this.ctx.strokeStyle = '#e5e7eb';
+    this.ctx.fillStyle = '#6b7280';
+    this.ctx.lineWidth = 1;
+    this.ctx.font = '10px sans-serif';
+
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'top';
+    for (let chainage = Math.ceil(startChainage / chainageStep) * chainageStep; chainage <= endChainage; chainage += chainageStep) {
+      const top = this.toCanvas(chainage, maxCrossfall);
+      const bottom = this.toCanvas(chainage, minCrossfall);
+      this.ctx.beginPath();
+      this.ctx.moveTo(top.x, top.y);
+      this.ctx.lineTo(bottom.x, bottom.y);
+      this.ctx.stroke();
+      this.ctx.fillText(Stationing.formatChainage(chainage, 0), bottom.x, bottom.y + 4);
+    }
+
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'middle';
+    for (let crossfall = Math.ceil(minCrossfall / crossfallStep) * crossfallStep; crossfall <= maxCrossfall; crossfall += crossfallStep) {
+      const left = this.toCanvas(startChainage, crossfall);
+      const right = this.toCanvas(endChainage, crossfall);
+      this.ctx.strokeStyle = crossfall === 0 ? '#9ca3af' : '#e5e7eb';
+      this.ctx.beginPath();
+      this.ctx.moveTo(left.x, left.y);
+      this.ctx.lineTo(right.x, right.y);
+      this.ctx.stroke();
+      this.ctx.fillText(`${crossfall}%`, left.x - 4, left.y);
+    }
+  }
+
+  /**
+   * Shade the selected curve's transitions and mark its key stations
+   * @param {Object} curve - Curve from Superelevation.calculate
+   */
+  drawCurveStations(curve) {
+    const { minCrossfall, maxCrossfall } = this.view;
+    const first = curve.stations[0].chainage;
+    const last = curve.stations[curve.stations.length - 1].chainage;
+    const topLeft = this.toCanvas(first, maxCrossfall);
+    const bottomRight = this.toCanvas(last, minCrossfall);
+
+    this.ctx.fillStyle = 'rgba(251, 191, 36, 0.2)';
+    this.ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+
+    this.ctx.strokeStyle = '#f59e0b';
+    this.ctx.fillStyle = '#92400e';
+    this.ctx.lineWidth = 1;
+    this.ctx.setLineDash([3, 3]);
+    this.ctx.font = '9px sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'top';
+    curve.stations.forEach(station => {
+      const top = this.toCanvas(station.chainage, maxCrossfall);
+      const bottom = this.toCanvas(station.chainage, minCrossfall);
+      this.ctx.beginPath();
+      this.ctx.moveTo(top.x, top.y);
+      this.ctx.lineTo(bottom.x, bottom.y);
+      this.ctx.stroke();
+      this.ctx.fillText(station.label, top.x, top.y + 1);
+    });
+    this.ctx.setLineDash([]);
+  }
+
+  /**
+   * Draw one side's crossfall
+   * @param {Array} samples - {chainage, left, right} in chainage order
+   * @param {string} side - 'left' or 'right'
+   * @param {string} color - Line colour
+   */
+  drawCrossfallLine(samples, side, color) {
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    samples.forEach((sample, index) => {
+      const point = this.toCanvas(sample.chainage, sample[side] * 100);
+      if (index === 0) {
+        this.ctx.moveTo(point.x, point.y);
+      } else {
+        this.ctx.lineTo(point.x, point.y);
+      }
+    });
+    this.ctx.stroke();
+  }
+
+  /**
+   * Label the two lines
+   */
+  drawLegend() {
+    const x = this.canvas.width - this.padding.right - 4;
+    this.ctx.font = '10px sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'top';
+    this.ctx.fillStyle = '#2563eb';
+    this.ctx.fillText('Left', x - 36, this.padding.top + 2);
+    this.ctx.fillStyle = '#dc2626';
+    this.ctx.fillText('Right', x, this.padding.top + 2);
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Superelevation Module
+ * Superelevation rate per curve, runoff and runout by chainage, and the left and
+ * right crossfall along an alignment
+ *
+ * Crossfalls are slopes away from the centreline: normal crown is -NC on both sides,
+ * and a curve at full superelevation e has +e on its outside and -e on its inside.
+ * The outside edge is rotated linearly from -NC through level (end of runout) to +e
+ * (end of runoff); the inside edge follows once the outside passes +NC (reverse crown).
+ *
+ * Runoff is the spiral length on spiralled curves. On simple curves it is
+ * L = w·e / Δ for the rotated width w and maximum relative gradient Δ, with
+ * RUNOFF_ON_TANGENT of it before the TC. Runout is NC/e of the runoff.
+ */
+
+import { DesignCriteria } from './design-criteria.js';
+import { Stationing } from './stationing.js';
+import { CrossSection } from './cross-section.js';
+
+/**
+ * Maximum relative gradient between the pivot and the rotated edge (m/m) by design speed (km/h)
+ */
+export const RELATIVE_GRADIENT = {
+  20: 0.0080, 30: 0.0075, 40: 0.0070, 50: 0.0065, 60: 0.0060, 70: 0.0055,
+  80: 0.0050, 90: 0.0047, 100: 0.0044, 110: 0.0041, 120: 0.0038, 130: 0.0035
+};
+
+export const RUNOFF_ON_TANGENT = 2 / 3; // Share of a simple curve's runoff before the TC
+
+/**
+ * Lines the pavement can be rotated about
+ */
+export const ATTAINMENT_METHODS = {
+  centreline: 'About centreline',
+  inside: 'About inside edge',
+  outside: 'About outside edge'
+};
+
+export class Superelevation {
+  /**
+   * Superelevation rate for a radius, distributing e_max over radii above the minimum
+   * with e = e_max·(2·Rmin/R − (Rmin/R)²), never less than the normal crossfall
+   * @param {number} radius - Curve radius
+   * @param {Object} criteria - Design criteria {standard, designSpeed, eMax, normalCrossfall}
+   * @returns {number} Rate (m/m)
+   */
+  static getRate(radius, criteria) {
+    const { radius: minRadius } = DesignCriteria.getMinimumRadius(criteria);
+    const ratio = Math.min(1, minRadius / radius);
+    const rate = criteria.eMax * (2 * ratio - ratio * ratio);
+    return Math.max(rate, criteria.normalCrossfall);
+  }
+
+  /**
+   * Maximum relative gradient for a speed, interpolated between tabulated speeds
+   * @param {number} speed - Design speed in km/h
+   * @returns {number} Relative gradient (m/m)
+   */
+  static getRelativeGradient(speed) {
+    const speeds = Object.keys(RELATIVE_GRADIENT).map(Number).sort((a, b) => a - b);
+    if (speed <= speeds[0]) return RELATIVE_GRADIENT[speeds[0]];
+    if (speed >= speeds[speeds.length - 1]) return RELATIVE_GRADIENT[speeds[speeds.length - 1]];
+
+    const upper = speeds.findIndex(tabulated => tabulated >= speed);
+    const v0 = speeds[upper - 1];
+    const v1 = speeds[upper];
+    return RELATIVE_GRADIENT[v0] + (RELATIVE_GRADIENT[v1] - RELATIVE_GRADIENT[v0]) * (speed - v0) / (v1 - v0);
+  }
+
+  /**
+   * Calculate the superelevation of every curve on an alignment
+   * @param {Object} alignment - Alignment with chainaged elements, design criteria and cross-section
+   * @returns {Object} Model {normalCrossfall, attainment, widths, range, curves}; widths are the
+   *   pavement widths {left, right} from the cross-section, and each curve is
+   *   {ipIndex, isRightTurn, rate, runoffIn, runoffOut, runoutIn, runoutOut, fullStart, fullEnd, stations}
+   */
+  static calculate(alignment) {
+    const criteria = alignment.designCriteria;
+    const normalCrossfall = criteria.normalCrossfall;
+    const template = alignment.crossSection || CrossSection.createDefault();
+    const widths = {
+      left: CrossSection.getPavementWidth(template, 'left'),
+      right: CrossSection.getPavementWidth(template, 'right')
+    };
+    const rotatedWidth = criteria.attainment === 'centreline'
+      ? Math.max(widths.left, widths.right)
+      : widths.left + widths.right;
+    const relativeGradient = this.getRelativeGradient(criteria.designSpeed);
+
+    const curves = (alignment.elements || [])
+      .filter(element => element.type === 'arc')
+      .map(arc => {
+        const rate = this.getRate(arc.radius, criteria);
+        const calculatedRunoff = rotatedWidth * rate / relativeGradient;
+
+        const runoffIn = arc.spiralIn ? arc.spiralIn.length : calculatedRunoff;
+        const runoffOut = arc.spiralOut ? arc.spiralOut.length : calculatedRunoff;
+        const fullStart = arc.spiralIn
+          ? arc.startChainage
+          : arc.startChainage + runoffIn * (1 - RUNOFF_ON_TANGENT);
+        const fullEnd = arc.spiralOut
+          ? arc.endChainage
+          : arc.endChainage - runoffOut * (1 - RUNOFF_ON_TANGENT);
+
+        const curve = {
+          ipIndex: arc.ipIndex,
+          isRightTurn: arc.isRightTurn,
+          rate,
+          runoffIn,
+          runoffOut,
+          runoutIn: runoffIn * normalCrossfall / rate,
+          runoutOut: runoffOut * normalCrossfall / rate,
+          fullStart,
+          fullEnd
+        };
+        curve.stations = this.getStations(curve, normalCrossfall);
+        return curve;
+      });
+
+    return {
+      normalCrossfall,
+      attainment: criteria.attainment,
+      widths,
+      range: Stationing.getChainageRange(alignment),
+      curves
+    };
+  }
+
+  /**
+   * Key chainages of a curve's superelevation development, in chainage order
+   * @param {Object} curve - Curve from calculate()
+   * @param {number} normalCrossfall - Normal crossfall (m/m)
+   * @returns {Array} Stations {chainage, label}: NC normal crown, LC level crown (end of runout),
+   *   RC reverse crown, FS full superelevation
+   */
+  static getStations(curve, normalCrossfall) {
+    const reverseIn = curve.runoffIn * normalCrossfall / curve.rate;
+    const reverseOut = curve.runoffOut * normalCrossfall / curve.rate;
+    return [
+      { chainage: curve.fullStart - curve.runoffIn - curve.runoutIn, label: 'NC' },
+      { chainage: curve.fullStart - curve.runoffIn, label: 'LC' },
+      { chainage: curve.fullStart - curve.runoffIn + reverseIn, label: 'RC' },
+      { chainage: curve.fullStart, label: 'FS' },
+      { chainage: curve.fullEnd, label: 'FS' },
+      { chainage: curve.fullEnd + curve.runoffOut - reverseOut, label: 'RC' },
+      { chainage: curve.fullEnd + curve.runoffOut, label: 'LC' },
+      { chainage: curve.fullEnd + curve.runoffOut + curve.runoutOut, label: 'NC' }
+    ];
+  }
+
+  /**
+   * The curve whose superelevation applies at a chainage: the one closest to its full
+   * superelevation, or null on normal crown
+   * @param {Object} model - Result of calculate()
+   * @param {number} chainage - Chainage
+   * @returns {Object|null} {curve, fraction} where fraction is 1 at full superelevation, 0 at level crown
+   */
+  static getGoverningCurve(model, chainage) {
+    let best = null;
+
+    model.curves.forEach(curve => {
+      // How far short of full superelevation, as a fraction of the runoff on that side
+      const before = (curve.fullStart - chainage) / curve.runoffIn;
+      const after = (chainage - curve.fullEnd) / curve.runoffOut;
+      const shortfall = Math.max(before, after, 0);
+      const zoneEnd = 1 + model.normalCrossfall / curve.rate; // End of the runout
+
+      if (shortfall < zoneEnd && (!best || shortfall < best.shortfall)) {
+        best = { curve, shortfall };
+      }
+    });
+
+    return best ? { curve: best.curve, fraction: 1 - best.shortfall } : null;
+  }
+
+  /**
+   * Left and right crossfall at a chainage
+   * @param {Object} model - Result of calculate()
+   * @param {number} chainage - Chainage
+   * @returns {Object} {left, right} as slopes away from the centreline (m/m)
+   */
+  static getCrossfall(model, chainage) {
+    const normal = -model.normalCrossfall;
+    const governing = this.getGoverningCurve(model, chainage);
+    if (!governing) return { left: normal, right: normal };
+
+    const { curve, fraction } = governing;
+    const outside = Math.max(normal, curve.rate * fraction);
+    const inside = Math.min(normal, -curve.rate * fraction);
+
+    return curve.isRightTurn
+      ? { left: outside, right: inside }
+      : { left: inside, right: outside };
+  }
+
+  /**
+   * Heights of the pavement edges and centreline relative to the profile grade line,
+   * which runs along the attainment pivot (centreline, or the inside or outside edge
+   * at its normal-crown height)
+   * @param {Object} model - Result of calculate()
+   * @param {number} chainage - Chainage
+   * @returns {Object} {left, centre, right} heights in metres
+   */
+  static getEdgeHeights(model, chainage) {
+    const { left, right } = this.getCrossfall(model, chainage);
+    const heights = { left: left * model.widths.left, centre: 0, right: right * model.widths.right };
+
+    const governing = this.getGoverningCurve(model, chainage);
+    if (model.attainment === 'centreline' || !governing) return heights;
+
+    // Keep the pivot edge where normal crown would put it
+    const insideSide = governing.curve.isRightTurn ? 'right' : 'left';
+    const pivotSide = model.attainment === 'inside'
+      ? insideSide
+      : (insideSide === 'right' ? 'left' : 'right');
+    const shift = -model.normalCrossfall * model.widths[pivotSide] - heights[pivotSide];
+
+    return {
+      left: heights.left + shift,
+      centre: shift,
+      right: heights.right + shift
+    };
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Survey Points Module
+ * Point files from the survey: one point per line, its number, easting and northing in
+ * the order of the file's format, then elevation and description. Fields are separated
+ * by commas (quoted fields may hold commas) or, in a file without commas, by spaces and
+ * tabs, where the description takes the rest of the line. Lines that are not points,
+ * such as headers, comments and blank lines, are skipped.
+ *
+ * Point: {number, x, y, elevation, description} in world coordinates, with elevation
+ * null where the file has none. Points are grouped by their code, the first word of
+ * the description.
+ */
+
+import { Viewport } from './viewport.js';
+
+/**
+ * Point file formats: the order of the coordinate fields after the point number
+ */
+export const POINT_FORMATS = {
+  PNEZD: { label: 'PNEZD', northingFirst: true },
+  PENZD: { label: 'PENZD', northingFirst: false }
+};
+
+export const NO_CODE = '(none)'; // Code of points without a description
+
+export class SurveyPoints {
+  /**
+   * Read the points from a point file
+   * @param {string} text - File contents
+   * @param {string} format - Key of POINT_FORMATS
+   * @returns {Object} {points, skipped} with skipped the line numbers that held no point,
+   *   other than a header on the first line
+   * @throws {Error} If the file has no points
+   */
+  static parse(text, format) {
+    const { northingFirst } = POINT_FORMATS[format];
+    const points = [];
+    const skipped = [];
+
+    text.split(/\r\n|\r|\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+      if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith('//')) return;
+
+      const point = this.parseFields(this.splitLine(trimmed), northingFirst);
+      if (point) points.push(point);
+      else if (index > 0) skipped.push(index + 1);
+    });
+
+    if (points.length === 0) {
+      throw new Error(`No ${format} points found in the file.`);
+    }
+    return { points, skipped };
+  }
+
+  /**
+   * Split a line into fields
+   * @param {string} line - Trimmed line
+   * @returns {Object} {fields, isDelimited}: isDelimited is false for whitespace-separated fields
+   */
+  static splitLine(line) {
+    if (!line.includes(',')) {
+      return { fields: line.split(/\s+/), isDelimited: false };
+    }
+
+    const fields = [];
+    let field = '';
+    let isQuoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (isQuoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          isQuoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        isQuoted = true;
+      } else if (char === ',') {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+
+    return { fields, isDelimited: true };
+  }
+
+  /**
+   * Build a point from the fields of a line
+   * @param {Object} line - {fields, isDelimited} from splitLine
+   * @param {boolean} northingFirst - Whether the northing comes before the easting
+   * @returns {Object|null} Point, or null if the line is not one
+   */
+  static parseFields({ fields, isDelimited }, northingFirst) {
+    const [number, first, second, ...rest] = fields;
+    if (!number || !this.isNumber(first) || !this.isNumber(second)) return null;
+
+    const easting = parseFloat(northingFirst ? second : first);
+    const northing = parseFloat(northingFirst ? first : second);
+
+    // Without delimiters a missing elevation can't be told from the description
+    // except by whether the field is a number
+    let elevation = null;
+    if (this.isNumber(rest[0])) {
+      elevation = parseFloat(rest.shift());
+    } else if (isDelimited && rest.length > 0 && rest[0] === '') {
+      rest.shift();
+    }
+
+    return {
+      number,
+      ...Viewport.fromEastingNorthing(easting, northing),
+      elevation,
+      description: rest.join(isDelimited ? ', ' : ' ').trim()
+    };
+  }
+
+  /**
+   * Whether a field is a plain decimal number
+   * @param {string|undefined} field - Field text
+   * @returns {boolean} True for a number
+   */
+  static isNumber(field) {
+    return typeof field === 'string' && /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(field);
+  }
+
+  /**
+   * Copy points, dropping any without a number or coordinates
+   * @param {Array} points - Points, e.g. from a project file
+   * @returns {Array} Points
+   */
+  static normalize(points) {
+    return (Array.isArray(points) ? points : [])
+      .filter(point => point && point.number !== undefined && point.number !== '' &&
+        Number.isFinite(point.x) && Number.isFinite(point.y))
+      .map(point => ({
+        number: String(point.number),
+        x: point.x,
+        y: point.y,
+        elevation: Number.isFinite(point.elevation) ? point.elevation : null,
+        description: typeof point.description === 'string' ? point.description : ''
+      }));
+  }
+
+  /**
+   * Code of a point: the first word of its description
+   * @param {Object} point - Point
+   * @returns {string} Upper-case code, or NO_CODE
+   */
+  static getCode(point) {
+    const code = point.description.split(/[\s,]+/)[0];
+    return code ? code.toUpperCase() : NO_CODE;
+  }
+
+  /**
+   * The codes in a set of points
+   * @param {Array} points - Points
+   * @returns {Array} {code, count} sorted by code
+   */
+  static getCodes(points) {
+    const counts = new Map();
+    points.forEach(point => {
+      const code = this.getCode(point);
+      counts.set(code, (counts.get(code) || 0) + 1);
+    });
+    return [...counts.entries()]
+      .map(([code, count]) => ({ code, count }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * Points whose code is not hidden
+   * @param {Array} points - Points
+   * @param {Array} hiddenCodes - Codes to leave out
+   * @returns {Array} Visible points
+   */
+  static filterVisible(points, hiddenCodes) {
+    if (hiddenCodes.length === 0) return points;
+    return points.filter(point => !hiddenCodes.includes(this.getCode(point)));
+  }
+}
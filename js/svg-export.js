@@ -0,0 +1,418 @@
+/**
+ * SVG Export Module
+ * Writes the plan as SVG, either as the current view or as a print-ready plan sheet
+ * with a frame, title block, north arrow and scale bar
+ *
+ * The drawing is made by CanvasRenderer.drawScene itself, run against SvgContext, a
+ * recording stand-in for the canvas 2D context, so the SVG always matches the screen.
+ * Canvas arcs become true SVG arc commands; spirals stay polylines through their
+ * sampled points. The survey points, swept path and sight lines shown on screen are
+ * drawn too; editing overlays (grips, selection, drawing preview, snap and inquiry
+ * glyphs) are left out.
+ */
+
+import { CanvasRenderer } from './canvas-renderer.js';
+import { Viewport } from './viewport.js';
+import { GeometryUtils } from './geometry.js';
+import { FileUtils } from './file-utils.js';
+
+/**
+ * Landscape paper sizes in millimetres
+ */
+export const PAPER_SIZES = {
+  A4: { width: 297, height: 210 },
+  A3: { width: 420, height: 297 },
+  A2: { width: 594, height: 420 },
+  A1: { width: 841, height: 594 }
+};
+
+/**
+ * Drawing scales offered for plan sheets (1:n)
+ */
+export const DRAWING_SCALES = [200, 250, 500, 1000, 1250, 2000, 2500, 5000];
+
+const PX_PER_MM = 96 / 25.4; // SVG user units are CSS pixels
+const SHEET_MARGIN = 10; // Paper edge to frame, mm
+const TITLE_BLOCK_HEIGHT = 24; // mm
+
+export class SvgExport {
+  /**
+   * Write the current view as SVG
+   * @param {Object} scene - {alignments, currentAlignment, roadMarkings, stationing, layers}
+   * @param {Viewport} viewport - View to export
+   * @param {number} width - View width in pixels
+   * @param {number} height - View height in pixels
+   * @returns {string} SVG document
+   */
+  static exportView(scene, viewport, width, height) {
+    const body = this.renderScene(scene, viewport, width, height);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#ffffff"/>
+${body}
+</svg>
+`;
+  }
+
+  /**
+   * Write a plan sheet as SVG, sized in millimetres for printing
+   * @param {Object} scene - {alignments, currentAlignment, roadMarkings, stationing, layers}
+   * @param {Object} sheet - {paper, scale, center, title, drawnBy, date}; center is the
+   *   world point at the middle of the drawing area
+   * @returns {string} SVG document
+   */
+  static exportSheet(scene, sheet) {
+    const layout = this.getSheetLayout(sheet);
+    const { paper, frame, map } = layout;
+
+    // Paper pixels per metre at the drawing scale
+    const pixelsPerMetre = PX_PER_MM * 1000 / sheet.scale;
+    const viewport = new Viewport(pixelsPerMetre);
+    viewport.offsetX = map.width / 2 - sheet.center.x * pixelsPerMetre;
+    viewport.offsetY = map.height / 2 - sheet.center.y * pixelsPerMetre;
+
+    const drawing = this.renderScene(scene, viewport, map.width, map.height);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${paper.width}mm" height="${paper.height}mm" viewBox="0 0 ${f(paper.widthPx)} ${f(paper.heightPx)}">
+<rect width="100%" height="100%" fill="#ffffff"/>
+<svg x="${f(map.x)}" y="${f(map.y)}" width="${f(map.width)}" height="${f(map.height)}" viewBox="0 0 ${f(map.width)} ${f(map.height)}">
+${drawing}
+</svg>
+<rect x="${f(frame.x)}" y="${f(frame.y)}" width="${f(frame.width)}" height="${f(frame.height)}" fill="none" stroke="#000000" stroke-width="2"/>
+${this.drawNorthArrow(map)}
+${this.drawScaleBar(map, pixelsPerMetre)}
+${this.drawTitleBlock(layout, sheet)}
+</svg>
+`;
+  }
+
+  /**
+   * Paper, frame, drawing area and title block rectangles in SVG units
+   * @param {Object} sheet - {paper}
+   * @returns {Object} {paper, frame, map, titleBlock}
+   */
+  static getSheetLayout(sheet) {
+    const size = PAPER_SIZES[sheet.paper];
+    const margin = SHEET_MARGIN * PX_PER_MM;
+    const titleHeight = TITLE_BLOCK_HEIGHT * PX_PER_MM;
+    const paper = {
+      width: size.width,
+      height: size.height,
+      widthPx: size.width * PX_PER_MM,
+      heightPx: size.height * PX_PER_MM
+    };
+    const frame = { x: margin, y: margin, width: paper.widthPx - 2 * margin, height: paper.heightPx - 2 * margin };
+
+    return {
+      paper,
+      frame,
+      map: { x: frame.x, y: frame.y, width: frame.width, height: frame.height - titleHeight },
+      titleBlock: { x: frame.x, y: frame.y + frame.height - titleHeight, width: frame.width, height: titleHeight }
+    };
+  }
+
+  /**
+   * World extent a sheet's drawing area covers
+   * @param {Object} sheet - {paper, scale, center}
+   * @returns {Object} World bounds {minX, minY, maxX, maxY}
+   */
+  static getSheetBounds(sheet) {
+    const { map } = this.getSheetLayout(sheet);
+    const metresPerPixel = sheet.scale / (PX_PER_MM * 1000);
+    const halfWidth = map.width / 2 * metresPerPixel;
+    const halfHeight = map.height / 2 * metresPerPixel;
+    return {
+      minX: sheet.center.x - halfWidth,
+      minY: sheet.center.y - halfHeight,
+      maxX: sheet.center.x + halfWidth,
+      maxY: sheet.center.y + halfHeight
+    };
+  }
+
+  /**
+   * Run drawScene against a recording context
+   * @param {Object} scene - {alignments, currentAlignment, roadMarkings, stationing, layers}
+   * @param {Viewport} viewport - World to SVG transform
+   * @param {number} width - Drawing width in SVG units
+   * @param {number} height - Drawing height in SVG units
+   * @returns {string} SVG elements
+   */
+  static renderScene(scene, viewport, width, height) {
+    const ctx = new SvgContext();
+    const renderer = new CanvasRenderer({ width, height }, ctx, viewport);
+    renderer.updateRoadMarkings(scene.roadMarkings);
+    renderer.updateStationing(scene.stationing);
+    if (scene.layers) {
+      renderer.setSurveyPoints(scene.layers.surveyPoints);
+      renderer.setSweptPath(scene.layers.sweptPath);
+      renderer.setSightDistance(scene.layers.sightDistance);
+    }
+
+    renderer.drawScene(scene.alignments, scene.currentAlignment, null, [], null, false);
+    return ctx.toString();
+  }
+
+  /**
+   * North arrow in the top right of the drawing area (world north is up the sheet)
+   * @param {Object} map - Drawing area
+   * @returns {string} SVG elements
+   */
+  static drawNorthArrow(map) {
+    const size = 12 * PX_PER_MM;
+    const cx = map.x + map.width - size;
+    const cy = map.y + size * 1.1;
+    const half = size / 4;
+
+    return `<g stroke="#000000" stroke-width="1">
+<path d="M ${f(cx)} ${f(cy - size / 2)} L ${f(cx + half)} ${f(cy + size / 2)} L ${f(cx)} ${f(cy + size / 4)} Z" fill="#000000"/>
+<path d="M ${f(cx)} ${f(cy - size / 2)} L ${f(cx - half)} ${f(cy + size / 2)} L ${f(cx)} ${f(cy + size / 4)} Z" fill="#ffffff"/>
+</g>
+<text x="${f(cx)}" y="${f(cy - size / 2 - 4)}" font-family="sans-serif" font-size="16" font-weight="bold" text-anchor="middle">N</text>`;
+  }
+
+  /**
+   * Scale bar in the bottom left of the drawing area: four alternating segments
+   * of a round length close to a fifth of the drawing width
+   * @param {Object} map - Drawing area
+   * @param {number} pixelsPerMetre - Drawing scale in SVG units per metre
+   * @returns {string} SVG elements
+   */
+  static drawScaleBar(map, pixelsPerMetre) {
+    const length = GeometryUtils.niceStep(map.width / 5 / pixelsPerMetre);
+    const segment = length * pixelsPerMetre / 4;
+    const x = map.x + 8 * PX_PER_MM;
+    const y = map.y + map.height - 8 * PX_PER_MM;
+    const barHeight = 1.5 * PX_PER_MM;
+
+    const parts = [];
+    for (let i = 0; i < 4; i++) {
+      parts.push(`<rect x="${f(x + i * segment)}" y="${f(y)}" width="${f(segment)}" height="${f(barHeight)}" ` +
+        `fill="${i % 2 === 0 ? '#000000' : '#ffffff'}" stroke="#000000" stroke-width="1"/>`);
+    }
+    [0, length / 2, length].forEach((value, index) => {
+      parts.push(`<text x="${f(x + index * 2 * segment)}" y="${f(y - 4)}" font-family="sans-serif" font-size="10" ` +
+        `text-anchor="middle">${value}${index === 2 ? ' m' : ''}</text>`);
+    });
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Title block along the bottom of the frame: title, scale, date and drawn by
+   * @param {Object} layout - Result of getSheetLayout
+   * @param {Object} sheet - {paper, scale, title, drawnBy, date}
+   * @returns {string} SVG elements
+   */
+  static drawTitleBlock(layout, sheet) {
+    const { titleBlock } = layout;
+    const cells = [
+      { label: 'TITLE', value: sheet.title, share: 0.55, size: 18 },
+      { label: 'SCALE', value: `1:${sheet.scale} @ ${sheet.paper}`, share: 0.15, size: 13 },
+      { label: 'DATE', value: sheet.date, share: 0.15, size: 13 },
+      { label: 'DRAWN', value: sheet.drawnBy, share: 0.15, size: 13 }
+    ];
+
+    const parts = [`<rect x="${f(titleBlock.x)}" y="${f(titleBlock.y)}" width="${f(titleBlock.width)}" ` +
+      `height="${f(titleBlock.height)}" fill="#ffffff" stroke="#000000" stroke-width="2"/>`];
+
+    let x = titleBlock.x;
+    cells.forEach((cell, index) => {
+      const width = titleBlock.width * cell.share;
+      if (index > 0) {
+        parts.push(`<line x1="${f(x)}" y1="${f(titleBlock.y)}" x2="${f(x)}" y2="${f(titleBlock.y + titleBlock.height)}" ` +
+          'stroke="#000000" stroke-width="1"/>');
+      }
+      parts.push(`<text x="${f(x + 6)}" y="${f(titleBlock.y + 14)}" font-family="sans-serif" font-size="8" ` +
+        `fill="#6b7280">${cell.label}</text>`);
+      parts.push(`<text x="${f(x + 6)}" y="${f(titleBlock.y + titleBlock.height / 2 + cell.size / 2 + 4)}" ` +
+        `font-family="sans-serif" font-size="${cell.size}">${FileUtils.escapeHtml(cell.value)}</text>`);
+      x += width;
+    });
+
+    return parts.join('\n');
+  }
+}
+
+/**
+ * Format an SVG number: two decimals, trailing zeros dropped
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function f(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Records the CanvasRenderingContext2D calls CanvasRenderer makes and writes them as
+ * SVG elements in device (untransformed) coordinates
+ */
+class SvgContext {
+  constructor() {
+    this.elements = [];
+    this.stack = [];
+    this.path = [];
+    this.transform = [1, 0, 0, 1, 0, 0];
+    this.lineDash = [];
+    this.strokeStyle = '#000000';
+    this.fillStyle = '#000000';
+    this.lineWidth = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+  }
+
+  /**
+   * Set the current transform (the six matrix values, as for the canvas)
+   */
+  setTransform(a, b, c, d, e, g) {
+    this.transform = [a, b, c, d, e, g];
+  }
+
+  /**
+   * Push the transform and styles
+   */
+  save() {
+    this.stack.push({
+      transform: this.transform,
+      lineDash: this.lineDash,
+      strokeStyle: this.strokeStyle,
+      fillStyle: this.fillStyle,
+      lineWidth: this.lineWidth,
+      font: this.font,
+      textAlign: this.textAlign,
+      textBaseline: this.textBaseline
+    });
+  }
+
+  /**
+   * Pop the transform and styles
+   */
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  /**
+   * The SVG has its own background, so clearing draws nothing
+   */
+  clearRect() {}
+
+  /**
+   * @param {Array} segments - Dash pattern in user units
+   */
+  setLineDash(segments) {
+    this.lineDash = segments;
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    const point = this.apply(x, y);
+    this.path.push(`M ${f(point.x)} ${f(point.y)}`);
+  }
+
+  lineTo(x, y) {
+    const point = this.apply(x, y);
+    this.path.push(`L ${f(point.x)} ${f(point.y)}`);
+  }
+
+  closePath() {
+    this.path.push('Z');
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  /**
+   * Canvas arc as SVG arc commands; a full circle is written as two half arcs
+   * since a single SVG arc can't start and end at the same point
+   */
+  arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+    const fullTurn = 2 * Math.PI;
+    let sweep = endAngle - startAngle;
+    const isFullCircle = anticlockwise ? -sweep >= fullTurn - 1e-9 : sweep >= fullTurn - 1e-9;
+    if (!isFullCircle) {
+      sweep %= fullTurn;
+      if (anticlockwise && sweep > 0) sweep -= fullTurn;
+      if (!anticlockwise && sweep < 0) sweep += fullTurn;
+    }
+
+    const pointAt = (angle) => this.apply(cx + radius * Math.cos(angle), cy + radius * Math.sin(angle));
+    const start = pointAt(startAngle);
+    this.path.push(`${this.path.length === 0 ? 'M' : 'L'} ${f(start.x)} ${f(start.y)}`);
+
+    const r = f(radius * this.getScale());
+    const sweepFlag = anticlockwise ? 0 : 1;
+    if (isFullCircle) {
+      const direction = anticlockwise ? -1 : 1;
+      const middle = pointAt(startAngle + direction * Math.PI);
+      this.path.push(`A ${r} ${r} 0 0 ${sweepFlag} ${f(middle.x)} ${f(middle.y)}`);
+      this.path.push(`A ${r} ${r} 0 0 ${sweepFlag} ${f(start.x)} ${f(start.y)}`);
+      return;
+    }
+
+    const end = pointAt(startAngle + sweep);
+    const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+    this.path.push(`A ${r} ${r} 0 ${largeArc} ${sweepFlag} ${f(end.x)} ${f(end.y)}`);
+  }
+
+  stroke() {
+    if (this.path.length === 0) return;
+    const scale = this.getScale();
+    const dash = this.lineDash.length > 0
+      ? ` stroke-dasharray="${this.lineDash.map(value => f(value * scale)).join(' ')}"`
+      : '';
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="none" stroke="${this.strokeStyle}" ` +
+      `stroke-width="${f(this.lineWidth * scale)}"${dash}/>`);
+  }
+
+  fill() {
+    if (this.path.length === 0) return;
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="${this.fillStyle}"/>`);
+  }
+
+  fillText(text, x, y) {
+    const point = this.apply(x, y);
+    const match = /(\d+(?:\.\d+)?)px\s+(.+)/.exec(this.font);
+    const size = match ? parseFloat(match[1]) * this.getScale() : 10;
+    const family = match ? match[2] : 'sans-serif';
+    const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[this.textAlign];
+    const baseline = { top: 'hanging', middle: 'central', bottom: 'text-after-edge' }[this.textBaseline] || 'auto';
+
+    this.elements.push(`<text x="${f(point.x)}" y="${f(point.y)}" font-family="${family}" font-size="${f(size)}" ` +
+      `text-anchor="${anchor}" dominant-baseline="${baseline}" fill="${this.fillStyle}">${FileUtils.escapeHtml(text)}</text>`);
+  }
+
+  /**
+   * Transform a point to device coordinates
+   * @returns {Object} {x, y}
+   */
+  apply(x, y) {
+    const [a, b, c, d, tx, ty] = this.transform;
+    return { x: a * x + c * y + tx, y: b * x + d * y + ty };
+  }
+
+  /**
+   * Uniform scale of the current transform, for radii, line widths and dashes
+   * @returns {number} Scale
+   */
+  getScale() {
+    const [a, b, c, d] = this.transform;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  /**
+   * @returns {string} Recorded SVG elements
+   */
+  toString() {
+    return this.elements.join('\n');
+  }
+}
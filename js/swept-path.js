@@ -0,0 +1,312 @@
+/**
+ * Swept Path Module
+ * Drives a design vehicle along an alignment's centreline, or a line offset from it, and
+ * traces the paths of its wheels and the envelope its body sweeps
+ *
+ * The kinematic model is the usual low-speed one: the steering axle follows the path and
+ * every following axle is dragged along the line to the axle or hitch ahead of it (a
+ * tractrix). A rigid vehicle is then a bicycle model, and a semi-trailer a tractor pulling
+ * a trailer from a kingpin over the tractor's rear axle. Each step moves the steering axle
+ * a short way and pulls the axles behind after it; the vehicle starts straight, on the
+ * extension of the first tangent.
+ *
+ * The body envelope is checked against the outer pavement edge of each side, built by
+ * OffsetAlignment from the cross-section with its widening. Wheels are taken at the body
+ * width, so wheel paths mark the outside of the tyres.
+ */
+
+import { GeometryUtils } from './geometry.js';
+import { AlignmentCalculations } from './alignment-calculations.js';
+import { OffsetAlignment } from './offset-alignment.js';
+import { CrossSection, COMPONENT_TYPES } from './cross-section.js';
+import { Widening } from './widening.js';
+import { Stationing } from './stationing.js';
+import { DesignVehicles } from './design-vehicles.js';
+
+const STEP = 0.5; // Metres of chainage the steering axle moves per step
+const MAX_POSES = 4000; // Longer alignments take longer steps
+const SIDE_SPACING = 2; // Spacing of checked points along the body sides, metres
+const OUTLINE_INTERVAL = 10; // Metres between the vehicle outlines drawn along the path
+const EDGE_TOLERANCE = 0.01; // Metres outside an edge before it counts as a conflict
+
+export class SweptPath {
+  /**
+   * Lines a vehicle can follow: the centreline and the centre of every lane
+   * @param {Object} template - Cross-section template
+   * @returns {Array} {label, offset} with offset positive = right
+   */
+  static getLaneOffsets(template) {
+    const lines = [{ label: 'Centreline', offset: 0 }];
+
+    ['left', 'right'].forEach(side => {
+      const sign = side === 'right' ? 1 : -1;
+      let distance = 0;
+      let count = 0;
+
+      template[side].forEach(component => {
+        if (component.type === 'lane') {
+          count++;
+          lines.push({
+            label: `${side === 'right' ? 'Right' : 'Left'} ${COMPONENT_TYPES.lane.label} ${count}`,
+            offset: sign * (distance + component.width / 2)
+          });
+        }
+        distance += component.width;
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Run a vehicle along an alignment and check its envelope against the pavement edges
+   * @param {Object} alignment - Alignment with chainaged elements and a cross-section
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @param {number} offset - Offset of the path the steering axle follows, positive = right
+   * @returns {Object} {poses, outlines, wheelPaths, leftEnvelope, rightEnvelope, conflicts}:
+   *   outlines are corner lists of the body units every OUTLINE_INTERVAL, wheel paths and
+   *   envelopes are point lists, conflicts are {side, startChainage, endChainage, excess, point}
+   */
+  static analyse(alignment, vehicle, offset = 0) {
+    const elements = alignment.elements || [];
+    const poses = this.simulate(elements, vehicle, offset);
+    const edges = this.getPavementEdges(alignment);
+    const reach = this.getReach(vehicle);
+
+    const outlines = [];
+    const wheelPaths = [];
+    const leftEnvelope = [];
+    const rightEnvelope = [];
+    const conflicts = [];
+    const open = { left: null, right: null };
+    let nextOutline = poses.length > 0 ? poses[0].chainage : 0;
+
+    poses.forEach((pose, index) => {
+      const body = this.getBody(pose, vehicle);
+
+      body.wheels.forEach((wheel, wheelIndex) => {
+        (wheelPaths[wheelIndex] = wheelPaths[wheelIndex] || []).push(wheel);
+      });
+      if (pose.chainage >= nextOutline || index === poses.length - 1) {
+        outlines.push(body.units);
+        nextOutline = pose.chainage + OUTLINE_INTERVAL;
+      }
+
+      // Only the elements the vehicle is over can be nearest
+      const nearby = elements.filter(element =>
+        element.endChainage >= pose.chainage - reach && element.startChainage <= pose.chainage + reach
+      );
+      const worst = { left: null, right: null };
+      let leftmost = null;
+      let rightmost = null;
+
+      body.sides.forEach(point => {
+        const projection = AlignmentCalculations.calculateStationOffset(point, nearby);
+        if (!projection) return;
+
+        if (!leftmost || projection.offset < leftmost.offset) leftmost = { point, offset: projection.offset };
+        if (!rightmost || projection.offset > rightmost.offset) rightmost = { point, offset: projection.offset };
+
+        const side = projection.offset >= 0 ? 'right' : 'left';
+        const excess = this.getExcess(edges[side], projection, side);
+        if (excess > EDGE_TOLERANCE && (!worst[side] || excess > worst[side].excess)) {
+          worst[side] = { excess, point, chainage: projection.chainage };
+        }
+      });
+
+      if (leftmost) leftEnvelope.push(leftmost.point);
+      if (rightmost) rightEnvelope.push(rightmost.point);
+
+      // Consecutive poses outside the same edge make one conflict
+      ['left', 'right'].forEach(side => {
+        const hit = worst[side];
+        if (!hit) {
+          open[side] = null;
+          return;
+        }
+        if (!open[side]) {
+          open[side] = { side, startChainage: hit.chainage, endChainage: hit.chainage, excess: 0, point: hit.point };
+          conflicts.push(open[side]);
+        }
+        const conflict = open[side];
+        conflict.startChainage = Math.min(conflict.startChainage, hit.chainage);
+        conflict.endChainage = Math.max(conflict.endChainage, hit.chainage);
+        if (hit.excess > conflict.excess) {
+          conflict.excess = hit.excess;
+          conflict.point = hit.point;
+        }
+      });
+    });
+
+    return { poses, outlines, wheelPaths, leftEnvelope, rightEnvelope, conflicts };
+  }
+
+  /**
+   * Positions of the vehicle's axles as its steering axle runs along the path
+   * @param {Array} elements - Ordered, chainaged alignment elements
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @param {number} offset - Offset of the path, positive = right
+   * @returns {Array} Poses {chainage, front, rear, trailerRear}; trailerRear is null for a rigid vehicle
+   */
+  static simulate(elements, vehicle, offset = 0) {
+    if (elements.length === 0) return [];
+
+    const path = OffsetAlignment.calculate(elements, offset);
+    const start = elements[0].startChainage;
+    const end = elements[elements.length - 1].endChainage;
+    const step = Math.max(STEP, (end - start) / MAX_POSES);
+
+    // Steering axle positions; stretches trimmed from the offset path are skipped
+    const targets = [];
+    for (let chainage = start; chainage < end + step / 2; chainage += step) {
+      const clamped = Math.min(chainage, end);
+      const point = OffsetAlignment.getPointAtChainage(path, clamped);
+      if (point) targets.push({ chainage: clamped, point });
+    }
+    if (targets.length < 2) return [];
+
+    // Start straight, lined up with the first step
+    const direction = GeometryUtils.getUnitVector(targets[1].point, targets[0].point);
+    const behind = (point, length) => ({ x: point.x + direction.x * length, y: point.y + direction.y * length });
+    let rear = behind(targets[0].point, vehicle.wheelbase);
+    let trailerRear = vehicle.trailer ? behind(rear, vehicle.trailer.wheelbase) : null;
+
+    return targets.map(({ chainage, point }) => {
+      rear = this.drag(rear, point, vehicle.wheelbase);
+      if (trailerRear) trailerRear = this.drag(trailerRear, rear, vehicle.trailer.wheelbase);
+      return { chainage, front: point, rear, trailerRear };
+    });
+  }
+
+  /**
+   * Pull a following axle towards the point leading it, keeping their spacing
+   * @param {Object} follower - Following axle {x, y}
+   * @param {Object} leader - Axle or hitch ahead {x, y}
+   * @param {number} length - Spacing between them
+   * @returns {Object} New position of the following axle
+   */
+  static drag(follower, leader, length) {
+    const back = GeometryUtils.getUnitVector(leader, follower);
+    return { x: leader.x + back.x * length, y: leader.y + back.y * length };
+  }
+
+  /**
+   * Body outline, checked side points and wheels of a vehicle in a pose
+   * @param {Object} pose - Pose from simulate()
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @returns {Object} {units, sides, wheels}: units are four corners per body unit, sides
+   *   are points along the long sides, wheels are the left and right wheel of each axle
+   */
+  static getBody(pose, vehicle) {
+    const halfWidth = vehicle.width / 2;
+    const units = [];
+    const sides = [];
+    const wheels = [];
+
+    const addUnit = (front, rear, frontOverhang, rearOverhang) => {
+      const forward = GeometryUtils.getUnitVector(rear, front);
+      const right = GeometryUtils.getPerpendicularVector(forward);
+      const at = (point, along, across) => ({
+        x: point.x + forward.x * along + right.x * across,
+        y: point.y + forward.y * along + right.y * across
+      });
+
+      const corners = [
+        at(front, frontOverhang, -halfWidth),
+        at(front, frontOverhang, halfWidth),
+        at(rear, -rearOverhang, halfWidth),
+        at(rear, -rearOverhang, -halfWidth)
+      ];
+      units.push(corners);
+      sides.push(...this.sampleLine(corners[0], corners[3]), ...this.sampleLine(corners[1], corners[2]));
+      return at;
+    };
+
+    const tractor = addUnit(pose.front, pose.rear, vehicle.frontOverhang, vehicle.rearOverhang);
+    wheels.push(tractor(pose.front, 0, -halfWidth), tractor(pose.front, 0, halfWidth));
+    wheels.push(tractor(pose.rear, 0, -halfWidth), tractor(pose.rear, 0, halfWidth));
+
+    if (pose.trailerRear) {
+      const trailer = addUnit(pose.rear, pose.trailerRear, vehicle.trailer.frontOverhang, vehicle.trailer.rearOverhang);
+      wheels.push(trailer(pose.trailerRear, 0, -halfWidth), trailer(pose.trailerRear, 0, halfWidth));
+    }
+
+    return { units, sides, wheels };
+  }
+
+  /**
+   * Points along a line, at most SIDE_SPACING apart, ends included
+   * @param {Object} from - Start point
+   * @param {Object} to - End point
+   * @returns {Array} Points
+   */
+  static sampleLine(from, to) {
+    const count = Math.max(1, Math.ceil(GeometryUtils.calculateDistance(from, to) / SIDE_SPACING));
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+      const t = i / count;
+      points.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+    }
+    return points;
+  }
+
+  /**
+   * Chainage either side of the steering axle the vehicle can reach, with room for
+   * chainage running slower than distance on the outside of curves
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @returns {number} Distance in metres
+   */
+  static getReach(vehicle) {
+    return 2 * (DesignVehicles.getLength(vehicle) + vehicle.width);
+  }
+
+  /**
+   * Offset chains of the outer pavement edge each side, with widening
+   * @param {Object} alignment - Alignment with chainaged elements
+   * @returns {Object} {left, right}: chains from OffsetAlignment.calculate, or null for a side without pavement
+   */
+  static getPavementEdges(alignment) {
+    const template = alignment.crossSection || CrossSection.createDefault();
+    const edges = { left: null, right: null };
+
+    Widening.getEdges(template, alignment.widenings || []).forEach(edge => {
+      const pavementCount = template[edge.side].findIndex(component => !COMPONENT_TYPES[component.type].isPavement);
+      const outerIndex = (pavementCount < 0 ? template[edge.side].length : pavementCount) - 1;
+      if (edge.index === outerIndex) {
+        edges[edge.side] = OffsetAlignment.calculate(alignment.elements, edge.widenedOffset);
+      }
+    });
+
+    return edges;
+  }
+
+  /**
+   * How far a point lies outside a pavement edge, measured square to the centreline
+   * @param {Array|null} chain - Offset chain of the edge
+   * @param {Object} projection - Station and offset of the point from calculateStationOffset
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} Metres outside the edge; zero or less inside it, or where there is no edge
+   */
+  static getExcess(chain, projection, side) {
+    if (!chain || !projection.isPerpendicular) return 0;
+
+    const edgePoint = OffsetAlignment.getPointAtChainage(chain, projection.chainage);
+    if (!edgePoint) return 0;
+
+    const edgeOffset = GeometryUtils.calculateDistance(projection.point, edgePoint);
+    return Math.abs(projection.offset) - edgeOffset;
+  }
+
+  /**
+   * Describe conflicts for display
+   * @param {Array} conflicts - Conflicts from analyse()
+   * @returns {Array} Lines of text
+   */
+  static describeConflicts(conflicts) {
+    return conflicts.map(conflict =>
+      `${conflict.side === 'right' ? 'Right' : 'Left'} edge ` +
+      `${Stationing.formatChainage(conflict.startChainage)} to ${Stationing.formatChainage(conflict.endChainage)}: ` +
+      `${conflict.excess.toFixed(2)} m outside`
+    );
+  }
+}
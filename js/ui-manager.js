@@ -3,221 +3,1608 @@
  * Handles modal and control interactions for the alignment tool
  */
 
+import { Stationing } from './stationing.js';
+import { VerticalCalculations } from './vertical-alignment.js';
+import { Viewport } from './viewport.js';
 import { GeometryUtils } from './geometry.js';
+import { CurveDefinitions, CURVE_PARAMETERS } from './curve-definitions.js';
+import { DesignCriteria, DESIGN_STANDARDS } from './design-criteria.js';
+import { ATTAINMENT_METHODS } from './superelevation.js';
+import { SettingOut } from './setting-out.js';
+import { PAPER_SIZES, DRAWING_SCALES } from './svg-export.js';
+import { CrossSection, COMPONENT_TYPES, LINE_STYLES } from './cross-section.js';
+import { Widening, TRANSITION_SHAPES } from './widening.js';
+import { DESIGN_VEHICLES } from './design-vehicles.js';
+import { SweptPath } from './swept-path.js';
+import { POINT_FORMATS } from './survey-points.js';
+
+const NOTICE_DURATION = 4000; // Milliseconds a notice stays up
+const SCALE_BAR_PIXELS = 80; // Rough length of the scale bar on screen
+const SCREEN_PX_PER_MM = 96 / 25.4; // CSS pixels are 1/96 inch
 
 export class UIManager {
   constructor() {
     this.editingArc = null;
+    this.editingPvi = null;
+    this.spiralDefinition = 'length'; // 'length' | 'aParameter'
+    this.curveParameter = 'radius'; // Key of CURVE_PARAMETERS the edited curve is defined by
+    this.editingCrossSection = null; // Working copy of the template while its dialog is open
+    this.editingWidening = null; // Working copy of the width-change regions while their dialog is open
     this.callbacks = {};
+    this.noticeTimer = null; // Hides the notice shown last
     this.currentCursorMode = 'create'; // 'create'
   }
 
   /**
-   * Register callbacks for various UI events
-   * @param {Object} callbacks - Object with callback functions
+   * Register callbacks for various UI events
+   * @param {Object} callbacks - Object with callback functions
+   */
+  registerCallbacks(callbacks) {
+    this.callbacks = { ...this.callbacks, ...callbacks };
+  }
+
+  /**
+   * Setup event listeners for all UI controls
+   */
+  setupEventListeners() {
+    // Create Alignment Button
+    document.getElementById('createAlignmentBtn').addEventListener('click', () => {
+      this.callbacks.createAlignment?.();
+    });
+    
+    // Cancel Button
+    document.getElementById('cancelBtn').addEventListener('click', () => {
+      this.callbacks.cancelDrawing?.();
+    });
+    
+    // Undo/redo buttons
+    document.getElementById('undoBtn').addEventListener('click', () => {
+      this.callbacks.undo?.();
+    });
+    
+    document.getElementById('redoBtn').addEventListener('click', () => {
+      this.callbacks.redo?.();
+    });
+    
+    // Snap toolbar
+    document.querySelectorAll('.snap-toggle').forEach(button => {
+      button.addEventListener('click', () => {
+        this.callbacks.toggleSnap?.(button.dataset.snap);
+      });
+    });
+    
+    document.getElementById('bearingIncrementSelect').addEventListener('change', (e) => {
+      this.callbacks.updateSnapSettings?.({ bearingIncrement: parseFloat(e.target.value) });
+    });
+    
+    // Project file buttons
+    document.getElementById('openProjectBtn').addEventListener('click', () => {
+      document.getElementById('projectFileInput').click();
+    });
+    
+    document.getElementById('projectFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.callbacks.openProject?.(file);
+      }
+      e.target.value = ''; // Allow the same file to be opened again
+    });
+    
+    document.getElementById('saveProjectBtn').addEventListener('click', () => {
+      this.callbacks.saveProject?.();
+    });
+    
+    // LandXML exchange
+    document.getElementById('importLandXmlBtn').addEventListener('click', () => {
+      document.getElementById('landXmlFileInput').click();
+    });
+    
+    document.getElementById('landXmlFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.callbacks.importLandXml?.(file);
+      }
+      e.target.value = '';
+    });
+    
+    // Survey points
+    const surveyFormatSelect = document.getElementById('surveyFormatSelect');
+    surveyFormatSelect.innerHTML = Object.entries(POINT_FORMATS)
+      .map(([key, format]) => `<option value="${key}">${format.label}</option>`)
+      .join('');
+    surveyFormatSelect.addEventListener('change', (e) => {
+      this.callbacks.updateSurveySettings?.({ format: e.target.value });
+    });
+    
+    document.getElementById('importSurveyPointsBtn').addEventListener('click', () => {
+      document.getElementById('surveyPointsFileInput').click();
+    });
+    
+    document.getElementById('surveyPointsFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.callbacks.importSurveyPoints?.(file);
+      }
+      e.target.value = '';
+    });
+    
+    document.getElementById('showSurveyLabels').addEventListener('change', (e) => {
+      this.callbacks.updateSurveySettings?.({ showLabels: e.target.checked });
+    });
+    
+    document.getElementById('surveyCodeList').addEventListener('change', (e) => {
+      const code = e.target.dataset.code;
+      if (code !== undefined) {
+        this.callbacks.toggleSurveyCode?.(code, e.target.checked);
+      }
+    });
+    
+    document.getElementById('clearSurveyPointsBtn').addEventListener('click', () => {
+      this.callbacks.clearSurveyPoints?.();
+    });
+    
+    document.getElementById('exportLandXmlBtn').addEventListener('click', () => {
+      this.callbacks.exportLandXml?.();
+    });
+    
+    document.getElementById('exportDxfBtn').addEventListener('click', () => {
+      this.callbacks.exportDxf?.();
+    });
+    
+    document.getElementById('exportSvgBtn').addEventListener('click', () => {
+      this.callbacks.exportSvg?.();
+    });
+    
+    // Plan sheet layout
+    document.getElementById('sheetPaperSelect').innerHTML = Object.entries(PAPER_SIZES)
+      .map(([key, size]) => `<option value="${key}">${key} (${size.width} × ${size.height} mm)</option>`)
+      .join('');
+    document.getElementById('sheetScaleSelect').innerHTML = DRAWING_SCALES
+      .map(scale => `<option value="${scale}">1:${scale}</option>`)
+      .join('');
+    
+    document.getElementById('planSheetBtn').addEventListener('click', () => {
+      this.callbacks.showPlanSheet?.();
+    });
+    
+    document.getElementById('sheetPaperSelect').addEventListener('change', (e) => {
+      this.callbacks.updatePlanSheet?.({ paper: e.target.value });
+    });
+    
+    document.getElementById('sheetScaleSelect').addEventListener('change', (e) => {
+      this.callbacks.updatePlanSheet?.({ scale: parseInt(e.target.value, 10) });
+    });
+    
+    document.getElementById('sheetTitleInput').addEventListener('change', (e) => {
+      this.callbacks.updatePlanSheet?.({ title: e.target.value });
+    });
+    
+    document.getElementById('sheetDrawnByInput').addEventListener('change', (e) => {
+      this.callbacks.updatePlanSheet?.({ drawnBy: e.target.value });
+    });
+    
+    document.getElementById('exportPlanSheetSvgBtn').addEventListener('click', () => {
+      this.callbacks.exportPlanSheet?.('svg');
+    });
+    
+    document.getElementById('printPlanSheetBtn').addEventListener('click', () => {
+      this.callbacks.exportPlanSheet?.('print');
+    });
+    
+    document.getElementById('closePlanSheetBtn').addEventListener('click', () => {
+      this.hidePlanSheetDialog();
+    });
+    
+    // Extend the selected alignment from either end
+    document.getElementById('extendStartBtn').addEventListener('click', () => {
+      this.callbacks.extendAlignment?.(true);
+    });
+    
+    document.getElementById('extendEndBtn').addEventListener('click', () => {
+      this.callbacks.extendAlignment?.(false);
+    });
+    
+    // Station/offset inquiry toggle
+    document.getElementById('inquiryModeBtn').addEventListener('click', () => {
+      this.callbacks.toggleInquiryMode?.();
+    });
+    
+    // Cursor mode buttons
+    document.getElementById('crosshairMode').addEventListener('click', () => {
+      this.setCursorMode('create');
+    });
+        
+    // Modal Events
+    document.getElementById('saveNameBtn').addEventListener('click', () => {
+      this.callbacks.saveAlignment?.();
+    });
+    
+    document.getElementById('cancelNameBtn').addEventListener('click', () => {
+      this.callbacks.cancelNaming?.();
+    });
+    
+    // Enter key to finish drawing
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this.callbacks.isDrawing?.()) {
+        this.callbacks.finishDrawing?.();
+      }
+    });
+    
+    // Command line - Enter submits, and mustn't also reach the finish-drawing handler
+    document.getElementById('commandInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.stopPropagation();
+        this.callbacks.enterCoordinate?.(e.target.value);
+      } else if (e.key === 'Escape') {
+        e.target.value = '';
+        e.target.blur();
+      }
+    });
+    
+    // Input field enter key
+    document.getElementById('alignmentNameInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.callbacks.saveAlignment?.();
+      }
+    });
+
+    // Radius Modal Events
+    document.getElementById('saveRadiusBtn').addEventListener('click', () => {
+      this.saveRadius();
+    });
+    
+    document.getElementById('cancelRadiusBtn').addEventListener('click', () => {
+      this.cancelRadius();
+    });
+    
+    // Radius input enter key
+    document.getElementById('newRadiusInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.saveRadius();
+      }
+    });
+
+    // Spiral inputs - Enter saves, any change refreshes the derived values
+    ['spiralInInput', 'spiralOutInput'].forEach(id => {
+      document.getElementById(id).addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.saveRadius();
+        }
+      });
+      document.getElementById(id).addEventListener('input', () => this.updateCurveSolution());
+    });
+    document.getElementById('newRadiusInput').addEventListener('input', () => this.updateCurveSolution());
+    
+    // Minimum radius for the alignment's design criteria, rounded up to a whole metre
+    document.getElementById('setMinimumRadiusBtn').addEventListener('click', () => {
+      const minRadius = this.callbacks.getMinimumRadius?.();
+      if (!minRadius) return;
+      document.getElementById('curveParameterSelect').value = 'radius';
+      this.setCurveParameter('radius');
+      document.getElementById('newRadiusInput').value = Math.ceil(minRadius).toFixed(1);
+      this.updateCurveSolution();
+    });
+    
+    // Curve definition - the radius is solved from the chosen parameter
+    document.getElementById('curveParameterSelect').addEventListener('change', (e) => {
+      this.setCurveParameter(e.target.value);
+    });
+    
+    document.getElementById('curveParameterInput').addEventListener('input', () => this.updateCurveSolution());
+    
+    document.getElementById('curveParameterInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.saveRadius();
+      }
+    });
+    
+    document.getElementById('spiralDefinitionSelect').addEventListener('change', (e) => {
+      this.setSpiralDefinition(e.target.value);
+    });
+
+    // Road marking controls
+    document.getElementById('showPavementEdges').addEventListener('change', (e) => {
+      this.callbacks.updateRoadMarkings?.({ showPavementEdges: e.target.checked });
+    });
+    
+    document.getElementById('showTravelLaneEdges').addEventListener('change', (e) => {
+      this.callbacks.updateRoadMarkings?.({ showTravelLaneEdges: e.target.checked });
+    });
+    
+    document.getElementById('showCentreline').addEventListener('change', (e) => {
+      this.callbacks.updateRoadMarkings?.({ showCentreline: e.target.checked });
+    });
+
+    // Cross-section template
+    document.getElementById('crossSectionBtn').addEventListener('click', () => {
+      this.callbacks.showCrossSection?.();
+    });
+    
+    document.getElementById('addLeftComponentBtn').addEventListener('click', () => {
+      this.addCrossSectionComponent('left');
+    });
+    
+    document.getElementById('addRightComponentBtn').addEventListener('click', () => {
+      this.addCrossSectionComponent('right');
+    });
+    
+    document.getElementById('saveCrossSectionBtn').addEventListener('click', () => {
+      this.saveCrossSection();
+    });
+    
+    document.getElementById('cancelCrossSectionBtn').addEventListener('click', () => {
+      this.hideCrossSectionDialog();
+    });
+
+    // Width-change regions
+    document.getElementById('wideningBtn').addEventListener('click', () => {
+      this.callbacks.showWidening?.();
+    });
+    
+    document.getElementById('addWideningRegionBtn').addEventListener('click', () => {
+      this.addWideningRegion();
+    });
+    
+    document.getElementById('curveWideningCheckbox').addEventListener('change', (e) => {
+      this.setCurveWidening(e.target.checked);
+    });
+    
+    document.getElementById('saveWideningBtn').addEventListener('click', () => {
+      this.saveWidening();
+    });
+    
+    document.getElementById('cancelWideningBtn').addEventListener('click', () => {
+      this.hideWideningDialog();
+    });
+
+    // Profile panel toggle
+    document.getElementById('toggleProfileBtn').addEventListener('click', () => {
+      this.callbacks.toggleProfile?.();
+    });
+
+    // Superelevation panel toggle
+    document.getElementById('toggleSuperelevationBtn').addEventListener('click', () => {
+      this.callbacks.toggleSuperelevation?.();
+    });
+
+    // Setting-out table
+    document.getElementById('settingOutBtn').addEventListener('click', () => {
+      this.callbacks.showSettingOut?.();
+    });
+    
+    document.getElementById('settingOutIntervalInput').addEventListener('change', (e) => {
+      const interval = parseFloat(e.target.value);
+      if (interval > 0) {
+        this.callbacks.updateSettingOut?.({ interval });
+      }
+    });
+    
+    document.getElementById('settingOutOffsetsCheckbox').addEventListener('change', (e) => {
+      this.callbacks.updateSettingOut?.({ includeOffsets: e.target.checked });
+    });
+    
+    document.getElementById('exportSettingOutBtn').addEventListener('click', () => {
+      this.callbacks.exportSettingOut?.();
+    });
+    
+    document.getElementById('closeSettingOutBtn').addEventListener('click', () => {
+      this.hideSettingOutDialog();
+    });
+
+    // Geometry report
+    document.getElementById('geometryReportBtn').addEventListener('click', () => {
+      this.callbacks.showGeometryReport?.();
+    });
+    
+    document.getElementById('exportGeometryReportHtmlBtn').addEventListener('click', () => {
+      this.callbacks.exportGeometryReport?.('html');
+    });
+    
+    document.getElementById('exportGeometryReportCsvBtn').addEventListener('click', () => {
+      this.callbacks.exportGeometryReport?.('csv');
+    });
+    
+    document.getElementById('closeGeometryReportBtn').addEventListener('click', () => {
+      this.hideGeometryReportDialog();
+    });
+
+    // Vertical Curve Modal Events
+    document.getElementById('saveVerticalCurveBtn').addEventListener('click', () => {
+      this.saveVerticalCurve();
+    });
+    
+    document.getElementById('cancelVerticalCurveBtn').addEventListener('click', () => {
+      this.hideVerticalCurveDialog();
+    });
+    
+    document.getElementById('deletePviBtn').addEventListener('click', () => {
+      if (this.editingPvi && !this.editingPvi.isEndPvi) {
+        this.callbacks.deletePvi?.(this.editingPvi.index);
+        this.hideVerticalCurveDialog();
+      }
+    });
+    
+    document.getElementById('verticalCurveDefinitionSelect').addEventListener('change', (e) => {
+      this.setVerticalCurveDefinition(e.target.value);
+    });
+    
+    ['pviChainageInput', 'pviElevationInput', 'verticalCurveInput1', 'verticalCurveInput2'].forEach(id => {
+      document.getElementById(id).addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.saveVerticalCurve();
+        }
+      });
+      document.getElementById(id).addEventListener('input', () => this.updateVerticalCurveInfo());
+    });
+
+    // Stationing controls
+    document.getElementById('startChainageInput').addEventListener('change', (e) => {
+      const startChainage = parseFloat(e.target.value);
+      if (!isNaN(startChainage)) {
+        this.callbacks.updateStartChainage?.(startChainage);
+      }
+    });
+    
+    document.getElementById('showStations').addEventListener('change', (e) => {
+      this.callbacks.updateStationing?.({ showStations: e.target.checked });
+    });
+    
+    document.getElementById('majorStationInterval').addEventListener('change', (e) => {
+      const interval = parseFloat(e.target.value);
+      if (interval > 0) {
+        this.callbacks.updateStationing?.({ majorInterval: interval });
+      }
+    });
+    
+    document.getElementById('minorStationInterval').addEventListener('change', (e) => {
+      const interval = parseFloat(e.target.value);
+      if (interval > 0) {
+        this.callbacks.updateStationing?.({ minorInterval: interval });
+      }
+    });
+    
+    // Design criteria
+    document.getElementById('designStandardSelect').addEventListener('change', (e) => {
+      this.callbacks.updateDesignCriteria?.({ standard: e.target.value });
+    });
+    
+    document.getElementById('designSpeedInput').addEventListener('change', (e) => {
+      const speed = parseFloat(e.target.value);
+      if (speed > 0) {
+        this.callbacks.updateDesignCriteria?.({ designSpeed: speed });
+      }
+    });
+    
+    document.getElementById('eMaxSelect').addEventListener('change', (e) => {
+      this.callbacks.updateDesignCriteria?.({ eMax: parseFloat(e.target.value) });
+    });
+    
+    document.getElementById('normalCrossfallInput').addEventListener('change', (e) => {
+      const crossfall = parseFloat(e.target.value);
+      if (crossfall >= 0) {
+        this.callbacks.updateDesignCriteria?.({ normalCrossfall: crossfall / 100 });
+      }
+    });
+    
+    document.getElementById('attainmentSelect').addEventListener('change', (e) => {
+      this.callbacks.updateDesignCriteria?.({ attainment: e.target.value });
+    });
+    
+    const designVehicleSelect = document.getElementById('designVehicleSelect');
+    designVehicleSelect.innerHTML = Object.entries(DESIGN_VEHICLES)
+      .map(([key, vehicle]) => `<option value="${key}" title="${vehicle.label}">${key}</option>`)
+      .join('');
+    designVehicleSelect.addEventListener('change', (e) => {
+      this.callbacks.updateDesignCriteria?.({ designVehicle: e.target.value });
+    });
+    
+    // Swept path
+    const sweptPathVehicleSelect = document.getElementById('sweptPathVehicleSelect');
+    sweptPathVehicleSelect.innerHTML = designVehicleSelect.innerHTML;
+    sweptPathVehicleSelect.addEventListener('change', (e) => {
+      this.callbacks.updateSweptPath?.({ vehicle: e.target.value });
+    });
+    
+    document.getElementById('sweptPathLaneSelect').addEventListener('change', (e) => {
+      this.callbacks.updateSweptPath?.({ lane: e.target.value });
+    });
+    
+    document.getElementById('toggleSweptPathBtn').addEventListener('click', () => {
+      this.callbacks.toggleSweptPath?.();
+    });
+    
+    // Sight distance
+    document.getElementById('showSightLines').addEventListener('change', (e) => {
+      this.callbacks.toggleSightLines?.(e.target.checked);
+    });
+    
+    document.getElementById('placeObstructionBtn').addEventListener('click', () => {
+      this.callbacks.placeObstruction?.();
+    });
+    
+    document.getElementById('clearObstructionsBtn').addEventListener('click', () => {
+      this.callbacks.clearObstructions?.();
+    });
+    
+    // Geometry check minimums
+    [
+      ['minTangentInput', 'minTangent'],
+      ['minReverseTangentInput', 'minReverseTangent'],
+      ['minBrokenBackTangentInput', 'minBrokenBackTangent']
+    ].forEach(([id, key]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const length = parseFloat(e.target.value);
+        if (length >= 0) {
+          this.callbacks.updateValidationSettings?.({ [key]: length });
+        }
+      });
+    });
+    
+    // Clicking a listed issue selects what it refers to
+    document.getElementById('validationList').addEventListener('click', (e) => {
+      const item = e.target.closest('[data-issue]');
+      if (item) {
+        this.callbacks.selectIssue?.(parseInt(item.dataset.issue, 10));
+      }
+    });
+  }
+
+  /**
+   * Initialize coordinate display
+   */
+  initializeCoordinateDisplay() {
+    document.getElementById('eastingValue').textContent = '0.00';
+    document.getElementById('northingValue').textContent = '0.00';
+  }
+
+  /**
+   * Update coordinate display
+   * @param {Object} mousePos - Mouse position in world coordinates {x, y}
+   */
+  updateCoordinateDisplay(mousePos) {
+    const { easting, northing } = Viewport.toEastingNorthing(mousePos);
+    
+    document.getElementById('eastingValue').textContent = easting.toFixed(2);
+    document.getElementById('northingValue').textContent = northing.toFixed(2);
+  }
+
+  /**
+   * Show the current drawing scale: a scale bar of a round length and the ratio the
+   * view is drawn at on a 96 dpi screen
+   * @param {number} scale - Screen pixels per metre
+   */
+  updateScaleDisplay(scale) {
+    const length = GeometryUtils.niceStep(SCALE_BAR_PIXELS / scale);
+    const ratio = Number((1000 * SCREEN_PX_PER_MM / scale).toPrecision(3));
+    document.getElementById('scaleBar').style.width = `${length * scale}px`;
+    document.getElementById('scaleValue').textContent = `${length} m (1:${ratio})`;
+  }
+
+  /**
+   * Highlight the snap toolbar buttons of the active snap modes
+   * @param {Object} settings - Snap settings
+   */
+  updateSnapControls(settings) {
+    document.querySelectorAll('.snap-toggle').forEach(button => {
+      const isActive = !!settings[button.dataset.snap];
+      button.classList.toggle('bg-blue-500', isActive);
+      button.classList.toggle('hover:bg-blue-600', isActive);
+      button.classList.toggle('bg-gray-500', !isActive);
+      button.classList.toggle('hover:bg-gray-600', !isActive);
+    });
+    document.getElementById('bearingIncrementSelect').value = String(settings.bearingIncrement);
+  }
+
+  /**
+   * Update the survey panel and format select, showing the panel once there are points
+   * @param {Object} settings - {format, showLabels, hiddenCodes}
+   * @param {Array} codes - {code, count} from SurveyPoints.getCodes
+   * @param {number} count - Number of points
+   * @param {Array} skipped - Line numbers the last import skipped
+   */
+  updateSurveyControls(settings, codes, count, skipped) {
+    document.getElementById('surveyFormatSelect').value = settings.format;
+    document.getElementById('surveyPanel').classList.toggle('hidden', count === 0);
+    document.getElementById('surveyPointCount').textContent = count;
+    document.getElementById('showSurveyLabels').checked = settings.showLabels;
+    
+    const note = document.getElementById('surveyImportNote');
+    note.classList.toggle('hidden', skipped.length === 0);
+    note.textContent = skipped.length > 0
+      ? `Skipped line${skipped.length === 1 ? '' : 's'} ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ` and ${skipped.length - 5} more` : ''}`
+      : '';
+    
+    const list = document.getElementById('surveyCodeList');
+    list.innerHTML = '';
+    codes.forEach(({ code, count: codeCount }) => {
+      const label = document.createElement('label');
+      label.className = 'flex items-center';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'mr-2';
+      checkbox.dataset.code = code;
+      checkbox.checked = !settings.hiddenCodes.includes(code);
+      const text = document.createElement('span');
+      text.textContent = `${code} (${codeCount})`;
+      label.append(checkbox, text);
+      list.appendChild(label);
+    });
+  }
+
+  /**
+   * Show or hide the station/offset readout and highlight the inquiry button
+   * @param {boolean} isActive - Whether inquiry mode is on
+   */
+  setInquiryMode(isActive) {
+    document.getElementById('stationOffsetDisplay').classList.toggle('hidden', !isActive);
+    
+    const button = document.getElementById('inquiryModeBtn');
+    button.classList.toggle('bg-blue-500', isActive);
+    button.classList.toggle('hover:bg-blue-600', isActive);
+    button.classList.toggle('bg-gray-500', !isActive);
+    button.classList.toggle('hover:bg-gray-600', !isActive);
+  }
+
+  /**
+   * Highlight the obstruction button while an obstruction is being placed
+   * @param {boolean} isActive - Whether an obstruction is being placed
+   */
+  setObstructionMode(isActive) {
+    const button = document.getElementById('placeObstructionBtn');
+    button.textContent = isActive ? 'Finish Obstruction' : 'Place Obstruction';
+    button.classList.toggle('bg-blue-500', isActive);
+    button.classList.toggle('hover:bg-blue-600', isActive);
+    button.classList.toggle('bg-gray-500', !isActive);
+    button.classList.toggle('hover:bg-gray-600', !isActive);
+  }
+
+  /**
+   * Show the sight distance and how many curves are obstructed
+   * @param {Object|null} result - Result of SightDistance.analyse, or null while the check is off
+   * @param {Array} obstructions - Obstructions of the alignment
+   */
+  updateSightDistanceSummary(result, obstructions) {
+    const summary = document.getElementById('sightDistanceSummary');
+    if (!result) {
+      document.getElementById('sightDistanceValue').textContent = '-';
+      summary.textContent = '';
+      return;
+    }
+    
+    document.getElementById('sightDistanceValue').textContent = `${result.sightDistance.toFixed(0)}m`;
+    
+    const obstructed = result.curves.filter(curve => curve.blocked.length > 0);
+    summary.textContent = `${obstructions.length} obstruction${obstructions.length === 1 ? '' : 's'}` +
+      (obstructed.length > 0 ? `; sight distance not met at IP ${obstructed.map(curve => curve.ipIndex).join(', ')}` : '');
+    summary.className = obstructed.length > 0 ? 'text-red-600' : '';
+  }
+
+  /**
+   * Update station/offset readout
+   * @param {Object|null} inquiry - Result of AlignmentCalculations.calculateStationOffset plus alignment
+   */
+  updateStationOffsetDisplay(inquiry) {
+    if (!inquiry) {
+      document.getElementById('inquiryAlignmentValue').textContent = '-';
+      document.getElementById('stationValue').textContent = '-';
+      document.getElementById('offsetValue').textContent = '-';
+      return;
+    }
+    
+    const side = inquiry.offset >= 0 ? 'R' : 'L';
+    document.getElementById('inquiryAlignmentValue').textContent = inquiry.alignment.name;
+    document.getElementById('stationValue').textContent = Stationing.formatChainage(inquiry.chainage);
+    document.getElementById('offsetValue').textContent = `${Math.abs(inquiry.offset).toFixed(2)} ${side}`;
+  }
+
+  /**
+   * Show controls panel
+   */
+  showControlsPanel() {
+    document.getElementById('controlsPanel').classList.remove('hidden');
+  }
+
+  /**
+   * Hide controls panel
+   */
+  hideControlsPanel() {
+    document.getElementById('controlsPanel').classList.add('hidden');
+  }
+
+  /**
+   * Show create alignment button
+   */
+  showCreateAlignmentButton() {
+    document.getElementById('createAlignmentBtn').classList.remove('hidden');
+  }
+
+  /**
+   * Hide create alignment button
+   */
+  hideCreateAlignmentButton() {
+    document.getElementById('createAlignmentBtn').classList.add('hidden');
+  }
+
+  /**
+   * Show name modal
+   */
+  showNameModal() {
+    document.getElementById('nameModal').classList.remove('hidden');
+    document.getElementById('alignmentNameInput').value = '';
+    document.getElementById('alignmentNameInput').focus();
+  }
+
+  /**
+   * Hide name modal
+   */
+  hideNameModal() {
+    document.getElementById('nameModal').classList.add('hidden');
+  }
+
+  /**
+   * Get alignment name from input
+   * @returns {string} Alignment name
+   */
+  getAlignmentName() {
+    return document.getElementById('alignmentNameInput').value.trim();
+  }
+
+  /**
+   * Show radius dialog
+   * @param {Object} arc - Arc element being edited
+   */
+  showRadiusDialog(arc, constraint = null) {
+    document.getElementById('radiusModal').classList.remove('hidden');
+    
+    // Store reference to the arc being edited
+    this.editingArc = arc;
+    
+    // Update arc info display
+    const ipIndex = arc.ipIndex || 'unknown';
+    document.getElementById('arcInfoDisplay').textContent = `Editing Arc at IP ${ipIndex}`;
+    
+    document.getElementById('currentRadiusDisplay').textContent = arc.radius.toFixed(1);
+    document.getElementById('newRadiusInput').value = arc.radius.toFixed(1);
+    
+    // Spirals are always shown by length when the dialog opens
+    this.spiralDefinition = 'length';
+    document.getElementById('spiralDefinitionSelect').value = 'length';
+    document.getElementById('spiralInInput').value = (arc.spiralInLength || 0).toFixed(1);
+    document.getElementById('spiralOutInput').value = (arc.spiralOutLength || 0).toFixed(1);
+    
+    // Curves fixed by another parameter open with that parameter
+    const parameter = constraint ? constraint.parameter : 'radius';
+    document.getElementById('curveParameterSelect').value = parameter;
+    this.setCurveParameter(parameter, constraint ? constraint.value : null);
+    
+    document.getElementById(parameter === 'radius' ? 'newRadiusInput' : 'curveParameterInput').focus();
+    
+    // Log which arc is being edited for debugging
+    console.log(`Editing arc at IP ${arc.ipIndex || 'unknown'} with radius ${arc.radius}`);
+  }
+
+  /**
+   * Hide radius dialog
+   */
+  hideRadiusDialog() {
+    document.getElementById('radiusModal').classList.add('hidden');
+    this.editingArc = null;
+  }
+
+  /**
+   * Save radius from dialog
+   */
+  saveRadius() {
+    let newRadius = parseFloat(document.getElementById('newRadiusInput').value);
+    let constraint = null;
+    
+    if (this.curveParameter !== 'radius') {
+      try {
+        newRadius = this.solveCurveRadius();
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      constraint = {
+        parameter: this.curveParameter,
+        value: parseFloat(document.getElementById('curveParameterInput').value)
+      };
+    }
+    
+    if (isNaN(newRadius) || newRadius <= 0) {
+      alert('Please enter a valid radius value greater than 0.');
+      return;
+    }
+    
+    const spiralLengths = this.getSpiralLengths(newRadius);
+    if (!spiralLengths) {
+      alert('Please enter spiral values of 0 or greater.');
+      return;
+    }
+    
+    if (this.editingArc) {
+      this.callbacks.updateRadius?.(newRadius, spiralLengths, constraint);
+      this.hideRadiusDialog();
+    }
+  }
+
+  /**
+   * Switch the parameter the curve is defined by, showing its value for the current radius
+   * @param {string} parameter - Key of CURVE_PARAMETERS
+   * @param {number|null} value - Value to show, or null to derive it from the radius
+   */
+  setCurveParameter(parameter, value = null) {
+    const radius = parseFloat(document.getElementById('newRadiusInput').value);
+    const isRadius = parameter === 'radius';
+    const { label, unit } = CURVE_PARAMETERS[parameter];
+    this.curveParameter = parameter;
+    
+    document.getElementById('curveParameterRow').classList.toggle('hidden', isRadius);
+    document.getElementById('curveParameterLabel').textContent = `${label}:`;
+    document.getElementById('newRadiusLabel').textContent = isRadius ? 'New Radius:' : 'Solved Radius:';
+    document.getElementById('newRadiusInput').readOnly = !isRadius;
+    
+    if (!isRadius) {
+      const lengths = radius > 0 ? this.getSpiralLengths(radius) : null;
+      const current = value ?? (radius > 0
+        ? CurveDefinitions.getValue(parameter, radius, this.editingArc.deflectionAngle, lengths)
+        : NaN);
+      document.getElementById('curveParameterInput').value = Number.isFinite(current)
+        ? current.toFixed(unit === '°' ? 4 : 2)
+        : '';
+    }
+    this.updateCurveSolution();
+  }
+
+  /**
+   * Solve the radius from the curve parameter input
+   * Spirals given by A-parameter have lengths that depend on the radius, so the
+   * arc-length solution is repeated until it settles.
+   * @returns {number} Radius
+   * @throws {Error} If the value is invalid or can't define this curve
+   */
+  solveCurveRadius() {
+    const parameter = this.curveParameter;
+    const value = parseFloat(document.getElementById('curveParameterInput').value);
+    const deflection = this.editingArc.deflectionAngle;
+    
+    let radius = CurveDefinitions.solveRadius(parameter, value, deflection);
+    for (let i = 0; i < 5; i++) {
+      const lengths = this.getSpiralLengths(radius);
+      if (!lengths) break;
+      if (!CURVE_PARAMETERS[parameter].allowsSpirals && (lengths.lengthIn > 0 || lengths.lengthOut > 0)) {
+        throw new Error(`${CURVE_PARAMETERS[parameter].label} defines a simple curve. ` +
+          'Remove the spirals, or define the curve by radius, arc length or degree of curve.');
+      }
+      radius = CurveDefinitions.solveRadius(parameter, value, deflection, lengths);
+    }
+    
+    if (!Number.isFinite(radius) || radius <= 0) {
+      throw new Error(`${CURVE_PARAMETERS[parameter].label} ${value} can't be met at this deflection.`);
+    }
+    return radius;
+  }
+
+  /**
+   * Show the solved radius and the curve's other parameters under the radius input
+   */
+  updateCurveSolution() {
+    const display = document.getElementById('curveSolutionDisplay');
+    const radiusInput = document.getElementById('newRadiusInput');
+    
+    if (this.curveParameter !== 'radius') {
+      try {
+        radiusInput.value = this.solveCurveRadius().toFixed(3);
+      } catch (error) {
+        display.textContent = error.message;
+        this.updateSpiralInfo();
+        return;
+      }
+    }
+    
+    const radius = parseFloat(radiusInput.value);
+    const lengths = radius > 0 ? this.getSpiralLengths(radius) : null;
+    if (!lengths || !this.editingArc) {
+      display.textContent = '';
+      this.updateSpiralInfo();
+      return;
+    }
+    
+    const deflection = this.editingArc.deflectionAngle;
+    const value = (parameter) => CurveDefinitions.getValue(parameter, radius, deflection, lengths).toFixed(2);
+    let summary = `Δ ${(Math.abs(deflection) * 180 / Math.PI).toFixed(4)}°, L ${value('arcLength')}`;
+    if (lengths.lengthIn === 0 && lengths.lengthOut === 0) {
+      summary += `, T ${value('tangentLength')}, E ${value('external')}, C ${value('chord')}, M ${value('midOrdinate')}`;
+    }
+    display.textContent = summary;
+    this.updateSpiralInfo();
+  }
+
+  /**
+   * Read spiral lengths from the radius dialog, converting from A-parameter if needed
+   * @param {number} radius - Radius the spirals transition to
+   * @returns {Object|null} Spiral lengths {lengthIn, lengthOut}, or null if invalid
+   */
+  getSpiralLengths(radius) {
+    const valueIn = parseFloat(document.getElementById('spiralInInput').value || '0');
+    const valueOut = parseFloat(document.getElementById('spiralOutInput').value || '0');
+    
+    if (isNaN(valueIn) || isNaN(valueOut) || valueIn < 0 || valueOut < 0) {
+      return null;
+    }
+    
+    // A² = R·Ls
+    const toLength = (value) => this.spiralDefinition === 'aParameter' ? (value * value) / radius : value;
+    return { lengthIn: toLength(valueIn), lengthOut: toLength(valueOut) };
+  }
+
+  /**
+   * Switch the spiral inputs between length and A-parameter, converting the current values
+   * @param {string} definition - 'length' or 'aParameter'
+   */
+  setSpiralDefinition(definition) {
+    const radius = parseFloat(document.getElementById('newRadiusInput').value);
+    const lengths = radius > 0 ? this.getSpiralLengths(radius) : null;
+    this.spiralDefinition = definition;
+    
+    if (lengths) {
+      const fromLength = (length) => definition === 'aParameter' ? Math.sqrt(radius * length) : length;
+      document.getElementById('spiralInInput').value = fromLength(lengths.lengthIn).toFixed(1);
+      document.getElementById('spiralOutInput').value = fromLength(lengths.lengthOut).toFixed(1);
+    }
+    this.updateCurveSolution();
+  }
+
+  /**
+   * Show the derived spiral values (Ls or A) under the spiral inputs
+   */
+  updateSpiralInfo() {
+    const display = document.getElementById('spiralInfoDisplay');
+    const radius = parseFloat(document.getElementById('newRadiusInput').value);
+    const lengths = radius > 0 ? this.getSpiralLengths(radius) : null;
+    
+    if (!lengths) {
+      display.textContent = '';
+      return;
+    }
+    
+    const describe = (length) => length > 0
+      ? `Ls ${length.toFixed(1)}, A ${Math.sqrt(radius * length).toFixed(1)}`
+      : 'none';
+    display.textContent = `In: ${describe(lengths.lengthIn)} | Out: ${describe(lengths.lengthOut)}`;
+  }
+
+  /**
+   * Cancel radius editing
+   */
+  cancelRadius() {
+    this.hideRadiusDialog();
+  }
+
+  /**
+   * Show vertical curve (PVI) dialog
+   * @param {Object} pviInfo - {index, pvi, previous, next, isEndPvi}
+   */
+  showVerticalCurveDialog(pviInfo) {
+    document.getElementById('verticalCurveModal').classList.remove('hidden');
+    this.editingPvi = pviInfo;
+    
+    const { pvi, isEndPvi } = pviInfo;
+    document.getElementById('pviInfoDisplay').textContent =
+      `PVI ${pviInfo.index} at ${Stationing.formatChainage(pvi.chainage)}`;
+    document.getElementById('pviChainageInput').value = pvi.chainage.toFixed(2);
+    document.getElementById('pviElevationInput').value = pvi.elevation.toFixed(3);
+    
+    // The ends of the profile are pinned to the alignment and carry no curve
+    document.getElementById('pviChainageInput').disabled = isEndPvi;
+    document.getElementById('verticalCurveSection').classList.toggle('hidden', isEndPvi);
+    document.getElementById('deletePviBtn').classList.toggle('hidden', isEndPvi);
+    
+    const lengthIn = pvi.lengthIn || 0;
+    const lengthOut = pvi.lengthOut || 0;
+    const definition = Math.abs(lengthIn - lengthOut) > 1e-9 ? 'asymmetric' : 'symmetric';
+    document.getElementById('verticalCurveDefinitionSelect').value = definition;
+    this.verticalCurveDefinition = definition;
+    this.setVerticalCurveInputs(definition, lengthIn, lengthOut);
+    this.updateVerticalCurveInfo();
+    
+    document.getElementById('pviElevationInput').focus();
+  }
+
+  /**
+   * Hide vertical curve dialog
+   */
+  hideVerticalCurveDialog() {
+    document.getElementById('verticalCurveModal').classList.add('hidden');
+    this.editingPvi = null;
+  }
+
+  /**
+   * Grades either side of the PVI being edited, using the values currently in the dialog
+   * @returns {Object|null} {gradeIn, gradeOut}, or null for an end PVI
+   */
+  getEditingGrades() {
+    if (!this.editingPvi) return null;
+    
+    const { previous, next } = this.editingPvi;
+    if (!previous || !next) return null;
+    
+    const chainage = parseFloat(document.getElementById('pviChainageInput').value);
+    const elevation = parseFloat(document.getElementById('pviElevationInput').value);
+    if (isNaN(chainage) || isNaN(elevation)) return null;
+    
+    return {
+      gradeIn: (elevation - previous.elevation) / (chainage - previous.chainage),
+      gradeOut: (next.elevation - elevation) / (next.chainage - chainage)
+    };
+  }
+
+  /**
+   * Fill the curve inputs for a definition from curve lengths
+   * @param {string} definition - 'symmetric' | 'asymmetric' | 'kValue'
+   * @param {number} lengthIn - Curve length before the PVI
+   * @param {number} lengthOut - Curve length after the PVI
+   */
+  setVerticalCurveInputs(definition, lengthIn, lengthOut) {
+    const labels = { symmetric: 'Length (L):', asymmetric: 'L1 (before PVI):', kValue: 'K-value:' };
+    document.getElementById('verticalCurveInput1Label').textContent = labels[definition];
+    document.getElementById('verticalCurveInput2Group').classList.toggle('hidden', definition !== 'asymmetric');
+    
+    if (definition === 'asymmetric') {
+      document.getElementById('verticalCurveInput1').value = lengthIn.toFixed(1);
+      document.getElementById('verticalCurveInput2').value = lengthOut.toFixed(1);
+    } else if (definition === 'kValue') {
+      const grades = this.getEditingGrades();
+      const algebraicDifference = grades ? Math.abs(grades.gradeOut - grades.gradeIn) * 100 : 0;
+      const kValue = algebraicDifference > 0 ? (lengthIn + lengthOut) / algebraicDifference : 0;
+      document.getElementById('verticalCurveInput1').value = kValue.toFixed(1);
+    } else {
+      document.getElementById('verticalCurveInput1').value = (lengthIn + lengthOut).toFixed(1);
+    }
+  }
+
+  /**
+   * Switch the curve definition, converting the current values
+   * @param {string} definition - 'symmetric' | 'asymmetric' | 'kValue'
+   */
+  setVerticalCurveDefinition(definition) {
+    const lengths = this.getVerticalCurveLengths() || { lengthIn: 0, lengthOut: 0 };
+    this.verticalCurveDefinition = definition;
+    this.setVerticalCurveInputs(definition, lengths.lengthIn, lengths.lengthOut);
+    this.updateVerticalCurveInfo();
+  }
+
+  /**
+   * Read the curve lengths from the dialog
+   * @returns {Object|null} {lengthIn, lengthOut}, or null if invalid
    */
-  registerCallbacks(callbacks) {
-    this.callbacks = { ...this.callbacks, ...callbacks };
+  getVerticalCurveLengths() {
+    const value1 = parseFloat(document.getElementById('verticalCurveInput1').value || '0');
+    const value2 = parseFloat(document.getElementById('verticalCurveInput2').value || '0');
+    if (isNaN(value1) || value1 < 0) return null;
+    
+    if (this.verticalCurveDefinition === 'asymmetric') {
+      if (isNaN(value2) || value2 < 0) return null;
+      return { lengthIn: value1, lengthOut: value2 };
+    }
+    
+    let length = value1;
+    if (this.verticalCurveDefinition === 'kValue') {
+      // L = K·|A|
+      const grades = this.getEditingGrades();
+      length = grades ? value1 * Math.abs(grades.gradeOut - grades.gradeIn) * 100 : 0;
+    }
+    return { lengthIn: length / 2, lengthOut: length / 2 };
   }
 
   /**
-   * Setup event listeners for all UI controls
+   * Show grades, A, K and curve type under the curve inputs
    */
-  setupEventListeners() {
-    // Create Alignment Button
-    document.getElementById('createAlignmentBtn').addEventListener('click', () => {
-      this.callbacks.createAlignment?.();
-    });
+  updateVerticalCurveInfo() {
+    const display = document.getElementById('verticalCurveInfoDisplay');
+    const grades = this.editingPvi ? this.getEditingGrades() : null;
+    const lengths = this.getVerticalCurveLengths();
     
-    // Cancel Button
-    document.getElementById('cancelBtn').addEventListener('click', () => {
-      this.callbacks.cancelDrawing?.();
-    });
+    if (!grades || !lengths) {
+      display.textContent = '';
+      return;
+    }
     
-    // Cursor mode buttons
-    document.getElementById('crosshairMode').addEventListener('click', () => {
-      this.setCursorMode('create');
-    });
-        
-    // Modal Events
-    document.getElementById('saveNameBtn').addEventListener('click', () => {
-      this.callbacks.saveAlignment?.();
-    });
+    const algebraicDifference = (grades.gradeOut - grades.gradeIn) * 100;
+    const length = lengths.lengthIn + lengths.lengthOut;
+    const kValue = Math.abs(algebraicDifference) > 1e-9 ? (length / Math.abs(algebraicDifference)).toFixed(1) : '∞';
+    const type = grades.gradeOut < grades.gradeIn ? 'Crest' : 'Sag';
+    display.textContent = `g1 ${VerticalCalculations.formatGrade(grades.gradeIn)}, g2 ${VerticalCalculations.formatGrade(grades.gradeOut)}, ` +
+      `A ${algebraicDifference.toFixed(2)}%, ${type}, L ${length.toFixed(1)}, K ${kValue}`;
+  }
+
+  /**
+   * Save PVI and vertical curve from dialog
+   */
+  saveVerticalCurve() {
+    if (!this.editingPvi) return;
     
-    document.getElementById('cancelNameBtn').addEventListener('click', () => {
-      this.callbacks.cancelNaming?.();
-    });
+    const chainage = parseFloat(document.getElementById('pviChainageInput').value);
+    const elevation = parseFloat(document.getElementById('pviElevationInput').value);
+    if (isNaN(chainage) || isNaN(elevation)) {
+      alert('Please enter a valid chainage and elevation.');
+      return;
+    }
     
-    // Enter key to finish drawing
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && this.callbacks.isDrawing?.()) {
-        this.callbacks.finishDrawing?.();
-      }
-    });
+    const { previous, next, isEndPvi } = this.editingPvi;
+    if (!isEndPvi && (chainage <= previous.chainage || chainage >= next.chainage)) {
+      alert('The PVI chainage must lie between its neighbouring PVIs.');
+      return;
+    }
     
-    // Input field enter key
-    document.getElementById('alignmentNameInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        this.callbacks.saveAlignment?.();
-      }
+    const lengths = isEndPvi ? { lengthIn: 0, lengthOut: 0 } : this.getVerticalCurveLengths();
+    if (!lengths) {
+      alert('Please enter curve values of 0 or greater.');
+      return;
+    }
+    
+    this.callbacks.updatePvi?.(this.editingPvi.index, {
+      chainage: isEndPvi ? this.editingPvi.pvi.chainage : chainage,
+      elevation: elevation,
+      lengthIn: lengths.lengthIn,
+      lengthOut: lengths.lengthOut
     });
+    this.hideVerticalCurveDialog();
+  }
 
-    // Radius Modal Events
-    document.getElementById('saveRadiusBtn').addEventListener('click', () => {
-      this.saveRadius();
-    });
+  /**
+   * Show profile panel
+   * @param {Object} alignment - Alignment whose profile is shown
+   */
+  showProfilePanel(alignment) {
+    document.getElementById('profilePanel').classList.remove('hidden');
+    document.getElementById('profileAlignmentName').textContent = alignment.name;
+    document.getElementById('toggleProfileBtn').textContent = 'Hide Profile';
+  }
+
+  /**
+   * Hide profile panel
+   */
+  hideProfilePanel() {
+    document.getElementById('profilePanel').classList.add('hidden');
+    document.getElementById('toggleProfileBtn').textContent = 'Show Profile';
+  }
+
+  /**
+   * Show the superelevation diagram panel, describing the linked curve if there is one
+   * @param {Object} alignment - Current alignment
+   * @param {Object|null} curve - Curve from Superelevation.calculate for the selected arc
+   */
+  showSuperelevationPanel(alignment, curve) {
+    document.getElementById('superelevationPanel').classList.remove('hidden');
+    document.getElementById('superelevationAlignmentName').textContent = alignment.name;
+    document.getElementById('toggleSuperelevationBtn').textContent = 'Hide Superelevation';
     
-    document.getElementById('cancelRadiusBtn').addEventListener('click', () => {
-      this.cancelRadius();
-    });
+    const method = ATTAINMENT_METHODS[alignment.designCriteria.attainment];
+    document.getElementById('superelevationInfo').textContent = curve
+      ? `IP ${curve.ipIndex}: e ${(curve.rate * 100).toFixed(2)}%, ` +
+        `runoff ${curve.runoffIn.toFixed(1)}/${curve.runoffOut.toFixed(1)} m, ` +
+        `runout ${curve.runoutIn.toFixed(1)}/${curve.runoutOut.toFixed(1)} m, ` +
+        `full ${Stationing.formatChainage(curve.fullStart)} to ${Stationing.formatChainage(curve.fullEnd)} (${method})`
+      : `${method} - click a curve to select it`;
     
-    // Radius input enter key
-    document.getElementById('newRadiusInput').addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        this.saveRadius();
-      }
-    });
+    // The profile panel sits above the diagram while both are open
+    this.stackProfilePanel(true);
+  }
 
-    // Road marking controls
-    document.getElementById('showPavementEdges').addEventListener('change', (e) => {
-      this.callbacks.updateRoadMarkings?.({ showPavementEdges: e.target.checked });
-    });
-    
-    document.getElementById('showTravelLaneEdges').addEventListener('change', (e) => {
-      this.callbacks.updateRoadMarkings?.({ showTravelLaneEdges: e.target.checked });
-    });
+  /**
+   * Show the cross-section dialog for an alignment
+   * @param {Object} alignment - Alignment whose template is edited
+   */
+  showCrossSectionDialog(alignment) {
+    this.editingCrossSection = CrossSection.normalize(alignment.crossSection || CrossSection.createDefault());
     
-    document.getElementById('showCentreline').addEventListener('change', (e) => {
-      this.callbacks.updateRoadMarkings?.({ showCentreline: e.target.checked });
+    // Remember where each component started so widening can follow it
+    ['left', 'right'].forEach(side => {
+      this.editingCrossSection[side].forEach((component, index) => {
+        component.sourceIndex = index;
+      });
     });
+    document.getElementById('crossSectionModal').classList.remove('hidden');
+    document.getElementById('crossSectionAlignmentName').textContent = alignment.name;
+    this.renderCrossSectionEditor();
   }
 
   /**
-   * Initialize coordinate display
-   * @param {number} canvasHeight - Canvas height for coordinate calculation
+   * Hide the cross-section dialog, discarding unsaved changes
    */
-  initializeCoordinateDisplay(canvasHeight) {
-    document.getElementById('eastingValue').textContent = '0';
-    document.getElementById('northingValue').textContent = canvasHeight;
+  hideCrossSectionDialog() {
+    document.getElementById('crossSectionModal').classList.add('hidden');
+    this.editingCrossSection = null;
   }
 
   /**
-   * Update coordinate display
-   * @param {Object} mousePos - Mouse position {x, y}
-   * @param {number} canvasHeight - Canvas height for coordinate calculation
+   * Add a component of the default type to the outside of one side
+   * @param {string} side - 'left' or 'right'
    */
-  updateCoordinateDisplay(mousePos, canvasHeight) {
-    const easting = Math.round(mousePos.x);
-    const northing = Math.round(canvasHeight - mousePos.y); // Flip Y so North is up
+  addCrossSectionComponent(side) {
+    if (!this.editingCrossSection) return;
     
-    document.getElementById('eastingValue').textContent = easting;
-    document.getElementById('northingValue').textContent = northing;
+    // Lanes next to the centreline, shoulders outside them
+    const type = this.editingCrossSection[side].length === 0 ? 'lane' : 'shoulder';
+    this.editingCrossSection[side].push(CrossSection.createComponent(type));
+    this.renderCrossSectionEditor();
   }
 
   /**
-   * Show controls panel
+   * Hand the edited template to the app and close the dialog
    */
-  showControlsPanel() {
-    document.getElementById('controlsPanel').classList.remove('hidden');
+  saveCrossSection() {
+    if (!this.editingCrossSection) return;
+    
+    const template = CrossSection.normalize(this.editingCrossSection);
+    const componentMap = {};
+    ['left', 'right'].forEach(side => {
+      componentMap[side] = [];
+      this.editingCrossSection[side].forEach((component, index) => {
+        if (component.sourceIndex !== undefined) componentMap[side][component.sourceIndex] = index;
+      });
+    });
+    this.hideCrossSectionDialog();
+    this.callbacks.updateCrossSection?.(template, componentMap);
   }
 
   /**
-   * Hide controls panel
+   * Rebuild both component lists and the width summary from the working template
    */
-  hideControlsPanel() {
-    document.getElementById('controlsPanel').classList.add('hidden');
+  renderCrossSectionEditor() {
+    const template = this.editingCrossSection;
+    const typeOptions = Object.entries(COMPONENT_TYPES)
+      .map(([key, type]) => `<option value="${key}">${type.label}</option>`)
+      .join('');
+    const styleOptions = Object.entries(LINE_STYLES)
+      .map(([key, style]) => `<option value="${key}">${style.label}</option>`)
+      .join('');
+    
+    ['left', 'right'].forEach(side => {
+      const list = document.getElementById(side === 'left' ? 'crossSectionLeftList' : 'crossSectionRightList');
+      list.innerHTML = '';
+      
+      template[side].forEach((component, index) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-1';
+        row.innerHTML = `
+          <select data-field="type" class="px-1 py-0.5 border border-gray-300 rounded text-xs">${typeOptions}</select>
+          <input data-field="width" type="number" class="w-16 px-1 py-0.5 border border-gray-300 rounded text-xs" min="0.01" step="0.05">
+          <select data-field="lineStyle" class="px-1 py-0.5 border border-gray-300 rounded text-xs">${styleOptions}</select>
+          <button data-action="up" class="px-1 text-gray-600 hover:text-gray-900" title="Move towards the centreline">▲</button>
+          <button data-action="down" class="px-1 text-gray-600 hover:text-gray-900" title="Move outwards">▼</button>
+          <button data-action="remove" class="px-1 text-red-600 hover:text-red-800" title="Remove">✕</button>`;
+        
+        const typeSelect = row.querySelector('[data-field="type"]');
+        const widthInput = row.querySelector('[data-field="width"]');
+        const styleSelect = row.querySelector('[data-field="lineStyle"]');
+        typeSelect.value = component.type;
+        widthInput.value = component.width;
+        styleSelect.value = component.lineStyle;
+        
+        typeSelect.addEventListener('change', () => {
+          // A new type starts with that type's width and line style, in the same place
+          template[side][index] = { ...CrossSection.createComponent(typeSelect.value), sourceIndex: component.sourceIndex };
+          this.renderCrossSectionEditor();
+        });
+        widthInput.addEventListener('change', () => {
+          const width = parseFloat(widthInput.value);
+          if (width > 0) component.width = width;
+          this.renderCrossSectionEditor();
+        });
+        styleSelect.addEventListener('change', () => {
+          component.lineStyle = styleSelect.value;
+        });
+        
+        row.querySelectorAll('[data-action]').forEach(button => {
+          button.addEventListener('click', () => {
+            const components = template[side];
+            const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+            if (button.dataset.action === 'remove') {
+              components.splice(index, 1);
+            } else if (target >= 0 && target < components.length) {
+              [components[index], components[target]] = [components[target], components[index]];
+            }
+            this.renderCrossSectionEditor();
+          });
+        });
+        
+        list.appendChild(row);
+      });
+    });
+    
+    document.getElementById('crossSectionSummary').textContent =
+      `Pavement ${CrossSection.getPavementWidth(template, 'left').toFixed(2)} m left, ` +
+      `${CrossSection.getPavementWidth(template, 'right').toFixed(2)} m right; ` +
+      `overall ${(CrossSection.getSideWidth(template, 'left') + CrossSection.getSideWidth(template, 'right')).toFixed(2)} m`;
   }
 
   /**
-   * Show create alignment button
+   * Show the widening dialog for an alignment
+   * @param {Object} alignment - Alignment whose width-change regions are edited
    */
-  showCreateAlignmentButton() {
-    document.getElementById('createAlignmentBtn').classList.remove('hidden');
+  showWideningDialog(alignment) {
+    this.editingWidening = {
+      regions: Widening.normalize(alignment.widenings),
+      template: alignment.crossSection || CrossSection.createDefault(),
+      startChainage: Stationing.getChainageRange(alignment).start,
+      curveWidening: alignment.curveWidening === true
+    };
+    document.getElementById('wideningModal').classList.remove('hidden');
+    document.getElementById('curveWideningCheckbox').checked = this.editingWidening.curveWidening;
+    document.getElementById('wideningAlignmentName').textContent = alignment.name;
+    document.getElementById('curveWideningSummary').textContent =
+      `Design vehicle: ${DESIGN_VEHICLES[alignment.designCriteria.designVehicle]?.label || '-'}`;
+    this.renderWideningEditor();
   }
 
   /**
-   * Hide create alignment button
+   * Hide the widening dialog, discarding unsaved changes
    */
-  hideCreateAlignmentButton() {
-    document.getElementById('createAlignmentBtn').classList.add('hidden');
+  hideWideningDialog() {
+    document.getElementById('wideningModal').classList.add('hidden');
+    this.editingWidening = null;
   }
 
   /**
-   * Show name modal
+   * Add a region starting where the last one ends
    */
-  showNameModal() {
-    document.getElementById('nameModal').classList.remove('hidden');
-    document.getElementById('alignmentNameInput').value = '';
-    document.getElementById('alignmentNameInput').focus();
+  addWideningRegion() {
+    if (!this.editingWidening) return;
+    
+    const regions = this.editingWidening.regions;
+    const start = regions.length > 0
+      ? Math.max(...regions.map(region => region.endChainage))
+      : this.editingWidening.startChainage;
+    regions.push(Widening.createRegion(start));
+    this.renderWideningEditor();
   }
 
   /**
-   * Hide name modal
+   * Switch automatic curve widening on, replacing the curve widening regions with freshly
+   * calculated ones, or off, removing them; other regions are kept
+   * @param {boolean} isOn - Whether curves are widened
    */
-  hideNameModal() {
-    document.getElementById('nameModal').classList.add('hidden');
+  setCurveWidening(isOn) {
+    if (!this.editingWidening) return;
+    
+    const result = isOn ? this.callbacks.getCurveWidening?.() : null;
+    this.editingWidening.curveWidening = Boolean(result);
+    document.getElementById('curveWideningCheckbox').checked = Boolean(result);
+    
+    this.editingWidening.regions = [
+      ...this.editingWidening.regions.filter(region => region.ipIndex === undefined),
+      ...(result ? result.regions : [])
+    ].sort((a, b) => a.startChainage - b.startChainage);
+    
+    let summary = '';
+    if (result && result.curves.length === 0) {
+      summary = 'No curves to widen';
+    } else if (result) {
+      summary = result.curves.map(curve =>
+        `IP ${curve.ipIndex} R${curve.radius.toFixed(0)}: ${curve.widening.toFixed(2)} m` +
+        ` (W_c ${curve.curveWidth.toFixed(2)} against ${curve.normalWidth.toFixed(2)}: U ${curve.trackWidth.toFixed(2)},` +
+        ` C ${curve.clearance.toFixed(2)}, F_A ${curve.overhang.toFixed(2)}, Z ${curve.allowance.toFixed(2)})` +
+        (curve.isApplied ? '' : ' - not needed')
+      ).join('; ');
+    }
+    document.getElementById('curveWideningSummary').textContent = summary;
+    this.renderWideningEditor();
   }
 
   /**
-   * Get alignment name from input
-   * @returns {string} Alignment name
+   * Hand the edited regions to the app and close the dialog
    */
-  getAlignmentName() {
-    return document.getElementById('alignmentNameInput').value.trim();
+  saveWidening() {
+    if (!this.editingWidening) return;
+    
+    const regions = Widening.normalize(this.editingWidening.regions);
+    const curveWidening = this.editingWidening.curveWidening;
+    this.hideWideningDialog();
+    this.callbacks.updateWidenings?.(regions, curveWidening);
   }
 
   /**
-   * Show radius dialog
-   * @param {Object} arc - Arc element being edited
+   * Rebuild the region table from the working regions
    */
-  showRadiusDialog(arc) {
-    document.getElementById('radiusModal').classList.remove('hidden');
+  renderWideningEditor() {
+    const { regions, template } = this.editingWidening;
+    const shapeOptions = Object.entries(TRANSITION_SHAPES)
+      .map(([key, shape]) => `<option value="${key}">${shape.label}</option>`)
+      .join('');
+    const componentOptions = (side) => template[side]
+      .map((component, index) => `<option value="${index}">${index + 1}: ${COMPONENT_TYPES[component.type].label}</option>`)
+      .join('');
     
-    // Update arc info display
-    const ipIndex = arc.ipIndex || 'unknown';
-    document.getElementById('arcInfoDisplay').textContent = `Editing Arc at IP ${ipIndex}`;
+    const body = document.getElementById('wideningTableBody');
+    body.innerHTML = '';
     
-    document.getElementById('currentRadiusDisplay').textContent = arc.radius.toFixed(1);
-    document.getElementById('newRadiusInput').value = arc.radius.toFixed(1);
-    document.getElementById('newRadiusInput').focus();
+    regions.forEach((region, index) => {
+      const row = document.createElement('tr');
+      row.className = 'border-t';
+      row.innerHTML = `
+        <td class="px-2 py-0.5"><select data-field="side" class="px-1 border border-gray-300 rounded">
+          <option value="left">Left</option><option value="right">Right</option>
+        </select></td>
+        <td class="px-2 py-0.5"><select data-field="componentIndex" class="px-1 border border-gray-300 rounded">${componentOptions(region.side)}</select></td>
+        <td class="px-2 py-0.5"><input data-field="startChainage" type="number" class="w-20 px-1 border border-gray-300 rounded" step="1"></td>
+        <td class="px-2 py-0.5"><input data-field="endChainage" type="number" class="w-20 px-1 border border-gray-300 rounded" step="1"></td>
+        <td class="px-2 py-0.5"><input data-field="delta" type="number" class="w-16 px-1 border border-gray-300 rounded" step="0.1"></td>
+        <td class="px-2 py-0.5"><select data-field="shape" class="px-1 border border-gray-300 rounded">${shapeOptions}</select></td>
+        <td class="px-2 py-0.5 text-gray-500">${region.ipIndex === undefined ? 'Manual' : `Curve IP ${region.ipIndex}`}</td>
+        <td class="px-2 py-0.5"><button data-action="remove" class="px-1 text-red-600 hover:text-red-800" title="Remove">✕</button></td>`;
+      
+      const fields = {};
+      row.querySelectorAll('[data-field]').forEach(field => {
+        fields[field.dataset.field] = field;
+      });
+      fields.side.value = region.side;
+      fields.componentIndex.value = String(region.componentIndex);
+      fields.startChainage.value = +region.startChainage.toFixed(3);
+      fields.endChainage.value = +region.endChainage.toFixed(3);
+      fields.delta.value = +region.delta.toFixed(3);
+      fields.shape.value = region.shape;
+      
+      // Curve widening is worked out from its curve, so only manual regions are edited here
+      if (region.ipIndex !== undefined) {
+        Object.values(fields).forEach(field => {
+          field.disabled = true;
+        });
+      }
+      
+      fields.side.addEventListener('change', () => {
+        region.side = fields.side.value;
+        region.componentIndex = 0;
+        this.renderWideningEditor();
+      });
+      fields.componentIndex.addEventListener('change', () => {
+        region.componentIndex = parseInt(fields.componentIndex.value);
+      });
+      ['startChainage', 'endChainage', 'delta'].forEach(key => {
+        fields[key].addEventListener('change', () => {
+          const value = parseFloat(fields[key].value);
+          if (Number.isFinite(value)) region[key] = value;
+          // Keep the region the right way round
+          if (region.endChainage < region.startChainage) region.endChainage = region.startChainage;
+          this.renderWideningEditor();
+        });
+      });
+      fields.shape.addEventListener('change', () => {
+        region.shape = fields.shape.value;
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+        regions.splice(index, 1);
+        this.renderWideningEditor();
+      });
+      
+      body.appendChild(row);
+    });
+  }
+
+  /**
+   * Show the setting-out dialog
+   * @param {Object} alignment - Alignment being set out
+   * @param {Object} table - Result of SettingOut.generate
+   * @param {Object} settings - {interval, includeOffsets}
+   */
+  showSettingOutDialog(alignment, table, settings) {
+    document.getElementById('settingOutModal').classList.remove('hidden');
+    document.getElementById('settingOutAlignmentName').textContent = alignment.name;
+    document.getElementById('settingOutIntervalInput').value = settings.interval;
+    document.getElementById('settingOutOffsetsCheckbox').checked = settings.includeOffsets;
+    this.updateSettingOutTable(table);
+  }
+
+  /**
+   * Hide the setting-out dialog
+   */
+  hideSettingOutDialog() {
+    document.getElementById('settingOutModal').classList.add('hidden');
+  }
+
+  /**
+   * Fill the setting-out table
+   * @param {Object} table - Result of SettingOut.generate
+   */
+  updateSettingOutTable(table) {
+    const headings = ['Chainage', 'Point', 'Easting', 'Northing', 'Bearing'];
+    table.offsets.forEach(line => headings.push(`${line.name} E`, `${line.name} N`));
+    document.getElementById('settingOutTableHead').innerHTML =
+      `<tr>${headings.map(heading => `<th class="px-2 py-1 text-left">${heading}</th>`).join('')}</tr>`;
     
-    // Store reference to the arc being edited
-    this.editingArc = arc;
+    const body = document.getElementById('settingOutTableBody');
+    body.innerHTML = '';
+    table.rows.forEach(row => {
+      const cells = [
+        Stationing.formatChainage(row.chainage, 3),
+        row.label,
+        row.easting.toFixed(3),
+        row.northing.toFixed(3),
+        `${SettingOut.formatBearing(row.bearing)}°`
+      ];
+      row.offsets.forEach(point => {
+        cells.push(point ? point.easting.toFixed(3) : '-', point ? point.northing.toFixed(3) : '-');
+      });
+      
+      const tr = document.createElement('tr');
+      tr.className = row.label ? 'border-t font-semibold' : 'border-t';
+      cells.forEach(value => {
+        const td = document.createElement('td');
+        td.className = 'px-2 py-0.5 whitespace-nowrap';
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
     
-    // Log which arc is being edited for debugging
-    console.log(`Editing arc at IP ${arc.ipIndex || 'unknown'} with radius ${arc.radius}`);
+    document.getElementById('settingOutRowCount').textContent = `${table.rows.length} points`;
   }
 
   /**
-   * Hide radius dialog
+   * Show the geometry report dialog
+   * @param {string} name - Alignment name
+   * @param {string} html - Report tables from GeometryReport.toHtmlTables
    */
-  hideRadiusDialog() {
-    document.getElementById('radiusModal').classList.add('hidden');
-    this.editingArc = null;
+  showGeometryReportDialog(name, html) {
+    document.getElementById('geometryReportModal').classList.remove('hidden');
+    document.getElementById('geometryReportAlignmentName').textContent = name;
+    document.getElementById('geometryReportContent').innerHTML = html;
   }
 
   /**
-   * Save radius from dialog
+   * Hide the geometry report dialog
    */
-  saveRadius() {
-    const newRadius = parseFloat(document.getElementById('newRadiusInput').value);
-    
-    if (isNaN(newRadius) || newRadius <= 0) {
-      alert('Please enter a valid radius value greater than 0.');
-      return;
-    }
+  hideGeometryReportDialog() {
+    document.getElementById('geometryReportModal').classList.add('hidden');
+  }
+
+  /**
+   * Show the plan sheet dialog with a preview of the sheet
+   * @param {Object} sheet - {paper, scale, title, drawnBy}
+   * @param {string} svg - Sheet from SvgExport.exportSheet
+   * @param {Object} bounds - World extent of the drawing area {minX, minY, maxX, maxY}
+   */
+  showPlanSheetDialog(sheet, svg, bounds) {
+    document.getElementById('planSheetModal').classList.remove('hidden');
+    document.getElementById('sheetPaperSelect').value = sheet.paper;
+    document.getElementById('sheetScaleSelect').value = String(sheet.scale);
+    document.getElementById('sheetTitleInput').value = sheet.title;
+    document.getElementById('sheetDrawnByInput').value = sheet.drawnBy;
     
-    if (this.editingArc) {
-      this.callbacks.updateRadius?.(newRadius);
-      this.hideRadiusDialog();
-    }
+    document.getElementById('sheetExtentDisplay').textContent =
+      `Centred on the current view; covers ${(bounds.maxX - bounds.minX).toFixed(0)} × ` +
+      `${(bounds.maxY - bounds.minY).toFixed(0)} m`;
+    // The preview is sized by CSS, so drop the XML declaration and paper size
+    document.getElementById('planSheetPreview').innerHTML = svg
+      .replace(/^<\?xml[^>]*>\s*/, '')
+      .replace(/ width="[\d.]+mm" height="[\d.]+mm"/, '');
   }
 
   /**
-   * Cancel radius editing
+   * Hide the plan sheet dialog
    */
-  cancelRadius() {
-    this.hideRadiusDialog();
+  hidePlanSheetDialog() {
+    document.getElementById('planSheetModal').classList.add('hidden');
+  }
+
+  /**
+   * Hide the superelevation diagram panel
+   */
+  hideSuperelevationPanel() {
+    document.getElementById('superelevationPanel').classList.add('hidden');
+    document.getElementById('toggleSuperelevationBtn').textContent = 'Show Superelevation';
+    this.stackProfilePanel(false);
+  }
+
+  /**
+   * Move the profile panel above the superelevation panel, or back to the bottom
+   * @param {boolean} isStacked - Whether the superelevation panel is open
+   */
+  stackProfilePanel(isStacked) {
+    const panel = document.getElementById('profilePanel');
+    panel.classList.toggle('bottom-4', !isStacked);
+    panel.classList.toggle('bottom-56', isStacked);
   }
 
   /**
@@ -227,9 +1614,61 @@ export class UIManager {
   showAlignmentInfo(alignment) {
     document.getElementById('alignmentInfo').classList.remove('hidden');
     document.getElementById('alignmentName').textContent = alignment.name;
+    document.getElementById('startChainageInput').value = alignment.startChainage || 0;
+    if (alignment.designCriteria) {
+      this.updateDesignCriteriaControls(alignment.designCriteria);
+    }
+    const laneSelect = document.getElementById('sweptPathLaneSelect');
+    this.updateSweptPathLanes(alignment.crossSection || CrossSection.createDefault(), laneSelect.value);
     this.updateAlignmentStats(alignment);
   }
 
+  /**
+   * Set the swept path controls
+   * @param {Object} settings - {vehicle, lane}
+   * @param {boolean} isVisible - Whether the swept path is shown
+   */
+  updateSweptPathControls(settings, isVisible) {
+    document.getElementById('sweptPathVehicleSelect').value = settings.vehicle;
+    document.getElementById('sweptPathLaneSelect').value = settings.lane;
+    document.getElementById('toggleSweptPathBtn').textContent = isVisible ? 'Hide Swept Path' : 'Show Swept Path';
+    if (!isVisible) {
+      document.getElementById('sweptPathResult').textContent = '';
+    }
+  }
+
+  /**
+   * Offer the lines of a cross-section for the swept path to follow
+   * @param {Object} template - Cross-section template
+   * @param {string} lane - Label of the line to keep selected, if it is still there
+   */
+  updateSweptPathLanes(template, lane) {
+    const lines = SweptPath.getLaneOffsets(template);
+    const select = document.getElementById('sweptPathLaneSelect');
+    select.innerHTML = lines
+      .map(line => `<option value="${line.label}">${line.label}</option>`)
+      .join('');
+    select.value = lines.some(line => line.label === lane) ? lane : lines[0].label;
+  }
+
+  /**
+   * Show whether the swept path stays on the pavement
+   * @param {Object} result - Result of SweptPath.analyse
+   */
+  showSweptPathResult(result) {
+    const element = document.getElementById('sweptPathResult');
+    if (result.poses.length === 0) {
+      element.textContent = 'No path to follow';
+      element.className = 'text-gray-500';
+    } else if (result.conflicts.length === 0) {
+      element.textContent = 'Stays within the pavement edges';
+      element.className = 'text-green-700';
+    } else {
+      element.textContent = SweptPath.describeConflicts(result.conflicts).join('; ');
+      element.className = 'text-red-600';
+    }
+  }
+
   /**
    * Hide alignment info panel
    */
@@ -246,41 +1685,74 @@ export class UIManager {
     
     const tangentCount = alignment.elements.filter(el => el.type === 'tangent').length;
     const arcCount = alignment.elements.filter(el => el.type === 'arc').length;
-    const totalElements = tangentCount + arcCount;
+    const spiralCount = alignment.elements.filter(el => el.type === 'spiral').length;
+    const totalElements = tangentCount + arcCount + spiralCount;
     
     document.getElementById('elementCount').textContent = totalElements;
     document.getElementById('tangentCount').textContent = tangentCount;
     document.getElementById('arcCount').textContent = arcCount;
+    document.getElementById('spiralCount').textContent = spiralCount;
+    
+    const range = Stationing.getChainageRange(alignment);
+    document.getElementById('chainageRange').textContent =
+      `${Stationing.formatChainage(range.start)} – ${Stationing.formatChainage(range.end)}`;
+    
+    this.updateValidationList(alignment.issues || []);
   }
 
   /**
-   * Log alignment data to console
-   * @param {Object} alignment - Current alignment
+   * List an alignment's geometry issues in the info panel
+   * @param {Array} issues - Issues from AlignmentValidation.validate
    */
-  logAlignmentData(alignment) {
-    if (!alignment) return;
-    
-    console.log('=== Alignment Data Structure ===');
-    console.log('Name:', alignment.name);
-    console.log('Points:', alignment.points);
-    console.log('Curve Points:', alignment.curvePoints);
-    console.log('Elements:', alignment.elements);
-    
-    // Log detailed element information
-    alignment.elements.forEach((element, index) => {
-      console.log(`Element ${index + 1}:`, element.type.toUpperCase());
-      if (element.type === 'tangent') {
-        console.log(`  - Length: ${element.length.toFixed(2)}px`);
-        console.log(`  - Bearing: ${GeometryUtils.formatBearing(element.bearing)} (${(element.bearing * 180 / Math.PI).toFixed(2)}°)`);
-      } else if (element.type === 'arc') {
-        console.log(`  - Radius: ${element.radius.toFixed(2)}px`);
-        console.log(`  - Deflection: ${(Math.abs(element.deflectionAngle) * 180 / Math.PI).toFixed(2)}°`);
-        console.log('  - Start Point:', element.startPoint);
-        console.log('  - End Point:', element.endPoint);
-        console.log(`  - Direction: ${element.isRightTurn ? 'Right' : 'Left'} turn`);
-      }
+  updateValidationList(issues) {
+    const list = document.getElementById('validationList');
+    document.getElementById('issueCount').textContent = issues.length;
+    list.innerHTML = '';
+    
+    if (issues.length === 0) {
+      list.innerHTML = '<div class="text-green-600">No problems found</div>';
+      return;
+    }
+    
+    issues.forEach((issue, index) => {
+      const item = document.createElement('div');
+      item.dataset.issue = index;
+      item.className = `cursor-pointer hover:underline ${issue.severity === 'error' ? 'text-red-600' : 'text-amber-600'}`;
+      item.textContent = `${Stationing.formatChainage(issue.chainage)}: ${issue.message}`;
+      list.appendChild(item);
     });
-    console.log('==================================');
+  }
+
+  /**
+   * Update the design criteria controls, offering the standard's e_max values
+   * @param {Object} criteria - {standard, designSpeed, eMax, normalCrossfall, attainment, designVehicle}
+   */
+  updateDesignCriteriaControls(criteria) {
+    const standard = DESIGN_STANDARDS[criteria.standard];
+    document.getElementById('designStandardSelect').value = criteria.standard;
+    document.getElementById('designSpeedInput').value = criteria.designSpeed;
+    
+    const eMaxSelect = document.getElementById('eMaxSelect');
+    eMaxSelect.innerHTML = standard.eMaxOptions
+      .map(eMax => `<option value="${eMax}">${(eMax * 100).toFixed(0)}%</option>`)
+      .join('');
+    eMaxSelect.value = String(criteria.eMax);
+    document.getElementById('normalCrossfallInput').value = +(criteria.normalCrossfall * 100).toFixed(2);
+    document.getElementById('attainmentSelect').value = criteria.attainment;
+    document.getElementById('designVehicleSelect').value = criteria.designVehicle;
+    
+    const { radius } = DesignCriteria.getMinimumRadius(criteria);
+    document.getElementById('minRadiusDisplay').textContent = `${radius.toFixed(1)}m`;
+  }
+
+  /**
+   * Update the geometry check minimum inputs
+   * @param {Object} settings - Validation settings
+   */
+  updateValidationControls(settings) {
+    document.getElementById('minTangentInput').value = settings.minTangent;
+    document.getElementById('minReverseTangentInput').value = settings.minReverseTangent;
+    document.getElementById('minBrokenBackTangentInput').value = settings.minBrokenBackTangent;
   }
 
   /**
@@ -392,4 +1864,85 @@ export class UIManager {
     document.getElementById('showTravelLaneEdges').checked = settings.showTravelLaneEdges;
     document.getElementById('showCentreline').checked = settings.showCentreline;
   }
+
+  /**
+   * Update station label controls
+   * @param {Object} settings - Stationing settings
+   */
+  updateStationingControls(settings) {
+    document.getElementById('showStations').checked = settings.showStations;
+    document.getElementById('majorStationInterval').value = settings.majorInterval;
+    document.getElementById('minorStationInterval').value = settings.minorInterval;
+  }
+
+  /**
+   * Show or hide the command line and set its prompt
+   * @param {string|null} prompt - Prompt text, or null to hide the command line
+   */
+  updateCommandBar(prompt) {
+    document.getElementById('commandBar').classList.toggle('hidden', prompt === null);
+    if (prompt !== null) {
+      document.getElementById('commandPrompt').textContent = prompt;
+    }
+  }
+
+  /**
+   * Show a command line error, or clear it and the input after a successful entry
+   * @param {string|null} message - Error message, or null on success
+   */
+  setCommandResult(message) {
+    const error = document.getElementById('commandError');
+    error.textContent = message || '';
+    error.classList.toggle('hidden', !message);
+    if (!message) {
+      document.getElementById('commandInput').value = '';
+    }
+  }
+
+  /**
+   * Enable the undo/redo buttons and name the edit each would step over
+   * @param {CommandHistory} history - Command history
+   */
+  updateHistoryButtons(history) {
+    const undoButton = document.getElementById('undoBtn');
+    const redoButton = document.getElementById('redoBtn');
+    const nextUndo = history.undoStack[history.undoStack.length - 1];
+    const nextRedo = history.redoStack[history.redoStack.length - 1];
+    
+    undoButton.disabled = !history.canUndo();
+    undoButton.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoButton.disabled = !history.canRedo();
+    redoButton.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+  }
+
+  /**
+   * Briefly show a message under the toolbars, e.g. why an edit was refused
+   * @param {string} message - Message
+   */
+  showNotice(message) {
+    const notice = document.getElementById('notice');
+    notice.textContent = message;
+    notice.classList.remove('hidden');
+    
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => notice.classList.add('hidden'), NOTICE_DURATION);
+  }
+
+  /**
+   * Report a file that could not be read or written
+   * @param {string} action - What was attempted, e.g. "open project"
+   * @param {string} message - Reason
+   */
+  showFileError(action, message) {
+    alert(`Could not ${action}: ${message}`);
+  }
+
+  /**
+   * Highlight the canvas while a file is dragged over it
+   * @param {HTMLElement} canvas - Canvas element
+   * @param {boolean} isActive - Whether a file is over the canvas
+   */
+  setDropHighlight(canvas, isActive) {
+    canvas.classList.toggle('drop-target', isActive);
+  }
 } 
\ No newline at end of file
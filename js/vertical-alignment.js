@@ -0,0 +1,226 @@
+/**
+ * Vertical Alignment Module
+ * Profile calculations: grades between PVIs and parabolic vertical curves
+ */
+
+export class VerticalCalculations {
+  /**
+   * Create a default flat profile spanning a chainage range
+   * @param {number} startChainage - Chainage of the first PVI
+   * @param {number} endChainage - Chainage of the last PVI
+   * @param {number} elevation - Elevation of both PVIs
+   * @returns {Object} Profile {pvis}
+   */
+  static createDefaultProfile(startChainage, endChainage, elevation = 100) {
+    return {
+      pvis: [
+        { chainage: startChainage, elevation: elevation, lengthIn: 0, lengthOut: 0 },
+        { chainage: endChainage, elevation: elevation, lengthIn: 0, lengthOut: 0 }
+      ]
+    };
+  }
+
+  /**
+   * Keep the first and last PVIs on the ends of the horizontal alignment, and the
+   * others in order between them
+   * @param {Object} profile - Profile {pvis}
+   * @param {Object} range - Chainage range {start, end}
+   */
+  static pinProfileToRange(profile, range) {
+    if (!profile || profile.pvis.length < 2) return;
+
+    const pvis = profile.pvis;
+    pvis.sort((a, b) => a.chainage - b.chainage);
+    pvis.forEach(pvi => {
+      pvi.chainage = Math.max(range.start, Math.min(range.end, pvi.chainage));
+    });
+    pvis[0].chainage = range.start;
+    pvis[pvis.length - 1].chainage = range.end;
+  }
+
+  /**
+   * Move every PVI along by the same distance, e.g. when the stations they are
+   * designed to move
+   * @param {Object} profile - Profile {pvis}
+   * @param {number} delta - Change in chainage
+   */
+  static shiftProfile(profile, delta) {
+    if (!profile || delta === 0) return;
+    profile.pvis.forEach(pvi => {
+      pvi.chainage += delta;
+    });
+  }
+
+  /**
+   * Calculate grades and vertical curves from the PVIs
+   * @param {Object} profile - Profile {pvis}
+   * @returns {Object} {pvis, grades, curves} with PVIs sorted by chainage;
+   *   grades[i] runs from PVI i to i+1 (as a ratio, not a percentage)
+   */
+  static calculateProfileElements(profile) {
+    const pvis = [...profile.pvis].sort((a, b) => a.chainage - b.chainage);
+    const grades = [];
+    const curves = [];
+
+    for (let i = 0; i < pvis.length - 1; i++) {
+      const run = pvis[i + 1].chainage - pvis[i].chainage;
+      grades.push(run > 0 ? (pvis[i + 1].elevation - pvis[i].elevation) / run : 0);
+    }
+
+    // Vertical curves only sit at intermediate PVIs
+    for (let i = 1; i < pvis.length - 1; i++) {
+      const curve = this.calculateVerticalCurve(pvis[i], grades[i - 1], grades[i]);
+      if (curve) {
+        curve.pviIndex = i;
+        curves.push(curve);
+      }
+    }
+
+    return { pvis, grades, curves };
+  }
+
+  /**
+   * Calculate an (optionally asymmetric) parabolic vertical curve at a PVI
+   * @param {Object} pvi - PVI {chainage, elevation, lengthIn, lengthOut}
+   * @param {number} gradeIn - Incoming grade (ratio)
+   * @param {number} gradeOut - Outgoing grade (ratio)
+   * @returns {Object|null} Vertical curve, or null if the PVI has no curve length
+   */
+  static calculateVerticalCurve(pvi, gradeIn, gradeOut) {
+    const lengthIn = pvi.lengthIn || 0;
+    const lengthOut = pvi.lengthOut || 0;
+    const length = lengthIn + lengthOut;
+    if (length <= 0) return null;
+
+    const algebraicDifference = (gradeOut - gradeIn) * 100; // A, in percent
+    const isAsymmetric = Math.abs(lengthIn - lengthOut) > 1e-9;
+
+    // Vertical offset from the PVI to the curve; positive for sags
+    const pviOffset = (lengthIn * lengthOut * (gradeOut - gradeIn)) / (2 * length);
+
+    const curve = {
+      pvi: pvi,
+      startChainage: pvi.chainage - lengthIn, // PVC
+      endChainage: pvi.chainage + lengthOut, // PVT
+      startElevation: pvi.elevation - gradeIn * lengthIn,
+      endElevation: pvi.elevation + gradeOut * lengthOut,
+      lengthIn: lengthIn,
+      lengthOut: lengthOut,
+      length: length,
+      gradeIn: gradeIn,
+      gradeOut: gradeOut,
+      algebraicDifference: algebraicDifference,
+      kValue: Math.abs(algebraicDifference) > 1e-9 ? length / Math.abs(algebraicDifference) : Infinity,
+      type: gradeOut < gradeIn ? 'crest' : 'sag',
+      isAsymmetric: isAsymmetric,
+      pviOffset: pviOffset
+    };
+
+    curve.turningPoint = this.findTurningPoint(curve);
+    return curve;
+  }
+
+  /**
+   * Elevation on a vertical curve
+   * Each side of an asymmetric curve is its own parabola meeting at the PVI chainage
+   * @param {Object} curve - Vertical curve
+   * @param {number} chainage - Chainage within the curve
+   * @returns {number} Elevation
+   */
+  static getCurveElevation(curve, chainage) {
+    const { pvi, gradeIn, gradeOut, lengthIn, lengthOut, pviOffset } = curve;
+
+    if (chainage <= pvi.chainage) {
+      const x = chainage - curve.startChainage;
+      const ratio = lengthIn > 0 ? x / lengthIn : 0;
+      return curve.startElevation + gradeIn * x + pviOffset * ratio * ratio;
+    }
+
+    const x = curve.endChainage - chainage;
+    const ratio = lengthOut > 0 ? x / lengthOut : 0;
+    return curve.endElevation - gradeOut * x + pviOffset * ratio * ratio;
+  }
+
+  /**
+   * Find the high (crest) or low (sag) point of a vertical curve
+   * @param {Object} curve - Vertical curve
+   * @returns {Object|null} {chainage, elevation}, or null if it falls outside the curve
+   */
+  static findTurningPoint(curve) {
+    const { gradeIn, gradeOut, lengthIn, lengthOut, pviOffset } = curve;
+
+    // Grade on the first parabola: gradeIn + 2·e·x/L1², on the second: gradeOut - 2·e·x'/L2²
+    if (lengthIn > 0 && pviOffset !== 0) {
+      const x = (-gradeIn * lengthIn * lengthIn) / (2 * pviOffset);
+      if (x >= 0 && x <= lengthIn) {
+        const chainage = curve.startChainage + x;
+        return { chainage, elevation: this.getCurveElevation(curve, chainage) };
+      }
+    }
+
+    if (lengthOut > 0 && pviOffset !== 0) {
+      const x = (gradeOut * lengthOut * lengthOut) / (2 * pviOffset);
+      if (x >= 0 && x <= lengthOut) {
+        const chainage = curve.endChainage - x;
+        return { chainage, elevation: this.getCurveElevation(curve, chainage) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the design elevation at a chainage
+   * @param {Object} profileElements - Result of calculateProfileElements
+   * @param {number} chainage - Chainage to evaluate
+   * @returns {number|null} Elevation, or null if outside the profile
+   */
+  static getElevationAtChainage(profileElements, chainage) {
+    const { pvis, grades, curves } = profileElements;
+    if (pvis.length < 2) return null;
+    if (chainage < pvis[0].chainage || chainage > pvis[pvis.length - 1].chainage) return null;
+
+    const curve = curves.find(c => chainage >= c.startChainage && chainage <= c.endChainage);
+    if (curve) return this.getCurveElevation(curve, chainage);
+
+    // On a grade line
+    let i = 0;
+    while (i < pvis.length - 2 && chainage > pvis[i + 1].chainage) i++;
+    return pvis[i].elevation + grades[i] * (chainage - pvis[i].chainage);
+  }
+
+  /**
+   * Check that no two vertical curves overlap and that none run off the profile ends
+   * @param {Object} profileElements - Result of calculateProfileElements
+   * @returns {Array} Indices of PVIs whose curves overlap a neighbour or the profile ends
+   */
+  static findOverlappingCurves(profileElements) {
+    const { pvis, curves } = profileElements;
+    const flagged = new Set();
+    if (pvis.length < 2) return [];
+
+    curves.forEach((curve, index) => {
+      if (curve.startChainage < pvis[0].chainage - 1e-9 ||
+          curve.endChainage > pvis[pvis.length - 1].chainage + 1e-9) {
+        flagged.add(curve.pviIndex);
+      }
+      const next = curves[index + 1];
+      if (next && next.startChainage < curve.endChainage - 1e-9) {
+        flagged.add(curve.pviIndex);
+        flagged.add(next.pviIndex);
+      }
+    });
+
+    return [...flagged];
+  }
+
+  /**
+   * Format a grade ratio as a signed percentage string
+   * @param {number} grade - Grade as a ratio
+   * @returns {string} e.g. "+2.50%"
+   */
+  static formatGrade(grade) {
+    const percent = grade * 100;
+    return `${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%`;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Viewport Module
+ * World coordinate system and the world <-> screen transform
+ *
+ * World coordinates are metres: x is easting and y is southing (-northing), so the
+ * world axes run the same way as the canvas axes and all plan geometry can be
+ * calculated and drawn without flipping. Use toEastingNorthing/fromEastingNorthing
+ * whenever coordinates are shown to, or entered by, the user.
+ */
+
+export class Viewport {
+  /**
+   * @param {number} scale - Screen pixels per metre
+   * @param {number} offsetX - Screen X of the world origin
+   * @param {number} offsetY - Screen Y of the world origin
+   */
+  constructor(scale = 4, offsetX = 0, offsetY = 0) {
+    this.scale = scale;
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+    this.minScale = 0.01;
+    this.maxScale = 500;
+  }
+
+  /**
+   * Convert a world point to screen pixels
+   * @param {Object} point - World point {x, y}
+   * @returns {Object} Screen point {x, y}
+   */
+  worldToScreen(point) {
+    return {
+      x: point.x * this.scale + this.offsetX,
+      y: point.y * this.scale + this.offsetY
+    };
+  }
+
+  /**
+   * Convert a screen point to world metres
+   * @param {Object} point - Screen point {x, y}
+   * @returns {Object} World point {x, y}
+   */
+  screenToWorld(point) {
+    return {
+      x: (point.x - this.offsetX) / this.scale,
+      y: (point.y - this.offsetY) / this.scale
+    };
+  }
+
+  /**
+   * Convert a screen distance (e.g. a pick tolerance) to metres
+   * @param {number} pixels - Distance in screen pixels
+   * @returns {number} Distance in metres
+   */
+  pixelsToWorld(pixels) {
+    return pixels / this.scale;
+  }
+
+  /**
+   * Zoom about a screen point, keeping the world point under it fixed
+   * @param {Object} screenPoint - Screen point {x, y}
+   * @param {number} factor - Zoom factor (>1 zooms in)
+   */
+  zoomAt(screenPoint, factor) {
+    const anchor = this.screenToWorld(screenPoint);
+    this.scale = Math.max(this.minScale, Math.min(this.maxScale, this.scale * factor));
+    this.offsetX = screenPoint.x - anchor.x * this.scale;
+    this.offsetY = screenPoint.y - anchor.y * this.scale;
+  }
+
+  /**
+   * Pan by a screen distance
+   * @param {number} dx - Screen pixels in X
+   * @param {number} dy - Screen pixels in Y
+   */
+  pan(dx, dy) {
+    this.offsetX += dx;
+    this.offsetY += dy;
+  }
+
+  /**
+   * Fit a world bounding box into a screen rectangle
+   * @param {Object} bounds - World bounds {minX, minY, maxX, maxY}
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   * @param {number} margin - Screen margin in pixels
+   */
+  fitBounds(bounds, width, height, margin = 40) {
+    const worldWidth = Math.max(bounds.maxX - bounds.minX, 1);
+    const worldHeight = Math.max(bounds.maxY - bounds.minY, 1);
+    const scale = Math.min((width - 2 * margin) / worldWidth, (height - 2 * margin) / worldHeight);
+
+    this.scale = Math.max(this.minScale, Math.min(this.maxScale, scale));
+    this.offsetX = width / 2 - ((bounds.minX + bounds.maxX) / 2) * this.scale;
+    this.offsetY = height / 2 - ((bounds.minY + bounds.maxY) / 2) * this.scale;
+  }
+
+  /**
+   * Get the world bounds visible on a screen of given size
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   * @returns {Object} World bounds {minX, minY, maxX, maxY}
+   */
+  getVisibleBounds(width, height) {
+    const topLeft = this.screenToWorld({ x: 0, y: 0 });
+    const bottomRight = this.screenToWorld({ x: width, y: height });
+    return { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+  }
+
+  /**
+   * Apply the world transform to a 2D context
+   * @param {CanvasRenderingContext2D} ctx - Context to transform
+   */
+  applyTo(ctx) {
+    ctx.setTransform(this.scale, 0, 0, this.scale, this.offsetX, this.offsetY);
+  }
+
+  /**
+   * Convert a world point to survey easting/northing
+   * @param {Object} point - World point {x, y}
+   * @returns {Object} {easting, northing}
+   */
+  static toEastingNorthing(point) {
+    return { easting: point.x, northing: -point.y };
+  }
+
+  /**
+   * Convert survey easting/northing to a world point
+   * @param {number} easting - Easting in metres
+   * @param {number} northing - Northing in metres
+   * @returns {Object} World point {x, y}
+   */
+  static fromEastingNorthing(easting, northing) {
+    return { x: easting, y: -northing };
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Widening Module
+ * Width-change regions along an alignment. Between its start and end chainage a region
+ * widens one cross-section component on one side by its delta (narrows, for a negative
+ * delta), following a transition shape; the change holds beyond the end chainage, and
+ * every edge outside the component moves out with it. A turn lane is a region widening
+ * by a lane width, then another narrowing by the same; curve widening is such a pair on
+ * the inside lane, over the curve's superelevation runoff.
+ *
+ * Region: {side, componentIndex, startChainage, endChainage, delta, shape} with shape a
+ * key of TRANSITION_SHAPES; curve widening regions also carry the ipIndex of their curve.
+ * Once the alignment's curveWidening flag is on they are worked out again for every curve
+ * whenever the alignment is rebuilt, so they follow the curves as they change.
+ *
+ * Curve widening follows the AASHTO method for a travelled way of N lanes:
+ *
+ *   W_c = N·(U + C) + (N − 1)·F_A + Z          widening = W_c − W_n
+ *
+ * with U = u + R − √(R² − ΣL²) the width the design vehicle tracks on the curve (u its
+ * track width on tangent, L its wheelbases), C the lateral clearance per vehicle,
+ * F_A = √(R² + A·(2L + A)) − R the extra width its front overhang A sweeps, Z = 0.1·V / √R
+ * an allowance for the difficulty of driving the curve at design speed V (km/h), and W_n
+ * the travelled way width on tangent, the cross-section's lanes.
+ */
+
+import { CrossSection } from './cross-section.js';
+import { DESIGN_VEHICLES, DesignVehicles } from './design-vehicles.js';
+import { Superelevation } from './superelevation.js';
+
+/**
+ * Transition shapes: share of the delta reached a fraction t of the way through a region
+ */
+export const TRANSITION_SHAPES = {
+  linear: { label: 'Linear', factor: (t) => t },
+  reverse: { label: 'Reverse curve', factor: (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)) }
+};
+
+export const MIN_CURVE_WIDENING = 0.6; // Metres; narrower widening is not worth building
+
+// AASHTO lateral clearance C per vehicle: 0.6 m on 3.0 m lanes up to 0.9 m on 3.6 m lanes
+const LATERAL_CLEARANCE = { minLaneWidth: 3.0, min: 0.6, maxLaneWidth: 3.6, max: 0.9 };
+
+export class Widening {
+  /**
+   * A region widening the first component on the right over 30 m
+   * @param {number} startChainage - Start of the transition
+   * @returns {Object} Region
+   */
+  static createRegion(startChainage) {
+    return {
+      side: 'right',
+      componentIndex: 0,
+      startChainage,
+      endChainage: startChainage + 30,
+      delta: 1.0,
+      shape: 'linear'
+    };
+  }
+
+  /**
+   * Copy regions, dropping any that are incomplete
+   * @param {Array} regions - Regions, e.g. from a project file
+   * @returns {Array} Regions
+   */
+  static normalize(regions) {
+    return (Array.isArray(regions) ? regions : [])
+      .filter(region =>
+        (region.side === 'left' || region.side === 'right') &&
+        Number.isInteger(region.componentIndex) && region.componentIndex >= 0 &&
+        Number.isFinite(region.startChainage) && Number.isFinite(region.endChainage) &&
+        region.endChainage >= region.startChainage &&
+        Number.isFinite(region.delta)
+      )
+      .map(region => {
+        const copy = {
+          side: region.side,
+          componentIndex: region.componentIndex,
+          startChainage: region.startChainage,
+          endChainage: region.endChainage,
+          delta: region.delta,
+          shape: TRANSITION_SHAPES[region.shape] ? region.shape : 'linear'
+        };
+        if (Number.isInteger(region.ipIndex)) copy.ipIndex = region.ipIndex;
+        return copy;
+      });
+  }
+
+  /**
+   * Width a region has added at a chainage
+   * @param {Object} region - Region
+   * @param {number} chainage - Chainage
+   * @returns {number} Width change in metres
+   */
+  static getChange(region, chainage) {
+    const span = region.endChainage - region.startChainage;
+    const t = span > 0
+      ? (chainage - region.startChainage) / span
+      : (chainage >= region.startChainage ? 1 : 0);
+    return region.delta * TRANSITION_SHAPES[region.shape].factor(Math.max(0, Math.min(1, t)));
+  }
+
+  /**
+   * Cross-section edges with the offsets their widening gives them
+   * @param {Object} template - Cross-section template
+   * @param {Array} regions - Width-change regions
+   * @returns {Array} Edges from CrossSection.getEdges, plus widenedOffset: the edge offset
+   *   where no region moves it, otherwise a function of chainage returning the offset
+   */
+  static getEdges(template, regions = []) {
+    return CrossSection.getEdges(template).map(edge => {
+      const moving = regions.filter(region => region.side === edge.side && region.componentIndex <= edge.index);
+      if (moving.length === 0) return { ...edge, widenedOffset: edge.offset };
+
+      const sign = edge.side === 'right' ? 1 : -1;
+      return {
+        ...edge,
+        widenedOffset: (chainage) => edge.offset + sign * moving.reduce((total, region) => total + this.getChange(region, chainage), 0)
+      };
+    });
+  }
+
+  /**
+   * Move every region along by the same distance, e.g. when the stations they are
+   * designed to move
+   * @param {Array} regions - Regions
+   * @param {number} delta - Change in chainage
+   * @returns {Array} Shifted regions
+   */
+  static shift(regions, delta) {
+    return regions.map(region => ({
+      ...region,
+      startChainage: region.startChainage + delta,
+      endChainage: region.endChainage + delta
+    }));
+  }
+
+  /**
+   * Follow components of the cross-section that were moved or removed
+   * @param {Array} regions - Regions
+   * @param {Object} componentMap - {left, right}: new index of each old component, null if removed
+   * @returns {Array} Regions on the same components, dropping those whose component is gone
+   */
+  static remapComponents(regions, componentMap) {
+    return regions
+      .map(region => ({ ...region, componentIndex: componentMap[region.side][region.componentIndex] ?? null }))
+      .filter(region => region.componentIndex !== null);
+  }
+
+  /**
+   * Work out the curve widening regions again for every curve, after the alignment, its
+   * cross-section or its design criteria change, while its curveWidening flag is on
+   * @param {Object} alignment - Alignment with chainaged elements, design criteria and cross-section
+   * @returns {Array} Regions
+   */
+  static updateCurveWidening(alignment) {
+    const regions = alignment.widenings || [];
+    if (!alignment.curveWidening) return regions;
+
+    return [
+      ...regions.filter(region => !Number.isInteger(region.ipIndex)),
+      ...this.generateCurveWidening(alignment).regions
+    ];
+  }
+
+  /**
+   * Curve widening for one curve
+   * @param {number} radius - Curve radius
+   * @param {Object} vehicle - Entry of DESIGN_VEHICLES
+   * @param {number} designSpeed - Design speed in km/h
+   * @param {Array} laneWidths - Width of each lane across the road
+   * @returns {Object} Widths in metres {offTracking, trackWidth, clearance, overhang, allowance,
+   *   curveWidth, normalWidth, widening}: trackWidth is U, curveWidth W_c and normalWidth W_n
+   */
+  static calculateCurveWidening(radius, vehicle, designSpeed, laneWidths) {
+    const laneCount = laneWidths.length;
+    const normalWidth = laneWidths.reduce((total, width) => total + width, 0);
+    const sumOfSquares = DesignVehicles.getWheelbases(vehicle).reduce((total, length) => total + length * length, 0);
+    const offTracking = radius - Math.sqrt(Math.max(0, radius * radius - sumOfSquares));
+    const trackWidth = vehicle.trackWidth + offTracking;
+    const clearance = this.getLateralClearance(normalWidth / laneCount);
+    const a = vehicle.frontOverhang;
+    const overhang = Math.sqrt(radius * radius + a * (2 * vehicle.wheelbase + a)) - radius;
+    const allowance = 0.1 * designSpeed / Math.sqrt(radius);
+    const curveWidth = laneCount * (trackWidth + clearance) + (laneCount - 1) * overhang + allowance;
+
+    return {
+      offTracking,
+      trackWidth,
+      clearance,
+      overhang,
+      allowance,
+      curveWidth,
+      normalWidth,
+      widening: Math.max(0, curveWidth - normalWidth)
+    };
+  }
+
+  /**
+   * Lateral clearance AASHTO allows each vehicle, interpolated by lane width
+   * @param {number} laneWidth - Average lane width
+   * @returns {number} Clearance C in metres
+   */
+  static getLateralClearance(laneWidth) {
+    const { minLaneWidth, min, maxLaneWidth, max } = LATERAL_CLEARANCE;
+    const t = Math.max(0, Math.min(1, (laneWidth - minLaneWidth) / (maxLaneWidth - minLaneWidth)));
+    return min + (max - min) * t;
+  }
+
+  /**
+   * Curve widening for every curve of an alignment, on the inside lane over the
+   * superelevation runoff, for its design vehicle and speed
+   * @param {Object} alignment - Alignment with chainaged elements, design criteria and cross-section
+   * @returns {Object} {curves, regions}: curves are {ipIndex, radius, isApplied} with the widths
+   *   from calculateCurveWidening; regions are the pairs for the curves that need widening
+   */
+  static generateCurveWidening(alignment) {
+    const criteria = alignment.designCriteria;
+    const vehicle = DESIGN_VEHICLES[criteria.designVehicle];
+    const template = alignment.crossSection || CrossSection.createDefault();
+    const laneWidths = [...template.left, ...template.right]
+      .filter(component => component.type === 'lane')
+      .map(component => component.width);
+    if (!vehicle || laneWidths.length === 0) return { curves: [], regions: [] };
+
+    const arcs = (alignment.elements || []).filter(element => element.type === 'arc');
+    const curves = [];
+    const regions = [];
+
+    Superelevation.calculate(alignment).curves.forEach(curve => {
+      const arc = arcs.find(element => element.ipIndex === curve.ipIndex);
+      const side = curve.isRightTurn ? 'right' : 'left';
+      const componentIndex = template[side].findIndex(component => component.type === 'lane');
+      const result = this.calculateCurveWidening(arc.radius, vehicle, criteria.designSpeed, laneWidths);
+      const isApplied = componentIndex >= 0 && result.widening >= MIN_CURVE_WIDENING;
+      curves.push({ ipIndex: curve.ipIndex, radius: arc.radius, ...result, isApplied });
+      if (!isApplied) return;
+
+      // Built to the next 0.1 m, on over the runoff in and off over the runoff out
+      const delta = Math.ceil(result.widening * 10) / 10;
+      const region = { side, componentIndex, shape: 'linear', ipIndex: curve.ipIndex };
+      regions.push(
+        { ...region, startChainage: curve.fullStart - curve.runoffIn, endChainage: curve.fullStart, delta },
+        { ...region, startChainage: curve.fullEnd, endChainage: curve.fullEnd + curve.runoffOut, delta: -delta }
+      );
+    });
+
+    return { curves, regions };
+  }
+}